@@ -0,0 +1,144 @@
+// admin.js - This file starts the admin console: login, logout and switching between its pages
+// Bringing in the pages of the console
+import { adminFetch } from './adminApi.js'; // Getting the function that talks to the server
+import { TopicsManager } from './topics.js'; // Getting the editor of the hotel information
+import { RevisionsManager } from './revisions.js'; // Getting the history of the changes
+import { TranscriptsManager } from './transcripts.js'; // Getting the conversations of the guests
+import { GapsManager } from './gaps.js'; // Getting the questions the bot could not answer
+import { FeedbackManager } from './feedback.js'; // Getting the ratings of the guests
+import { HandoffsManager } from './handoffs.js'; // Getting the inbox of the reception
+import { InquiriesManager } from './inquiries.js'; // Getting the booking inquiries of the guests
+import { UsageManager } from './usage.js'; // Getting the costs of the paid APIs
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('admin.js module loaded');
+
+// Each page of the console and the function that fills it when it is opened
+const VIEWS = {
+  topicsView: () => TopicsManager.load(),
+  revisionsView: () => RevisionsManager.load(),
+  transcriptsView: () => TranscriptsManager.load(),
+  gapsView: () => GapsManager.load(),
+  feedbackView: () => FeedbackManager.load(),
+  handoffsView: () => HandoffsManager.load(),
+  inquiriesView: () => InquiriesManager.load(),
+  usageView: () => UsageManager.load()
+};
+
+// The pages that have their own address, opened first when the console is loaded from it (for example /admin/usage)
+const VIEW_PATHS = {
+  '/admin/usage': 'usageView'
+};
+
+// Create the AdminManager object that contains the functions shared by the whole console
+export const AdminManager = {
+  // This function shows the login form or the console, depending on the session
+  async initialize() {
+    // Set up the buttons once
+    document.getElementById('loginForm').addEventListener('submit', (e) => this.login(e));
+    document.getElementById('logoutButton').addEventListener('click', () => this.logout());
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.showView(tab.dataset.view));
+    });
+    TopicsManager.initialize();
+    TranscriptsManager.initialize();
+    GapsManager.initialize();
+    FeedbackManager.initialize();
+    UsageManager.initialize();
+
+    // When the session expires, go back to the login form
+    document.addEventListener('admin:logged-out', () => this.showLogin());
+    // Another page (the costs) asks to read a conversation
+    document.addEventListener('admin:open-transcript', async (e) => {
+      await this.showView('transcriptsView');
+      TranscriptsManager.show(e.detail.id);
+    });
+
+    // Ask the server if the staff is already logged in
+    const session = await adminFetch('/admin/api/session');
+    if (!session.enabled) {
+      // Without ADMIN_PASSWORD on the server, nobody can log in
+      this.showLogin('La console est désactivée : définissez ADMIN_PASSWORD sur le serveur.');
+      document.querySelector('#loginForm button').disabled = true;
+    } else if (session.authenticated) {
+      this.showConsole();
+    } else {
+      this.showLogin();
+    }
+  },
+
+  // This function shows the login form, with an optional message
+  showLogin(message = '') {
+    // Logged out: the requests of the guests are not followed anymore
+    HandoffsManager.disconnect();
+    document.getElementById('adminView').hidden = true;
+    document.getElementById('loginView').hidden = false;
+    document.getElementById('loginError').textContent = message;
+    document.getElementById('adminPassword').focus();
+  },
+
+  // This function shows the console and opens its first page (or the page of the address)
+  showConsole() {
+    document.getElementById('loginView').hidden = true;
+    document.getElementById('adminView').hidden = false;
+    // Follow the requests of the guests to the reception, whatever page is shown
+    HandoffsManager.connect();
+    this.showView(VIEW_PATHS[window.location.pathname.replace(/\/$/, '')] || 'topicsView');
+  },
+
+  // This function sends the password to the server
+  async login(e) {
+    // Stop the form from reloading the page
+    e.preventDefault();
+    const passwordInput = document.getElementById('adminPassword');
+    try {
+      await adminFetch('/admin/api/login', { method: 'POST', body: { password: passwordInput.value } });
+      passwordInput.value = '';
+      this.showConsole();
+    } catch (err) {
+      // Show why the login failed (usually a wrong password)
+      document.getElementById('loginError').textContent = err.message;
+    }
+  },
+
+  // This function ends the session of the staff
+  async logout() {
+    await adminFetch('/admin/api/logout', { method: 'POST' });
+    this.showLogin();
+  },
+
+  // This function shows one page of the console and hides the others
+  async showView(viewId) {
+    document.querySelectorAll('.admin-view').forEach(view => {
+      view.hidden = view.id !== viewId;
+    });
+    // Mark the tab of the page that is shown, for screen readers and for the style
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+      if (tab.dataset.view === viewId) {
+        tab.setAttribute('aria-current', 'page');
+      } else {
+        tab.removeAttribute('aria-current');
+      }
+    });
+
+    // The editor keeps its unsaved changes (or a restored revision) when it is opened again
+    if (viewId === 'topicsView' && TopicsManager.dirty) return;
+
+    try {
+      await VIEWS[viewId]();
+    } catch (err) {
+      console.error('[Admin] Could not load the page:', err);
+      if (err.status !== 401) {
+        alert(err.message);
+      }
+    }
+  }
+};
+
+// When the webpage has completely loaded, start the console
+document.addEventListener('DOMContentLoaded', () => {
+  AdminManager.initialize().catch(err => {
+    console.error('[Admin] Could not start the console:', err);
+    alert(err.message);
+  });
+});
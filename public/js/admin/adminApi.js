@@ -0,0 +1,34 @@
+// adminApi.js - This file sends the requests of the admin console to the server
+// Every page of the console uses it, so errors are handled the same way everywhere
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('adminApi.js module loaded');
+
+// This function sends a request to one of the /admin/api routes and returns the answer as an object
+// If the server says the staff is not logged in anymore, the page goes back to the login form
+export async function adminFetch(url, { method = 'GET', body } = {}) {
+  // Send the request, with the data as JSON when there is some
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  // Read the answer (the server always answers with JSON, even for errors)
+  const data = await response.json().catch(() => ({}));
+
+  // The session has expired: ask for the password again
+  if (response.status === 401) {
+    document.dispatchEvent(new CustomEvent('admin:logged-out'));
+  }
+
+  // Any other problem is thrown with the message of the server, so the page can show it
+  if (!response.ok) {
+    const error = new Error(data.error || `Erreur ${response.status}`);
+    error.status = response.status;
+    error.details = data;
+    throw error;
+  }
+
+  return data;
+}
@@ -0,0 +1,88 @@
+// feedback.js - This file shows how satisfied the guests are with the answers in the admin console
+// The guests rate each answer with a thumbs up or a thumbs down; the server sums the ratings by topic and language
+import { adminFetch } from './adminApi.js'; // Getting the function that talks to the server
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('feedback.js module loaded');
+
+// This function turns a date saved by the server into a readable French date
+function formatDate(time) {
+  return new Date(time).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// This function describes the ratings of a group of answers, for example "12 avis, 83 % utiles"
+function describeCounts(counts) {
+  return `${counts.total} avis, ${counts.satisfaction} % utiles`;
+}
+
+// Create the FeedbackManager object that contains all the functions of the satisfaction page
+export const FeedbackManager = {
+  // This function sets up the list of the period
+  initialize() {
+    // Changing the period loads the report again
+    document.getElementById('feedbackDays').addEventListener('change', () => {
+      this.load().catch(err => alert(err.message));
+    });
+  },
+
+  // This function downloads the report of the chosen period and shows it
+  async load() {
+    const days = document.getElementById('feedbackDays').value;
+    const report = await adminFetch(`/admin/api/feedback?days=${days}`);
+    this.render(report);
+  },
+
+  // This function draws the summary, the table of the topics and the latest comments
+  render(report) {
+    // The ratings of all the answers, then of each language
+    const languages = Object.entries(report.languages).map(([lang, counts]) => `${lang.toUpperCase()} : ${describeCounts(counts)}`);
+    document.getElementById('feedbackSummary').textContent = report.overall.total > 0
+      ? [`Au total : ${describeCounts(report.overall)}`, ...languages].join(' - ')
+      : 'Aucun avis sur cette période.';
+
+    // One row per topic and language, the most criticized first
+    document.getElementById('feedbackTopics').replaceChildren(...report.topics.map(row => {
+      const line = document.createElement('tr');
+      // Show in red the topics with more unhelpful than helpful answers
+      line.classList.toggle('feedback-low', row.down > row.up);
+      [
+        // The answers that did not use the hotel information have no topic
+        row.topic ? row.topic.replace(/_/g, ' ') : 'Sans source',
+        row.language.toUpperCase(),
+        row.up,
+        row.down,
+        `${row.satisfaction} %`
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        line.appendChild(cell);
+      });
+      return line;
+    }));
+
+    // The latest comments, with the question and the answer they are about (already anonymized by the server)
+    document.getElementById('feedbackComments').replaceChildren(...report.comments.map(entry => {
+      const item = document.createElement('li');
+
+      const meta = document.createElement('p');
+      meta.className = 'admin-muted';
+      meta.textContent = [
+        entry.rating === 'up' ? '👍 Utile' : '👎 Pas utile',
+        entry.language?.toUpperCase(),
+        entry.topics.join(', '),
+        formatDate(entry.updatedAt)
+      ].filter(Boolean).join(' - ');
+
+      const comment = document.createElement('p');
+      comment.className = 'feedback-comment-text';
+      comment.textContent = entry.comment;
+
+      const exchange = document.createElement('p');
+      exchange.className = 'admin-muted';
+      exchange.textContent = `Question : ${entry.question} - Réponse : ${entry.answer.slice(0, 300)}`;
+
+      item.append(meta, comment, exchange);
+      return item;
+    }));
+  }
+};
@@ -0,0 +1,75 @@
+// gaps.js - This file shows the questions the bot could not answer in the admin console
+// The server groups the questions that talk about the same thing, so the staff know which topics to add
+import { adminFetch } from './adminApi.js'; // Getting the function that talks to the server
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('gaps.js module loaded');
+
+// This function turns a date saved by the server into a readable French date
+function formatDate(time) {
+  return new Date(time).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// Create the GapsManager object that contains all the functions of the questions without an answer page
+export const GapsManager = {
+  // This function sets up the list of the period
+  initialize() {
+    // Changing the period loads the report again
+    document.getElementById('gapDays').addEventListener('change', () => {
+      this.load().catch(err => alert(err.message));
+    });
+  },
+
+  // This function downloads the report of the chosen period and shows it
+  async load() {
+    const days = document.getElementById('gapDays').value;
+    // The CSV export follows the chosen period
+    document.getElementById('gapCsvLink').href = `/admin/api/gaps.csv?days=${days}`;
+
+    const report = await adminFetch(`/admin/api/gaps?days=${days}`);
+    this.render(report);
+  },
+
+  // This function draws one row per group of questions, the most asked first
+  render(report) {
+    const list = document.getElementById('gapsList');
+    list.replaceChildren(...report.clusters.map(cluster => {
+      const row = document.createElement('tr');
+
+      // This helper adds a cell with a text
+      const addCell = (value, className = '') => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        cell.className = className;
+        row.appendChild(cell);
+        return cell;
+      };
+
+      addCell(cluster.rank);
+      addCell(cluster.terms.join(', '), 'gap-terms');
+      addCell(cluster.count);
+      addCell(cluster.lastWeek || '');
+      addCell(Object.entries(cluster.languages).map(([lang, count]) => `${lang.toUpperCase()} (${count})`).join(', '));
+      addCell(formatDate(cluster.lastAskedAt));
+
+      // A few ways the guests asked it (already anonymized by the server)
+      const examples = document.createElement('ul');
+      examples.className = 'gap-examples';
+      cluster.examples.forEach(example => {
+        const item = document.createElement('li');
+        item.textContent = example.question;
+        examples.appendChild(item);
+      });
+      addCell('').appendChild(examples);
+
+      // The existing topics closest to the questions, often the one to complete
+      addCell(cluster.nearestTopics.join(', '));
+      return row;
+    }));
+
+    // Say how many questions were found in the period
+    document.getElementById('gapsCount').textContent = report.total > 0
+      ? `${report.total} question(s) sans réponse, en ${report.clusters.length} sujet(s)`
+      : 'Aucune question sans réponse sur cette période.';
+  }
+};
@@ -0,0 +1,278 @@
+// handoffs.js - This file is the inbox of the reception in the admin console
+// Guests who want to talk to a person appear here live; the staff answers them in their chat, then hands the
+// conversation back to Meit Ai
+import { adminFetch } from './adminApi.js'; // Getting the function that talks to the server
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('handoffs.js module loaded');
+
+// The state of a request, as shown to the staff
+const STATUS_LABELS = {
+  waiting: 'En attente', // Nobody answered yet
+  active: 'En cours', // Someone of the reception is answering
+  closed: 'Terminée' // Meit Ai answers again
+};
+
+// The requests waiting for an answer come first, then those in progress, then the finished ones
+const STATUS_ORDER = { waiting: 0, active: 1, closed: 2 };
+
+// This function turns a date saved by the server into a readable French date
+function formatDate(time) {
+  return new Date(time).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// This function keeps what the list needs of a request sent whole by the server
+function toListItem({ messages, context, ...handoff }) {
+  return { ...handoff, lastMessage: messages.at(-1)?.text.slice(0, 200) || '' };
+}
+
+// Create the HandoffsManager object that contains all the functions of the reception inbox
+export const HandoffsManager = {
+  // The requests shown in the list (without their messages), by id
+  handoffs: new Map(),
+  // The id of the request that is open below the list
+  selectedId: null,
+  // The live connection that brings the new requests and messages
+  eventSource: null,
+
+  // This function starts following the requests, as soon as the staff is logged in
+  // The inbox is followed even while another page of the console is shown, so the tab can count the waiting guests
+  connect() {
+    this.disconnect();
+    this.eventSource = new EventSource('/admin/api/handoffs/events');
+
+    // The connection is open: download the list, so nothing sent before it is missed
+    this.eventSource.addEventListener('ready', () => {
+      this.setConnection('');
+      this.load().catch(err => console.error('[Admin] Could not load the requests:', err));
+    });
+
+    // A request was created or changed (new message, taken in charge, closed)
+    this.eventSource.addEventListener('handoff', (event) => {
+      const { handoff } = JSON.parse(event.data);
+      this.handoffs.set(handoff.id, toListItem(handoff));
+      this.renderList();
+      // Show the new messages of the request that is open
+      if (handoff.id === this.selectedId) {
+        this.renderDetails(handoff);
+      }
+    });
+
+    // The browser tries again by itself; it gives up when the session has expired
+    this.eventSource.addEventListener('error', () => {
+      this.setConnection(this.eventSource?.readyState === EventSource.CLOSED
+        ? 'Les demandes ne sont plus suivies en direct : rechargez la page.'
+        : 'Connexion perdue, nouvelle tentative…');
+    });
+  },
+
+  // This function stops following the requests (when the staff logs out)
+  disconnect() {
+    this.eventSource?.close();
+    this.eventSource = null;
+  },
+
+  // This function shows whether the requests arrive live
+  setConnection(text) {
+    document.getElementById('handoffsConnection').textContent = text;
+  },
+
+  // This function downloads the latest requests and shows them
+  async load() {
+    const { handoffs } = await adminFetch('/admin/api/handoffs');
+    this.handoffs = new Map(handoffs.map(handoff => [handoff.id, handoff]));
+    this.renderList();
+  },
+
+  // This function draws one row per request, the ones waiting for an answer first
+  renderList() {
+    const handoffs = [...this.handoffs.values()].sort((a, b) =>
+      STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || b.requestedAt - a.requestedAt);
+
+    document.getElementById('handoffsList').replaceChildren(...handoffs.map(handoff => {
+      const row = document.createElement('tr');
+      row.className = `admin-table-row handoff-${handoff.status}`;
+      row.tabIndex = 0;
+
+      // The cells of the row, in the order of the table headings
+      [
+        STATUS_LABELS[handoff.status],
+        formatDate(handoff.requestedAt),
+        handoff.language.toUpperCase(),
+        handoff.contact || '-',
+        handoff.lastMessage
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      // Open the request with a click or with the Enter key
+      row.addEventListener('click', () => this.show(handoff.id));
+      row.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.show(handoff.id);
+      });
+      return row;
+    }));
+
+    // Count the guests waiting for an answer on the tab of the page
+    const waiting = handoffs.filter(handoff => handoff.status === 'waiting').length;
+    const badge = document.getElementById('handoffsBadge');
+    badge.textContent = waiting;
+    badge.hidden = waiting === 0;
+  },
+
+  // This function shows a request with its messages
+  async show(id) {
+    try {
+      const { handoff } = await adminFetch(`/admin/api/handoffs/${encodeURIComponent(id)}`);
+      this.selectedId = id;
+      this.renderDetails(handoff);
+      // Go to the request, below the list
+      document.getElementById('handoffDetails').scrollIntoView({ behavior: 'smooth' });
+    } catch (err) {
+      alert(err.message);
+    }
+  },
+
+  // This function draws the request: the conversation with Meit Ai, the messages with the staff, and the buttons
+  renderDetails(handoff) {
+    const details = document.getElementById('handoffDetails');
+    // Keep what the staff was writing when a new message arrives
+    const draft = details.querySelector('textarea')?.value || '';
+
+    // A short description of the request
+    const title = document.createElement('h2');
+    title.textContent = `Demande du ${formatDate(handoff.requestedAt)}`;
+    const summary = document.createElement('p');
+    summary.className = 'admin-muted';
+    summary.textContent = [
+      STATUS_LABELS[handoff.status],
+      handoff.language.toUpperCase(),
+      handoff.contact ? `coordonnées : ${handoff.contact}` : 'sans coordonnées'
+    ].join(' - ');
+
+    // The end of the conversation with Meit Ai, so the staff knows what the guest needs
+    const contextTitle = document.createElement('h3');
+    contextTitle.textContent = 'Conversation avec Meit Ai';
+    const context = this.createMessageList(handoff.context.map(message => ({
+      author: message.role === 'user' ? 'Client' : 'Meit Ai',
+      guest: message.role === 'user',
+      text: message.text
+    })));
+
+    // The messages between the guest and the reception
+    const messagesTitle = document.createElement('h3');
+    messagesTitle.textContent = 'Échange avec l\'accueil';
+    const messages = this.createMessageList(handoff.messages.map(message => ({
+      author: message.role === 'guest' ? 'Client' : 'Accueil',
+      guest: message.role === 'guest',
+      text: message.text,
+      at: message.at
+    })));
+
+    details.replaceChildren(title, summary, contextTitle, context, messagesTitle, messages);
+    if (handoff.status !== 'closed') {
+      details.appendChild(this.createReplyForm(handoff, draft));
+    }
+  },
+
+  // This function creates the list of messages of a request
+  createMessageList(messages) {
+    const list = document.createElement('ol');
+    list.className = 'transcript-messages';
+    messages.forEach(message => {
+      const item = document.createElement('li');
+      // The messages of the guest are on the right, like in the conversations page
+      item.className = `transcript-message ${message.guest ? 'transcript-user' : 'transcript-bot'}`;
+
+      const meta = document.createElement('p');
+      meta.className = 'admin-muted';
+      meta.textContent = [message.author, message.at && formatDate(message.at)].filter(Boolean).join(' - ');
+
+      const text = document.createElement('p');
+      text.className = 'transcript-text';
+      text.textContent = message.text;
+
+      item.append(meta, text);
+      list.appendChild(item);
+    });
+    return list;
+  },
+
+  // This function creates the form to answer the guest, with the buttons to take the request and to end it
+  createReplyForm(handoff, draft) {
+    const form = document.createElement('form');
+    form.className = 'handoff-reply';
+
+    // The answer, sent to the chat of the guest
+    const input = document.createElement('textarea');
+    input.rows = 3;
+    input.maxLength = 2000;
+    input.value = draft;
+    input.placeholder = 'Votre réponse au client';
+    input.setAttribute('aria-label', 'Votre réponse au client');
+
+    const buttons = document.createElement('div');
+    buttons.className = 'admin-toolbar';
+
+    const sendButton = document.createElement('button');
+    sendButton.type = 'submit';
+    sendButton.className = 'admin-button primary';
+    sendButton.textContent = 'Envoyer';
+    buttons.appendChild(sendButton);
+
+    // Tell the guest someone is there before writing the answer
+    if (handoff.status === 'waiting') {
+      const joinButton = document.createElement('button');
+      joinButton.type = 'button';
+      joinButton.className = 'admin-button';
+      joinButton.textContent = 'Prendre en charge';
+      joinButton.addEventListener('click', () => this.run(`/admin/api/handoffs/${encodeURIComponent(handoff.id)}/join`));
+      buttons.appendChild(joinButton);
+    }
+
+    // End the request: Meit Ai answers the guest again
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'admin-button';
+    closeButton.textContent = 'Rendre la main à Meit Ai';
+    closeButton.addEventListener('click', () => {
+      if (!confirm('Terminer la demande ? Meit Ai répondra de nouveau au client.')) return;
+      this.run(`/admin/api/handoffs/${encodeURIComponent(handoff.id)}/close`);
+    });
+    buttons.appendChild(closeButton);
+
+    form.addEventListener('submit', async (e) => {
+      // Stop the form from reloading the page
+      e.preventDefault();
+      const text = input.value.trim();
+      if (!text) return;
+      // The new message comes back through the live connection, which draws the request again without the draft
+      input.value = '';
+      if (!(await this.run(`/admin/api/handoffs/${encodeURIComponent(handoff.id)}/messages`, { text }))) {
+        input.value = text;
+      }
+    });
+
+    form.append(input, buttons);
+    return form;
+  },
+
+  // This function sends an action of the staff and draws the request as the server saved it
+  // It returns true when the server accepted it
+  async run(url, body = {}) {
+    try {
+      const { handoff } = await adminFetch(url, { method: 'POST', body });
+      this.handoffs.set(handoff.id, toListItem(handoff));
+      this.renderList();
+      if (handoff.id === this.selectedId) {
+        this.renderDetails(handoff);
+      }
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  }
+};
@@ -0,0 +1,63 @@
+// inquiries.js - This file lists the booking inquiries the guests sent through Meit Ai
+// Nothing is booked: the reception reads the inquiry and answers the guest by e-mail
+import { adminFetch } from './adminApi.js'; // Getting the function that talks to the server
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('inquiries.js module loaded');
+
+// This function turns a date saved by the server into a readable French date
+function formatDate(time) {
+  return new Date(time).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// This function turns a date of the stay (YYYY-MM-DD) into a French date, without changing the day
+function formatDay(day) {
+  const [year, month, date] = day.split('-');
+  return `${date}/${month}/${year}`;
+}
+
+// This function describes who is coming, for example "2 adultes, 1 enfant"
+function formatGuests({ adults, children }) {
+  const parts = [`${adults} adulte${adults > 1 ? 's' : ''}`];
+  if (children > 0) {
+    parts.push(`${children} enfant${children > 1 ? 's' : ''}`);
+  }
+  return parts.join(', ');
+}
+
+// Create the InquiriesManager object that contains all the functions of the booking inquiries page
+export const InquiriesManager = {
+  // This function downloads the latest inquiries and shows them
+  async load() {
+    const { inquiries } = await adminFetch('/admin/api/inquiries');
+
+    document.getElementById('inquiriesList').replaceChildren(...inquiries.map(inquiry => {
+      const row = document.createElement('tr');
+      row.className = 'admin-table-row';
+
+      // The cells of the row, in the order of the table headings
+      [
+        formatDate(inquiry.createdAt),
+        inquiry.reference,
+        formatDay(inquiry.checkIn),
+        formatDay(inquiry.checkOut),
+        inquiry.nights,
+        formatGuests(inquiry),
+        inquiry.roomType,
+        inquiry.email,
+        inquiry.language.toUpperCase(),
+        inquiry.notes || '-'
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      return row;
+    }));
+
+    // Say how many inquiries are shown
+    document.getElementById('inquiriesCount').textContent = inquiries.length > 0
+      ? `${inquiries.length} demande(s), à traiter par e-mail`
+      : 'Aucune demande de réservation pour le moment.';
+  }
+};
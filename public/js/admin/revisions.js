@@ -0,0 +1,67 @@
+// revisions.js - This file shows the history of the changes saved from the admin console
+// Each save is a revision: its changes can be reviewed and an older revision can be restored
+import { adminFetch } from './adminApi.js'; // Getting the function that talks to the server
+import { TopicsManager, renderDiff } from './topics.js'; // Getting the topics editor, to restore a revision into it
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('revisions.js module loaded');
+
+// Create the RevisionsManager object that contains all the functions of the history page
+export const RevisionsManager = {
+  // This function downloads the list of revisions and shows it
+  async load() {
+    const { revisions } = await adminFetch('/admin/api/revisions');
+    const list = document.getElementById('revisionsList');
+    list.replaceChildren();
+    document.getElementById('revisionDetails').replaceChildren();
+
+    // No save has been made from the console yet
+    if (revisions.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'admin-muted';
+      empty.textContent = 'Aucune modification enregistrée depuis la console.';
+      list.appendChild(empty);
+      return;
+    }
+
+    revisions.forEach(revision => {
+      const item = document.createElement('li');
+
+      // The button shows the number, the date and the note of the revision
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'admin-revision';
+      const date = new Date(revision.createdAt).toLocaleString('fr-FR');
+      const { added, changed, removed } = revision.summary;
+      button.textContent = `n°${revision.id} - ${date} - ${revision.note || 'sans note'} (+${added} ~${changed} -${removed})`;
+      button.addEventListener('click', () => this.show(revision.id));
+
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+  },
+
+  // This function shows the changes of one revision, with a button to restore it
+  async show(id) {
+    const { revision, diff } = await adminFetch(`/admin/api/revisions/${id}`);
+    const details = document.getElementById('revisionDetails');
+
+    // The changes this revision made compared to the one before
+    const changes = document.createElement('div');
+    renderDiff(changes, diff);
+
+    // Restoring puts the topics of the revision in the editor; they are saved like any other change
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'admin-button primary';
+    restoreButton.textContent = `Restaurer la révision n°${revision.id}`;
+    restoreButton.addEventListener('click', () => {
+      TopicsManager.loadDraft(revision.topics);
+      // Go to the editor, where the changes can be checked and saved
+      document.querySelector('.admin-tab[data-view="topicsView"]').click();
+      alert(`La révision n°${revision.id} est chargée dans l'éditeur. Vérifiez les changements puis enregistrez-les.`);
+    });
+
+    details.replaceChildren(restoreButton, changes);
+  }
+};
@@ -0,0 +1,336 @@
+// topics.js - This file handles the editing of the hotel information in the admin console
+// Each topic of hotel-info.json is shown as a card with one text box per language, side by side
+import { adminFetch } from './adminApi.js'; // Getting the function that talks to the server
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('topics.js module loaded');
+
+// Explanations shown next to a language when its text is not a real translation from the hotel
+const STATUS_LABELS = {
+  machine: 'Traduction automatique', // The text was translated by a machine because it is missing
+  stale: 'À mettre à jour : le texte français a changé' // The translation was written for an older French text
+};
+
+// This function shows the changes between two versions of the topics
+// It is used before saving and in the history of revisions
+export function renderDiff(container, diff) {
+  // Start from an empty container
+  container.replaceChildren();
+
+  // Nothing changed at all
+  if (diff.topics.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'admin-muted';
+    empty.textContent = 'Aucun changement.';
+    container.appendChild(empty);
+    return;
+  }
+
+  // A short summary first, for example "1 ajouté, 2 modifiés, 0 supprimé"
+  const summary = document.createElement('p');
+  summary.textContent = `${diff.summary.added} ajouté(s), ${diff.summary.changed} modifié(s), ${diff.summary.removed} supprimé(s)`;
+  container.appendChild(summary);
+
+  // Words used for the state of each topic
+  const statusNames = { added: 'ajouté', changed: 'modifié', removed: 'supprimé' };
+
+  diff.topics.forEach(topicDiff => {
+    // One block per topic that changed
+    const block = document.createElement('div');
+    block.className = `diff-topic diff-${topicDiff.status}`;
+
+    // The name of the topic and what happened to it
+    const title = document.createElement('h3');
+    title.textContent = `${topicDiff.topic} (${statusNames[topicDiff.status]})`;
+    block.appendChild(title);
+
+    // The lines of each language that changed
+    Object.entries(topicDiff.languages).forEach(([lang, lines]) => {
+      const label = document.createElement('h4');
+      label.textContent = lang.toUpperCase();
+      block.appendChild(label);
+
+      const pre = document.createElement('pre');
+      pre.className = 'diff-lines';
+      // Long runs of unchanged lines are shortened: only the lines next to a change are useful
+      const isVisible = (i) => lines.slice(Math.max(0, i - 1), i + 2).some(line => line.type !== 'same');
+      lines.forEach((line, i) => {
+        if (!isVisible(i)) {
+          // One "…" for each hidden run of lines
+          if (i === 0 || isVisible(i - 1)) {
+            const skipped = document.createElement('div');
+            skipped.className = 'diff-line diff-skipped';
+            skipped.textContent = '…';
+            pre.appendChild(skipped);
+          }
+          return;
+        }
+        // One line, marked with + when added and - when removed
+        const row = document.createElement('div');
+        row.className = `diff-line diff-line-${line.type}`;
+        row.textContent = `${line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '} ${line.text}`;
+        pre.appendChild(row);
+      });
+      block.appendChild(pre);
+    });
+
+    container.appendChild(block);
+  });
+}
+
+// Create the TopicsManager object that contains all the functions of the topics page
+export const TopicsManager = {
+  // The languages shown side by side, for example [{ code: 'fr', name: 'Français' }]
+  languages: [],
+  // The state of each translation sent by the server ({ topic: { en: 'human', es: 'machine' } })
+  status: {},
+  // The version of the information this page was loaded from (used to detect saves made in another tab)
+  version: null,
+  // The topics being edited: [{ key, texts: { fr, en, es }, isNew, deleted }]
+  topics: [],
+  // True when something was changed and not saved yet
+  dirty: false,
+
+  // This function sets up the buttons of the page
+  initialize() {
+    // Add an empty topic at the end of the list
+    document.getElementById('addTopicButton').addEventListener('click', () => this.addTopic());
+    // Show the changes before saving
+    document.getElementById('previewButton').addEventListener('click', () => this.preview());
+    // Save from the preview window
+    document.getElementById('saveButton').addEventListener('click', () => this.save());
+    // Close the preview window and keep editing
+    document.getElementById('cancelSaveButton').addEventListener('click', () => document.getElementById('previewDialog').close());
+    // Only show the topics that match the search
+    document.getElementById('topicFilter').addEventListener('input', () => this.applyFilter());
+
+    // Warn before leaving the page with unsaved changes
+    window.addEventListener('beforeunload', (e) => {
+      if (this.dirty) {
+        e.preventDefault();
+      }
+    });
+  },
+
+  // This function downloads the topics from the server and shows them
+  async load() {
+    const data = await adminFetch('/admin/api/topics');
+    this.languages = data.languages;
+    this.status = data.status;
+    this.version = data.version;
+    this.topics = data.topics.map(topic => ({ ...topic, isNew: false, deleted: false }));
+    this.dirty = false;
+
+    // Say where the information comes from (the document or hotel-info.json)
+    document.getElementById('topicsSource').textContent = data.source ? `Source : ${data.source}` : '';
+    this.render();
+  },
+
+  // This function replaces the topics being edited, for example with an older revision to restore
+  loadDraft(topics) {
+    this.topics = topics.map(topic => ({ key: topic.key, texts: { ...topic.texts }, isNew: false, deleted: false }));
+    this.dirty = true;
+    this.render();
+  },
+
+  // This function draws one card per topic
+  render() {
+    const list = document.getElementById('topicsList');
+    list.replaceChildren(...this.topics.map(topic => this.createTopicCard(topic)));
+    this.applyFilter();
+  },
+
+  // This function creates the card of a topic
+  createTopicCard(topic) {
+    const card = document.createElement('article');
+    card.className = 'topic-card';
+    card.classList.toggle('deleted', topic.deleted);
+
+    // The header of the card: the key of the topic and the delete button
+    const header = document.createElement('div');
+    header.className = 'topic-card-header';
+
+    if (topic.isNew) {
+      // A new topic gets a box for its key (left empty, the key is made from the French title)
+      const keyInput = document.createElement('input');
+      keyInput.type = 'text';
+      keyInput.className = 'topic-key-input';
+      keyInput.placeholder = 'Clé (facultative, tirée du titre français)';
+      keyInput.setAttribute('aria-label', 'Clé du sujet');
+      keyInput.value = topic.key;
+      keyInput.addEventListener('input', () => {
+        topic.key = keyInput.value;
+        this.dirty = true;
+      });
+      header.appendChild(keyInput);
+    } else {
+      // An existing topic keeps its key, the answers of the bot refer to it
+      const title = document.createElement('h2');
+      title.textContent = topic.key;
+      header.appendChild(title);
+    }
+
+    // The button that deletes the topic (or brings it back)
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'admin-button danger';
+    deleteButton.textContent = topic.deleted ? 'Rétablir' : 'Supprimer';
+    deleteButton.addEventListener('click', () => {
+      // A new topic that is deleted simply disappears
+      if (topic.isNew) {
+        this.topics.splice(this.topics.indexOf(topic), 1);
+      } else {
+        topic.deleted = !topic.deleted;
+      }
+      this.dirty = true;
+      this.render();
+    });
+    header.appendChild(deleteButton);
+    card.appendChild(header);
+
+    // One text box per language, side by side
+    const grid = document.createElement('div');
+    grid.className = 'topic-languages';
+    this.languages.forEach(language => {
+      const column = document.createElement('div');
+      column.className = 'topic-language';
+
+      // The name of the language, linked to its text box
+      const id = `topic-${this.topics.indexOf(topic)}-${language.code}`;
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = language.name;
+      column.appendChild(label);
+
+      // A note when the text is not a real translation from the hotel
+      const state = topic.isNew ? null : this.status[topic.key]?.[language.code];
+      if (STATUS_LABELS[state]) {
+        const badge = document.createElement('span');
+        badge.className = `topic-status topic-status-${state}`;
+        badge.textContent = STATUS_LABELS[state];
+        column.appendChild(badge);
+      }
+
+      // The text itself
+      const textarea = document.createElement('textarea');
+      textarea.id = id;
+      textarea.value = topic.texts[language.code] || '';
+      textarea.rows = 10;
+      textarea.disabled = topic.deleted;
+      if (state === 'machine') {
+        textarea.placeholder = 'Traduit automatiquement : écrivez la traduction pour la remplacer';
+      }
+      textarea.addEventListener('input', () => {
+        topic.texts[language.code] = textarea.value;
+        this.dirty = true;
+      });
+      column.appendChild(textarea);
+
+      grid.appendChild(column);
+    });
+    card.appendChild(grid);
+
+    return card;
+  },
+
+  // This function adds an empty topic at the end of the list
+  addTopic() {
+    this.topics.push({ key: '', texts: {}, isNew: true, deleted: false });
+    this.dirty = true;
+    this.render();
+    // Clear the search so the new topic is visible, then go to it
+    document.getElementById('topicFilter').value = '';
+    this.applyFilter();
+    const cards = document.querySelectorAll('.topic-card');
+    cards[cards.length - 1].scrollIntoView({ behavior: 'smooth' });
+    cards[cards.length - 1].querySelector('textarea').focus();
+  },
+
+  // This function hides the topics that don't contain the searched text
+  applyFilter() {
+    const search = document.getElementById('topicFilter').value.trim().toLowerCase();
+    document.querySelectorAll('.topic-card').forEach((card, i) => {
+      const topic = this.topics[i];
+      const text = [topic.key, ...Object.values(topic.texts)].join('\n').toLowerCase();
+      card.hidden = search !== '' && !text.includes(search);
+    });
+  },
+
+  // This function returns the topics to save, in the format the server expects
+  collectTopics() {
+    return this.topics
+      .filter(topic => !topic.deleted)
+      .map(topic => ({ key: topic.key, texts: topic.texts }));
+  },
+
+  // This function asks the server what would change and shows it before saving
+  async preview() {
+    const dialog = document.getElementById('previewDialog');
+    const content = document.getElementById('previewContent');
+    const saveButton = document.getElementById('saveButton');
+
+    try {
+      const result = await adminFetch('/admin/api/topics/preview', {
+        method: 'POST',
+        body: { topics: this.collectTopics(), version: this.version }
+      });
+
+      // Show the changes
+      renderDiff(content, result.diff);
+
+      // Errors and warnings come first, so they are not missed
+      const messages = [
+        ...(result.conflict ? ['Les informations ont été modifiées ailleurs depuis l\'ouverture de la page : rechargez-la avant d\'enregistrer.'] : []),
+        ...result.errors
+      ];
+      this.prependMessages(content, messages, 'admin-error');
+      this.prependMessages(content, result.warnings, 'admin-warning');
+
+      // Saving is only possible when there is something valid to save
+      saveButton.disabled = result.conflict || result.errors.length > 0 || result.diff.topics.length === 0;
+    } catch (err) {
+      content.replaceChildren();
+      this.prependMessages(content, [err.message], 'admin-error');
+      saveButton.disabled = true;
+    }
+
+    dialog.showModal();
+  },
+
+  // This function adds a list of messages at the top of a container
+  prependMessages(container, messages, className) {
+    if (!messages || messages.length === 0) return;
+    const list = document.createElement('ul');
+    list.className = className;
+    messages.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    container.prepend(list);
+  },
+
+  // This function saves the topics, then shows them as the server reloaded them
+  async save() {
+    const dialog = document.getElementById('previewDialog');
+    const saveButton = document.getElementById('saveButton');
+    const noteInput = document.getElementById('revisionNote');
+    saveButton.disabled = true;
+
+    try {
+      const result = await adminFetch('/admin/api/topics', {
+        method: 'PUT',
+        body: { topics: this.collectTopics(), version: this.version, note: noteInput.value }
+      });
+      dialog.close();
+      noteInput.value = '';
+      // Show the saved information, with the new machine translations if any were made
+      await this.load();
+      alert(`Révision ${result.revision} enregistrée. Le chatbot utilise déjà les nouvelles informations.`);
+    } catch (err) {
+      // Keep the dialog open so the changes are not lost
+      this.prependMessages(document.getElementById('previewContent'), [...(err.details?.errors || []), err.message], 'admin-error');
+      saveButton.disabled = false;
+    }
+  }
+};
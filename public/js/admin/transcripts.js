@@ -0,0 +1,230 @@
+// transcripts.js - This file shows the conversations of the guests in the admin console
+// The texts are anonymized by the server; the staff can search them and flag the answers that need a follow-up
+import { adminFetch } from './adminApi.js'; // Getting the function that talks to the server
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('transcripts.js module loaded');
+
+// How the guest asked the questions of a conversation
+const MODE_LABELS = {
+  text: 'Texte', // Typed questions
+  voice: 'Voix', // Spoken questions
+  mixed: 'Voix et texte' // Both
+};
+
+// This function turns a date saved by the server into a readable French date
+function formatDate(time) {
+  return new Date(time).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// Create the TranscriptsManager object that contains all the functions of the conversations page
+export const TranscriptsManager = {
+  // The conversations shown in the list (without their messages)
+  transcripts: [],
+  // How many conversations match the search
+  total: 0,
+
+  // This function sets up the search form and the "show more" button
+  initialize() {
+    // A new search starts again from the most recent conversations
+    document.getElementById('transcriptSearchForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.load().catch(err => alert(err.message));
+    });
+    // Changing the filter searches right away
+    document.getElementById('transcriptFlaggedOnly').addEventListener('change', () => {
+      this.load().catch(err => alert(err.message));
+    });
+    // Add the next page of conversations at the end of the list
+    document.getElementById('moreTranscriptsButton').addEventListener('click', () => {
+      this.load({ append: true }).catch(err => alert(err.message));
+    });
+  },
+
+  // This function downloads the conversations that match the search and shows them
+  async load({ append = false } = {}) {
+    const params = new URLSearchParams({
+      search: document.getElementById('transcriptSearch').value.trim(),
+      offset: append ? this.transcripts.length : 0
+    });
+    if (document.getElementById('transcriptFlaggedOnly').checked) {
+      params.set('flagged', '1');
+    }
+
+    const { transcripts, total } = await adminFetch(`/admin/api/transcripts?${params}`);
+    this.transcripts = append ? [...this.transcripts, ...transcripts] : transcripts;
+    this.total = total;
+
+    // A new search closes the conversation that was open
+    if (!append) {
+      document.getElementById('transcriptDetails').replaceChildren();
+    }
+    this.renderList();
+  },
+
+  // This function draws one row per conversation
+  renderList() {
+    const list = document.getElementById('transcriptsList');
+    list.replaceChildren(...this.transcripts.map(transcript => {
+      const row = document.createElement('tr');
+      row.className = 'admin-table-row';
+      row.tabIndex = 0;
+      row.classList.toggle('flagged', transcript.flagged > 0);
+
+      // The cells of the row, in the order of the table headings
+      [
+        formatDate(transcript.updatedAt),
+        transcript.language.toUpperCase(),
+        transcript.turns,
+        MODE_LABELS[transcript.mode] || transcript.mode,
+        transcript.flagged || '',
+        transcript.firstQuestion
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      // Open the conversation with a click or with the Enter key
+      row.addEventListener('click', () => this.show(transcript.id));
+      row.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.show(transcript.id);
+      });
+      return row;
+    }));
+
+    // Say how many conversations were found, and offer the next ones
+    document.getElementById('transcriptsCount').textContent = `${this.total} conversation(s)`;
+    document.getElementById('moreTranscriptsButton').hidden = this.transcripts.length >= this.total;
+  },
+
+  // This function shows all the messages of a conversation
+  async show(id) {
+    try {
+      const { transcript } = await adminFetch(`/admin/api/transcripts/${encodeURIComponent(id)}`);
+      this.renderDetails(transcript);
+      // Go to the conversation, below the list
+      document.getElementById('transcriptDetails').scrollIntoView({ behavior: 'smooth' });
+    } catch (err) {
+      alert(err.message);
+    }
+  },
+
+  // This function draws the messages of a conversation, with the flag buttons under each answer
+  renderDetails(transcript) {
+    const details = document.getElementById('transcriptDetails');
+
+    // A short description of the conversation
+    const title = document.createElement('h2');
+    title.textContent = `Conversation du ${formatDate(transcript.startedAt)}`;
+    const summary = document.createElement('p');
+    summary.className = 'admin-muted';
+    summary.textContent = `${transcript.turns} échange(s) - ${MODE_LABELS[transcript.mode] || transcript.mode} - dernier message le ${formatDate(transcript.updatedAt)}`;
+
+    const messages = document.createElement('ol');
+    messages.className = 'transcript-messages';
+    transcript.messages.forEach((message, index) => {
+      messages.appendChild(this.createMessage(transcript, message, index));
+    });
+
+    details.replaceChildren(title, summary, messages);
+  },
+
+  // This function creates one message of the conversation
+  createMessage(transcript, message, index) {
+    const item = document.createElement('li');
+    item.className = `transcript-message transcript-${message.role}`;
+
+    // Who wrote it, when, in which language, and how the question was asked or which topics the answer used
+    const meta = document.createElement('p');
+    meta.className = 'admin-muted';
+    const details = message.role === 'user'
+      ? [`Client (${MODE_LABELS[message.mode] || message.mode})`]
+      : [
+        'Meit Ai',
+        ...(message.sources?.length ? [`sources : ${message.sources.join(', ')}`] : []),
+        // The answer said the information is missing from the hotel information
+        ...(message.unanswered ? ['information manquante'] : [])
+      ];
+    meta.textContent = [...details, message.language?.toUpperCase(), formatDate(message.at)].filter(Boolean).join(' - ');
+    item.appendChild(meta);
+
+    // The text itself (already anonymized by the server)
+    const text = document.createElement('p');
+    text.className = 'transcript-text';
+    text.textContent = message.text;
+    item.appendChild(text);
+
+    // Only the answers of the bot can be flagged
+    if (message.role === 'bot') {
+      item.appendChild(this.createFlag(transcript, message, index));
+    }
+    return item;
+  },
+
+  // This function creates the flag of an answer: a button to flag it, or the note and the buttons to follow it up
+  createFlag(transcript, message, index) {
+    const box = document.createElement('div');
+    box.className = 'transcript-flag';
+    const flag = message.flag;
+
+    // This helper creates one of the small buttons of the flag
+    const addButton = (label, onClick, className = 'admin-button') => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      box.appendChild(button);
+    };
+
+    if (!flag) {
+      addButton('Signaler cette réponse', () => {
+        const note = prompt('Pourquoi cette réponse doit-elle être suivie ?');
+        // Cancelling the question does not flag the answer
+        if (note !== null) this.updateFlag(transcript.id, index, 'PUT', { note });
+      });
+      return box;
+    }
+
+    // The state of the flag and the note of the staff
+    const badge = document.createElement('span');
+    badge.className = `transcript-flag-badge ${flag.resolvedAt ? 'resolved' : 'open'}`;
+    badge.textContent = flag.resolvedAt ? `Traitée le ${formatDate(flag.resolvedAt)}` : `À suivre depuis le ${formatDate(flag.flaggedAt)}`;
+    box.appendChild(badge);
+
+    const note = document.createElement('span');
+    note.className = 'transcript-flag-note';
+    note.textContent = flag.note || 'Pas de note';
+    box.appendChild(note);
+
+    addButton('Modifier la note', () => {
+      const note = prompt('Note', flag.note);
+      if (note !== null) this.updateFlag(transcript.id, index, 'PUT', { note });
+    });
+    if (flag.resolvedAt) {
+      addButton('Rouvrir', () => this.updateFlag(transcript.id, index, 'PUT', { resolved: false }));
+    } else {
+      addButton('Marquer comme traitée', () => this.updateFlag(transcript.id, index, 'PUT', { resolved: true }), 'admin-button primary');
+    }
+    addButton('Retirer le signalement', () => this.updateFlag(transcript.id, index, 'DELETE'), 'admin-button danger');
+    return box;
+  },
+
+  // This function sends a change of flag to the server, then shows the conversation again
+  async updateFlag(id, index, method, body) {
+    try {
+      const { transcript } = await adminFetch(`/admin/api/transcripts/${encodeURIComponent(id)}/messages/${index}/flag`, { method, body });
+      this.renderDetails(transcript);
+
+      // Keep the number of answers to follow up in the list
+      const listed = this.transcripts.find(item => item.id === id);
+      if (listed) {
+        listed.flagged = transcript.flagged;
+        this.renderList();
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+};
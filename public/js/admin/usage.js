@@ -0,0 +1,121 @@
+// usage.js - This file shows what the chatbot costs in the admin console
+// The server counts the tokens, the seconds of audio and the characters of every paid API call and estimates their
+// price; this page shows the totals by day, by model and for the most expensive conversations
+import { adminFetch } from './adminApi.js'; // Getting the function that talks to the server
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('usage.js module loaded');
+
+// The names of the kinds of calls, as the staff knows them
+const KIND_LABELS = {
+  chat: 'Réponses',
+  summary: 'Résumés de l\'historique',
+  translation: 'Traductions',
+  transcription: 'Reconnaissance vocale',
+  speech: 'Lecture à voix haute'
+};
+
+// This function turns a date saved by the server into a readable French date
+function formatDate(time) {
+  return new Date(time).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// This function turns a day of the hotel (YYYY-MM-DD) into a French date, without changing the day
+function formatDay(day) {
+  const [year, month, date] = day.split('-');
+  return `${date}/${month}/${year}`;
+}
+
+// This function writes a cost with its currency; small costs keep 4 decimals so they do not show as 0
+function formatCost(cost, currency) {
+  return `${cost.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 4 })} ${currency}`;
+}
+
+// This function writes a number with the French thousands separator
+function formatNumber(value) {
+  return value.toLocaleString('fr-FR');
+}
+
+// This function writes a duration of audio, for example "3 min 20 s"
+function formatSeconds(seconds) {
+  const rounded = Math.round(seconds);
+  return rounded >= 60 ? `${Math.floor(rounded / 60)} min ${rounded % 60} s` : `${rounded} s`;
+}
+
+// This function returns the cells shared by the three tables: calls, tokens, audio, characters and cost
+function describeTotals(totals, currency) {
+  return [
+    formatNumber(totals.calls),
+    `${formatNumber(totals.inputTokens)} / ${formatNumber(totals.outputTokens)}`,
+    formatSeconds(totals.audioSeconds),
+    formatNumber(totals.characters),
+    formatCost(totals.cost, currency)
+  ];
+}
+
+// This function creates a row of a table from the values of its cells
+function createRow(values) {
+  const row = document.createElement('tr');
+  values.forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+// Create the UsageManager object that contains all the functions of the costs page
+export const UsageManager = {
+  // This function sets up the list of the period
+  initialize() {
+    // Changing the period loads the report again
+    document.getElementById('usageDays').addEventListener('change', () => {
+      this.load().catch(err => alert(err.message));
+    });
+  },
+
+  // This function downloads the report of the chosen period and shows it
+  async load() {
+    const days = document.getElementById('usageDays').value;
+    const report = await adminFetch(`/admin/api/usage?days=${days}`);
+    this.render(report);
+  },
+
+  // This function draws the summary and the three tables
+  render(report) {
+    const { currency } = report;
+
+    // The cost of the whole period, then of each kind of call
+    document.getElementById('usageSummary').textContent = report.total.calls > 0
+      ? `Coût estimé sur la période : ${formatCost(report.total.cost, currency)} pour ${formatNumber(report.total.calls)} appel(s)`
+      : 'Aucun appel payant sur cette période.';
+    document.getElementById('usageKinds').textContent = Object.entries(report.kinds)
+      .map(([kind, totals]) => `${KIND_LABELS[kind] || kind} : ${formatCost(totals.cost, currency)}`)
+      .join(' - ');
+
+    // One row per day of the hotel, the most recent first
+    document.getElementById('usageDaily').replaceChildren(...report.daily.map(day => createRow([formatDay(day.day), ...describeTotals(day, currency)])));
+
+    // One row per model, the most expensive first; a model without a price is counted at 0
+    document.getElementById('usageModels').replaceChildren(...report.models.map(model => {
+      const name = `${model.provider} / ${model.model}${model.priced ? '' : ' (sans tarif)'}`;
+      return createRow([name, ...describeTotals(model, currency)]);
+    }));
+
+    // The most expensive conversations; those still kept open their transcript when clicked
+    document.getElementById('usageConversations').replaceChildren(...report.conversations.map(conversation => {
+      const row = createRow([formatDate(conversation.lastAt), ...describeTotals(conversation, currency)]);
+      if (conversation.transcriptId) {
+        row.className = 'admin-table-row';
+        row.tabIndex = 0;
+        // The console opens the conversation on its own page
+        const open = () => document.dispatchEvent(new CustomEvent('admin:open-transcript', { detail: { id: conversation.transcriptId } }));
+        row.addEventListener('click', open);
+        row.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') open();
+        });
+      }
+      return row;
+    }));
+  }
+};
@@ -1,72 +1,224 @@
 // apicommunication.js - This file handles communication with the server to get responses from the chatbot
 // Bringing in tools and functions from other files that we'll need
-import { appendMessage, texts, currentLanguage } from './shared.js'; // Getting functions to add messages to the chat and language text
+import { appendMessage, updateBotMessageText, showMessageSources, showMessageFeedback, texts, currentLanguage } from './shared.js'; // Getting functions to add and update chat messages and language text
 import { AudioManager } from './audiomanager.js'; // Getting tools to handle sound and speech
 import { appendThinkingIndicator, removeThinkingIndicator } from './chatinterface.js'; // Getting functions to show/hide the "thinking" animation
 import { SettingsManager } from './settings.js'; // Getting tools to handle user settings
 import { UtilityManager } from './utility.js'; // Getting helpful utility functions
+import { LanguageManager } from './language.js'; // Getting the tools that follow the language of the answer
+import { HandoffManager } from './handoff.js'; // Getting the tools to talk to the reception instead of the bot
 
 // This line writes a message to the developer console to confirm this file has been loaded
 console.log('apicommunication.js module loaded');
 
-// This function sends the user's question to the server and gets back the bot's answer
+// This function keeps the growing answer in view without hiding the user's question
+function keepStreamingMessageInView(botMessageDiv) {
+    const chatContainer = document.querySelector('.chat-container');
+    // Once the answer is taller than part of the screen, stop following it so the question stays visible
+    if (chatContainer && botMessageDiv.offsetHeight < chatContainer.offsetHeight * 0.4) {
+        UtilityManager.scrollToBottom(true);
+    }
+}
+
+// This function shows again the messages of this device's previous conversation
+// It is called once when the app starts, right after the welcome message
+export async function restoreConversation() {
+    try {
+        // A device that never got an answer has no conversation to show
+        const conversationId = UtilityManager.getConversationId();
+        if (!conversationId) return;
+        // Ask the server for the messages saved for this device's conversation
+        const response = await fetch(`/api/conversation/${encodeURIComponent(conversationId)}`);
+        // If the server had a problem, just start with an empty chat
+        if (!response.ok) return;
+        const { messages, handoff } = await response.json();
+        // Nothing to show for a new conversation
+        if (!messages || messages.length === 0) return;
+
+        // Old answers must not be read out loud again, so use the same flag as the API response flow
+        window.pendingBotResponse = true;
+        try {
+            // Add each message to the chat without scrolling, we scroll once at the end
+            messages.forEach(message => {
+                // The answers of the reception are marked as written by a person
+                if (message.role === 'staff') {
+                    HandoffManager.showStaffMessage(message.text, false);
+                    return;
+                }
+                const msgDiv = appendMessage(message.text, message.role === 'user' ? 'user' : 'bot', false, false, message.sources);
+                // Keep the language the answer was written in, so it is read with the right voice
+                if (message.role !== 'user' && message.language) {
+                    msgDiv.dataset.language = message.language;
+                }
+                // Let the guest rate the answer again, showing the rating already given
+                if (message.role !== 'user') {
+                    showMessageFeedback(msgDiv, message.id, message.feedback);
+                }
+            });
+        } finally {
+            window.pendingBotResponse = false;
+        }
+
+        // A request to the reception is still open: its answers keep arriving in the chat
+        if (handoff) {
+            await HandoffManager.resume();
+        }
+
+        // Show the most recent messages
+        UtilityManager.scrollToBottom(true);
+        console.log(`[API] Restored ${messages.length} messages of the previous conversation`);
+    } catch (err) {
+        // A failure here only means the old messages are not shown
+        console.error('[API] Could not restore the previous conversation:', err);
+    }
+}
+
+// This function sends the user's question to the server and shows the bot's answer as it is written
 export async function getBotResponse(question) {
     // If there's no question or it's just spaces, stop here and don't do anything
     if (!question || question.trim() === '') return;
+    // While the reception answers, the question goes to them (unless the request was closed meanwhile)
+    if (HandoffManager.active && await HandoffManager.sendMessage(question)) return;
 
     // Set a flag to prevent automatically reading the response out loud (this will be handled separately)
     window.pendingBotResponse = true;
     // Show a "thinking" animation so the user knows the bot is working
     appendThinkingIndicator();
 
+    // The bot message is only created when the first words arrive
+    let botMessageDiv = null;
+    let answer = '';
+
+    // This helper shows the error text, either in the bubble we already started or in a new one
+    const showError = (errorText) => {
+        removeThinkingIndicator();
+        if (botMessageDiv) {
+            updateBotMessageText(botMessageDiv, errorText);
+        } else {
+            appendMessage(errorText, 'bot');
+        }
+    };
+
     try {
-        // Send the user's question to the server using the fetch command (like sending a letter and waiting for a reply)
-        const response = await fetch('/api/chat', {
+        // Send the user's question to the streaming chat endpoint
+        const response = await fetch('/api/chat/stream', {
             method: 'POST', // This is like saying "I'm sending you information" rather than just asking for it
-            headers: { 'Content-Type': 'application/json' }, // This tells the server we're sending JSON data (a specific format)
+            headers: {
+                'Content-Type': 'application/json', // This tells the server we're sending JSON data (a specific format)
+                'Accept': 'text/event-stream' // This tells the server we can read the answer as it is being written
+            },
             body: JSON.stringify({ // Convert our data into a string format the server can understand
                 question: question, // The user's question
-                language: currentLanguage // What language the user is using
+                language: currentLanguage, // What language the user is using
+                conversationId: UtilityManager.getConversationId(), // Which conversation this question belongs to
+                guestName: UtilityManager.getGuestName(), // The guest's name, if the page was opened with one
+                inputMode: UtilityManager.takeInputMode() // Whether the question was typed or spoken
             })
         });
 
         // If the server had a problem (didn't respond with "OK")
         if (!response.ok) {
-            // Hide the "thinking" animation
-            removeThinkingIndicator();
-            // Add an error message to the chat
-            appendMessage(texts[currentLanguage].errorText, 'bot');
-            // Clear the flag that was preventing auto-reading
-            window.pendingBotResponse = false;
-            // Stop here, don't continue
+            // Too many questions or the daily limit is reached: the server's message is shown in a toast instead
+            if (await UtilityManager.showLimitMessage(response)) {
+                removeThinkingIndicator();
+                return;
+            }
+            // Show an error message in the chat
+            showError(texts[currentLanguage].errorText);
             return;
         }
 
-        // Convert the server's response from JSON format to a JavaScript object we can use
-        const data = await response.json();
-        // Hide the "thinking" animation
-        removeThinkingIndicator();
-        // Add the bot's answer to the chat and remember which message div was created
-        const botMessageDiv = appendMessage(data.answer, 'bot');
-        
-        // Clear the flag that was preventing auto-reading, now that we've added the message
-        window.pendingBotResponse = false;
+        // Handle each piece of the answer as the server sends it
+        await UtilityManager.readServerEvents(response, (eventName, data) => {
+            if (eventName === 'token') {
+                // Add the new words to the answer we have so far
+                answer += data.delta;
+                if (!botMessageDiv) {
+                    // First words: swap the "thinking" animation for a real bot message
+                    removeThinkingIndicator();
+                    botMessageDiv = appendMessage(answer, 'bot');
+                } else {
+                    // Grow the existing bubble with the new words
+                    updateBotMessageText(botMessageDiv, answer);
+                    keepStreamingMessageInView(botMessageDiv);
+                }
+            } else if (eventName === 'done') {
+                // The server sends the full answer at the end, so use it as the final text
+                removeThinkingIndicator();
+                // Keep the id of the conversation, given by the server, for the next questions and visits
+                UtilityManager.setConversationId(data.conversationId);
+                // Log which parts of the hotel information the answer was based on (useful for debugging)
+                console.log('[Chat] Hotel sections used:', data.sections);
+                if (botMessageDiv) {
+                    updateBotMessageText(botMessageDiv, data.answer);
+                } else {
+                    botMessageDiv = appendMessage(data.answer, 'bot', false, true);
+                }
+                // Remember the language the server answered in, so the answer is read out loud with the right voice
+                if (data.language) {
+                    botMessageDiv.dataset.language = data.language;
+                }
+                // Add the chips showing which hotel topics the answer came from
+                showMessageSources(botMessageDiv, data.sources);
+                // Add the thumbs up and thumbs down buttons under the answer
+                showMessageFeedback(botMessageDiv, data.messageId);
+                // Follow the language the server chose (switch, suggest or explain)
+                LanguageManager.applyAnswerLanguage(data);
+                // Meit Ai did not find the answer in the hotel information: offer to ask the reception
+                if (data.unanswered) {
+                    HandoffManager.offer();
+                }
+            } else if (eventName === 'error') {
+                // Something went wrong on the server while the answer was being written
+                showError(data.answer || texts[currentLanguage].errorText);
+            }
+        });
 
-        // Note: Automatic text-to-speech was removed from here
-        // It's now handled by different functions (getBotResponseAndAudio or the shared.js appendMessage function)
+        // If the stream closed without any answer, make sure the user isn't left waiting
+        if (!botMessageDiv) {
+            showError(texts[currentLanguage].errorText);
+        }
     } catch (err) {
-        // If any errors happened during this process:
-        // Hide the "thinking" animation
-        removeThinkingIndicator();
-        // Add an error message to the chat
-        appendMessage(texts[currentLanguage].errorText, 'bot');
+        // If any errors happened during this process, show an error message in the chat
+        console.error('[API] Error while streaming the bot response:', err);
+        showError(texts[currentLanguage].errorText);
+    } finally {
         // Clear the flag that was preventing auto-reading
         window.pendingBotResponse = false;
     }
 }
 
+// This function sends the guest's rating of an answer ("up" or "down"), with an optional comment
+// It returns true when the server saved it
+export async function sendFeedback(messageId, rating, comment) {
+    try {
+        const response = await fetch('/api/feedback', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                conversationId: UtilityManager.getConversationId(), // The rated answer must be in this conversation
+                messageId: messageId, // The id the server gave to the answer
+                rating: rating, // Thumbs up or thumbs down
+                comment: comment // What the guest wrote, if anything
+            })
+        });
+        if (!response.ok) {
+            console.error('[API] The feedback was not saved:', response.status);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        // A failure here only means the rating is lost
+        console.error('[API] Could not send the feedback:', err);
+        return false;
+    }
+}
+
 // This function gets a bot response AND speaks it out loud
 export async function getBotResponseAndAudio(question) {
+    // While the reception answers, the question goes to them (unless the request was closed meanwhile)
+    if (HandoffManager.active && await HandoffManager.sendMessage(question)) return;
+
     // Set a flag to prevent automatically reading the response (we'll handle it ourselves)
     window.pendingBotResponse = true;
     
@@ -7,6 +7,7 @@ import { updateUIText, texts, currentLanguage, appendMessage } from './shared.js
 import { SettingsManager } from './settings.js'; // Getting tools to handle user settings
 import { setupKeyboardSubmit, onLanguageChange as onLanguageChange_chat } from './chatinterface.js'; // Getting chat interface functions
 import { UtilityManager } from './utility.js'; // Getting helpful utility functions
+import { restoreConversation } from './apicommunication.js'; // Getting the function that shows the previous conversation again
 
 // This line writes a message to the developer console to confirm this file has been loaded
 console.log('application.js module loaded');
@@ -20,12 +21,24 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // This function sets up and starts all parts of the chatbot application
-function initApp() {
+async function initApp() {
     // This line writes a message to the developer console that we're starting the app
     console.log('initApp() called');
 
+    // Download the languages and their texts from the server - every other part needs them
+    try {
+        await LanguageManager.loadLanguages();
+    } catch (error) {
+        // Without the texts the chatbot cannot be shown, so tell the user to try again later
+        console.error('Could not load the languages:', error);
+        document.getElementById('messages').innerHTML = '<div class="message bot"><span>Meit Ai is not available right now. Please reload the page.</span></div>';
+        return;
+    }
+
     // Set up language first - it's most important because all text depends on it
     LanguageManager.initialize();
+    // Show the previous conversation of this device under the welcome message
+    restoreConversation();
     
     // Then set up other parts of the application in a specific order
     initModals(); // Set up popup windows
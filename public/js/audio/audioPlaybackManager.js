@@ -15,6 +15,8 @@ export const AudioPlaybackManager = {
   globalPlaybackRate: 1,
   // Keeps track of the playback state for each message (playing, paused, etc.)
   messageStateMap: new Map(), // States: 'IDLE', 'PLAYING', 'PAUSED', 'FINISHED'
+  // Audio segments of messages whose speech is still arriving from the server (pipelined TTS)
+  segmentQueues: new Map(),
   // Stores a reference to an audio element that's been successfully unlocked for playback
   unlockedAudio: null,
   // List of messages waiting to play automatically
@@ -175,6 +177,9 @@ export const AudioPlaybackManager = {
           
           // Set up what happens when the audio finishes playing
           AudioUnlockUtils.inlineAudioElement.onended = () => {
+            // If more speech segments are coming for this message, keep playing them
+            if (this.continueSegmentQueue(msgDiv)) return;
+            
             console.log(`[AudioPlayback] Inline element playback ENDED - performing COMPLETE cleanup`);
             const messageId = msgDiv.dataset.messageId;
             this.messageStateMap.set(messageId, 'FINISHED');
@@ -251,6 +256,9 @@ export const AudioPlaybackManager = {
           },
           // Function that runs when the audio finishes playing
           onEnded: () => {
+            // If more speech segments are coming for this message, keep playing them
+            if (this.continueSegmentQueue(msgDiv)) return;
+            
             console.log(`[AudioPlayback] Audio playback ENDED - performing COMPLETE cleanup`);
             const messageId = msgDiv.dataset.messageId;
             this.messageStateMap.set(messageId, 'FINISHED');
@@ -404,6 +412,113 @@ export const AudioPlaybackManager = {
     }
   },
 
+  // Start a queue of audio segments for a message whose speech is still being synthesized
+  // Playback begins with the first segment while the following ones keep arriving
+  startSegmentQueue(msgDiv) {
+    this.segmentQueues.set(msgDiv.dataset.messageId, {
+      urls: [], // Audio URLs of the segments received so far
+      nextIndex: 0, // Index of the next segment to play
+      complete: false, // Whether the server has sent every segment
+      fullUrl: null, // Audio of the whole message, used for replay once all segments are in
+      waiting: false // Whether playback reached the end of the received segments and is waiting for more
+    });
+  },
+
+  // Add a segment that just arrived from the server
+  async addAudioSegment(msgDiv, segmentUrl) {
+    const queue = this.segmentQueues.get(msgDiv.dataset.messageId);
+    if (!queue) return;
+
+    queue.urls.push(segmentUrl);
+
+    // The first segment starts playback straight away
+    if (queue.urls.length === 1) {
+      console.log(`[AudioPlayback] First audio segment received, starting playback`);
+      queue.nextIndex = 1;
+      await this.playMessageAudio(msgDiv, segmentUrl);
+      return;
+    }
+
+    // If playback was waiting for this segment (and wasn't paused meanwhile), continue with it now
+    if (queue.waiting) {
+      queue.waiting = false;
+      if (this.messageStateMap.get(msgDiv.dataset.messageId) === 'PLAYING') {
+        this.continueSegmentQueue(msgDiv);
+      }
+    }
+  },
+
+  // Mark the segment queue as complete once the server has sent every segment
+  finishSegmentQueue(msgDiv, fullUrl) {
+    const queue = this.segmentQueues.get(msgDiv.dataset.messageId);
+    if (!queue) return;
+
+    // Nothing was received, so there is nothing left to play
+    if (queue.urls.length === 0) {
+      this.segmentQueues.delete(msgDiv.dataset.messageId);
+      return;
+    }
+
+    queue.complete = true;
+    queue.fullUrl = fullUrl;
+
+    // If playback already reached the last segment, finish it now
+    if (queue.waiting) {
+      queue.waiting = false;
+      if (!this.continueSegmentQueue(msgDiv)) {
+        this.messageStateMap.set(msgDiv.dataset.messageId, 'FINISHED');
+        this.currentlyPlayingMsgDiv = null;
+        this.updateAudioControls(msgDiv);
+      }
+    }
+  },
+
+  // Free the audio of the segments once the audio of the whole message is there to replay it
+  // Each segment URL holds its audio in memory until it is revoked
+  releaseSegmentQueue(msgDiv) {
+    const messageId = msgDiv.dataset.messageId;
+    const queue = this.segmentQueues.get(messageId);
+    if (!queue) return;
+
+    queue.urls.forEach(url => URL.revokeObjectURL(url));
+    this.segmentQueues.delete(messageId);
+    // Replay and resume now use the audio of the whole message
+    if (queue.fullUrl) {
+      msgDiv.dataset.audioUrl = queue.fullUrl;
+    }
+  },
+
+  // Called when a segment ends: returns true if playback continues with (or waits for) another segment
+  continueSegmentQueue(msgDiv) {
+    const messageId = msgDiv.dataset.messageId;
+    const queue = this.segmentQueues.get(messageId);
+    if (!queue) return false;
+
+    // The segment that just ended is not needed anymore once the whole message can be replayed
+    if (queue.complete && queue.fullUrl && queue.nextIndex > 0) {
+      URL.revokeObjectURL(queue.urls[queue.nextIndex - 1]);
+    }
+
+    // Play the next segment if it has already arrived
+    if (queue.nextIndex < queue.urls.length) {
+      const nextUrl = queue.urls[queue.nextIndex++];
+      console.log(`[AudioPlayback] Playing audio segment ${queue.nextIndex}/${queue.complete ? queue.urls.length : '?'}`);
+      this.playMessageAudio(msgDiv, nextUrl);
+      return true;
+    }
+
+    // The next segment is still being synthesized: stay in the playing state until it arrives
+    if (!queue.complete) {
+      console.log(`[AudioPlayback] Waiting for the next audio segment`);
+      queue.waiting = true;
+      return true;
+    }
+
+    // Every segment has been played: use the audio of the whole message for replay
+    this.releaseSegmentQueue(msgDiv);
+    return false;
+  },
+
   // Function to pause currently playing audio
   pauseAudio(audioElement) {
     // Check if we're on a mobile device
@@ -463,6 +578,10 @@ export const AudioPlaybackManager = {
     if (convertToReplay) {
       // If we're converting to replay mode, mark as finished
       this.messageStateMap.set(messageId, 'FINISHED');
+      // A replay uses the audio of the whole message, so its segments can be freed (if every segment arrived)
+      if (this.segmentQueues.get(messageId)?.fullUrl) {
+        this.releaseSegmentQueue(tempMsgDiv);
+      }
     } else {
       // Otherwise mark as paused and remember position for resuming
       this.messageStateMap.set(messageId, 'PAUSED');
@@ -756,6 +875,9 @@ export const AudioPlaybackManager = {
         
         // Set up what happens when the audio finishes
         inlineAudio.onended = () => {
+          // If more speech segments are coming for this message, keep playing them
+          if (this.continueSegmentQueue(msgDiv)) return;
+          
           console.log(`[AudioPlayback] Audio playback ENDED on resume - performing COMPLETE cleanup`);
           this.messageStateMap.set(messageId, 'FINISHED');
           
@@ -806,6 +928,9 @@ export const AudioPlaybackManager = {
 
       // Set up ended handler BEFORE playing to avoid race conditions
       this.unlockedAudio.onended = () => {
+        // If more speech segments are coming for this message, keep playing them
+        if (this.continueSegmentQueue(msgDiv)) return;
+        
         console.log(`[AudioPlayback] Audio playback ENDED on resume - performing COMPLETE cleanup`);
         this.messageStateMap.set(messageId, 'FINISHED');
         
@@ -894,6 +1019,18 @@ export const AudioPlaybackManager = {
       audioUrl = msgDiv.dataset.audioUrl;
     }
     
+    // If the message was stopped in the middle of its speech segments, replay them from the start
+    const segmentQueue = this.segmentQueues.get(msgDiv.dataset.messageId);
+    if (segmentQueue && segmentQueue.urls.length > 0) {
+      if (segmentQueue.complete && segmentQueue.fullUrl) {
+        this.releaseSegmentQueue(msgDiv);
+        audioUrl = segmentQueue.fullUrl;
+      } else {
+        segmentQueue.nextIndex = 1;
+        audioUrl = segmentQueue.urls[0];
+      }
+    }
+    
     // IMPORTANT: Ensure the global playback rate is preserved
     this.globalPlaybackRate = currentRate;
     console.log(`[AudioPlayback] Explicitly restored playback rate to ${this.globalPlaybackRate}x for replay`);
@@ -8,8 +8,8 @@
 
 // Import helper tools from other files
 import { AudioUnlockUtils, EventSystem } from './audioUnlockUtils.js';
-// Import system for handling different languages
-import { LanguageManager } from '../language.js';
+// Import the list of supported languages
+import { SUPPORTED_LANGUAGES } from '../language.js';
 // Import text messages for different languages
 import { texts } from '../shared.js';
 // Import general utility functions
@@ -22,8 +22,8 @@ import { appendThinkingIndicator, removeThinkingIndicator } from '../chatinterfa
 function getCurrentLanguage() {
   // Get the language from the HTML document, defaulting to French if not set
   const lang = document.documentElement.lang || 'fr';
-  // Return the language if it's one we support (French, English, Spanish), otherwise default to French
-  return ['fr', 'en', 'es'].includes(lang) ? lang : 'fr';
+  // Return the language if it's one we support, otherwise default to French
+  return lang in SUPPORTED_LANGUAGES ? lang : 'fr';
 }
 
 // Function to check if the user is on an Android device
@@ -58,6 +58,8 @@ export const RecordingManager = {
   analyser: null,
   // When the recording started (in milliseconds)
   recordingStartTime: 0,
+  // How long the last recording lasted (in seconds), sent with the audio so the server can refuse a recording too long
+  lastRecordingSeconds: 0,
   // A timer that updates the recording duration display
   recordingTimer: null,
   // Whether the user is using Opera browser
@@ -89,36 +91,8 @@ export const RecordingManager = {
   durationDisplay: null,
   
   // Information about what languages we support for speech recognition
-  // Language support
-  SUPPORTED_LANGUAGES: {
-    // English settings
-    en: {
-      // Full name of the language
-      name: 'English',
-      // The code used by the speech recognition system
-      speechLang: 'en-US',
-      // Common greeting words to recognize in this language
-      shortGreetings: ['hello', 'hi', 'hey']
-    },
-    // French settings
-    fr: {
-      // Full name of the language
-      name: 'Français',
-      // The code used by the speech recognition system
-      speechLang: 'fr-FR',
-      // Common greeting words to recognize in this language
-      shortGreetings: ['bonjour', 'salut']
-    },
-    // Spanish settings
-    es: {
-      // Full name of the language
-      name: 'Español',
-      // The code used by the speech recognition system
-      speechLang: 'es-ES',
-      // Common greeting words to recognize in this language
-      shortGreetings: ['hola', 'buenos dias', 'buenas']
-    }
-  },
+  // Language support (the same object as language.js, filled from the server's language list)
+  SUPPORTED_LANGUAGES,
   
   // Small system to save and load user settings
   // Settings helper
@@ -331,19 +305,11 @@ export const RecordingManager = {
           // Only create a notification if one doesn't already exist
           // Create hold notification if it doesn't exist
           if (!holdNotification) {
-            // Different messages for different languages
-            // Messages in different languages
-            const tapMessages = {
-              'en': 'Simply tap—no need to hold.',
-              'fr': 'Appuyez simplement—pas besoin de maintenir.',
-              'es': 'Simplemente toque—no necesita mantener presionado.'
-            };
-            
             // Get the current language
             // Get current language
             const currentLang = getCurrentLanguage();
-            // Get the appropriate message for the current language
-            const tapMessage = tapMessages[currentLang] || tapMessages['en']; // Default to English if language not found
+            // Get the message for the current language (the server fills in English if it is not translated)
+            const tapMessage = texts[currentLang].tapInsteadOfHold;
             
             // Create a new element to display the notification
             // Create hold notification if it doesn't exist
@@ -599,12 +565,7 @@ export const RecordingManager = {
             
             // Set the language for speech recognition based on the current user language
             // Set language
-            const speechLangs = {
-              'fr': 'fr-FR',
-              'en': 'en-US',
-              'es': 'es-ES'
-            };
-            this.recognition.lang = speechLangs[getCurrentLanguage()];
+            this.recognition.lang = SUPPORTED_LANGUAGES[getCurrentLanguage()].speechLang;
             
             // Set up what happens when the speech recognition system detects speech
             // Set up recognition handlers
@@ -1278,6 +1239,9 @@ export const RecordingManager = {
               if (transcript) {
                 console.log('[RecordingManager] Received transcript from backend:', transcript);
                 
+                // The next question comes from the microphone (kept even if the guest edits it)
+                UtilityManager.setInputMode('voice');
+                
                 // Update the input field with the transcript
                 if (this.userInput) {
                   // Get the user's preference for automatic transcription
@@ -1333,7 +1297,10 @@ export const RecordingManager = {
             })
             .catch(error => {
               console.error('[RecordingManager] Error sending audio to backend:', error);
-              alert("Erreur lors de la reconnaissance vocale. Veuillez réessayer.");
+              // The refusals of the server limits are already explained in a toast
+              if (!error.limited) {
+                alert("Erreur lors de la reconnaissance vocale. Veuillez réessayer.");
+              }
             })
             .finally(() => {
               // Clear the flag to allow new recordings
@@ -1366,6 +1333,8 @@ export const RecordingManager = {
     // Mark recording as stopped and clear timers
     this.isRecording = false;
     clearInterval(this.recordingTimer);
+    // Remember how long the recording lasted before forgetting when it started
+    this.lastRecordingSeconds = this.recordingStartTime ? (Date.now() - this.recordingStartTime) / 1000 : 0;
     this.recordingStartTime = 0;
 
     // Cancel any waveform animation that's running
@@ -1430,6 +1399,9 @@ export const RecordingManager = {
               if (transcript) {
                 console.log('[RecordingManager] Received transcript from backend:', transcript);
                 
+                // The next question comes from the microphone (kept even if the guest edits it)
+                UtilityManager.setInputMode('voice');
+                
                 // Remove the thinking indicator once we have a transcript
                 // Remove the early thinking indicator if we added one
                 if (typeof removeThinkingIndicator === 'function') {
@@ -1443,9 +1415,8 @@ export const RecordingManager = {
                   transcribingMsg.remove();
                 }
                 
-                // Process the transcript for language consistency and handle any needed notifications
-                // Process the transcript for language consistency and notifications
-                const processedTranscript = await this.processAndroidTranscript(transcript);
+                // The server decides the language of the answer from the transcript, so it is used as it is
+                const processedTranscript = transcript;
                 
                 // Update the input field or send the message based on user settings
                 // Update the input field with the transcript
@@ -1504,7 +1475,10 @@ export const RecordingManager = {
               }
             } catch (error) {
               console.error('[RecordingManager] Error sending audio to backend:', error);
-              alert("Erreur lors de la reconnaissance vocale. Veuillez réessayer.");
+              // The refusals of the server limits are already explained in a toast
+              if (!error.limited) {
+                alert("Erreur lors de la reconnaissance vocale. Veuillez réessayer.");
+              }
             }
           }
           
@@ -1657,6 +1631,9 @@ export const RecordingManager = {
         // Use the SettingsManager to get autoTranscribe setting
         console.log('autoTranscribe setting =', autoTranscribe);
         
+        // The next question comes from the microphone (kept even if the guest edits it)
+        UtilityManager.setInputMode('voice');
+        
         // Handle the transcript differently based on auto-transcribe setting
         if (autoTranscribe) {
           console.log('Auto-transcribe is enabled, submitting form...');
@@ -1754,6 +1731,8 @@ export const RecordingManager = {
         formData.append('file', audioBlob, 'recording.webm');
         formData.append('compress', 'true');
         formData.append('userSelectedLanguage', currentLanguage); // Send selected language
+        formData.append('duration', this.lastRecordingSeconds); // Send how long the recording lasted
+        formData.append('conversationId', UtilityManager.getConversationId()); // Send which conversation it belongs to
         
         // Send the audio to the server API with compression enabled
         // Send the audio to the backend API with compression flag
@@ -1764,6 +1743,10 @@ export const RecordingManager = {
         
         // Check if the server responded successfully
         if (!response.ok) {
+          // A recording too long or too many requests: the server's message is shown in a toast
+          if (await UtilityManager.showLimitMessage(response)) {
+            throw Object.assign(new Error(`Speech to text refused: ${response.status}`), { limited: true });
+          }
           throw new Error(`Server responded with ${response.status}: ${await response.text()}`);
         }
         
@@ -1774,6 +1757,10 @@ export const RecordingManager = {
         
         return data.transcript;
       } catch (error) {
+        // Sending the same recording again would be refused the same way
+        if (error.limited) {
+          throw error;
+        }
         console.error('[RecordingManager] Error with compression, falling back to regular method:', error);
         // Fall back to regular method below
       }
@@ -1787,6 +1774,8 @@ export const RecordingManager = {
       const formData = new FormData();
       formData.append('file', blobToSend, 'recording.webm');
       formData.append('userSelectedLanguage', currentLanguage); // Send selected language
+      formData.append('duration', this.lastRecordingSeconds); // Send how long the recording lasted
+      formData.append('conversationId', UtilityManager.getConversationId()); // Send which conversation it belongs to
       
       // Send the audio to the server
       // Send the audio to the backend API
@@ -1797,6 +1786,10 @@ export const RecordingManager = {
       
       // Check if the server responded successfully
       if (!response.ok) {
+        // A recording too long or too many requests: the server's message is shown in a toast
+        if (await UtilityManager.showLimitMessage(response)) {
+          throw Object.assign(new Error(`Speech to text refused: ${response.status}`), { limited: true });
+        }
         throw new Error(`Server responded with ${response.status}: ${await response.text()}`);
       }
       
@@ -1812,76 +1805,6 @@ export const RecordingManager = {
     }
   },
   
-  // Detect what language text is in
-  // Language detection
-  detectLanguage(text) {
-    // Skip empty text
-    if (!text || text.trim() === '') return null;
-
-    // First check for common short greetings that are easy to identify
-    // Check for short greetings first
-    const lowerText = text.trim().toLowerCase();
-
-    // Check each language's list of common greeting words
-    // Check against supported languages' short greetings
-    for (const [lang, config] of Object.entries(this.SUPPORTED_LANGUAGES)) {
-      if (config.shortGreetings.includes(lowerText)) {
-        return lang;
-      }
-    }
-
-    // For longer text, use more sophisticated language detection
-    // For longer text, use LanguageManager's detection
-    if (text.length >= 12) {
-      try {
-        // Try to detect the language of the text
-        const detectedLang = LanguageManager.detectLanguage(text);
-        
-        // Have a higher threshold for switching from French to English
-        // Higher threshold for switching from French
-        if (getCurrentLanguage() === 'fr' && detectedLang === 'en' && text.length < 40) {
-          console.log("Not switching from French to English - text too short");
-          return null;
-        }
-
-        return detectedLang;
-      } catch (error) {
-        console.error('Language detection error:', error);
-      }
-    }
-
-    // If we couldn't detect the language, return null
-    return null;
-  },
-  
-  // Show a notification when the language is changed
-  // Show language change notification
-  showLanguageChangeNotification(lang) {
-    // Find or create the notification element
-    const notification = document.getElementById('languageChangeNotification') ||
-      this.createLanguageChangeNotification();
-
-    // Set the notification text and show it
-    notification.textContent = `Switched to ${this.SUPPORTED_LANGUAGES[lang].name}`;
-    notification.style.opacity = '1';
-
-    // Hide the notification after 2 seconds
-    setTimeout(() => {
-      notification.style.opacity = '0';
-    }, 2000);
-  },
-
-  // Create the notification element for language changes
-  // Create language change notification element
-  createLanguageChangeNotification() {
-    // Create a new div for the notification
-    const notification = document.createElement('div');
-    notification.id = 'languageChangeNotification';
-    notification.className = 'language-change-notification';
-    document.body.appendChild(notification);
-    return notification;
-  },
-
   // Submit a transcript using the chat form
   // Submit form with transcript
   submitFormWithTranscript(transcript) {
@@ -2030,96 +1953,4 @@ export const RecordingManager = {
       }, isIOS ? 300 : 100); // Longer delay for iOS
     });
   },
-
-  // Process the transcript for Android devices
-  // Process the transcript (Android)
-  async processAndroidTranscript(transcript) {
-    // Get the language the user has selected in the UI
-    // Get the currently selected language
-    const currentLanguage = document.getElementById('languageSelect') ? 
-      document.getElementById('languageSelect').value : 'fr';
-    
-    // Check if the transcript might be in a different language than the selected one
-    // Check if we need to display a notification about language
-    // Simple language detection for common words to see if transcript might be in a different language
-    let detectedLang = this.detectSimpleLanguage(transcript);
-    
-    if (detectedLang && detectedLang !== currentLanguage) {
-      // Show a notification to let the user know the bot will still respond in the selected language
-      // Show notification that responses will still be in the selected language
-      const langNames = {
-        'en': 'English',
-        'fr': 'French',
-        'es': 'Spanish'
-      };
-      
-      // Prepare notification messages in different languages
-      const notificationMsg = {
-        'en': `Note: The bot will respond in ${langNames[currentLanguage]} as that is the selected language.`,
-        'fr': `Remarque : Le bot répondra en ${currentLanguage === 'en' ? 'anglais' : (currentLanguage === 'es' ? 'espagnol' : 'français')} car c'est la langue sélectionnée.`,
-        'es': `Nota: El bot responderá en ${currentLanguage === 'en' ? 'inglés' : (currentLanguage === 'fr' ? 'francés' : 'español')} ya que es el idioma seleccionado.`
-      };
-      
-      // Display the notification if the showToast function is available
-      // Show a toast notification
-      if (typeof showToast === 'function') {
-        showToast(notificationMsg[currentLanguage] || notificationMsg['en']);
-      } else {
-        console.log('Language mismatch notification:', notificationMsg[currentLanguage] || notificationMsg['en']);
-      }
-    }
-    
-    // Return the transcript without any modifications
-    return transcript;
-  },
-  
-  // Simple language detection based on common words
-  // Simple language detection for common words
-  detectSimpleLanguage(text) {
-    // Skip short texts that don't have enough words for reliable detection
-    if (!text || text.trim().length < 5) return null;
-    
-    // Convert to lowercase for case-insensitive matching
-    const lowerText = text.toLowerCase().trim();
-    
-    // Lists of common words/patterns in different languages
-    // Common English words/patterns
-    const englishPatterns = ['the', 'is', 'are', 'what', 'where', 'when', 'how', 'can you', 'i need', 'please'];
-    // Common French words/patterns
-    const frenchPatterns = ['le', 'la', 'les', 'est', 'sont', 'que', 'où', 'quand', 'comment', 'je veux', 's\'il vous plaît'];
-    // Common Spanish words/patterns
-    const spanishPatterns = ['el', 'la', 'los', 'es', 'son', 'que', 'donde', 'cuando', 'como', 'necesito', 'por favor'];
-    
-    // Count matches for each language
-    let enMatches = 0, frMatches = 0, esMatches = 0;
-    
-    // Count how many English words are in the text
-    // Count matches for each language
-    englishPatterns.forEach(pattern => {
-      if (lowerText.includes(pattern)) enMatches++;
-    });
-    
-    // Count how many French words are in the text
-    frenchPatterns.forEach(pattern => {
-      if (lowerText.includes(pattern)) frMatches++;
-    });
-    
-    // Count how many Spanish words are in the text
-    spanishPatterns.forEach(pattern => {
-      if (lowerText.includes(pattern)) esMatches++;
-    });
-    
-    // Determine which language has the most matches
-    // Determine the most likely language
-    if (enMatches > frMatches && enMatches > esMatches && enMatches > 0) {
-      return 'en';
-    } else if (frMatches > enMatches && frMatches > esMatches && frMatches > 0) {
-      return 'fr';
-    } else if (esMatches > enMatches && esMatches > frMatches && esMatches > 0) {
-      return 'es';
-    }
-    
-    // If no clear winner, return null
-    return null;
-  },
 }; 
\ No newline at end of file
@@ -4,23 +4,30 @@
 
 // Import the audio unlock utilities module for handling browser audio restrictions
 import { AudioUnlockUtils } from './audioUnlockUtils.js';
-// Import shared text content for different languages
-import { texts } from '../shared.js';
+// Import shared text content for different languages, and the source chips of a message
+import { texts, showMessageSources, showMessageFeedback } from '../shared.js';
+// Import the list of supported languages, and the tools that follow the language of an answer
+import { LanguageManager, SUPPORTED_LANGUAGES } from '../language.js';
 // Import functions to show/hide the thinking indicator in the chat interface
 import { appendThinkingIndicator, removeThinkingIndicator } from '../chatinterface.js';
+// Import utility functions, including the reader for streamed server responses
+import { UtilityManager } from '../utility.js';
+// Import the tools to offer talking to the reception when the answer was not found
+import { HandoffManager } from '../handoff.js';
 
 // Helper function to determine the current language of the application
 function getCurrentLanguage() {
   // Get the language from the HTML document's lang attribute, defaulting to French if not set
   const lang = document.documentElement.lang || 'fr';
-  // Return the language if it's supported (French, English, or Spanish), otherwise default to French
-  return ['fr', 'en', 'es'].includes(lang) ? lang : 'fr';
+  // Return the language if it's supported, otherwise default to French
+  return lang in SUPPORTED_LANGUAGES ? lang : 'fr';
 }
 
 // Main Text-to-Speech Manager object that handles all TTS-related functionality
 export const TTSManager = {
   // Function to request text-to-speech conversion from the server
-  async requestTTS(text) {
+  // The language decides which voice the server uses (defaults to the current language of the page)
+  async requestTTS(text, language = getCurrentLanguage()) {
     // Log the length of the text being processed
     console.log('[TTS] Requesting TTS for text length:', text.length);
     
@@ -29,11 +36,16 @@ export const TTSManager = {
       const ttsResponse = await fetch('/api/text-to-speech', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text })
+        // The conversation id lets the server count the speech in the costs of the conversation
+        body: JSON.stringify({ text, language, conversationId: UtilityManager.getConversationId() })
       });
       
       // Check if the response was successful
       if (!ttsResponse.ok) {
+        // A text too long or too many requests: the server's message is shown in a toast
+        if (await UtilityManager.showLimitMessage(ttsResponse)) {
+          throw Object.assign(new Error(`TTS refused: ${ttsResponse.status}`), { limited: true });
+        }
         // Log and throw an error if the server returned an error status
         console.error('[TTS] Server error:', ttsResponse.status, await ttsResponse.text());
         throw new Error(`TTS server error: ${ttsResponse.status}`);
@@ -69,6 +81,71 @@ export const TTSManager = {
     }
   },
   
+  // Function to request pipelined text-to-speech: the server synthesizes the text in sentence groups
+  // and sends each one as soon as it is ready, so playback starts before the whole answer is synthesized
+  async streamTTS(msgDiv, text, audioPlaybackManager) {
+    // Log the length of the text being processed
+    console.log('[TTS] Requesting pipelined TTS for text length:', text.length);
+    
+    // Use the language the message was written in, so the matching voice reads it
+    const language = msgDiv.dataset.language || getCurrentLanguage();
+    
+    // Send a POST request to the pipelined TTS API endpoint
+    const ttsResponse = await fetch('/api/text-to-speech/stream', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+      // The conversation id lets the server count the speech in the costs of the conversation
+      body: JSON.stringify({ text, language, conversationId: UtilityManager.getConversationId() })
+    });
+    
+    // Check if the response was successful
+    if (!ttsResponse.ok) {
+      // A text too long or too many requests: the server's message is shown in a toast
+      if (await UtilityManager.showLimitMessage(ttsResponse)) {
+        throw Object.assign(new Error(`TTS refused: ${ttsResponse.status}`), { limited: true });
+      }
+      console.error('[TTS] Server error:', ttsResponse.status, await ttsResponse.text());
+      throw new Error(`TTS server error: ${ttsResponse.status}`);
+    }
+    
+    // Keep every segment so the whole message can be replayed later
+    const segmentBlobs = [];
+    let fullUrl = null;
+    
+    // Tell the playback manager that segments are on their way
+    audioPlaybackManager.startSegmentQueue(msgDiv);
+    
+    try {
+      await UtilityManager.readServerEvents(ttsResponse, (eventName, data) => {
+        if (eventName === 'segment') {
+          // Turn the base64 audio back into a playable blob
+          const bytes = Uint8Array.from(atob(data.audio), char => char.charCodeAt(0));
+          const segmentBlob = new Blob([bytes], { type: 'audio/mpeg' });
+          segmentBlobs.push(segmentBlob);
+          console.log(`[TTS] Audio segment ${data.index + 1}/${data.total} received, size: ${segmentBlob.size}`);
+          
+          // The first segment starts playing right away, the others are queued
+          audioPlaybackManager.addAudioSegment(msgDiv, URL.createObjectURL(segmentBlob));
+        } else if (eventName === 'error') {
+          console.error('[TTS] Server error while streaming audio:', data.error);
+        }
+      });
+    } finally {
+      // MP3 segments can simply be joined together to get the audio of the whole message
+      if (segmentBlobs.length > 0) {
+        fullUrl = URL.createObjectURL(new Blob(segmentBlobs, { type: 'audio/mpeg' }));
+      }
+      audioPlaybackManager.finishSegmentQueue(msgDiv, fullUrl);
+    }
+    
+    // Without any segment there is nothing to play
+    if (!fullUrl) {
+      throw new Error('No audio segments received');
+    }
+    
+    return fullUrl;
+  },
+  
   // Function to clean and format text before sending it to TTS
   cleanTextForTTS(text) {
     // Replace HTML line break tags with actual line breaks
@@ -121,16 +198,9 @@ export const TTSManager = {
       await AudioUnlockUtils.unlockAudio();
       console.log('[TTS] After unlockAudio call in speakMessage');
       
-      // Get the audio URL for the text
-      const audioUrl = await this.requestTTS(textToSpeak);
-      
-      // Store the audio URL in the message div's dataset
-      msgDiv.dataset.audioUrl = audioUrl;
-      
-      // Play the audio using the audio playback manager
-      await audioPlaybackManager.playMessageAudio(msgDiv, audioUrl);
-      
-      return audioUrl;
+      // Stream the audio for the text: playback starts with the first segment
+      // and the audio of the whole message is returned once every segment has arrived
+      return await this.streamTTS(msgDiv, textToSpeak, audioPlaybackManager);
     } catch (error) {
       // Log any errors that occurred during the process
       console.error('[TTS] Error speaking message:', error);
@@ -150,42 +220,61 @@ export const TTSManager = {
     }
   },
   
-  // Function to get both text and audio response from the bot
-  async getBotResponseWithAudio(question) {
-    // First get the text response from the chat API
-    let answer;
+  // Function to get the text response from the bot, with the hotel topics it came from
+  // and the language the server chose for it
+  async getBotAnswer(question) {
     try {
       // Send the question to the chat API
       const response = await fetch('/api/chat', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ question, language: getCurrentLanguage() })
+        body: JSON.stringify({ question, language: getCurrentLanguage(), conversationId: UtilityManager.getConversationId(), guestName: UtilityManager.getGuestName(), inputMode: UtilityManager.takeInputMode() })
       });
       
       // Check if the response was successful
       if (!response.ok) {
+        // Too many questions or the daily limit is reached: the server's message is shown in a toast
+        if (await UtilityManager.showLimitMessage(response)) {
+          throw Object.assign(new Error(`Chat refused: ${response.status}`), { limited: true });
+        }
         console.error('[TTS] Chat response not OK:', response.status);
         throw new Error('Chat API error');
       }
       
       // Parse the JSON response
       const data = await response.json();
-      answer = data.answer;
+      // Keep the id of the conversation, given by the server, for the next questions and visits
+      UtilityManager.setConversationId(data.conversationId);
+      return {
+        answer: data.answer,
+        sources: data.sources || [],
+        language: data.language,
+        detectedLanguage: data.detectedLanguage,
+        suggestedLanguage: data.suggestedLanguage,
+        messageId: data.messageId,
+        unanswered: data.unanswered
+      };
     } catch (error) {
       // Log and rethrow any errors from the chat API
       console.error('[TTS] Error getting chat response:', error);
       throw error;
     }
+  },
+  
+  // Function to get both text and audio response from the bot
+  async getBotResponseWithAudio(question) {
+    // First get the text response from the chat API
+    const { answer, sources, language } = await this.getBotAnswer(question);
     
     // Then get the audio for the response
     try {
-      // Convert the text response to audio
-      const audioUrl = await this.requestTTS(answer);
-      return { answer, audioUrl };
+      // Convert the text response to audio, in the language the server answered in
+      const audioUrl = await this.requestTTS(answer, language || getCurrentLanguage());
+      return { answer, sources, audioUrl };
     } catch (error) {
       // Log errors but still return the text answer even if audio fails
       console.error('[TTS] Error getting audio for response:', error);
-      return { answer, audioUrl: null };
+      return { answer, sources, audioUrl: null };
     }
   },
   
@@ -234,14 +323,29 @@ export const TTSManager = {
     appendThinkingIndicator();
     
     try {
-      // Get both text and audio response from the bot
-      const { answer, audioUrl } = await this.getBotResponseWithAudio(question);
+      // Get the text response from the bot
+      const answerData = await this.getBotAnswer(question);
+      const { answer, sources, language } = answerData;
       
       // Remove the thinking indicator
       removeThinkingIndicator();
       
       // Create and append the bot's message to the chat interface
-      const botMessageDiv = appendMessageFunction(answer, 'bot');
+      const botMessageDiv = appendMessageFunction(answer, 'bot', false, true);
+      // Remember the language the server answered in, so the answer is read with the right voice
+      if (language) {
+        botMessageDiv.dataset.language = language;
+      }
+      // Add the chips showing which hotel topics the answer came from
+      showMessageSources(botMessageDiv, sources);
+      // Add the thumbs up and thumbs down buttons under the answer
+      showMessageFeedback(botMessageDiv, answerData.messageId);
+      // Follow the language the server chose (switch, suggest or explain)
+      LanguageManager.applyAnswerLanguage(answerData);
+      // Offer to ask the reception when the answer was not in the hotel information
+      if (answerData.unanswered) {
+        HandoffManager.offer();
+      }
       
       // Generate a unique ID for the message if one doesn't exist
       if (!botMessageDiv.dataset.messageId) {
@@ -254,14 +358,11 @@ export const TTSManager = {
       // Mark the message as being auto-read
       botMessageDiv.dataset.autoReadTriggered = 'true';
       
-      // If we have audio, attach and play it
-      if (audioUrl) {
-        // Store the audio URL in the message div
-        botMessageDiv.dataset.audioUrl = audioUrl;
-        
-        // Play the audio using the audio playback manager
-        await audioPlaybackManager.playMessageAudio(botMessageDiv, audioUrl);
-      }
+      // Speak the answer: the audio is streamed so it starts while the rest is still being synthesized
+      // If the audio fails, the text answer is still shown
+      await this.speakMessage(botMessageDiv, answer, audioPlaybackManager).catch(error => {
+        console.error('[TTS] Error getting audio for response:', error);
+      });
       
       return botMessageDiv;
     } catch (error) {
@@ -270,8 +371,10 @@ export const TTSManager = {
       console.error('[API] Error stack:', error.stack);
       // Remove the thinking indicator
       removeThinkingIndicator();
-      // Show an error message to the user
-      appendMessageFunction(texts[getCurrentLanguage()].errorText, 'bot');
+      // Show an error message to the user, unless the toast of the server limits already explained it
+      if (!error.limited) {
+        appendMessageFunction(texts[getCurrentLanguage()].errorText, 'bot');
+      }
     }
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,263 @@
+// handoff.js - This file lets the guest talk to a person of the reception instead of Meit Ai
+// While a request is open, the questions of the guest go to the reception, and its answers arrive live in the chat
+// Bringing in tools and functions from other files that we'll need
+import { appendMessage, texts, currentLanguage } from './shared.js'; // Getting the function to add messages and the language text
+import { UtilityManager } from './utility.js'; // Getting the conversation id, the toasts and the scrolling tools
+
+// This line writes a message to the developer console to confirm this file has been loaded
+console.log('handoff.js module loaded');
+
+// Create the HandoffManager object that contains all the functions of the requests to the reception
+export const HandoffManager = {
+    active: false, // True while a request is open: the questions go to the reception, not to Meit Ai
+    status: null, // "waiting" until someone of the reception joins, then "active"
+    eventSource: null, // The live connection that brings the answers of the reception
+
+    // This function offers to talk to the reception, under the last message
+    // It is shown when Meit Ai could not answer, or when the guest said an answer was not useful
+    offer() {
+        // No need to offer it again while a request is open
+        if (this.active) return;
+        // Only keep the latest offer
+        document.querySelectorAll('.handoff-offer').forEach(el => el.remove());
+
+        // Create the container of the button
+        const offer = document.createElement('div');
+        offer.className = 'handoff-offer';
+
+        // The button that opens the small request form
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = texts[currentLanguage].handoffButton;
+        button.addEventListener('click', () => this.showRequestForm(offer));
+        offer.appendChild(button);
+
+        // Add it under the last message and make sure it can be seen
+        document.getElementById('messages').appendChild(offer);
+        UtilityManager.scrollToBottom();
+    },
+
+    // This function replaces the offer with a form to leave a way to be contacted, which can stay empty
+    showRequestForm(offer) {
+        const form = document.createElement('form');
+        form.className = 'handoff-offer handoff-form';
+
+        // Explain what happens next
+        const intro = document.createElement('p');
+        intro.textContent = texts[currentLanguage].handoffIntro;
+
+        // The room number, phone number or e-mail of the guest
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 200;
+        input.placeholder = texts[currentLanguage].handoffContactPlaceholder;
+        input.setAttribute('aria-label', texts[currentLanguage].handoffContactPlaceholder);
+
+        // The button that sends the request
+        const sendButton = document.createElement('button');
+        sendButton.type = 'submit';
+        sendButton.textContent = texts[currentLanguage].handoffSend;
+
+        // The button that closes the form and keeps talking with Meit Ai
+        const stayButton = document.createElement('button');
+        stayButton.type = 'button';
+        stayButton.textContent = texts[currentLanguage].handoffStay;
+        stayButton.addEventListener('click', () => form.remove());
+
+        form.append(intro, input, sendButton, stayButton);
+        form.addEventListener('submit', async (e) => {
+            // Stop the form from reloading the page
+            e.preventDefault();
+            // Prevent sending the request twice
+            sendButton.disabled = true;
+            if (await this.request(input.value.trim())) {
+                form.remove();
+            } else {
+                sendButton.disabled = false;
+            }
+        });
+
+        offer.replaceWith(form);
+        input.focus();
+        UtilityManager.scrollToBottom();
+    },
+
+    // This function asks the server to call the reception
+    // It returns true when the request was saved
+    async request(contact) {
+        try {
+            const response = await fetch('/api/handoff', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    conversationId: UtilityManager.getConversationId(), // The conversation the reception will read
+                    contact: contact, // How the reception can get back to the guest, if anything was written
+                    language: currentLanguage // The language the guest is using
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const { staffOnline } = await response.json();
+            // Say whether someone will answer now or later
+            this.start('waiting', staffOnline ? texts[currentLanguage].handoffWaiting : texts[currentLanguage].handoffNoStaff);
+            return true;
+        } catch (err) {
+            console.error('[Handoff] Could not call the reception:', err);
+            UtilityManager.showToast(texts[currentLanguage].errorText);
+            return false;
+        }
+    },
+
+    // This function follows again a request that is still open when the page is opened again
+    // The server attaches the conversation to this visit first, since only then it sends the live answers
+    async resume() {
+        try {
+            const response = await fetch('/api/handoff/resume', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ conversationId: UtilityManager.getConversationId() })
+            });
+            // The request was closed meanwhile: Meit Ai answers, nothing to show
+            if (response.status === 404) return;
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const { status } = await response.json();
+            this.start(status);
+        } catch (err) {
+            console.error('[Handoff] Could not follow the request again:', err);
+        }
+    },
+
+    // This function starts following a request, with a note telling the guest what is happening
+    start(status, noteText) {
+        this.active = true;
+        this.status = status;
+        this.showNote(noteText || texts[currentLanguage][status === 'active' ? 'handoffJoined' : 'handoffWaiting']);
+        this.connect();
+    },
+
+    // This function opens the live connection that brings the answers and the changes of the request
+    connect() {
+        this.eventSource?.close();
+        const url = `/api/handoff/${encodeURIComponent(UtilityManager.getConversationId())}/events`;
+        this.eventSource = new EventSource(url);
+
+        // An answer written by the reception
+        this.eventSource.addEventListener('message', (event) => {
+            const message = JSON.parse(event.data);
+            this.showStaffMessage(message.text);
+        });
+
+        // The request was taken in charge or closed
+        this.eventSource.addEventListener('status', (event) => {
+            this.handleStatus(JSON.parse(event.data));
+        });
+        // The browser reconnects by itself when the connection is lost, and the server sends the status again
+    },
+
+    // This function follows the changes of the request
+    handleStatus({ status, closedBy }) {
+        if (status === 'closed') {
+            // The guest cancelled the request themselves, they already know Meit Ai is back
+            const endedByGuest = closedBy === 'guest';
+            this.stop();
+            if (!endedByGuest) {
+                this.showNote(texts[currentLanguage].handoffEnded, false);
+            }
+        } else if (status === 'active' && this.status !== 'active') {
+            // Someone of the reception is now answering
+            this.status = 'active';
+            this.showNote(texts[currentLanguage].handoffJoined);
+        }
+    },
+
+    // This function shows an answer of the reception, marked so the guest knows it was written by a person
+    // It is also used to show them again when the conversation is restored
+    showStaffMessage(text, shouldScroll = true) {
+        const msgDiv = appendMessage(text, 'bot', false, shouldScroll);
+        msgDiv.classList.add('staff-message');
+        // The label above the text, for example "Reception"
+        const label = document.createElement('strong');
+        label.className = 'staff-label';
+        label.textContent = texts[currentLanguage].staffLabel;
+        msgDiv.querySelector('.message-content').prepend(label);
+        return msgDiv;
+    },
+
+    // This function shows a short note about the request under the messages
+    // While the request is open, the note has a button to stop waiting and go back to Meit Ai
+    showNote(text, withCancel = this.active) {
+        // Only keep one cancel button, on the latest note
+        document.querySelectorAll('.handoff-status button').forEach(el => el.remove());
+
+        const note = document.createElement('div');
+        note.className = 'handoff-status';
+        const noteText = document.createElement('span');
+        noteText.textContent = text;
+        note.appendChild(noteText);
+
+        if (withCancel) {
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.textContent = texts[currentLanguage].handoffCancel;
+            cancelButton.addEventListener('click', () => this.cancel());
+            note.appendChild(cancelButton);
+        }
+
+        document.getElementById('messages').appendChild(note);
+        UtilityManager.scrollToBottom();
+    },
+
+    // This function sends a message of the guest to the reception
+    // It returns false when the request was closed meanwhile, so the question goes to Meit Ai instead
+    async sendMessage(text) {
+        try {
+            const response = await fetch('/api/handoff/messages', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    conversationId: UtilityManager.getConversationId(), // The conversation of the request
+                    text: text // What the guest wrote or said
+                })
+            });
+            if (response.status === 404) {
+                this.stop();
+                return false;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (err) {
+            // The message did not reach the reception: tell the guest so they can send it again
+            console.error('[Handoff] Could not send the message:', err);
+            UtilityManager.showToast(texts[currentLanguage].errorText);
+        }
+        return true;
+    },
+
+    // This function stops waiting for the reception: Meit Ai answers again
+    async cancel() {
+        this.stop();
+        document.querySelectorAll('.handoff-status button').forEach(el => el.remove());
+        try {
+            await fetch('/api/handoff/close', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ conversationId: UtilityManager.getConversationId() })
+            });
+        } catch (err) {
+            // The reception will see the request as still open, nothing else to do
+            console.error('[Handoff] Could not cancel the request:', err);
+        }
+    },
+
+    // This function stops following the request
+    stop() {
+        this.active = false;
+        this.status = null;
+        this.eventSource?.close();
+        this.eventSource = null;
+    }
+};
@@ -2,92 +2,88 @@
 // Bringing in tools and functions from other files that we'll need
 import { currentLanguage, setCurrentLanguage, texts, updateUIText, appendMessage } from './shared.js'; // Getting language functions and text
 import { AudioManager } from './audiomanager.js'; // Getting audio tools
-import { franc } from 'https://cdn.jsdelivr.net/npm/franc-min@6.2.0/+esm'; // Getting a language detection tool from the internet
+import { UtilityManager } from './utility.js'; // Getting the toast and scrolling tools
 
 // This line writes a message to the developer console to confirm this file has been loaded
 console.log('language.js module loaded');
 
-// Language Configuration - This is where we define which languages the app supports
-export const SUPPORTED_LANGUAGES = {
-  en: { // English language settings
-    name: 'English', // The display name of the language
-    speechLang: 'en-US', // The code used for text-to-speech in this language
-    shortGreetings: ['hello', 'hi', 'hey'] // Common short greetings in English
-  },
-  fr: { // French language settings
-    name: 'Français', // The display name of the language
-    speechLang: 'fr-FR', // The code used for text-to-speech in this language
-    shortGreetings: ['bonjour', 'salut'] // Common short greetings in French
-  },
-  es: { // Spanish language settings
-    name: 'Español', // The display name of the language
-    speechLang: 'es-ES', // The code used for text-to-speech in this language
-    shortGreetings: ['hola', 'buenos dias', 'buenas'] // Common short greetings in Spanish
-  }
-};
-
-// This maps the codes that the franc language detector uses to our supported language codes
-// For example, franc uses 'fra' for French, but we use 'fr'
-const LANGUAGE_MAPPING = {
-  'fra': 'fr',  // French - maps franc's 'fra' code to our 'fr' code
-  'eng': 'en',  // English - maps franc's 'eng' code to our 'en' code
-  'spa': 'es'   // Spanish - maps franc's 'spa' code to our 'es' code
-};
+// Language Configuration - This is where we keep the languages the app supports
+// It starts empty and is filled by LanguageManager.loadLanguages() with the languages sent by the server
+// (one file per language in src/languages), for example:
+// fr: { name: 'Français', speechLang: 'fr-FR' }
+// The language of each question is detected by the server, which tells us in which language it answered
+export const SUPPORTED_LANGUAGES = {};
 
 // Create the LanguageManager object that contains all our language-related functions
 export const LanguageManager = {
-  // This function gets the right speech language code for the current language
-  getCurrentSpeechLang() {
-    return SUPPORTED_LANGUAGES[currentLanguage].speechLang;
-  },
-
-  // This function tries to detect what language a text is written in
-  detectLanguage(text) {
-    // If there's no text or it's just spaces, we can't detect the language
-    if (!text || text.trim() === '') return null;
-
-    // First, check if it's a simple greeting by making it lowercase
-    const lowerText = text.trim().toLowerCase();
-
-    // Check if the text matches any of the short greetings in our supported languages
-    for (const [lang, config] of Object.entries(SUPPORTED_LANGUAGES)) {
-      if (config.shortGreetings.includes(lowerText)) {
-        // If it matches a greeting, return that language code
-        return lang;
-      }
+  // This function downloads the list of languages and their texts from the server
+  // It must run before everything else, because all the text of the page comes from it
+  async loadLanguages() {
+    // Ask the server for the languages
+    const response = await fetch('/api/languages');
+    // Stop here if the server could not answer
+    if (!response.ok) {
+      throw new Error(`Could not load the languages (HTTP ${response.status})`);
     }
+    // Read the list of languages from the answer
+    const { languages } = await response.json();
+
+    // Fill the shared objects for each language
+    languages.forEach(language => {
+      // The settings used for speech in this language
+      SUPPORTED_LANGUAGES[language.code] = {
+        name: language.name, // The display name of the language
+        speechLang: language.speechLocale // The code used for speech in this language
+      };
+      // All the texts of the interface in this language
+      texts[language.code] = language.ui;
+    });
 
-    // For longer text, use the franc language detection tool
-    if (text.length >= 12) { // Only try to detect if the text is at least 12 characters
-      try {
-        // Use franc to detect the language
-        const detectedCode = franc(text);
-        // Convert the franc code to our code
-        const detectedLang = LANGUAGE_MAPPING[detectedCode];
-        
-        // Special case: If we're currently in French and franc thinks it's English,
-        // but the text is short, stick with French (to avoid too many false switches)
-        if (currentLanguage === 'fr' && detectedLang === 'en' && text.length < 40) {
-          console.log("Not switching from French to English - text too short");
-          return null;
-        }
+    // Show the languages in the dropdowns
+    this.renderLanguageOptions();
+  },
 
-        // Return the detected language
-        return detectedLang;
-      } catch (error) {
-        // If there's an error with language detection, log it
-        console.error('Language detection error:', error);
+  // This function adds one choice per language to the language dropdowns
+  renderLanguageOptions() {
+    // The native dropdown (PC and iOS)
+    const languageSelect = document.getElementById('languageSelect');
+    // The custom dropdown list (Android)
+    const androidList = document.querySelector('#androidLanguageSelect .android-language-dropdown');
+
+    Object.entries(SUPPORTED_LANGUAGES).forEach(([code, config]) => {
+      if (languageSelect) {
+        // Create an option with the language name and code
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = config.name;
+        languageSelect.appendChild(option);
       }
-    }
+      if (androidList) {
+        // Create a list item with the same information for the Android dropdown
+        const item = document.createElement('li');
+        item.setAttribute('role', 'option');
+        item.dataset.value = code;
+        item.setAttribute('aria-selected', 'false');
+        item.textContent = config.name;
+        androidList.appendChild(item);
+      }
+    });
 
-    // If we couldn't detect the language, return null
-    return null;
+    // The Android dropdown can only be set up once its options exist
+    initAndroidLanguageSelect();
+  },
+
+  // This function gets the right speech language code for the current language
+  getCurrentSpeechLang() {
+    return SUPPORTED_LANGUAGES[currentLanguage].speechLang;
   },
 
   // This function sets up everything language-related when the app starts
   initialize() {
     // Get the saved language from the browser's storage, or use French as default
-    const savedLanguage = localStorage.getItem('selectedLanguage') || 'fr';
+    // (a language that was removed from the server also goes back to French)
+    const storedLanguage = localStorage.getItem('selectedLanguage');
+    const savedLanguage = storedLanguage in SUPPORTED_LANGUAGES ? storedLanguage : 'fr';
     // Set the language to what we found
     this.setLanguage(savedLanguage);
 
@@ -106,9 +102,6 @@ export const LanguageManager = {
     if (!document.querySelector('.welcome-message')) {
       this.appendWelcomeMessage();
     }
-
-    // Set up automatic language detection based on what the user types
-    this.setupLanguageAutoDetection();
   },
 
   // This function changes the current language
@@ -133,49 +126,79 @@ export const LanguageManager = {
     this.setLanguage(newLang);
   },
 
-  // This function sets up automatic language detection based on what the user types
-  setupLanguageAutoDetection() {
-    // Find the input box
-    const userInput = document.getElementById('userInput');
-    // If we can't find it, stop here
-    if (!userInput) return;
-
-    // Create a variable to store a timer
-    let languageDetectionTimeout;
-
-    // When the user types in the input box
-    userInput.addEventListener('input', () => {
-      // Get what the user has typed
-      const text = userInput.value;
-      // Clear any previous detection timer
-      clearTimeout(languageDetectionTimeout);
-
-      // Start a new timer to detect the language after a short delay
-      languageDetectionTimeout = setTimeout(() => {
-        // Try to detect the language
-        const detectedLang = this.detectLanguage(text);
-
-        // If we detected a language and it's different from the current one
-        if (detectedLang && detectedLang !== currentLanguage) {
-          // Update the language dropdown to show the detected language
-          document.getElementById('languageSelect').value = detectedLang;
-          // Change the language to the detected one
-          this.changeLanguage();
-          // Show a notification to the user that the language has changed
-          this.showLanguageChangeNotification(detectedLang);
-        }
-      }, 500); // Wait 500 milliseconds before detecting (to avoid detecting on every keystroke)
+  // This function switches the whole interface to another language, as if the user had picked it
+  selectLanguage(lang) {
+    // Update the language dropdown to show the new language
+    document.getElementById('languageSelect').value = lang;
+    // Update the Android dropdown too, if this device uses it
+    updateAndroidLanguageSelect(lang);
+    // Change the language and update every part of the interface
+    window.changeLanguage();
+  },
+
+  // This function follows the language the server chose for an answer
+  // The server detects the language of each question and answers according to its language policy:
+  // - it may have answered in the language of the question: the interface switches to it
+  // - it may ask whether to switch: a suggestion with a button is shown under the answer
+  // - it may have kept the selected language: a short note explains it
+  applyAnswerLanguage({ language, detectedLanguage, suggestedLanguage }) {
+    // Error answers don't say in which language they are, so there is nothing to do
+    if (!(language in SUPPORTED_LANGUAGES)) return;
+
+    if (suggestedLanguage in SUPPORTED_LANGUAGES) {
+      // Ask the guest, in their own language, if the conversation should continue in it
+      this.showLanguageSuggestion(suggestedLanguage);
+    } else if (language !== currentLanguage) {
+      // The answer is in the language of the question: show the interface in that language too
+      this.selectLanguage(language);
+      // Tell the user that the language has changed
+      this.showLanguageChangeNotification(language);
+    } else if (detectedLanguage in SUPPORTED_LANGUAGES && detectedLanguage !== language) {
+      // The question was in another language but the answer stays in the selected one
+      UtilityManager.showToast(texts[language].responseLanguageNote.replace('{{language}}', SUPPORTED_LANGUAGES[language].name));
+    }
+  },
+
+  // This function shows a suggestion to continue the conversation in another language
+  showLanguageSuggestion(lang) {
+    // Only keep the latest suggestion
+    document.querySelectorAll('.language-suggestion').forEach(el => el.remove());
+
+    // Create the container for the question and the button
+    const suggestion = document.createElement('div');
+    suggestion.className = 'language-suggestion';
+    // Write it in the suggested language, so the guest can read it
+    suggestion.lang = lang;
+
+    // The question, for example "Do you want me to answer in this language?"
+    const question = document.createElement('span');
+    question.textContent = texts[lang].switchLanguageQuestion;
+    suggestion.appendChild(question);
+
+    // The button with the name of the language
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = SUPPORTED_LANGUAGES[lang].name;
+    button.addEventListener('click', () => {
+      // Switch to the language and remove the suggestion, it has been answered
+      this.selectLanguage(lang);
+      suggestion.remove();
     });
+    suggestion.appendChild(button);
+
+    // Add it under the last message and make sure it can be seen
+    document.getElementById('messages').appendChild(suggestion);
+    UtilityManager.scrollToBottom();
   },
 
-  // This function shows a notification when the language has been automatically changed
+  // This function shows a notification when the language has been changed to follow the guest
   showLanguageChangeNotification(lang) {
     // Find the notification element or create it if it doesn't exist
     const notification = document.getElementById('languageChangeNotification') || 
       this.createLanguageChangeNotification();
 
-    // Set the text of the notification to say which language we switched to
-    notification.textContent = `Switched to ${SUPPORTED_LANGUAGES[lang].name}`;
+    // Set the text of the notification to say which language we switched to, in that language
+    notification.textContent = texts[lang].languageSwitched.replace('{{language}}', SUPPORTED_LANGUAGES[lang].name);
     // Make the notification visible
     notification.style.opacity = '1';
 
@@ -248,6 +271,22 @@ const isAndroidDevice = () => {
   return userAgent.includes('android') && !userAgent.includes('iphone') && !userAgent.includes('ipad');
 };
 
+// Show a language as the selected one in the Android custom dropdown
+const updateAndroidLanguageSelect = (lang) => {
+  const androidSelect = document.getElementById('androidLanguageSelect');
+  // Only Android devices show this dropdown
+  if (!androidSelect || !document.body.classList.contains('android-device')) return;
+
+  const selectedText = androidSelect.querySelector('.selected-language');
+  androidSelect.querySelectorAll('li[role="option"]').forEach(option => {
+    const isSelected = option.getAttribute('data-value') === lang;
+    option.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+    if (isSelected) {
+      selectedText.textContent = option.textContent;
+    }
+  });
+};
+
 // Android custom dropdown functionality
 const initAndroidLanguageSelect = () => {
   // Only proceed if we're on Android
@@ -265,7 +304,8 @@ const initAndroidLanguageSelect = () => {
   const options = androidSelect.querySelectorAll('li[role="option"]');
 
   // Set initial selected language
-  const currentLang = localStorage.getItem('selectedLanguage') || 'fr';
+  const storedLang = localStorage.getItem('selectedLanguage');
+  const currentLang = storedLang in SUPPORTED_LANGUAGES ? storedLang : 'fr';
   const currentOption = Array.from(options).find(opt => opt.getAttribute('data-value') === currentLang);
   if (currentOption) {
     selectedText.textContent = currentOption.textContent;
@@ -375,7 +415,4 @@ const initAndroidLanguageSelect = () => {
   });
 };
 
-// Initialize Android dropdown when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-  initAndroidLanguageSelect();
-});
\ No newline at end of file
+// The Android dropdown is set up by LanguageManager.renderLanguageOptions() once the languages are loaded
\ No newline at end of file
@@ -5,22 +5,10 @@ import { currentLanguage, setCurrentLanguage, texts } from './shared.js'; // Get
 // This line writes a message to the developer console to confirm this file has been loaded
 console.log('modal.js module loaded'); // ADDED LOG
 
-// Define tooltip texts for the help button in different languages
-export const helpButtonTooltips = {
-  en: "How to use", // English tooltip
-  fr: "Comment utiliser", // French tooltip
-  es: "Cómo usar" // Spanish tooltip
-};
-
-// Modal title translations for different languages
-export const modalTitles = {
-  en: "About Meit Ai", // English title
-  fr: "À propos de Meit Ai", // French title
-  es: "Acerca de Meit Ai" // Spanish title
-};
-
 // Help modal texts for each language
 // (Large HTML/CSS content here - not adding individual comments as they're mostly HTML/CSS)
+// The tooltip and title of the help window come from texts (helpTooltip, helpTitle); a language
+// without its own help text here shows the English one
 export const helpModalTexts = {
   en: `
   <style>
@@ -722,9 +710,9 @@ export function initModals() {
   // When the help button is clicked, open the help modal
   helpButton.addEventListener('click', () => {
     // Set the help text to the appropriate language
-    helpTextDiv.innerHTML = helpModalTexts[currentLanguage];
+    helpTextDiv.innerHTML = helpModalTexts[currentLanguage] || helpModalTexts.en;
     // Set the modal title to the appropriate language
-    document.getElementById('modalTitle').textContent = modalTitles[currentLanguage];
+    document.getElementById('modalTitle').textContent = texts[currentLanguage].helpTitle;
     // Open the modal
     handleModal('open', helpModal, modalContent);
     // Scroll to the top of the modal
@@ -983,19 +971,19 @@ export function updateModalText() {
   // Update the help modal text if it's open
   const helpTextDiv = document.getElementById('helpText');
   if (helpTextDiv) {
-    helpTextDiv.innerHTML = helpModalTexts[currentLanguage] || '';
+    helpTextDiv.innerHTML = helpModalTexts[currentLanguage] || helpModalTexts.en;
   }
   
   // Update the modal title
   const modalTitle = document.getElementById('modalTitle');
   if (modalTitle) {
-    modalTitle.textContent = modalTitles[currentLanguage] || '';
+    modalTitle.textContent = texts[currentLanguage]?.helpTitle || '';
   }
   
   // Update the help button tooltip
   const helpButton = document.getElementById('helpButton');
   if (helpButton) {
-    helpButton.title = helpButtonTooltips[currentLanguage] || '';
+    helpButton.title = texts[currentLanguage]?.helpTooltip || '';
   }
 }
 
@@ -120,6 +120,10 @@ export const SettingsManager = {
 
   // This function updates all the text in the settings panel to match the current language
   updateSettingsText() {
+    // The texts come from the server: before they arrive there is nothing to show yet
+    // (initApp initializes the settings again once they are loaded)
+    if (!texts[currentLanguage]) return;
+
     // Update the title of the settings modal
     const settingsModalTitle = document.querySelector('#settingsModal .modal-header h2');
     if (settingsModalTitle) {
@@ -2,6 +2,8 @@
 // Bringing in tools and functions from other files that we'll need
 import { scrollToBottom } from './chatinterface.js'; // Getting the function to scroll to the bottom of the chat
 import { UtilityManager } from './utility.js'; // Getting helpful utility functions
+import { sendFeedback } from './apicommunication.js'; // Getting the function that sends the rating of an answer
+import { HandoffManager } from './handoff.js'; // Getting the tools to offer talking to the reception
 // This line writes a message to the developer console to confirm this file has been loaded
 console.log('shared.js loaded'); // ADDED LOG
 
@@ -65,8 +67,157 @@ export function setCurrentLanguage(lang) {
     currentLanguage = lang;
 }
 
+// This function formats bot text for display, adding bold for text between ** and line breaks for \n
+function formatBotText(text) {
+    return text
+        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Make text between ** bold
+        .split('\n')
+        .join('<br>'); // Convert newlines to HTML line breaks
+}
+
+// This function replaces the text of a bot message that is already in the chat
+// It is used to grow the bubble while a streamed answer arrives
+export function updateBotMessageText(msgDiv, text) {
+    // Update the visible text with the same formatting as appendMessage
+    msgDiv.querySelector('.message-content').innerHTML = formatBotText(text);
+    // Keep the data attributes in sync with the new text
+    msgDiv.dataset.textLength = text.length.toString();
+    msgDiv.dataset.text = text;
+}
+
+// This function shows small "source" chips under a bot message
+// Each chip is the title of a hotel topic the answer came from; tapping it opens the original text of that topic
+export function showMessageSources(msgDiv, sources) {
+    // Remove the chips of an earlier call so they are never shown twice
+    msgDiv.querySelector('.message-sources')?.remove();
+    // Nothing to show if the answer did not use the hotel information
+    if (!sources || sources.length === 0) {
+        return;
+    }
+
+    // Create the row that holds the chips
+    const container = document.createElement('div');
+    container.className = 'message-sources';
+    // Describe the row for screen readers, in the language of the message
+    container.setAttribute('aria-label', texts[msgDiv.dataset.language || currentLanguage].sourcesLabel);
+
+    // Create one expandable chip per source
+    sources.forEach(source => {
+        // A <details> element opens and closes by itself when its summary is clicked
+        const chip = document.createElement('details');
+        chip.className = 'source-chip';
+        // The title is always visible
+        const title = document.createElement('summary');
+        title.textContent = source.title;
+        // The original text is only visible once the chip is opened
+        const sourceText = document.createElement('div');
+        sourceText.className = 'source-text';
+        sourceText.textContent = source.text;
+        chip.append(title, sourceText);
+        // Say when the text was translated by a machine and not by the hotel
+        if (source.machineTranslated) {
+            const note = document.createElement('div');
+            note.className = 'source-note';
+            note.textContent = texts[msgDiv.dataset.language || currentLanguage].machineTranslated;
+            chip.appendChild(note);
+        }
+        container.appendChild(chip);
+    });
+
+    // Put the chips at the end of the message text
+    msgDiv.querySelector('.message-content').appendChild(container);
+}
+
+// This function shows the thumbs up and thumbs down buttons under a bot message
+// messageId is the id the server gave to the answer (only saved answers can be rated), feedback the rating already given
+export function showMessageFeedback(msgDiv, messageId, feedback = null) {
+    // Without an id (error messages, welcome message) the answer cannot be rated
+    if (!messageId) {
+        return;
+    }
+    // The server's id replaces the one made up by appendMessage, so the rating finds the answer
+    msgDiv.dataset.messageId = messageId;
+    // Remove the buttons of an earlier call so they are never shown twice
+    msgDiv.querySelector('.message-feedback')?.remove();
+
+    // The texts are in the language of the message
+    const messageTexts = texts[msgDiv.dataset.language || currentLanguage];
+
+    // Create the row that holds the buttons
+    const container = document.createElement('div');
+    container.className = 'message-feedback';
+
+    // This helper creates the thumbs up or thumbs down button
+    const createRatingButton = (rating, icon, label) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'feedback-button';
+        button.dataset.rating = rating;
+        button.textContent = icon;
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        // Show which rating was given, for the style and for screen readers
+        button.setAttribute('aria-pressed', String(feedback?.rating === rating));
+        button.addEventListener('click', () => rate(rating));
+        return button;
+    };
+
+    // This function sends the rating, then offers to add a comment
+    const rate = async (rating) => {
+        const saved = await sendFeedback(messageId, rating);
+        if (!saved) return;
+        container.querySelectorAll('.feedback-button').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.rating === rating));
+        });
+        showCommentForm(rating);
+        // The answer did not help: the reception may be able to
+        if (rating === 'down') {
+            HandoffManager.offer();
+        }
+    };
+
+    // This function shows a small form to explain the rating, which can be ignored
+    const showCommentForm = (rating) => {
+        container.querySelector('.feedback-comment')?.remove();
+        const form = document.createElement('form');
+        form.className = 'feedback-comment';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 1000;
+        input.placeholder = messageTexts.feedbackCommentPlaceholder;
+        input.setAttribute('aria-label', messageTexts.feedbackCommentPlaceholder);
+        const sendButton = document.createElement('button');
+        sendButton.type = 'submit';
+        sendButton.textContent = messageTexts.feedbackSend;
+        form.append(input, sendButton);
+
+        form.addEventListener('submit', async (e) => {
+            // Stop the form from reloading the page
+            e.preventDefault();
+            const comment = input.value.trim();
+            if (comment && !(await sendFeedback(messageId, rating, comment))) return;
+            // Replace the form with a thank you
+            const thanks = document.createElement('span');
+            thanks.className = 'feedback-thanks';
+            thanks.textContent = messageTexts.feedbackThanks;
+            form.replaceWith(thanks);
+        });
+        container.appendChild(form);
+        input.focus();
+    };
+
+    container.append(
+        createRatingButton('up', '👍', messageTexts.feedbackUseful),
+        createRatingButton('down', '👎', messageTexts.feedbackNotUseful)
+    );
+
+    // Put the buttons at the end of the message, after the sources
+    msgDiv.querySelector('.message-content').appendChild(container);
+}
+
 // This function adds a new message to the chat
-export function appendMessage(text, sender, isWelcome = false, shouldScroll = true) {
+// For bot messages, sources is the list of hotel topics the answer came from (shown as chips under the text)
+export function appendMessage(text, sender, isWelcome = false, shouldScroll = true, sources = []) {
     // If we haven't found the messages container yet, try to find it now
     if (!messagesDiv) {
         messagesDiv = document.getElementById('messages');
@@ -94,17 +245,18 @@ export function appendMessage(text, sender, isWelcome = false, shouldScroll = tr
             vocalImg.parentNode.replaceChild(ImageCache.getImage('vocalImg'), vocalImg);
         }
         
-        // Format the text, adding bold for text between ** and line breaks for \n
-        let formattedText = text
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Make text between ** bold
-            .split('\n')
-            .join('<br>'); // Convert newlines to HTML line breaks
-        
         // Set the formatted text as the message content
-        msgDiv.querySelector('span').innerHTML = formattedText;
+        msgDiv.querySelector('span').innerHTML = formatBotText(text);
         
         // Store the text length as a data attribute for decision making about autoplay
         msgDiv.dataset.textLength = text.length.toString();
+        // Store the raw text so the vocal button reads the latest version (answers can grow while streaming)
+        msgDiv.dataset.text = text;
+        // Remember the language of the message so it is read with the right voice, even after the user switches language
+        msgDiv.dataset.language = currentLanguage;
+        
+        // Show where the answer came from
+        showMessageSources(msgDiv, sources);
         
         // Generate a unique ID for this message so we can find it later
         msgDiv.dataset.messageId = 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -129,7 +281,7 @@ export function appendMessage(text, sender, isWelcome = false, shouldScroll = tr
                 console.log('handleVocalButtonPress triggered');
                 try {
                     // For welcome message, always use current language text instead of the original
-                    const textToSpeak = isWelcome ? texts[currentLanguage].welcomeText : text;
+                    const textToSpeak = isWelcome ? texts[currentLanguage].welcomeText : msgDiv.dataset.text;
                     
                     // Get the AudioManager reference in a way that avoids circular dependencies
                     const AM = window.AudioManager || (typeof AudioManager !== 'undefined' ? AudioManager : null);
@@ -248,95 +400,9 @@ export function appendMessage(text, sender, isWelcome = false, shouldScroll = tr
 }
 
 // This object contains all the text in different languages
-export const texts = {
-    en: { // English text
-        questionPlaceholder: "Example: Tell me about...", // Placeholder in the input box
-        thinkingText: "The system is thinking...", // Text shown when the bot is thinking
-        errorText: "Internal error, please try again.", // Error message
-        welcomeText: `Hello! I am Meit Ai, your virtual assistant from Mei Tai Cacao Lodge.🌿✨ 
-<small-break>Ask me a specific question (written, or via the microphone) or ask about one of the following themes: <small-break>
-<p>**• About us and Mei Tai ℹ️**
-**• Important to Know ⚠️**
-**• Check-in / Check-out 🕒**
-**• The Cafeteria 'My Time' ☕**
-**• Our chocolat 🍫**
-**• App to eat dinner 🍖**
-**• Pool 🏊‍♂️**
-**• Internet 🌐**
-**• Payment 💳**
-**• Fauna & Flora 🌿**
-**• Activities Inside Mei Tai   **
-**• Activities Outside Mei Tai 🏞️**
-**• Nearby Restaurants 🍴**<small-break>
-<small><p><em>The information provided by this chatbot is for informational purposes only and does not constitute a contractual commitment.<em>`, // Welcome message
-        disclaimerText: "Meit Ai can make mistakes. Check important information.", // Disclaimer text
-        operaWarning: "⚠️ This browser (Opera) does not support voice recognition. For a complete experience, please use Chrome, Edge or Safari.", // Warning for Opera users
-        settings: "Settings", // Settings title
-        general: "General", // General settings section title
-        alwaysReadOutLoud: "Always read out loud", // Always read out loud setting label
-        autoTranscribeVoice: "Automatically send voice messages", // Auto-transcribe voice setting label
-        alwaysReadOutLoudExplanation: "Automatically read responses from Meit Ai aloud without needing to tap the button.", // Always read explanation
-        autoTranscribeVoiceExplanation: "When you send a voice note, it is automatically transcribed and sent to Meit Ai for a response, without appearing in the typing area." // Auto-transcribe explanation
-    },
-    fr: { // French text (following the same pattern as English)
-        questionPlaceholder: "Exemple: Parlez-moi de...",
-        thinkingText: "Le système réfléchit...",
-        errorText: "Erreur interne, merci de réessayer.",
-        welcomeText: `Bonjour ! Je suis Meit Ai, votre assistante virtuelle de Mei Tai Cacao Lodge.🌿✨
-<small-break>Posez-moi une question spécifique (écrite, ou via le microphone) ou demandez à propos de l'un des thèmes ci-dessous: <small-break>
-<p>**• À propos de nous et Mei Tai  ℹ️**
-**• Important à savoir ⚠️**
-**• Check-in / Check-out 🕒**
-**• La Cafétéria 'My Time' ☕**
-**• Notre chocolat 🍫**
-**• App pour dîner 🍖**
-**• Piscine 🏊‍♂️**
-**• Internet 🌐**
-**• Paiement 💳**
-**• Faune & Flore 🌿**
-**• Activités dans Mei Tai 🥾**
-**• Activités hors de Mei Tai 🏞️**
-**• Restaurants aux alentours 🍴**<small-break>
-<small><p><em>Les informations fournies par ce chatbot sont à titre indicatif et ne constituent pas un engagement contractuel.<em>`,
-        disclaimerText: "Meit Ai peut faire des erreurs. Vérifiez les informations importantes.",
-        operaWarning: "⚠️ Ce navigateur (Opera) ne prend pas en charge la reconnaissance vocale. Pour une expérience complète, veuillez utiliser Chrome, Edge ou Safari.",
-        settings: "Paramètres",
-        general: "Général",
-        alwaysReadOutLoud: "Toujours lire à haute voix",
-        autoTranscribeVoice: "Envoyer automatiquement les messages vocaux",
-        alwaysReadOutLoudExplanation: "Les réponses de Meit Ai sont automatiquement lues à voix haute sans avoir besoin d'appuyer sur le bouton.",
-        autoTranscribeVoiceExplanation: "Lorsque vous envoyez une note vocale, elle est automatiquement transcrite et envoyée à Meit Ai pour une réponse, sans apparaître dans la zone de saisie."
-    },
-    es: { // Spanish text (following the same pattern as English)
-        questionPlaceholder: "Ejemplo: Háblame de...",
-        thinkingText: "El sistema está pensando...",
-        errorText: "Error interno, por favor intente de nuevo.",
-        welcomeText: `¡Hola! Soy Meit Ai, su asistente virtual de Mei Tai Cacao Lodge.🌿✨ 
-<small-break>Hazme una pregunta específica (escrita o mediante el micrófono) o sobre uno de los siguientes temas: <small-break>
-<p>**• Sobre nosotros y Mei Tai ℹ️**
-**• Importante a Saber ⚠️**
-**• Check-in / Check-out 🕒**
-**• La Caféteria 'My Time' ☕**
-**• Nuestro chocolate 🍫**
-**• App para comer la cena 🍖**
-**• Piscina 🏊‍♂️**
-**• Internet 🌐**
-**• Pago 💳**
-**• Fauna y Flora 🌿**
-**• Actividades dentro de Mei Tai 🥾**
-**• Actividades fuera de Mei Tai 🏞️**
-**• Restaurantes cercanos 🍴** <small-break>
-<small><p><em>La información proporcionada por este chatbot es solo informativa y no constituye un compromiso contractual.<em>`,
-        disclaimerText: "Meit Ai puede cometer errores. Verifique la información importante.",
-        operaWarning: "⚠️ Este navegador (Opera) no es compatible con el reconocimiento de voz. Para una experiencia completa, utilice Chrome, Edge o Safari.",
-        settings: "Configuración",
-        general: "General",
-        alwaysReadOutLoud: "Leer siempre en voz alta",
-        autoTranscribeVoice: "Enviar automáticamente los mensajes de voz",
-        alwaysReadOutLoudExplanation: "Las respuestas de Meit Ai se leen automáticamente en voz alta sin necesidad de tocar el botón.",
-        autoTranscribeVoiceExplanation: "Cuando envía una nota de voz, se transcribe automáticamente y se envía a Meit Ai para obtener una respuesta, sin aparecer en el área de escritura."
-    }
-};
+// It is filled by LanguageManager.loadLanguages() with the texts of each language file of the server (src/languages),
+// for example texts.fr.questionPlaceholder is "Exemple: Parlez-moi de..."
+export const texts = {};
 
 // This function updates all the text in the interface when the language changes
 export function updateUIText() {
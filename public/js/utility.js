@@ -80,6 +80,21 @@ export const UtilityManager = {
     return toast;
   },
 
+  // Show the message of a request refused by the server limits (too many requests, recording or text too long)
+  // Returns true when the response was such a refusal, so the caller can stop without showing its own error
+  async showLimitMessage(response) {
+    // Only 429 (too many requests) and 413 (too long) are refusals of the limits
+    if (response.status !== 429 && response.status !== 413) {
+      return false;
+    }
+    // The server sends the message in the language of the widget
+    const data = await response.json().catch(() => ({}));
+    if (data.message) {
+      this.showToast(data.message, 6000);
+    }
+    return true;
+  },
+
   // This function adds an event listener and returns a function to remove it
   // This helps prevent memory leaks by making it easy to clean up event listeners
   addEventListenerWithCleanup(element, event, handler) {
@@ -130,6 +145,91 @@ export const UtilityManager = {
     return notification;
   },
 
+  // This function returns the id of this device's conversation, or an empty text before the first answer
+  // The id is kept in the browser so the conversation can be shown again when the widget is reopened
+  getConversationId() {
+    return localStorage.getItem('meitaiConversationId') || '';
+  },
+
+  // This function keeps the id the server gave to the conversation with its answer
+  // Only the server creates the ids, so nobody can choose the id of another guest's conversation
+  setConversationId(conversationId) {
+    if (conversationId) {
+      localStorage.setItem('meitaiConversationId', conversationId);
+    }
+  },
+
+  // How the next question was asked: 'voice' when it comes from a recording, 'text' when it was typed
+  inputMode: 'text',
+
+  // This function is called by the recording manager when a transcript becomes the next question
+  setInputMode(mode) {
+    this.inputMode = mode;
+  },
+
+  // This function returns how the question being sent was asked, and goes back to 'text' for the next one
+  // The server keeps it with the conversation, so the hotel can see which questions were spoken
+  takeInputMode() {
+    const mode = this.inputMode;
+    this.inputMode = 'text';
+    return mode;
+  },
+
+  // This function returns the guest's name when the page was opened with one (for example index.html?guest=Anna)
+  // The hotel can add it to the link sent with the booking so Meit Ai can greet the guest by name
+  getGuestName() {
+    // Read the name from the address of the page
+    const guestName = new URLSearchParams(window.location.search).get('guest');
+    if (guestName) {
+      // Remember it for the next visits, where the link may not contain it anymore
+      localStorage.setItem('meitaiGuestName', guestName);
+      return guestName;
+    }
+    // Otherwise use the name saved by an earlier visit, if there is one
+    return localStorage.getItem('meitaiGuestName') || undefined;
+  },
+
+  // This function reads Server-Sent Events from a fetch response and calls onEvent for each one
+  // Each event looks like "event: token" followed by "data: {...}" and ends with an empty line
+  async readServerEvents(response, onEvent) {
+    // This helper turns one block of "event:"/"data:" lines into a call to onEvent
+    const dispatch = (block) => {
+      let eventName = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(eventName, JSON.parse(data));
+    };
+
+    // Older browsers can't read the body piece by piece, so handle all the events at once
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      const text = await response.text();
+      text.split('\n\n').forEach(dispatch);
+      return;
+    }
+
+    // Read the body as it arrives and handle every complete event
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by an empty line; keep any unfinished event for the next read
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    }
+
+    // Handle anything left once the stream is closed
+    if (buffer.trim()) dispatch(buffer);
+  },
+
   // This function scrolls the chat to the bottom
   scrollToBottom(instant = false) {
     // Find the scroll anchor element (an element at the bottom of the chat)
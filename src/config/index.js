@@ -0,0 +1,380 @@
+// config/index.js
+// Configuration centrale du serveur : valeurs par défaut, fichier de configuration et variables d'environnement
+//
+// Every setting is listed once in SETTINGS below, with its type, its default and the environment variable that
+// sets it. The values are merged in this order, the last one wins:
+//   1. the defaults of SETTINGS
+//   2. config.json at the root of the project (CONFIG_FILE overrides the path), optional. Settings are grouped by
+//      section with the names of SETTINGS: { "server": { "port": 8080, "corsOrigins": ["https://example.com"] },
+//      "tts": { "speed": 1.1, "voices": { "fr": "nova" } } }
+//   3. the environment variables, including those of the .env file (PORT=8080, TTS_VOICE_FR=nova...)
+// Everything is checked when the configuration is loaded: the server does not start with a wrong value and lists
+// all the problems at once. The choices of each subsystem (LLM_PROVIDER, TTS_ENGINE, PMS_ADAPTER...) are checked
+// by the subsystem when the server creates it at startup.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { LANGUAGE_CODES } from '../languages/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..', '..');
+
+// Réglages du serveur, par section
+// perLanguage settings are read from one variable per language (TTS_VOICE_FR, TTS_VOICE_DE...) and give an object
+// { fr: 'nova', de: ... } with the languages that are set
+export const SETTINGS = [
+  // Serveur web
+  { key: 'server.port', env: 'PORT', type: 'port', default: 3000 },
+  { key: 'server.httpsPort', env: 'HTTPS_PORT', type: 'port', default: 3001 },
+  // Render.com provides HTTPS itself: no local certificates and no redirection
+  { key: 'server.render', env: 'RENDER', type: 'boolean', default: false },
+  // Sites allowed to call the API from a browser, separated by commas
+  { key: 'server.corsOrigins', env: 'CORS_ORIGINS', type: 'origins', default: ['https://finca-meitai.com'] },
+  // Required on Render and with NODE_ENV=production; a fixed development secret is used otherwise
+  { key: 'server.sessionSecret', env: 'SESSION_SECRET', type: 'string', default: null },
+  // Without a password the admin console is disabled
+  { key: 'admin.password', env: 'ADMIN_PASSWORD', type: 'string', default: null },
+
+  // Modèle de langage (voir src/llm)
+  { key: 'openai.apiKey', env: 'OPENAI_API_KEY', type: 'string', default: null },
+  { key: 'llm.provider', env: 'LLM_PROVIDER', type: 'string', default: 'openai' },
+  // Without a model, the default of the provider is used
+  { key: 'llm.model', env: 'LLM_MODEL', type: 'string', default: null },
+  { key: 'llm.maxTokens', env: 'LLM_MAX_TOKENS', type: 'integer', min: 1, default: 450 },
+  { key: 'llm.temperature', env: 'LLM_TEMPERATURE', type: 'number', min: 0, max: 2, default: 1 },
+  // Without a list, all the configured tools are offered; an empty list offers none
+  { key: 'llm.tools', env: 'LLM_TOOLS', type: 'list', keepEmpty: true, default: null },
+  { key: 'azureOpenai.endpoint', env: 'AZURE_OPENAI_ENDPOINT', type: 'url', default: null },
+  { key: 'azureOpenai.apiKey', env: 'AZURE_OPENAI_API_KEY', type: 'string', default: null },
+  { key: 'azureOpenai.deployment', env: 'AZURE_OPENAI_DEPLOYMENT', type: 'string', default: null },
+  { key: 'azureOpenai.apiVersion', env: 'AZURE_OPENAI_API_VERSION', type: 'string', default: '2024-10-21' },
+  { key: 'localLlm.baseUrl', env: 'LOCAL_LLM_BASE_URL', type: 'url', default: 'http://localhost:11434/v1' },
+  { key: 'localLlm.apiKey', env: 'LOCAL_LLM_API_KEY', type: 'string', default: null },
+
+  // Historique de conversation (voir src/llm/history.js)
+  { key: 'history.maxTurns', env: 'HISTORY_MAX_TURNS', type: 'integer', min: 1, default: 10 },
+  { key: 'history.maxTokens', env: 'HISTORY_MAX_TOKENS', type: 'integer', min: 1, default: 2000 },
+  { key: 'history.summaryLanguage', env: 'HISTORY_SUMMARY_LANGUAGE', type: 'language', default: null },
+  { key: 'history.summaryMaxTokens', env: 'HISTORY_SUMMARY_MAX_TOKENS', type: 'integer', min: 1, default: 250 },
+
+  // Langues et prompt
+  { key: 'languages.policy', env: 'LANGUAGE_POLICY', type: 'string', default: 'follow' },
+  { key: 'languages.detectionMinLength', env: 'LANGUAGE_DETECTION_MIN_LENGTH', type: 'integer', min: 1, default: 12 },
+  // Without a version, the latest folder of src/prompts is used
+  { key: 'prompts.version', env: 'PROMPT_VERSION', type: 'string', default: null },
+
+  // Synthèse vocale (voir src/tts)
+  { key: 'tts.engine', env: 'TTS_ENGINE', type: 'string', default: 'openai' },
+  { key: 'tts.engines', env: 'TTS_ENGINE', type: 'string', perLanguage: true },
+  { key: 'tts.voices', env: 'TTS_VOICE', type: 'string', perLanguage: true },
+  { key: 'tts.model', env: 'TTS_MODEL', type: 'string', default: 'gpt-4o-mini-tts' },
+  { key: 'tts.speed', env: 'TTS_SPEED', type: 'number', min: 0.25, max: 4, default: 1 },
+  // Longest text sent in one request to the engine; without it, the limit of the engine is used
+  { key: 'tts.maxChunkLength', env: 'TTS_MAX_CHUNK_LENGTH', type: 'integer', min: 100, default: null },
+
+  // Reconnaissance vocale (voir src/stt)
+  { key: 'stt.engine', env: 'STT_ENGINE', type: 'string', default: 'openai' },
+  { key: 'stt.engines', env: 'STT_ENGINE', type: 'string', perLanguage: true },
+  // Without a model, the default of the engine is used
+  { key: 'stt.model', env: 'STT_MODEL', type: 'string', default: null },
+  { key: 'stt.localBaseUrl', env: 'LOCAL_STT_BASE_URL', type: 'url', default: 'http://localhost:8000/v1' },
+  { key: 'stt.localApiKey', env: 'LOCAL_STT_API_KEY', type: 'string', default: null },
+  { key: 'stt.fixturesPath', env: 'STT_FIXTURES_PATH', type: 'path', default: path.join(ROOT, 'src', 'stt', 'fixtures', 'transcripts.json') },
+  { key: 'azureSpeech.key', env: 'AZURE_SPEECH_KEY', type: 'string', default: null },
+  { key: 'azureSpeech.region', env: 'AZURE_SPEECH_REGION', type: 'string', default: null },
+
+  // Stockage (voir src/store)
+  { key: 'store.type', env: 'SESSION_STORE', type: 'string', default: 'sqlite' },
+  { key: 'store.dbPath', env: 'SESSION_DB_PATH', type: 'path', default: path.join(ROOT, 'data', 'meitai.sqlite') },
+  { key: 'store.conversationTtlDays', env: 'CONVERSATION_TTL_DAYS', type: 'integer', min: 1, default: 30 },
+  { key: 'store.transcriptTtlDays', env: 'TRANSCRIPT_TTL_DAYS', type: 'integer', min: 1, default: 180 },
+
+  // Informations de l'hôtel (voir src/knowledge)
+  { key: 'knowledge.docxPath', env: 'HOTEL_INFO_DOCX', type: 'path', default: path.join(ROOT, 'hotel_info_clean.docx') },
+  { key: 'knowledge.jsonPath', env: 'HOTEL_INFO_JSON', type: 'path', default: path.join(ROOT, 'src', 'hotel-info.json') },
+  // Topics saved from the admin console, kept out of the repository so a redeploy does not lose them
+  { key: 'knowledge.editsPath', env: 'HOTEL_INFO_EDITS', type: 'path', default: path.join(ROOT, 'data', 'hotel-info.edits.json') },
+  { key: 'knowledge.translationsPath', env: 'HOTEL_INFO_TRANSLATIONS', type: 'path', default: path.join(ROOT, 'data', 'hotel-info.translations.json') },
+  { key: 'knowledge.schedulesPath', env: 'HOTEL_SCHEDULES_JSON', type: 'path', default: path.join(ROOT, 'src', 'hotel-schedules.json') },
+  // 0 sends the whole hotel information with every question
+  { key: 'knowledge.retrievalTopK', env: 'RETRIEVAL_TOP_K', type: 'integer', min: 0, default: 6 },
+  // The hotel is in Costa Rica; the hosting platform runs in UTC, so the server's time zone is never used
+  { key: 'knowledge.timezone', env: 'HOTEL_TIMEZONE', type: 'string', default: 'America/Costa_Rica' },
+  { key: 'translation.provider', env: 'TRANSLATION_PROVIDER', type: 'string', default: 'llm' },
+  // Without a list, every language that has no knowledgeFallback
+  { key: 'translation.languages', env: 'TRANSLATION_LANGUAGES', type: 'languages', default: null },
+
+  // Limites des routes payantes (voir src/limits), 0 = no limit on the number of requests
+  { key: 'limits.sessionPerMinute', env: 'RATE_LIMIT_SESSION_PER_MINUTE', type: 'integer', min: 0, default: 20 },
+  // The guests of the hotel wifi share one address
+  { key: 'limits.ipPerMinute', env: 'RATE_LIMIT_IP_PER_MINUTE', type: 'integer', min: 0, default: 60 },
+  // Estimated cost of the paid APIs per day, in the currency of the prices (usage.currency), 0 = no cap
+  { key: 'limits.dailyCost', env: 'DAILY_COST_BUDGET', type: 'number', min: 0, default: 0 },
+  // The only bound on the length of a recording: about 2.5 minutes of the WAV recordings of the widget by default
+  { key: 'limits.maxAudioBytes', env: 'STT_MAX_AUDIO_BYTES', type: 'integer', min: 1000, default: 5000000 },
+  { key: 'limits.maxSpeechLength', env: 'TTS_MAX_TEXT_LENGTH', type: 'integer', min: 100, default: 3000 },
+
+  // Coût estimé des appels aux API (voir src/usage)
+  { key: 'usage.currency', env: 'USAGE_CURRENCY', type: 'string', default: 'USD' },
+  // Prices of the models, added to or replacing the built-in table; JSON text in the environment
+  { key: 'usage.prices', env: 'USAGE_PRICES', type: 'prices', default: {} },
+
+  // Logiciel de gestion de l'hôtel (voir src/pms)
+  { key: 'pms.adapter', env: 'PMS_ADAPTER', type: 'string', default: 'none' },
+  { key: 'pms.roomsCsv', env: 'PMS_ROOMS_CSV', type: 'path', default: null },
+  { key: 'pms.ratesCsv', env: 'PMS_RATES_CSV', type: 'path', default: null }
+];
+
+// Secret des cookies de session hors production, connu de tous : il ne protège rien
+const DEVELOPMENT_SESSION_SECRET = 'default_secret';
+
+// Unités des tarifs d'un modèle : par million de tokens, par minute d'audio ou par million de caractères lus
+const PRICE_UNITS = ['inputPerMillionTokens', 'outputPerMillionTokens', 'perMinute', 'perMillionCharacters'];
+
+// Lit une liste écrite "a, b, c" dans l'environnement ou ["a", "b", "c"] dans le fichier
+function readList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Vérifie une origine web (https://example.com, sans chemin)
+function isOrigin(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === value.replace(/\/$/, '');
+  } catch {
+    return false;
+  }
+}
+
+// Convertit une valeur du fichier ou de l'environnement dans le type du réglage
+// Returns { value } or { error } with what was expected
+function parseValue(setting, raw) {
+  switch (setting.type) {
+    case 'string':
+    case 'path': {
+      if (typeof raw !== 'string') return { error: 'a text' };
+      return { value: setting.type === 'path' ? path.resolve(raw) : raw };
+    }
+
+    case 'integer':
+    case 'number':
+    case 'port': {
+      const number = typeof raw === 'number' ? raw : (/^\s*-?\d+(\.\d+)?\s*$/.test(String(raw)) ? Number(raw) : NaN);
+      const min = setting.type === 'port' ? 1 : setting.min;
+      const max = setting.type === 'port' ? 65535 : setting.max;
+      const range = min !== undefined && max !== undefined ? ` between ${min} and ${max}`
+        : min !== undefined ? ` of at least ${min}` : '';
+      const expected = setting.type === 'number' ? `a number${range}` : `a whole number${range}`;
+      if (Number.isNaN(number) || (setting.type !== 'number' && !Number.isInteger(number))
+        || (min !== undefined && number < min) || (max !== undefined && number > max)) {
+        return { error: expected };
+      }
+      return { value: number };
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) return { value: true };
+      if (['false', '0', 'no'].includes(text)) return { value: false };
+      return { error: 'true or false' };
+    }
+
+    case 'list':
+      return { value: readList(raw) };
+
+    case 'origins': {
+      const origins = readList(raw);
+      const invalid = origins.filter(origin => !isOrigin(origin));
+      return invalid.length > 0 || origins.length === 0
+        ? { error: 'a list of origins such as https://finca-meitai.com (no path)' }
+        : { value: origins.map(origin => origin.replace(/\/$/, '')) };
+    }
+
+    case 'url': {
+      try {
+        const url = new URL(raw);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+        return { value: String(raw) };
+      } catch {
+        return { error: 'an http:// or https:// address' };
+      }
+    }
+
+    case 'language':
+      return LANGUAGE_CODES.includes(raw) ? { value: raw } : { error: `a language code (${LANGUAGE_CODES.join(', ')})` };
+
+    case 'languages': {
+      const languages = readList(raw);
+      return languages.every(lang => LANGUAGE_CODES.includes(lang))
+        ? { value: languages }
+        : { error: `a list of language codes (${LANGUAGE_CODES.join(', ')})` };
+    }
+
+    case 'prices': {
+      // { "gpt-4o-mini": { "inputPerMillionTokens": 0.15, "outputPerMillionTokens": 0.6 }, "whisper-1": { "perMinute": 0.006 } }
+      const expected = `an object of prices per model, such as { "gpt-4o-mini": { "inputPerMillionTokens": 0.15 } } (units: ${PRICE_UNITS.join(', ')})`;
+      let prices = raw;
+      if (typeof raw === 'string') {
+        try {
+          prices = JSON.parse(raw);
+        } catch {
+          return { error: expected };
+        }
+      }
+      const isValid = prices && typeof prices === 'object' && !Array.isArray(prices)
+        && Object.values(prices).every(price => price && typeof price === 'object' && !Array.isArray(price)
+          && Object.entries(price).every(([unit, value]) => PRICE_UNITS.includes(unit) && typeof value === 'number' && value >= 0));
+      return isValid ? { value: prices } : { error: expected };
+    }
+
+    default:
+      throw new Error(`Unknown setting type "${setting.type}" for ${setting.key}`);
+  }
+}
+
+// Lit la valeur d'une clé "section.nom" dans un objet
+function getPath(object, key) {
+  return key.split('.').reduce((value, name) => (value && typeof value === 'object' ? value[name] : undefined), object);
+}
+
+// Écrit la valeur d'une clé "section.nom" dans un objet
+function setPath(object, key, value) {
+  const names = key.split('.');
+  const section = names.slice(0, -1).reduce((current, name) => (current[name] ??= {}), object);
+  section[names.at(-1)] = value;
+}
+
+// Liste les clés du fichier qui ne correspondent à aucun réglage
+function findUnknownKeys(fileSettings) {
+  const known = new Set(SETTINGS.map(setting => setting.key));
+  const unknown = [];
+  for (const [section, values] of Object.entries(fileSettings)) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      unknown.push(section);
+      continue;
+    }
+    for (const name of Object.keys(values)) {
+      if (!known.has(`${section}.${name}`)) unknown.push(`${section}.${name}`);
+    }
+  }
+  return unknown;
+}
+
+// Décrit une valeur reçue dans un message d'erreur
+function showValue(raw) {
+  return typeof raw === 'string' ? `"${raw}"` : JSON.stringify(raw);
+}
+
+// Lit le fichier de configuration
+// Returns { settings, filePath, errors }; a missing config.json is not an error, a missing CONFIG_FILE is
+function readConfigFile(env) {
+  const filePath = path.resolve(env.CONFIG_FILE || path.join(ROOT, 'config.json'));
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !env.CONFIG_FILE) return { settings: {}, filePath: null, errors: [] };
+    return { settings: {}, filePath, errors: [`${filePath} cannot be read: ${err.message}`] };
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch (err) {
+    return { settings: {}, filePath, errors: [`${path.basename(filePath)} is not valid JSON: ${err.message}`] };
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { settings: {}, filePath, errors: [`${path.basename(filePath)} must contain an object of sections`] };
+  }
+  const errors = findUnknownKeys(settings).map(key => `${path.basename(filePath)}: unknown setting "${key}"`);
+  return { settings, filePath, errors };
+}
+
+// Fusionne les valeurs par défaut, le fichier et l'environnement, et vérifie chaque réglage
+// Returns the configuration, frozen; throws an error that lists every wrong value
+export function loadConfig(env = process.env) {
+  const { settings: fileSettings, filePath, errors } = readConfigFile(env);
+  const fileName = filePath ? path.basename(filePath) : null;
+  const config = { configFile: filePath };
+
+  // Applique une valeur reçue, ou note l'erreur en disant d'où elle vient
+  const apply = (setting, raw, where, target, name) => {
+    const { value, error } = parseValue(setting, raw);
+    if (error) {
+      errors.push(`${where} must be ${error}, got ${showValue(raw)}`);
+    } else {
+      target[name] = value;
+    }
+  };
+
+  for (const setting of SETTINGS) {
+    if (setting.perLanguage) {
+      const values = {};
+      const fromFile = getPath(fileSettings, setting.key) ?? {};
+      if (typeof fromFile !== 'object' || Array.isArray(fromFile)) {
+        errors.push(`${fileName}: ${setting.key} must map language codes to values, such as { "fr": "..." }`);
+      }
+      for (const [lang, raw] of Object.entries(typeof fromFile === 'object' ? fromFile : {})) {
+        if (!LANGUAGE_CODES.includes(lang)) {
+          errors.push(`${fileName}: ${setting.key} has an unknown language "${lang}" (${LANGUAGE_CODES.join(', ')})`);
+        } else {
+          apply(setting, raw, `${fileName}: ${setting.key}.${lang}`, values, lang);
+        }
+      }
+      for (const lang of LANGUAGE_CODES) {
+        const name = `${setting.env}_${lang.toUpperCase()}`;
+        if (env[name]) apply(setting, env[name], name, values, lang);
+      }
+      setPath(config, setting.key, values);
+      continue;
+    }
+
+    const values = { value: setting.default };
+    const fromFile = getPath(fileSettings, setting.key);
+    if (fromFile !== undefined && fromFile !== null) {
+      apply(setting, fromFile, `${fileName}: ${setting.key}`, values, 'value');
+    }
+    // An empty variable counts as not set, except for the lists where empty means none
+    const fromEnv = env[setting.env];
+    if (fromEnv !== undefined && (fromEnv !== '' || setting.keepEmpty)) {
+      apply(setting, fromEnv, setting.env, values, 'value');
+    }
+    setPath(config, setting.key, values.value);
+  }
+
+  // Anybody can sign a session cookie with the development secret, and so act as the staff of the admin console
+  if (config.server.sessionSecret === null) {
+    if (config.server.render || env.NODE_ENV === 'production') {
+      errors.push('SESSION_SECRET must be set on Render and when NODE_ENV is production');
+    } else {
+      config.server.sessionSecret = DEVELOPMENT_SESSION_SECRET;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+  }
+  return deepFreeze(config);
+}
+
+// Empêche de modifier la configuration pendant que le serveur tourne
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+// Configuration active, chargée au premier usage avec le fichier .env de la racine
+let activeConfig = null;
+
+export function getConfig() {
+  if (!activeConfig) {
+    dotenv.config({ path: path.join(ROOT, '.env') });
+    activeConfig = loadConfig();
+  }
+  return activeConfig;
+}
@@ -0,0 +1,107 @@
+// feedback/index.js
+// Avis des clients (pouce levé ou baissé) sur les réponses du bot, et satisfaction par sujet et par langue
+//
+// Each answer saved in a conversation gets an id, sent to the widget with the answer. The widget sends the rating
+// with that id and the conversation id: the question and the answer are read from the saved conversation, so a
+// guest can only rate the answers of their own conversation. Texts, comment included, are anonymized like the
+// transcripts.
+import { randomUUID } from 'crypto';
+import { getStore } from '../store/index.js';
+import { anonymizeText } from '../transcripts/anonymize.js';
+
+export const RATINGS = ['up', 'down'];
+
+// Longueur maximale du commentaire d'un client
+const MAX_COMMENT_LENGTH = 1000;
+
+// Nombre de commentaires récents montrés dans le rapport
+const RECENT_COMMENTS = 20;
+
+// Période du rapport par défaut, en jours
+export const DEFAULT_FEEDBACK_DAYS = 30;
+
+// Sujet des réponses qui n'ont cité aucune information de l'hôtel
+export const NO_TOPIC = '';
+
+export function createMessageId() {
+  return randomUUID();
+}
+
+// Enregistre l'avis d'un client sur une réponse de sa conversation
+// A second rating of the same answer (changed mind, comment added) replaces the first one.
+// Returns the saved feedback, or null when the conversation has no answer with this id
+export async function recordMessageFeedback({ conversationId, messageId, rating, comment, guestName }) {
+  const store = getStore();
+  const conversation = await store.conversations.get(conversationId);
+  const index = conversation?.messages.findIndex(message => message.id === messageId && message.role === 'bot') ?? -1;
+  if (index < 0) return null;
+
+  const message = conversation.messages[index];
+  // The question is the message just before the answer (it can be missing once old messages were dropped)
+  const question = conversation.messages[index - 1]?.role === 'user' ? conversation.messages[index - 1].text : '';
+  const previous = message.feedback;
+  const now = Date.now();
+
+  const feedback = {
+    messageId,
+    transcriptId: conversation.transcriptId || null,
+    rating,
+    // Changing the rating without a new comment keeps the one already written
+    comment: typeof comment === 'string' ? anonymizeText(comment.trim().slice(0, MAX_COMMENT_LENGTH), { guestName }) : previous?.comment || '',
+    question: anonymizeText(question, { guestName }),
+    answer: anonymizeText(message.text, { guestName }),
+    language: message.language,
+    topics: (message.sources || []).map(source => source.topic),
+    promptVersion: message.promptVersion,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now
+  };
+  await store.feedback.save(feedback);
+
+  // The conversation remembers the rating, so the widget shows it again when the conversation is resumed
+  message.feedback = { rating, comment: feedback.comment, createdAt: feedback.createdAt };
+  await store.conversations.save(conversationId, conversation);
+  return feedback;
+}
+
+// Ajoute un avis aux compteurs d'une ligne du rapport
+function countRating(counts, rating) {
+  counts[rating] += 1;
+  counts.total += 1;
+  counts.satisfaction = Math.round((counts.up / counts.total) * 100);
+}
+
+// Satisfaction sur les derniers jours : au total, par langue, et par sujet et langue (les plus critiqués d'abord)
+// An answer based on several topics counts for each of them; answers without sources are grouped under NO_TOPIC
+export async function buildFeedbackReport({ days = DEFAULT_FEEDBACK_DAYS, now = Date.now() } = {}) {
+  const since = now - days * 24 * 60 * 60 * 1000;
+  const entries = await getStore().feedback.list({ since });
+
+  const newCounts = () => ({ up: 0, down: 0, total: 0, satisfaction: 0 });
+  const overall = newCounts();
+  const languages = {};
+  const rows = new Map();
+
+  for (const entry of entries) {
+    countRating(overall, entry.rating);
+    countRating(languages[entry.language] || (languages[entry.language] = newCounts()), entry.rating);
+    for (const topic of entry.topics.length > 0 ? entry.topics : [NO_TOPIC]) {
+      const key = `${topic}\n${entry.language}`;
+      if (!rows.has(key)) rows.set(key, { topic, language: entry.language, ...newCounts() });
+      countRating(rows.get(key), entry.rating);
+    }
+  }
+
+  return {
+    days,
+    since,
+    overall,
+    languages,
+    topics: [...rows.values()].sort((a, b) => b.down - a.down || a.satisfaction - b.satisfaction || b.total - a.total),
+    // The latest comments, to understand the ratings
+    comments: entries
+      .filter(entry => entry.comment)
+      .slice(0, RECENT_COMMENTS)
+      .map(({ rating, comment, question, answer, language, topics, updatedAt, transcriptId }) => ({ rating, comment, question, answer, language, topics, updatedAt, transcriptId }))
+  };
+}
@@ -0,0 +1,185 @@
+// handoff/index.js
+// Passage de la conversation à l'accueil : le client demande à parler à une personne, l'équipe répond en direct
+//
+// A handoff is "waiting" until a staff member joins it, then "active"; it is "closed" when the staff hands the
+// conversation back to Meit Ai (or the guest gives up waiting). While it is open, the questions of the guest go to
+// the staff instead of the model. Both sides follow it live with Server-Sent Events: the staff inbox receives every
+// change of every handoff, the widget only the messages and changes of its own conversation.
+// The staff never sees the id of the conversation (the key the widget of the guest holds): a handoff is known to the
+// admin console by its own id, and links to the anonymized transcript.
+// The live events only reach the clients connected to this server process.
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { getStore } from '../store/index.js';
+
+export const HANDOFF_STATUSES = ['waiting', 'active', 'closed'];
+
+// Longueur maximale d'un message et des coordonnées laissées par le client
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_CONTACT_LENGTH = 200;
+
+// Nombre de messages de la conversation montrés à l'équipe pour comprendre la demande
+const CONTEXT_MESSAGES = 20;
+
+// Nombre maximal de messages gardés par demande
+const MAX_HANDOFF_MESSAGES = 400;
+
+// Nombre maximal de messages gardés pour réafficher une conversation (comme dans routes/apiRoutes.js)
+const MAX_STORED_MESSAGES = 200;
+
+// Nombre maximal de widgets qui suivent une demande en direct, en tout et pour une même conversation
+const MAX_GUEST_SUBSCRIBERS = 200;
+const MAX_SUBSCRIBERS_PER_CONVERSATION = 3;
+
+const events = new EventEmitter();
+// One listener per open widget (capped above) and per staff inbox
+events.setMaxListeners(MAX_GUEST_SUBSCRIBERS);
+
+// Nombre de widgets qui suivent une demande en ce moment
+let guestConnections = 0;
+
+// Nombre de pages de l'accueil ouvertes en ce moment
+let staffConnections = 0;
+
+// Indique si quelqu'un de l'accueil suit les demandes en ce moment
+export function isStaffOnline() {
+  return staffConnections > 0;
+}
+
+// Demande telle que l'accueil la voit : tout sauf l'id de la conversation
+export function toStaffHandoff({ conversationId, ...handoff }) {
+  return handoff;
+}
+
+// Résumé d'une demande pour la liste de l'accueil (sans les messages)
+export function summarizeHandoff(handoff) {
+  const { messages, context, ...summary } = toStaffHandoff(handoff);
+  const lastMessage = messages.at(-1);
+  return { ...summary, messageCount: messages.length, lastMessage: lastMessage ? lastMessage.text.slice(0, 200) : '' };
+}
+
+// Enregistre la demande et prévient l'accueil et le widget du client
+async function saveAndPublish(handoff, guestEvent) {
+  handoff.updatedAt = Date.now();
+  await getStore().handoffs.save(handoff);
+  events.emit('staff', toStaffHandoff(handoff));
+  if (guestEvent) events.emit(`guest:${handoff.conversationId}`, guestEvent.name, guestEvent.data);
+  return handoff;
+}
+
+// Ajoute un message de la demande à la conversation, pour qu'il soit réaffiché quand le widget est rouvert
+async function appendToConversation(conversationId, message) {
+  const conversations = getStore().conversations;
+  const conversation = await conversations.get(conversationId) || { messages: [], turns: [], memory: '' };
+  conversation.messages = [...(conversation.messages || []), message].slice(-MAX_STORED_MESSAGES);
+  conversation.updatedAt = new Date().toISOString();
+  await conversations.save(conversationId, conversation);
+}
+
+// Demande ouverte (en attente ou en cours) d'une conversation, ou null
+export async function getOpenHandoff(conversationId) {
+  return getStore().handoffs.findOpen(conversationId);
+}
+
+// Crée la demande d'un client, ou renvoie celle qui est déjà ouverte
+// contact is what the guest left so the reception can get back to them (room number, phone, e-mail), or ''
+export async function requestHandoff({ conversationId, contact, language, guestName }) {
+  const open = await getOpenHandoff(conversationId);
+  if (open) return open;
+
+  const conversation = await getStore().conversations.get(conversationId);
+  const now = Date.now();
+  const handoff = {
+    id: randomUUID(),
+    conversationId,
+    transcriptId: conversation?.transcriptId || null,
+    status: 'waiting',
+    contact: typeof contact === 'string' ? contact.trim().slice(0, MAX_CONTACT_LENGTH) : '',
+    guestName: guestName || '',
+    language,
+    requestedAt: now,
+    joinedAt: null,
+    closedAt: null,
+    closedBy: null,
+    // The end of the conversation with Meit Ai, so the staff knows what the guest needs
+    context: (conversation?.messages || [])
+      .filter(message => message.role === 'user' || message.role === 'bot')
+      .slice(-CONTEXT_MESSAGES)
+      .map(({ role, text }) => ({ role, text })),
+    messages: []
+  };
+  console.log(`[Handoff] New request (${language}${handoff.contact ? ', with a contact' : ''})`);
+  return saveAndPublish(handoff, { name: 'status', data: { status: 'waiting' } });
+}
+
+// Message écrit par le client pendant la demande
+export async function addGuestMessage(conversationId, text) {
+  const handoff = await getOpenHandoff(conversationId);
+  if (!handoff) return null;
+
+  const message = { role: 'guest', text: text.trim().slice(0, MAX_MESSAGE_LENGTH), at: Date.now() };
+  handoff.messages = [...handoff.messages, message].slice(-MAX_HANDOFF_MESSAGES);
+  await appendToConversation(conversationId, { role: 'user', text: message.text, language: handoff.language });
+  return saveAndPublish(handoff);
+}
+
+// Un membre de l'accueil prend la demande en charge
+export async function joinHandoff(id) {
+  const handoff = await getStore().handoffs.get(id);
+  if (!handoff || handoff.status === 'closed') return null;
+  if (handoff.status === 'active') return handoff;
+
+  handoff.status = 'active';
+  handoff.joinedAt = Date.now();
+  return saveAndPublish(handoff, { name: 'status', data: { status: 'active' } });
+}
+
+// Réponse de l'accueil, envoyée en direct dans le chat du client
+// Answering a waiting request also takes it in charge
+export async function addStaffMessage(id, text) {
+  const handoff = await joinHandoff(id);
+  if (!handoff) return null;
+
+  const message = { role: 'staff', text: text.trim().slice(0, MAX_MESSAGE_LENGTH), at: Date.now() };
+  handoff.messages = [...handoff.messages, message].slice(-MAX_HANDOFF_MESSAGES);
+  await appendToConversation(handoff.conversationId, { role: 'staff', text: message.text, language: handoff.language });
+  return saveAndPublish(handoff, { name: 'message', data: message });
+}
+
+// Termine la demande : Meit Ai répond de nouveau aux questions du client
+// closedBy is "staff" (handed back by the reception) or "guest" (the guest stopped waiting)
+export async function closeHandoff(handoff, closedBy) {
+  if (!handoff || handoff.status === 'closed') return handoff;
+
+  handoff.status = 'closed';
+  handoff.closedAt = Date.now();
+  handoff.closedBy = closedBy;
+  console.log(`[Handoff] Request closed by the ${closedBy}`);
+  return saveAndPublish(handoff, { name: 'status', data: { status: 'closed', closedBy } });
+}
+
+// Écoute les messages et changements d'une conversation (widget du client)
+// Returns the function that stops listening, or null when too many widgets already follow a request
+export function subscribeToConversation(conversationId, listener) {
+  const eventName = `guest:${conversationId}`;
+  if (guestConnections >= MAX_GUEST_SUBSCRIBERS || events.listenerCount(eventName) >= MAX_SUBSCRIBERS_PER_CONVERSATION) {
+    return null;
+  }
+  guestConnections += 1;
+  events.on(eventName, listener);
+  return () => {
+    guestConnections -= 1;
+    events.off(eventName, listener);
+  };
+}
+
+// Écoute les changements de toutes les demandes (page de l'accueil)
+// Returns the function that stops listening
+export function subscribeToHandoffs(listener) {
+  staffConnections += 1;
+  events.on('staff', listener);
+  return () => {
+    staffConnections -= 1;
+    events.off('staff', listener);
+  };
+}
@@ -0,0 +1,77 @@
+// knowledge/citations.js
+// Références aux sujets de l'hôtel utilisés par le modèle dans sa réponse
+//
+// Each section of the prompt is labelled with its topic key ("[piscine] PISCINE:") and the model is asked
+// to end its answer with a line such as "SOURCES: [piscine], [internet]". That line is removed from the
+// answer shown to the guest and turned into the list of topics.
+// From prompt v3 the model cites "[?]" when the information asked for is not in the hotel information.
+
+export const SOURCES_MARKER = 'SOURCES:';
+
+// Identifiant cité par le modèle quand l'information demandée manque (ce n'est jamais une clé de sujet)
+export const MISSING_INFORMATION_TOPIC = '?';
+
+// Ligne SOURCES, du marqueur à la fin de sa ligne
+// The model can write several of them, one per round of tool calls: each one is removed, wherever it is, and the
+// text after it is kept, by extractCitations() and by the streaming filter alike
+const SOURCES_LINE = new RegExp(`${SOURCES_MARKER}[^\n]*`, 'g');
+
+// Sépare les lignes SOURCES de la réponse et renvoie les sujets cités qui existent
+// missing is true when the model said the information is not in the hotel information
+export function extractCitations(text, knownTopics) {
+  const lines = text.match(SOURCES_LINE) || [];
+  const cited = [];
+  for (const line of lines) {
+    const content = line.slice(SOURCES_MARKER.length);
+    const bracketed = [...content.matchAll(/\[([^\]]+)\]/g)].map(match => match[1].trim());
+    // Some models forget the brackets, so also accept a plain comma separated list
+    cited.push(...(bracketed.length > 0 ? bracketed : content.split(',').map(part => part.trim())));
+  }
+  const topics = [...new Set(cited.filter(topic => knownTopics.has(topic)))];
+
+  return { answer: text.replace(SOURCES_LINE, '').trim(), topics, missing: cited.includes(MISSING_INFORMATION_TOPIC) };
+}
+
+// Filtre pour le streaming : laisse passer le texte de la réponse mais retient les lignes SOURCES
+// push(delta) returns the text that can be shown now; a SOURCES line is held back until its end, and the end of the
+// text while it could still be the start of the marker
+export function createCitationFilter() {
+  let raw = '';
+  let emitted = 0;
+
+  return {
+    push(delta) {
+      raw += delta;
+
+      let visible = '';
+      while (emitted < raw.length) {
+        const marker = raw.indexOf(SOURCES_MARKER, emitted);
+        if (marker === -1) {
+          let visibleEnd = raw.length;
+          for (let length = Math.min(SOURCES_MARKER.length - 1, raw.length - emitted); length > 0; length--) {
+            if (SOURCES_MARKER.startsWith(raw.slice(-length))) {
+              visibleEnd = raw.length - length;
+              break;
+            }
+          }
+          visible += raw.slice(emitted, visibleEnd);
+          emitted = visibleEnd;
+          break;
+        }
+
+        visible += raw.slice(emitted, marker);
+        emitted = marker;
+        // The rest of the line is not there yet: wait for it
+        const lineEnd = raw.indexOf('\n', marker);
+        if (lineEnd === -1) break;
+        emitted = lineEnd;
+      }
+      return visible;
+    },
+
+    // Texte complet reçu du modèle, lignes SOURCES comprises
+    get text() {
+      return raw;
+    }
+  };
+}
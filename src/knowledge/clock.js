@@ -0,0 +1,73 @@
+// knowledge/clock.js
+// Date et heure locales de l'hôtel, quel que soit le fuseau horaire du serveur
+//
+// HOTEL_TIMEZONE (knowledge.timezone in the configuration) is the IANA time zone of the property, America/Costa_Rica
+// by default. The prompt ("today", "now"), the opening hours and the dates checked by the tools all use
+// this clock, so a server hosted in another country answers with the time of the hotel.
+
+import { getConfig } from '../config/index.js';
+
+// Jours de la semaine, dans l'ordre de Date.getUTCDay()
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Vérifie un fuseau horaire IANA
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Fuseau horaire de l'hôtel, choisi au premier usage (après le chargement du fichier .env)
+let hotelTimezone = null;
+
+export function getHotelTimezone(config = getConfig()) {
+  if (!hotelTimezone) {
+    const timeZone = config.knowledge.timezone;
+    if (!isValidTimezone(timeZone)) {
+      throw new Error(`Unknown HOTEL_TIMEZONE "${timeZone}". Use an IANA time zone such as America/Costa_Rica`);
+    }
+    hotelTimezone = timeZone;
+  }
+  return hotelTimezone;
+}
+
+// Date et heure de l'hôtel à un instant donné
+// Returns { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 'mon'... }
+export function getHotelClock(now = new Date(), timeZone = getHotelTimezone()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(({ type, value }) => [type, value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase()
+  };
+}
+
+// Jour qui suit ou précède une date AAAA-MM-JJ
+export function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+// Date du jour de l'hôtel écrite dans une langue ("mardi 14 octobre 2025")
+export function formatHotelDate(locale, now = new Date()) {
+  return now.toLocaleDateString(locale, { timeZone: getHotelTimezone(), weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Heure de l'hôtel écrite dans une langue ("14:05", "2:05 PM")
+export function formatHotelTime(locale, now = new Date()) {
+  return now.toLocaleTimeString(locale, { timeZone: getHotelTimezone(), hour: 'numeric', minute: '2-digit' });
+}
@@ -0,0 +1,64 @@
+// knowledge/diff.js
+// Différences entre deux versions des sujets de l'hôtel, pour les montrer avant d'enregistrer
+//
+// Texts are compared line by line (the bullet points of a topic are lines), which is what the staff
+// edit in the admin console.
+
+// Compare deux textes ligne par ligne
+// Returns [{ type: 'same' | 'added' | 'removed', text }] in the order of the texts
+export function diffLines(before = '', after = '') {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // Longest common subsequence, computed from the end so the walk below goes forward
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+}
+
+// Compare deux versions des sujets { sujet: { fr, en, es, ... } }
+// Returns { topics, summary }: topics lists only the topics that differ, with the line differences of
+// each language that changed, and summary counts the added, changed and removed topics
+export function diffTopics(before = {}, after = {}) {
+  const topics = [];
+
+  for (const topic of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const status = !(topic in before) ? 'added' : !(topic in after) ? 'removed' : 'changed';
+    const languages = {};
+    for (const lang of new Set([...Object.keys(before[topic] || {}), ...Object.keys(after[topic] || {})])) {
+      const oldText = before[topic]?.[lang] || '';
+      const newText = after[topic]?.[lang] || '';
+      if (oldText !== newText) {
+        languages[lang] = diffLines(oldText, newText);
+      }
+    }
+    if (Object.keys(languages).length > 0 || status !== 'changed') {
+      topics.push({ topic, status, languages });
+    }
+  }
+
+  const count = status => topics.filter(topic => topic.status === status).length;
+  return { topics, summary: { added: count('added'), changed: count('changed'), removed: count('removed') } };
+}
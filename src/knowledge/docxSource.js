@@ -0,0 +1,130 @@
+// knowledge/docxSource.js
+// Conversion du document hotel_info_clean.docx en sujets multilingues
+//
+// Each heading (Titre 1 / Titre 2) of the document starts a topic. The text under the heading is French;
+// a paragraph containing only a language code in brackets ([EN], [DE], [FR]...) switches the language of the
+// paragraphs that follow, so translations can be written in the document right below the French text.
+// A heading used twice ("6. PISCINE" and "10.B. PISCINE") makes one topic: the texts of the second one are added
+// to the first, so the key of the heading keeps its translations instead of a new topic existing only in French.
+import mammoth from 'mammoth';
+import { DEFAULT_LANGUAGE, LANGUAGE_CODES } from '../languages/index.js';
+
+const LANGUAGE_MARKER = new RegExp(`^\\[(${LANGUAGE_CODES.join('|')})\\]$`, 'i');
+
+// Puces utilisées pour chaque niveau de liste, comme dans hotel-info.json
+const BULLETS = ['•\t', 'o\t', '▪\t'];
+
+// Décode les entités HTML produites par mammoth
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Transforme un titre en clé de sujet : "4.G. FRIGO À BOISSONS" -> "frigo_à_boissons"
+export function topicKeyFromHeading(heading) {
+  return heading
+    .replace(/^\d+(\.[A-Z])?\.?\s*/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+// Numéro de section d'un titre ou d'un texte : "4.G. FRIGO..." -> "4.G"
+export function sectionNumberOf(text) {
+  const match = /^(\d+(?:\.[A-Z])?)\.?\s/.exec(text.trim());
+  return match ? match[1] : null;
+}
+
+// Lit le document et renvoie la liste des sujets dans l'ordre du document
+// Each topic is { key, section, sections, heading, fr, en, es, ... } with one text per language of the registry,
+// empty when the document has no section in that language; sections lists the section numbers of all the headings
+// merged into the topic, section is the first one
+export async function readDocxTopics(docxPath) {
+  const { value: html } = await mammoth.convertToHtml({ path: docxPath });
+
+  const topics = [];
+  let topic = null;
+  let language = DEFAULT_LANGUAGE;
+  let lines = null;
+  let line = null;
+  let listDepth = 0;
+
+  // Termine la ligne en cours et la range dans la langue courante du sujet
+  const endLine = () => {
+    if (line === null) return;
+    const text = line.text.replace(/\s+/g, ' ').trim();
+    const bullet = line.depth > 0 ? BULLETS[Math.min(line.depth, BULLETS.length) - 1] : '';
+    line = null;
+    if (!topic || !text) return;
+
+    const marker = LANGUAGE_MARKER.exec(text);
+    if (marker) {
+      language = marker[1].toLowerCase();
+      return;
+    }
+    lines[language].push(bullet + text);
+  };
+
+  // Range le sujet en cours dans la liste
+  const endTopic = () => {
+    if (!topic) return;
+    for (const lang of LANGUAGE_CODES) {
+      topic[lang] = lines[lang].join('\n');
+    }
+    topic[DEFAULT_LANGUAGE] = topic[DEFAULT_LANGUAGE] ? `${topic.heading}\n${topic[DEFAULT_LANGUAGE]}` : topic.heading;
+
+    const previous = topic.key ? topics.find(other => other.key === topic.key) : null;
+    if (previous) {
+      for (const lang of LANGUAGE_CODES) {
+        previous[lang] = [previous[lang], topic[lang]].filter(Boolean).join('\n');
+      }
+      if (topic.section) previous.sections.push(topic.section);
+    } else {
+      topics.push(topic);
+    }
+    topic = null;
+  };
+
+  // Parcourt les balises et le texte du HTML produit par mammoth
+  for (const [, closing, tag, text] of html.matchAll(/<(\/?)(\w+)[^>]*>|([^<]+)/g)) {
+    if (text !== undefined) {
+      if (line) line.text += decodeEntities(text);
+      continue;
+    }
+
+    if (tag === 'h1' || tag === 'h2' || tag === 'h3') {
+      if (!closing) {
+        endLine();
+        endTopic();
+        line = { text: '', depth: 0 };
+      } else if (line) {
+        // The heading text becomes a new topic, French by default
+        const heading = line.text.replace(/\s+/g, ' ').trim();
+        line = null;
+        const section = sectionNumberOf(heading);
+        topic = { key: topicKeyFromHeading(heading), section, sections: section ? [section] : [], heading };
+        lines = Object.fromEntries(LANGUAGE_CODES.map(lang => [lang, []]));
+        language = DEFAULT_LANGUAGE;
+      }
+    } else if (tag === 'ul' || tag === 'ol') {
+      endLine();
+      listDepth += closing ? -1 : 1;
+    } else if (tag === 'li' || tag === 'p') {
+      endLine();
+      if (!closing) {
+        line = { text: '', depth: tag === 'li' ? listDepth : 0 };
+      }
+    } else if (tag === 'br' && line) {
+      line.text += ' ';
+    }
+  }
+  endLine();
+  endTopic();
+
+  return topics;
+}
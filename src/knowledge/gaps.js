@@ -0,0 +1,176 @@
+// knowledge/gaps.js
+// Questions restées sans réponse faute d'information, regroupées pour savoir quels sujets ajouter
+//
+// An answer is unanswered when the model cites "[?]" on its SOURCES line (prompt v3 and later) or, with
+// older prompts, when it cites no topic and contains one of the unansweredPhrases of its language.
+// The questions are kept anonymized in the store. The report groups similar questions (same important
+// words, rare words counting more than common ones) and ranks the groups by number of questions.
+// A question is unanswered because its subject is not in the hotel information, so the words the hotel information
+// already uses ("chambre", "heure"...) count less when grouping.
+import { getStore } from '../store/index.js';
+import { getLanguage } from '../languages/index.js';
+import { anonymizeText } from '../transcripts/anonymize.js';
+import { tokenize } from './retrieval.js';
+
+// Ressemblance minimale (0 à 1) entre une question et un groupe pour l'y ajouter
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Poids d'un mot déjà présent dans les informations de l'hôtel
+const KNOWN_TERM_WEIGHT = 0.5;
+
+// Nombre d'exemples de questions gardés par groupe
+const EXAMPLES_PER_CLUSTER = 3;
+
+// Période du rapport par défaut, en jours
+export const DEFAULT_REPORT_DAYS = 30;
+
+// Texte comparable aux phrases des fichiers de langue (minuscules, apostrophes droites)
+function normalizePhrase(text) {
+  return text.toLowerCase().replace(/[’`]/g, "'");
+}
+
+// Indique si la réponse dit que l'information n'est pas dans les informations de l'hôtel
+export function isUnansweredAnswer({ answer, sources, missing, language }) {
+  if (missing) return true;
+  if (sources.length > 0) return false;
+  const text = normalizePhrase(answer);
+  return getLanguage(language).unansweredPhrases.some(phrase => text.includes(normalizePhrase(phrase)));
+}
+
+// Garde une question sans réponse pour le rapport
+// sections are the hotel sections chosen for the question: the closest topics, shown as a hint in the report
+export async function recordKnowledgeGap({ question, language, sections, guestName }) {
+  await getStore().gaps.add({
+    askedAt: Date.now(),
+    language,
+    question: anonymizeText(question, { guestName }).slice(0, 500),
+    topics: [...new Set(sections.map(section => section.split('#')[0]))].slice(0, 3)
+  });
+}
+
+// Regroupe les questions qui parlent de la même chose
+// Each group keeps its core words (those of at least half of its questions); a question joins the group whose
+// core words are the most similar to its own, weighted so that words found in many questions count less
+// knowledgeIndex (knowledge/retrieval.js) tells which words the hotel information already uses
+export function clusterQuestions(gaps, { knowledgeIndex = null } = {}) {
+  const questions = gaps
+    .map(gap => ({ gap, terms: new Set(tokenize(gap.question)) }))
+    .filter(question => question.terms.size > 0);
+
+  const documentFrequency = new Map();
+  for (const { terms } of questions) {
+    for (const term of terms) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }
+  const weight = term => Math.log(1 + questions.length / (documentFrequency.get(term) || 1))
+    * (knowledgeIndex?.hasTerm(term) ? KNOWN_TERM_WEIGHT : 1);
+  const totalWeight = terms => [...terms].reduce((sum, term) => sum + weight(term), 0);
+
+  // Ressemblance pondérée entre deux ensembles de mots (1 = tous les mots du plus petit sont dans l'autre)
+  // Guests' questions are short: comparing with the smaller set keeps "Où est l'héliport ?" close to
+  // "Avez-vous un héliport pour mon hélicoptère ?"
+  const similarity = (a, b) => {
+    let shared = 0;
+    for (const term of a) {
+      if (b.has(term)) shared += weight(term);
+    }
+    const smaller = Math.min(totalWeight(a), totalWeight(b));
+    return smaller > 0 ? shared / smaller : 0;
+  };
+
+  const clusters = [];
+  // Oldest first, so each group starts from the first way the question was asked
+  for (const question of questions.sort((a, b) => a.gap.askedAt - b.gap.askedAt)) {
+    let best = null;
+    let bestScore = 0;
+    for (const cluster of clusters) {
+      const score = similarity(question.terms, cluster.core);
+      if (score > bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+
+    if (!best || bestScore < SIMILARITY_THRESHOLD) {
+      best = { gaps: [], termCounts: new Map(), core: new Set() };
+      clusters.push(best);
+    }
+    best.gaps.push(question.gap);
+    for (const term of question.terms) best.termCounts.set(term, (best.termCounts.get(term) || 0) + 1);
+    best.core = new Set([...best.termCounts].filter(([, count]) => count * 2 >= best.gaps.length).map(([term]) => term));
+  }
+
+  return clusters.map(cluster => ({
+    gaps: cluster.gaps,
+    // The words that describe the group best: frequent in the group, rare elsewhere
+    terms: [...cluster.termCounts]
+      .sort((a, b) => b[1] * weight(b[0]) - a[1] * weight(a[0]))
+      .slice(0, 4)
+      .map(([term]) => term)
+  }));
+}
+
+// Compte les valeurs d'une liste, les plus fréquentes d'abord
+function countValues(values) {
+  const counts = {};
+  for (const value of values) counts[value] = (counts[value] || 0) + 1;
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+}
+
+// Rapport des sujets manquants sur les derniers jours, les groupes les plus demandés d'abord
+export async function buildGapReport({ days = DEFAULT_REPORT_DAYS, now = Date.now(), knowledgeIndex = null } = {}) {
+  const since = now - days * 24 * 60 * 60 * 1000;
+  const lastWeek = now - 7 * 24 * 60 * 60 * 1000;
+  const gaps = await getStore().gaps.list({ since });
+
+  const clusters = clusterQuestions(gaps, { knowledgeIndex })
+    .map(({ gaps: clusterGaps, terms }) => {
+      const newestFirst = [...clusterGaps].sort((a, b) => b.askedAt - a.askedAt);
+      // Distinct wordings only, the same question asked twice is one example
+      const examples = [...new Map(newestFirst.map(gap => [gap.question.toLowerCase(), gap])).values()]
+        .slice(0, EXAMPLES_PER_CLUSTER)
+        .map(({ question, language, askedAt }) => ({ question, language, askedAt }));
+
+      return {
+        terms,
+        count: clusterGaps.length,
+        lastWeek: clusterGaps.filter(gap => gap.askedAt >= lastWeek).length,
+        languages: countValues(clusterGaps.map(gap => gap.language)),
+        firstAskedAt: newestFirst.at(-1).askedAt,
+        lastAskedAt: newestFirst[0].askedAt,
+        examples,
+        // The existing topics the retrieval found closest: often the one to complete
+        nearestTopics: Object.keys(countValues(clusterGaps.flatMap(gap => gap.topics))).slice(0, 3)
+      };
+    })
+    .sort((a, b) => b.count - a.count || b.lastAskedAt - a.lastAskedAt)
+    .map((cluster, index) => ({ rank: index + 1, ...cluster }));
+
+  return { days, since, total: gaps.length, clusters };
+}
+
+// Échappe une valeur pour le CSV
+// A question starting with "=", "+", "-" or "@" would be run as a formula by the spreadsheet, so it is prefixed
+function csvValue(value) {
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value ?? '');
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rapport au format CSV, séparé par des points-virgules et précédé d'un BOM pour qu'Excel en français l'ouvre tel quel
+export function formatGapReportCsv(report) {
+  const date = time => new Date(time).toISOString().slice(0, 10);
+  const rows = [
+    ['rang', 'mots_cles', 'questions', 'sept_derniers_jours', 'langues', 'premiere_question', 'derniere_question', 'exemples', 'sujets_proches'],
+    ...report.clusters.map(cluster => [
+      cluster.rank,
+      cluster.terms.join(' '),
+      cluster.count,
+      cluster.lastWeek,
+      Object.entries(cluster.languages).map(([lang, count]) => `${lang}:${count}`).join(' '),
+      date(cluster.firstAskedAt),
+      date(cluster.lastAskedAt),
+      cluster.examples.map(example => example.question).join(' | '),
+      cluster.nearestTopics.join(' ')
+    ])
+  ];
+  return '\uFEFF' + rows.map(row => row.map(csvValue).join(';')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,296 @@
+// knowledge/index.js
+// Base de connaissances de l'hôtel : construite à partir de hotel_info_clean.docx et de hotel-info.json
+//
+// The DOCX is the source of the content. hotel-info.json keeps the translations: for every topic of the
+// document that has no section in another language, the translation of the same section number is taken
+// from the JSON. Without the DOCX, the JSON alone is used. HOTEL_INFO_DOCX and HOTEL_INFO_JSON override the paths.
+// The admin console saves the whole knowledge base into data/hotel-info.edits.json (HOTEL_INFO_EDITS), outside the
+// files of the repository, so a redeploy keeps it. The edits are used instead of the document until the content of
+// the DOCX changes: the file keeps a fingerprint of the document it was saved over, so a fresh checkout (same
+// content, new modification time) does not replace them.
+// The languages are those of the registry (src/languages); a topic without a translation uses the text of
+// the language's knowledgeFallback.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { watch } from 'chokidar';
+import { getConfig } from '../config/index.js';
+import { readDocxTopics, sectionNumberOf, topicKeyFromHeading } from './docxSource.js';
+import { getSchedulesPath } from './schedules.js';
+import { DEFAULT_LANGUAGE, LANGUAGE_CODES, LANGUAGES, getKnowledgeLanguages } from '../languages/index.js';
+
+export const KNOWLEDGE_LANGUAGES = LANGUAGE_CODES;
+
+// Langues traduites à partir du texte de la langue par défaut
+const TRANSLATED_LANGUAGES = KNOWLEDGE_LANGUAGES.filter(lang => lang !== DEFAULT_LANGUAGE);
+
+// Texte d'un sujet dans une langue, ou dans la langue de remplacement quand il n'est pas traduit
+// Returns { text, language } where language is the one the text is actually written in
+export function getTopicText(translations, lang) {
+  for (const candidate of getKnowledgeLanguages(lang)) {
+    const text = translations?.[candidate];
+    if (typeof text === 'string' && text.trim() !== '') {
+      return { text, language: candidate };
+    }
+  }
+  return { text: '', language: lang };
+}
+
+// Emplacement des fichiers sources
+export function getKnowledgePaths(config = getConfig()) {
+  return {
+    docxPath: config.knowledge.docxPath,
+    jsonPath: config.knowledge.jsonPath,
+    editsPath: config.knowledge.editsPath
+  };
+}
+
+// Vérifie que le fichier existe
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Vérifie la structure { sujet: { fr, en, es, ... } } et renvoie les erreurs et avertissements trouvés
+// Errors make the knowledge base unusable, warnings only mean some answers will be less complete
+export function validateKnowledgeBase(data) {
+  const errors = [];
+  const warnings = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('The knowledge base must be an object of topics');
+    return { errors, warnings };
+  }
+
+  const topics = Object.entries(data);
+  if (topics.length === 0) {
+    errors.push('The knowledge base contains no topics');
+  }
+
+  const sections = new Map();
+  const missing = Object.fromEntries(TRANSLATED_LANGUAGES.map(lang => [lang, []]));
+  for (const [topic, translations] of topics) {
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+      errors.push(`Topic "${topic}" must be an object with one text per language`);
+      continue;
+    }
+
+    for (const [lang, text] of Object.entries(translations)) {
+      if (!KNOWLEDGE_LANGUAGES.includes(lang)) {
+        warnings.push(`Topic "${topic}" has an unknown language "${lang}", it is ignored`);
+      } else if (typeof text !== 'string') {
+        errors.push(`Topic "${topic}" has a ${lang} text that is not a string`);
+      }
+    }
+
+    if (typeof translations[DEFAULT_LANGUAGE] !== 'string' || translations[DEFAULT_LANGUAGE].trim() === '') {
+      errors.push(`Topic "${topic}" has no ${LANGUAGES[DEFAULT_LANGUAGE].englishName} text`);
+    }
+    for (const lang of TRANSLATED_LANGUAGES) {
+      if (typeof translations[lang] !== 'string' || translations[lang].trim() === '') {
+        missing[lang].push(topic);
+      }
+    }
+
+    const section = typeof translations[DEFAULT_LANGUAGE] === 'string' ? sectionNumberOf(translations[DEFAULT_LANGUAGE]) : null;
+    if (section && sections.has(section)) {
+      warnings.push(`Topics "${sections.get(section)}" and "${topic}" both use section number ${section}`);
+    } else if (section) {
+      sections.set(section, topic);
+    }
+  }
+
+  // One line per language rather than one per topic
+  for (const [lang, topicsWithout] of Object.entries(missing)) {
+    if (topicsWithout.length === 0) continue;
+    const fallback = LANGUAGES[lang].knowledgeFallback;
+    if (fallback && topicsWithout.length === topics.length) {
+      // A language added without translations yet: one short line is enough
+      warnings.push(`No topic has a ${lang} translation, the ${fallback} texts are used`);
+    } else {
+      const replacement = fallback ? `, the ${fallback} text is used` : '';
+      warnings.push(`${topicsWithout.length} topic(s) have no ${lang} translation${replacement}: ${topicsWithout.join(', ')}`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// Lit hotel-info.json
+async function readJsonTopics(jsonPath) {
+  return JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+}
+
+// Empreinte du contenu du document, qui ne change pas quand le fichier est seulement recopié
+async function fingerprintFile(filePath) {
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+// Lit les sujets enregistrés par la console : { savedAt, docxFingerprint, topics }
+async function readEdits(editsPath) {
+  const edits = JSON.parse(await fs.readFile(editsPath, 'utf-8'));
+  if (!edits || typeof edits !== 'object' || !edits.topics) {
+    throw new Error('the file has no "topics"');
+  }
+  return edits;
+}
+
+// Fusionne les sujets du document avec les traductions du JSON, en les associant par numéro de section
+export function mergeTranslations(docxTopics, jsonData = {}) {
+  // Existing topics by section number, so keys and translations survive heading edits
+  const jsonBySection = new Map();
+  for (const [key, translations] of Object.entries(jsonData)) {
+    const text = translations?.[DEFAULT_LANGUAGE];
+    const section = typeof text === 'string' ? sectionNumberOf(text) : null;
+    if (section && !jsonBySection.has(section)) {
+      jsonBySection.set(section, { key, translations });
+    }
+  }
+
+  // The JSON topic of a document topic, found by any of its section numbers (a heading used twice has two)
+  const existingTopics = docxTopics.map(topic => (topic.sections || [topic.section]).map(section => jsonBySection.get(section)).find(Boolean));
+
+  // Keys already known keep their name first, new topics get the key of their heading
+  const keys = existingTopics.map(existing => existing?.key || null);
+  const usedKeys = new Set(keys.filter(Boolean));
+  docxTopics.forEach((topic, i) => {
+    if (keys[i]) return;
+    let key = topic.key || topicKeyFromHeading(topic.heading) || 'topic';
+    if (usedKeys.has(key)) {
+      key = `${key}_${(topic.section || String(i + 1)).replace(/\W+/g, '_').toLowerCase()}`;
+    }
+    usedKeys.add(key);
+    keys[i] = key;
+  });
+
+  const data = {};
+  let reused = 0;
+  docxTopics.forEach((topic, i) => {
+    const existing = existingTopics[i]?.translations || {};
+    const entry = { [DEFAULT_LANGUAGE]: topic[DEFAULT_LANGUAGE] };
+    for (const lang of TRANSLATED_LANGUAGES) {
+      if (topic[lang]) {
+        entry[lang] = topic[lang];
+      } else if (existing[lang]) {
+        entry[lang] = existing[lang];
+        reused++;
+      }
+    }
+    data[keys[i]] = entry;
+  });
+
+  return { data, reused };
+}
+
+// Construit la base de connaissances à partir des fichiers sources
+// Returns { data, source, errors, warnings } and never throws: problems are reported in errors
+export async function loadKnowledgeBase(config = getConfig()) {
+  const { docxPath, jsonPath, editsPath } = getKnowledgePaths(config);
+  const errors = [];
+  const warnings = [];
+
+  let jsonData = null;
+  if (await fileExists(jsonPath)) {
+    try {
+      jsonData = await readJsonTopics(jsonPath);
+    } catch (err) {
+      errors.push(`Cannot read ${path.basename(jsonPath)}: ${err.message}`);
+    }
+  }
+
+  let edits = null;
+  if (await fileExists(editsPath)) {
+    try {
+      edits = await readEdits(editsPath);
+    } catch (err) {
+      errors.push(`Cannot read ${path.basename(editsPath)}: ${err.message}`);
+    }
+  }
+
+  const docxExists = await fileExists(docxPath);
+  if (edits) {
+    // The document has not changed since the console saved its edits: they hold its content and the changes
+    const docxFingerprint = docxExists ? await fingerprintFile(docxPath).catch(() => null) : null;
+    if (!docxExists || edits.docxFingerprint === docxFingerprint) {
+      const report = validateKnowledgeBase(edits.topics);
+      if (report.errors.length === 0) {
+        return { data: edits.topics, source: `${path.basename(editsPath)} (saved from the admin console)`, errors, warnings: [...warnings, ...report.warnings] };
+      }
+      errors.push(...report.errors.map(message => `${path.basename(editsPath)}: ${message}`));
+    } else {
+      warnings.push(`${path.basename(docxPath)} changed since the last save from the admin console, its content replaces the edits`);
+    }
+  }
+
+  if (docxExists) {
+    try {
+      const docxTopics = await readDocxTopics(docxPath);
+      // The edits of the console hold the most recent translations
+      const translationSource = edits?.topics || jsonData || {};
+      const { data, reused } = mergeTranslations(docxTopics, translationSource);
+      const report = validateKnowledgeBase(data);
+      if (report.errors.length === 0) {
+        return {
+          data,
+          source: `${path.basename(docxPath)} (${docxTopics.length} topics, ${reused} translations from ${path.basename(edits ? editsPath : jsonPath)})`,
+          errors,
+          warnings: [...warnings, ...report.warnings]
+        };
+      }
+      errors.push(...report.errors.map(message => `${path.basename(docxPath)}: ${message}`));
+    } catch (err) {
+      errors.push(`Cannot read ${path.basename(docxPath)}: ${err.message}`);
+    }
+  }
+
+  // Fall back to the JSON alone when the document is missing or invalid
+  if (jsonData) {
+    const report = validateKnowledgeBase(jsonData);
+    if (report.errors.length === 0) {
+      return { data: jsonData, source: path.basename(jsonPath), errors, warnings: [...warnings, ...report.warnings] };
+    }
+    errors.push(...report.errors.map(message => `${path.basename(jsonPath)}: ${message}`));
+  } else if (errors.length === 0) {
+    errors.push(`Neither ${docxPath} nor ${jsonPath} exists`);
+  }
+
+  return { data: null, source: null, errors, warnings };
+}
+
+// Enregistre les sujets modifiés dans la console, avec l'empreinte du document qu'ils remplacent
+// The file is written next to the edits then renamed, so a reload never reads a half-written file.
+// Returns the modification time of the saved file
+export async function saveKnowledgeBase(data, config = getConfig()) {
+  const { docxPath, editsPath } = getKnowledgePaths(config);
+  const docxFingerprint = await fileExists(docxPath) ? await fingerprintFile(docxPath) : null;
+  const tempPath = `${editsPath}.tmp`;
+  await fs.mkdir(path.dirname(editsPath), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify({ savedAt: Date.now(), docxFingerprint, topics: data }, null, 2) + '\n', 'utf-8');
+  await fs.rename(tempPath, editsPath);
+  return (await fs.stat(editsPath)).mtimeMs;
+}
+
+// Surveille les fichiers sources (et le fichier des horaires) et appelle onChange après chaque modification
+// Word and editors write files in several steps, so changes are only reported once the file is stable
+export function watchKnowledgeBase(onChange, config = getConfig()) {
+  const { docxPath, jsonPath, editsPath } = getKnowledgePaths(config);
+  const watcher = watch([docxPath, jsonPath, editsPath, getSchedulesPath(config)], {
+    ignoreInitial: true,
+    awaitWriteFinish: { stabilityThreshold: 500, pollInterval: 100 }
+  });
+
+  let timer = null;
+  const schedule = (filePath) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => onChange(filePath), 200);
+  };
+
+  watcher.on('add', schedule);
+  watcher.on('change', schedule);
+  watcher.on('error', err => console.error('[Knowledge] Watcher error:', err));
+  return watcher;
+}
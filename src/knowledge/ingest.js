@@ -0,0 +1,37 @@
+// knowledge/ingest.js
+// Convertit hotel_info_clean.docx en hotel-info.json (npm run ingest)
+//
+// The translations already present in hotel-info.json are kept for the sections of the document that
+// have no [EN] or [ES] part. Nothing is written when the result does not pass validation.
+import fs from 'fs/promises';
+import path from 'path';
+import { readDocxTopics } from './docxSource.js';
+import { getKnowledgePaths, mergeTranslations, validateKnowledgeBase } from './index.js';
+
+const { docxPath, jsonPath } = getKnowledgePaths();
+
+try {
+  let jsonData = {};
+  try {
+    jsonData = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const docxTopics = await readDocxTopics(docxPath);
+  const { data, reused } = mergeTranslations(docxTopics, jsonData);
+  const { errors, warnings } = validateKnowledgeBase(data);
+
+  warnings.forEach(message => console.warn(`Warning: ${message}`));
+  if (errors.length > 0) {
+    errors.forEach(message => console.error(`Error: ${message}`));
+    console.error(`${path.basename(jsonPath)} was not written.`);
+    process.exit(1);
+  }
+
+  await fs.writeFile(jsonPath, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+  console.log(`${docxTopics.length} topics written to ${jsonPath} (${reused} translations kept).`);
+} catch (err) {
+  console.error('Ingestion failed:', err);
+  process.exit(1);
+}
@@ -0,0 +1,143 @@
+// knowledge/retrieval.js
+// Index BM25 des sujets de l'hôtel, pour n'envoyer au modèle que les sections utiles à la question
+//
+// Every topic is cut into sections of a few bullet points, one index per language. Section ids are
+// "<topic>#<n>" so the answer can be traced back to the topic of hotel-info.json it came from.
+// A topic without a translation is indexed with the text of the language's knowledgeFallback.
+import { KNOWLEDGE_LANGUAGES, getTopicText } from './index.js';
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Taille maximale d'une section, en caractères
+const SECTION_LENGTH = 800;
+
+// The heading words describe the whole topic, so they count more than the words of the text
+const HEADING_WEIGHT = 3;
+
+// Mots trop fréquents pour aider à choisir une section
+const STOP_WORDS = new Set([
+  // fr
+  'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'd', 'l', 'et', 'ou', 'a', 'au', 'aux', 'en', 'est', 'sont',
+  'je', 'tu', 'il', 'elle', 'on', 'nous', 'vous', 'ils', 'elles', 'ce', 'ces', 'cet', 'cette', 'que', 'qui', 'quoi',
+  'quel', 'quelle', 'quels', 'quelles', 'pour', 'par', 'sur', 'dans', 'avec', 'pas', 'ne', 'se', 'sa', 'son', 'ses',
+  'y', 'ai', 'as', 'avez', 'peut', 'peux', 'pouvez', 'comment', 'mon', 'ma', 'mes', 'votre', 'vos',
+  // en
+  'the', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'is', 'are', 'be', 'it', 'i', 'you', 'we', 'they',
+  'what', 'which', 'who', 'how', 'can', 'do', 'does', 'there', 'this', 'that', 'with', 'my', 'your', 'our', 'any',
+  // es
+  'el', 'los', 'las', 'una', 'unos', 'unas', 'y', 'o', 'del', 'al', 'es', 'son', 'que', 'como', 'para', 'por',
+  'con', 'se', 'su', 'sus', 'hay', 'puedo', 'puede', 'mi', 'tu', 'yo', 'usted', 'cual', 'donde', 'cuando',
+  // de
+  'der', 'die', 'das', 'den', 'dem', 'ein', 'eine', 'einen', 'und', 'oder', 'ist', 'sind', 'ich', 'sie', 'wir',
+  'wie', 'was', 'wo', 'wann', 'gibt', 'kann', 'konnen', 'mit', 'fur', 'im', 'zu', 'von', 'mein', 'ihr', 'bitte',
+  // it
+  'lo', 'gli', 'di', 'da', 'che', 'come', 'dove', 'quando', 'sono', 'per', 'posso', 'mio', 'vostro',
+  // pt
+  'um', 'uma', 'os', 'dos', 'no', 'na', 'em', 'onde', 'voces', 'meu'
+]);
+
+// Découpe un texte en mots normalisés (minuscules, sans accents, pluriel simple retiré)
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+}
+
+// Sépare le titre numéroté ("4.G. FRIGO À BOISSONS") du contenu d'un sujet
+function splitHeading(text) {
+  const match = /^\d+(\.[A-Z])?\.?\s+.*?\n/.exec(text);
+  return match ? { heading: match[0].trim(), content: text.slice(match[0].length) } : { heading: '', content: text };
+}
+
+// Découpe le contenu d'un sujet en sections, en coupant entre les lignes
+function splitIntoSections(content) {
+  const sections = [];
+  let current = '';
+
+  for (const line of content.split('\n')) {
+    // A sub-bullet stays with the bullet it belongs to
+    const startsBlock = !/^(o|▪)\t/.test(line);
+    if (current && startsBlock && current.length + line.length + 1 > SECTION_LENGTH) {
+      sections.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+  if (current.trim()) sections.push(current);
+
+  return sections;
+}
+
+// Construit un index par langue à partir des sujets { sujet: { fr, en, es, ... } }
+export function createKnowledgeIndex(data) {
+  const indexes = {};
+
+  for (const [topic, translations] of Object.entries(data)) {
+    for (const lang of KNOWLEDGE_LANGUAGES) {
+      const { text } = getTopicText(translations, lang);
+      if (text.trim() === '') continue;
+
+      const index = indexes[lang] || (indexes[lang] = { sections: [], documentFrequency: new Map(), totalLength: 0 });
+      const { heading, content } = splitHeading(text);
+      const headingTerms = tokenize(`${topic.replace(/_/g, ' ')} ${heading}`);
+
+      splitIntoSections(content).forEach((sectionText, i) => {
+        const terms = [...tokenize(sectionText)];
+        for (let repeat = 0; repeat < HEADING_WEIGHT; repeat++) terms.push(...headingTerms);
+
+        const termFrequency = new Map();
+        for (const term of terms) termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+        for (const term of termFrequency.keys()) {
+          index.documentFrequency.set(term, (index.documentFrequency.get(term) || 0) + 1);
+        }
+
+        index.sections.push({ id: `${topic}#${i + 1}`, topic, text: sectionText, termFrequency, length: terms.length });
+        index.totalLength += terms.length;
+      });
+    }
+  }
+
+  return {
+    // Nombre de sections indexées pour une langue
+    size(lang) {
+      return indexes[lang]?.sections.length || 0;
+    },
+
+    // Indique si un mot (déjà passé par tokenize) apparaît dans les informations de l'hôtel, dans une langue au moins
+    hasTerm(term) {
+      return Object.values(indexes).some(index => index.documentFrequency.has(term));
+    },
+
+    // Renvoie les sections les plus pertinentes pour la question, dans l'ordre du score
+    search(lang, query, topK) {
+      const index = indexes[lang];
+      if (!index || index.sections.length === 0) return [];
+
+      const queryTerms = [...new Set(tokenize(query))];
+      const count = index.sections.length;
+      const averageLength = index.totalLength / count;
+
+      return index.sections
+        .map(section => {
+          let score = 0;
+          for (const term of queryTerms) {
+            const frequency = section.termFrequency.get(term);
+            if (!frequency) continue;
+            const documentFrequency = index.documentFrequency.get(term);
+            const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * section.length / averageLength));
+          }
+          return { id: section.id, topic: section.topic, text: section.text, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    }
+  };
+}
@@ -0,0 +1,162 @@
+// knowledge/schedules.js
+// Horaires d'ouverture structurés (petit déjeuner, piscine, réception...), avec leurs saisons et jours de fermeture
+//
+// hotel-schedules.json (HOTEL_SCHEDULES_JSON or knowledge.schedulesPath in the configuration overrides the path)
+// lists the schedules:
+//   { "schedules": [{
+//       "key": "breakfast",
+//       "topic": "petit_déjeuner_à_my_time",          the topic of the hotel information it belongs to (optional)
+//       "name": { "fr": "Petit déjeuner", "en": "Breakfast" },
+//       "hours": { "daily": ["07:30-09:00"], "sun": [] },
+//       "seasons": [{ "from": "12-15", "to": "01-15", "hours": { "daily": ["07:00-10:00"] } }],
+//       "closedDates": ["2026-12-25"]
+//   }] }
+// hours gives the opening times of each day ("mon" to "sun", or "daily" for the days not listed; an empty list means
+// closed). A season replaces the hours every year between two days (MM-DD, included; it can span the new year) and
+// closedDates are the exceptional closing days. Times are those of the hotel (see clock.js) and end before midnight
+// ("24:00" at the latest).
+// For each question the prompt gets the hours of today and tomorrow and whether each place is open right now, so
+// the model does not have to work them out from the text of the topics. The file is optional.
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfig } from '../config/index.js';
+import { DEFAULT_LANGUAGE, getKnowledgeLanguages, getLanguage } from '../languages/index.js';
+import { parseDay } from '../tools/stay.js';
+import { WEEKDAYS, addDays, getHotelClock } from './clock.js';
+
+const HOURS_KEYS = ['daily', ...WEEKDAYS];
+const RANGE_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]|24):([0-5]\d)$/;
+const MONTH_DAY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// Emplacement du fichier des horaires
+export function getSchedulesPath(config = getConfig()) {
+  return config.knowledge.schedulesPath;
+}
+
+// Vérifie les horaires d'un jour ou d'une saison
+function validateHours(hours, where, errors) {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    errors.push(`${where}: "hours" must map days ("daily", "mon"... "sun") to lists of opening times`);
+    return;
+  }
+  for (const [day, ranges] of Object.entries(hours)) {
+    if (!HOURS_KEYS.includes(day)) {
+      errors.push(`${where}: unknown day "${day}" (use ${HOURS_KEYS.join(', ')})`);
+    } else if (!Array.isArray(ranges)) {
+      errors.push(`${where}: the hours of "${day}" must be a list such as ["07:30-09:00"]`);
+    } else {
+      for (const range of ranges) {
+        const match = RANGE_PATTERN.exec(range);
+        if (!match || `${match[1]}:${match[2]}` >= `${match[3]}:${match[4]}`) {
+          errors.push(`${where}: "${range}" is not an opening time such as "07:30-09:00" ending the same day`);
+        }
+      }
+    }
+  }
+}
+
+// Vérifie la structure du fichier et renvoie les erreurs trouvées
+export function validateSchedules(data) {
+  const errors = [];
+  if (!data || !Array.isArray(data.schedules)) {
+    return ['the file must contain a "schedules" list'];
+  }
+
+  const keys = new Set();
+  data.schedules.forEach((schedule, i) => {
+    const where = `schedule ${schedule?.key || i + 1}`;
+    if (typeof schedule?.key !== 'string' || schedule.key.trim() === '') {
+      errors.push(`schedule ${i + 1}: "key" is missing`);
+    } else if (keys.has(schedule.key)) {
+      errors.push(`${where}: the key is used twice`);
+    } else {
+      keys.add(schedule.key);
+    }
+    if (typeof schedule?.name?.[DEFAULT_LANGUAGE] !== 'string') {
+      errors.push(`${where}: "name" needs at least the ${DEFAULT_LANGUAGE} name`);
+    }
+    validateHours(schedule?.hours, where, errors);
+
+    for (const season of schedule?.seasons || []) {
+      if (!MONTH_DAY_PATTERN.test(season.from) || !MONTH_DAY_PATTERN.test(season.to)) {
+        errors.push(`${where}: seasons need "from" and "to" days in the MM-DD format`);
+      }
+      validateHours(season.hours, `${where} (season ${season.from} - ${season.to})`, errors);
+    }
+    const closedDates = schedule?.closedDates ?? [];
+    if (!Array.isArray(closedDates)) {
+      errors.push(`${where}: "closedDates" must be a list of days such as ["2026-12-25"]`);
+    } else {
+      for (const date of closedDates) {
+        if (!parseDay(date)) {
+          errors.push(`${where}: closed date ${JSON.stringify(date)} is not a day in the YYYY-MM-DD format`);
+        }
+      }
+    }
+  });
+  return errors;
+}
+
+// Lit le fichier des horaires
+// Returns { schedules, errors }; a missing file is not an error, there are just no structured hours
+export async function loadSchedules(config = getConfig()) {
+  const filePath = getSchedulesPath(config);
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { schedules: [], errors: [] };
+    throw err;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { schedules: null, errors: [`${path.basename(filePath)} is not valid JSON: ${err.message}`] };
+  }
+  const errors = validateSchedules(data).map(message => `${path.basename(filePath)}: ${message}`);
+  return { schedules: errors.length > 0 ? null : data.schedules, errors };
+}
+
+// Indique si un jour (MM-JJ) est dans une saison, qui peut passer le nouvel an
+function isInSeason({ from, to }, monthDay) {
+  return from <= to ? monthDay >= from && monthDay <= to : monthDay >= from || monthDay <= to;
+}
+
+// Heures d'ouverture d'un lieu pour une date AAAA-MM-JJ (liste vide quand il est fermé)
+export function getHoursForDate(schedule, date) {
+  if ((schedule.closedDates || []).includes(date)) return [];
+
+  const season = (schedule.seasons || []).find(item => isInSeason(item, date.slice(5)));
+  const hours = season ? season.hours : schedule.hours;
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  return hours[weekday] ?? hours.daily ?? [];
+}
+
+// Décrit l'état du lieu à l'heure donnée : ouvert jusqu'à..., fermé mais ouvre à..., ou fermé
+function describeNow(ranges, time, labels) {
+  const open = ranges.find(range => range.slice(0, 5) <= time && time < range.slice(6));
+  if (open) return labels.scheduleOpenNow.replace('{time}', open.slice(6));
+  const next = ranges.find(range => range.slice(0, 5) > time);
+  return next ? labels.scheduleOpensLater.replace('{time}', next.slice(0, 5)) : labels.scheduleClosedNow;
+}
+
+// Horaires d'aujourd'hui et de demain pour le prompt, dans la langue de la conversation, une ligne par lieu
+// The topic key in brackets lets the model cite the topic on its SOURCES line
+export function describeSchedules(schedules, lang, now = new Date()) {
+  const labels = getLanguage(lang).prompt;
+  const { date, time } = getHotelClock(now);
+  const tomorrow = addDays(date, 1);
+  const formatRanges = ranges => (ranges.length > 0 ? ranges.join(', ') : labels.scheduleClosed);
+
+  return schedules.map(schedule => {
+    const nameLanguage = getKnowledgeLanguages(lang).find(code => schedule.name[code]) || DEFAULT_LANGUAGE;
+    const today = getHoursForDate(schedule, date);
+    return [
+      `- ${schedule.topic ? `[${schedule.topic}] ` : ''}${schedule.name[nameLanguage]}: ${labels.scheduleToday} ${formatRanges(today)}`,
+      `${labels.scheduleTomorrow} ${formatRanges(getHoursForDate(schedule, tomorrow))}`,
+      describeNow(today, time, labels)
+    ].join('; ');
+  }).join('\n');
+}
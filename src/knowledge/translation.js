@@ -0,0 +1,259 @@
+// knowledge/translation.js
+// Traduction automatique des sujets sans traduction, ou dont la traduction ne correspond plus au texte français
+//
+// TRANSLATION_PROVIDER chooses how the missing translations are filled:
+//   llm  - the chat provider of LLM_PROVIDER, with a translation instruction (default)
+//   stub - copies the text behind a "[xx]" prefix, offline and deterministic, for checks
+//   none - no machine translation: the text of the language's knowledgeFallback is used
+// TRANSLATION_LANGUAGES lists the languages to fill (default: the languages without a knowledgeFallback,
+// whose translations are expected in the sources).
+//
+// HOTEL_INFO_TRANSLATIONS is the translation memory (default data/hotel-info.translations.json, next to the
+// SQLite file). For every topic and language it keeps a fingerprint of the French text the translation was
+// made from: a translation becomes stale when the French text changes and the translation does not. Machine
+// translations are kept there too, so a text is only sent to the provider once.
+// At startup only the memory is used; the texts still to translate are sent to the provider once the server
+// listens (see translateHotelInfo in routes/apiRoutes.js), so a cold start neither waits for nor pays them.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfig } from '../config/index.js';
+import { getChatProvider } from '../llm/index.js';
+import { estimateTokens } from '../llm/history.js';
+import { DEFAULT_LANGUAGE, LANGUAGE_CODES, LANGUAGES, getKnowledgeLanguages } from '../languages/index.js';
+import { getPrices, recordUsage } from '../usage/index.js';
+
+export const SUPPORTED_TRANSLATION_PROVIDERS = ['llm', 'stub', 'none'];
+
+// État d'un sujet dans une langue, et sa lettre dans le tableau de couverture
+export const COVERAGE_SYMBOLS = {
+  human: 'H', // written by the hotel, up to date
+  stale: 'S', // written by the hotel, but the French text changed since
+  machine: 'M', // machine translation
+  fallback: 'F', // not translated, the knowledgeFallback text is used
+  missing: '-' // not available at all
+};
+
+// Empreinte courte d'un texte, pour savoir s'il a changé
+export function fingerprint(text) {
+  return crypto.createHash('sha256').update(text.trim()).digest('hex').slice(0, 16);
+}
+
+// Crée le fournisseur de traduction demandé
+// Returns null for "none". Providers with cacheable: false are not saved in the translation memory
+export function createTranslationProvider(providerName = getConfig().translation.provider, config = getConfig()) {
+  switch (providerName) {
+    case 'llm': {
+      const chatProvider = getChatProvider(config);
+      const prices = getPrices(config);
+      return {
+        name: `llm:${chatProvider.name}`,
+        // The mock chat provider does not translate, its answers must not end up in the memory
+        cacheable: chatProvider.name !== 'mock',
+
+        async translate({ text, from, to }) {
+          const instructions = `Translate the following hotel information from ${LANGUAGES[from].englishName} to ${LANGUAGES[to].englishName}. `
+            + 'Keep the numbered heading, the bullet characters, the line breaks, names, prices, times and links unchanged. '
+            + 'Answer with the translation only.';
+          const { content, usage } = await chatProvider.complete({
+            messages: [
+              { role: 'system', content: instructions },
+              { role: 'user', content: text }
+            ],
+            // A translation is about as long as the text, with room for longer languages
+            maxTokens: estimateTokens(text) * 2 + 100,
+            temperature: 0
+          });
+          // The translations belong to no conversation, the report shows them apart
+          if (usage) await recordUsage({ kind: 'translation', provider: chatProvider.name, ...usage }, { prices });
+          return (content || '').trim();
+        }
+      };
+    }
+
+    case 'stub':
+      return {
+        name: 'stub',
+        cacheable: false,
+        async translate({ text, to }) {
+          return `[${to}] ${text}`;
+        }
+      };
+
+    case 'none':
+      return null;
+
+    default:
+      throw new Error(`Unknown translation provider "${providerName}". Supported providers: ${SUPPORTED_TRANSLATION_PROVIDERS.join(', ')}`);
+  }
+}
+
+// Fournisseur actif, créé au premier usage avec la configuration reçue (src/server.js le crée au démarrage)
+let activeProvider;
+
+export function getTranslationProvider(config = getConfig()) {
+  if (activeProvider === undefined) {
+    activeProvider = createTranslationProvider(config.translation.provider, config);
+  }
+  return activeProvider;
+}
+
+// Langues complétées par traduction automatique
+// Unknown languages are refused when the configuration is loaded
+export function getTranslationLanguages(config = getConfig()) {
+  const languages = config.translation.languages;
+  if (!languages || languages.length === 0) {
+    return LANGUAGE_CODES.filter(lang => lang !== DEFAULT_LANGUAGE && !LANGUAGES[lang].knowledgeFallback);
+  }
+  return languages.filter(lang => lang !== DEFAULT_LANGUAGE);
+}
+
+// Emplacement de la mémoire de traduction
+export function getTranslationMemoryPath(config = getConfig()) {
+  return config.knowledge.translationsPath;
+}
+
+// Lit la mémoire de traduction ({ sujet: { langue: { source, translation, machine: { source, provider, translatedAt, text } } } })
+export async function readTranslationMemory(memoryPath = getTranslationMemoryPath()) {
+  try {
+    return JSON.parse(await fs.readFile(memoryPath, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Cannot read ${path.basename(memoryPath)}: ${err.message}`);
+  }
+}
+
+// Enregistre la mémoire de traduction (le dossier data/ n'existe pas encore au premier démarrage)
+export async function writeTranslationMemory(memory, memoryPath = getTranslationMemoryPath()) {
+  await fs.mkdir(path.dirname(memoryPath), { recursive: true });
+  await fs.writeFile(memoryPath, JSON.stringify(memory, null, 2) + '\n', 'utf-8');
+}
+
+// Complète les traductions manquantes ou périmées des sujets { sujet: { fr, en, es, ... } }
+// Returns { data, status, stale, memory, changed, translated, pending, errors }: data has the machine translations
+// in place of the missing or stale ones, status gives the state of each topic in each language (see
+// COVERAGE_SYMBOLS), stale lists the topics whose translation is older than the French text by language, and memory
+// is the updated translation memory, to save when changed is true. A failed translation is reported in errors and
+// the topic keeps its stale text or its knowledgeFallback.
+// With translate: false only the translations of the memory are used; pending counts the texts left to translate
+export async function fillTranslations(data, {
+  provider = getTranslationProvider(),
+  languages = getTranslationLanguages(),
+  memory = {},
+  translate = true
+} = {}) {
+  const filled = {};
+  const status = {};
+  const stale = {};
+  const newMemory = {};
+  const errors = [];
+  let translated = 0;
+  let pending = 0;
+
+  for (const [topic, translations] of Object.entries(data)) {
+    const source = translations[DEFAULT_LANGUAGE];
+    const sourceFingerprint = fingerprint(source);
+    const entry = { ...translations };
+    const topicStatus = { [DEFAULT_LANGUAGE]: 'human' };
+    const topicMemory = {};
+
+    for (const lang of LANGUAGE_CODES) {
+      if (lang === DEFAULT_LANGUAGE) continue;
+      const text = typeof translations[lang] === 'string' ? translations[lang] : '';
+      const remembered = memory[topic]?.[lang] || {};
+      const record = {};
+
+      if (text.trim() !== '') {
+        // A translation seen for the first time, or edited since, matches the current French text
+        const edited = remembered.translation !== fingerprint(text);
+        record.source = edited ? sourceFingerprint : remembered.source;
+        record.translation = fingerprint(text);
+        topicStatus[lang] = record.source === sourceFingerprint ? 'human' : 'stale';
+        if (topicStatus[lang] === 'stale') (stale[lang] ||= []).push(topic);
+      }
+
+      if (topicStatus[lang] !== 'human' && provider && languages.includes(lang)) {
+        if (remembered.machine?.source === sourceFingerprint) {
+          // A machine translation of the same French text is reused
+          entry[lang] = remembered.machine.text;
+          record.machine = remembered.machine;
+          topicStatus[lang] = 'machine';
+        } else if (!translate) {
+          pending++;
+        } else {
+          try {
+            const translation = await provider.translate({ text: source, from: DEFAULT_LANGUAGE, to: lang });
+            if (!translation) throw new Error('empty translation');
+            entry[lang] = translation;
+            topicStatus[lang] = 'machine';
+            translated++;
+            if (provider.cacheable) {
+              record.machine = { source: sourceFingerprint, provider: provider.name, translatedAt: new Date().toISOString(), text: translation };
+            }
+          } catch (err) {
+            errors.push(`Cannot translate "${topic}" into ${lang}: ${err.message}`);
+          }
+        }
+      }
+
+      if (Object.keys(record).length > 0) topicMemory[lang] = record;
+    }
+
+    // Languages without a text of their own use their knowledgeFallback, when it has one
+    for (const lang of LANGUAGE_CODES) {
+      if (topicStatus[lang]) continue;
+      const available = getKnowledgeLanguages(lang).some(candidate => typeof entry[candidate] === 'string' && entry[candidate].trim() !== '');
+      topicStatus[lang] = available ? 'fallback' : 'missing';
+    }
+
+    filled[topic] = entry;
+    status[topic] = topicStatus;
+    if (Object.keys(topicMemory).length > 0) newMemory[topic] = topicMemory;
+  }
+
+  const changed = JSON.stringify(newMemory) !== JSON.stringify(memory);
+  return { data: filled, status, stale, memory: newMemory, changed, translated, pending, errors };
+}
+
+// Tableau de couverture des traductions : une ligne par sujet, une colonne par langue
+// Returns the lines to print, with a legend and the totals of each language
+export function formatCoverageTable(status) {
+  const topics = Object.keys(status);
+  const width = Math.max(5, ...topics.map(topic => topic.length));
+  const row = (label, cells) => `${label.padEnd(width)}  ${cells.map(cell => String(cell).padEnd(3)).join('').trimEnd()}`;
+
+  const legend = Object.entries(COVERAGE_SYMBOLS).map(([state, symbol]) => `${symbol} = ${state}`).join(', ');
+  // The language of the source text comes first
+  const languages = [DEFAULT_LANGUAGE, ...LANGUAGE_CODES.filter(lang => lang !== DEFAULT_LANGUAGE)];
+  const lines = [`Translation coverage (${legend}):`, row('topic', languages)];
+  for (const topic of topics) {
+    lines.push(row(topic, languages.map(lang => COVERAGE_SYMBOLS[status[topic][lang]])));
+  }
+
+  // Totals, so a language that needs work stands out without reading every line
+  for (const state of ['human', 'machine', 'stale']) {
+    const totals = languages.map(lang => topics.filter(topic => status[topic][lang] === state).length);
+    lines.push(row(`total ${state}`, totals));
+  }
+  return lines;
+}
+
+// Complète les traductions avec la mémoire enregistrée, puis enregistre la mémoire mise à jour
+// An unreadable memory is reported and left untouched: the topics are then served without machine translations.
+// translate: false only uses the memory (see fillTranslations)
+export async function completeTranslations(data, { translate = true, config = getConfig() } = {}) {
+  const memoryPath = getTranslationMemoryPath(config);
+  const languages = getTranslationLanguages(config);
+  let memory;
+  try {
+    memory = await readTranslationMemory(memoryPath);
+  } catch (err) {
+    return { ...(await fillTranslations(data, { provider: null, languages })), changed: false, errors: [err.message] };
+  }
+
+  const result = await fillTranslations(data, { memory, translate, provider: getTranslationProvider(config), languages });
+  if (result.changed) {
+    await writeTranslationMemory(result.memory, memoryPath);
+  }
+  return result;
+}
@@ -0,0 +1,87 @@
+// languages/detection.js
+// Détection de la langue de la question et choix de la langue de la réponse
+//
+// LANGUAGE_POLICY decides how the language detected in the question is combined with the language
+// selected in the widget:
+//   selected - always answer in the selected language
+//   follow   - answer in the language of the question when it is detected with confidence (default)
+//   ask      - answer in the selected language and suggest switching to the language of the question
+// LANGUAGE_DETECTION_MIN_LENGTH is the shortest question (in characters) for which detection is tried,
+// apart from the short greetings listed in each language file (default 12).
+import { francAll } from 'franc';
+import { getConfig } from '../config/index.js';
+import { LANGUAGES, isSupportedLanguage } from './index.js';
+
+export const LANGUAGE_POLICIES = ['selected', 'follow', 'ask'];
+
+// franc gives the best language a score of 1 and the others a share of it. On questions of a few words a
+// language scoring within this margin of the best one is as likely: the selected language is then kept,
+// and a tie between two other languages means no language is detected ("Onde fica a piscina do hotel?"
+// gives spa 1, por 0.91)
+const SCORE_MARGIN = 0.15;
+
+// Politique de langue lue dans la configuration
+export function getLanguagePolicy(config = getConfig()) {
+  const policy = config.languages.policy;
+  if (!LANGUAGE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown language policy "${policy}". Supported policies: ${LANGUAGE_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+// Longueur minimale d'une question pour tenter la détection
+function getMinLength(config = getConfig()) {
+  return config.languages.detectionMinLength;
+}
+
+// Détecte la langue d'un texte parmi les langues du registre
+// Returns the language code, or null when the text is too short, is not a text or the result is not clear
+export function detectLanguage(text, selectedLanguage = null, minLength = getMinLength()) {
+  if (typeof text !== 'string') return null;
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  // Short greetings are too short for franc but easy to recognize
+  const lowerText = trimmed.toLowerCase().replace(/[!.?¡¿,\s]+$/g, '').replace(/^[¡¿]/, '');
+  for (const language of Object.values(LANGUAGES)) {
+    if (language.shortGreetings.includes(lowerText)) {
+      return language.code;
+    }
+  }
+
+  if (trimmed.length < minLength) return null;
+
+  const codes = Object.fromEntries(Object.values(LANGUAGES).map(language => [language.francCode, language.code]));
+  const scores = francAll(trimmed, { only: Object.keys(codes), minLength: 1 })
+    .filter(([francCode]) => codes[francCode])
+    .map(([francCode, score]) => ({ language: codes[francCode], score }));
+  if (scores.length === 0) return null;
+
+  const [best, second] = scores;
+  if (best.language === selectedLanguage) return best.language;
+
+  const selected = scores.find(candidate => candidate.language === selectedLanguage);
+  if (selected && selected.score >= 1 - SCORE_MARGIN) return selectedLanguage;
+  if (second && second.score >= 1 - SCORE_MARGIN) return null;
+
+  return best.language;
+}
+
+// Choisit la langue de la réponse selon la politique
+// Returns { language, detectedLanguage, suggestedLanguage }: language is the one the answer is written in,
+// suggestedLanguage is only set by the "ask" policy when the question is in another language
+export function decideAnswerLanguage({ question, selectedLanguage, policy = getLanguagePolicy(), minLength = getMinLength() }) {
+  const detectedLanguage = detectLanguage(question, selectedLanguage, minLength);
+  const differs = detectedLanguage !== null && detectedLanguage !== selectedLanguage && isSupportedLanguage(detectedLanguage);
+
+  switch (policy) {
+    case 'follow':
+      return { language: differs ? detectedLanguage : selectedLanguage, detectedLanguage, suggestedLanguage: null };
+
+    case 'ask':
+      return { language: selectedLanguage, detectedLanguage, suggestedLanguage: differs ? detectedLanguage : null };
+
+    default:
+      return { language: selectedLanguage, detectedLanguage, suggestedLanguage: null };
+  }
+}
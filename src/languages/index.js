@@ -0,0 +1,157 @@
+// languages/index.js
+// Registre des langues de l'application : un fichier JSON par langue dans ce dossier
+//
+// Each file describes everything the application needs for a language: the names shown in the selector,
+// the speech locale, the franc code and short greetings used to detect it in questions, the history summary instructions and labels, the
+// text-to-speech voices of each engine and the strings of the widget. Adding a language means adding
+// its file and its system prompt in src/prompts, then restarting the server.
+//
+// unansweredPhrases are the phrases of an answer saying the information is missing, used to spot unanswered
+// questions when the prompt does not ask the model to mark them.
+// knowledgeFallback names the language whose hotel information is used when a topic has no translation
+// in this one (the model is asked to translate it). Widget strings missing from a file fall back to English.
+// The schedule* strings of "prompt" describe the opening hours of the day in the prompt (knowledge/schedules.js).
+// noAnswer is the answer given when the model returns no text.
+// availabilityDisclaimer is added under the answers that give availability or prices from the PMS (src/tools).
+// "limits" holds the messages shown when a paid route refuses a request (src/limits).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Langue par défaut de l'application, celle de hotel_info_clean.docx
+export const DEFAULT_LANGUAGE = 'fr';
+
+// Langue de référence pour les textes du widget
+const UI_REFERENCE_LANGUAGE = 'en';
+
+const REQUIRED_STRINGS = ['code', 'name', 'englishName', 'speechLocale', 'francCode', 'noAnswer', 'availabilityDisclaimer'];
+const REQUIRED_PROMPT_STRINGS = [
+  'summaryInstructions', 'memoryLabel', 'previousSummaryLabel', 'guestLabel',
+  'scheduleToday', 'scheduleTomorrow', 'scheduleClosed', 'scheduleOpenNow', 'scheduleOpensLater', 'scheduleClosedNow'
+];
+// Mêmes clés que LIMIT_REASONS dans src/limits
+const REQUIRED_LIMIT_STRINGS = ['rateLimited', 'dailyBudget', 'audioTooLong', 'textTooLong'];
+
+// Vérifie un fichier de langue et renvoie la liste des erreurs trouvées
+function validateLanguageFile(language, fileName) {
+  const errors = [];
+
+  for (const field of REQUIRED_STRINGS) {
+    if (typeof language[field] !== 'string' || language[field].trim() === '') {
+      errors.push(`"${field}" must be a non-empty string`);
+    }
+  }
+  if (language.code && `${language.code}.json` !== fileName) {
+    errors.push(`"code" is "${language.code}" but the file is named ${fileName}`);
+  }
+  if (!Array.isArray(language.shortGreetings)) {
+    errors.push('"shortGreetings" must be a list');
+  }
+  if (!Array.isArray(language.unansweredPhrases)) {
+    errors.push('"unansweredPhrases" must be a list');
+  }
+  if (language.knowledgeFallback !== null && typeof language.knowledgeFallback !== 'string') {
+    errors.push('"knowledgeFallback" must be a language code or null');
+  }
+
+  const prompt = language.prompt || {};
+  for (const field of REQUIRED_PROMPT_STRINGS) {
+    if (typeof prompt[field] !== 'string' || prompt[field].trim() === '') {
+      errors.push(`"prompt.${field}" must be a non-empty string`);
+    }
+  }
+
+  const limits = language.limits || {};
+  for (const field of REQUIRED_LIMIT_STRINGS) {
+    if (typeof limits[field] !== 'string' || limits[field].trim() === '') {
+      errors.push(`"limits.${field}" must be a non-empty string`);
+    }
+  }
+
+  if (!language.voices || typeof language.voices !== 'object') {
+    errors.push('"voices" must list the voices of each text-to-speech engine');
+  }
+  if (!language.ui || typeof language.ui !== 'object') {
+    errors.push('"ui" must contain the strings of the widget');
+  }
+
+  return errors;
+}
+
+// Lit tous les fichiers de langue du dossier
+// An invalid file stops the server at startup, like an unknown engine or voice
+function loadLanguages() {
+  const languages = {};
+  const files = fs.readdirSync(__dirname).filter(file => file.endsWith('.json')).sort();
+
+  for (const file of files) {
+    const language = JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf-8'));
+    const errors = validateLanguageFile(language, file);
+    if (errors.length > 0) {
+      throw new Error(`Invalid language file ${file}: ${errors.join('; ')}`);
+    }
+    languages[language.code] = language;
+  }
+
+  for (const required of [DEFAULT_LANGUAGE, UI_REFERENCE_LANGUAGE]) {
+    if (!languages[required]) {
+      throw new Error(`The language file ${required}.json is missing from ${__dirname}`);
+    }
+  }
+  for (const language of Object.values(languages)) {
+    if (language.knowledgeFallback && !languages[language.knowledgeFallback]) {
+      throw new Error(`Invalid language file ${language.code}.json: unknown knowledgeFallback "${language.knowledgeFallback}"`);
+    }
+  }
+
+  return languages;
+}
+
+// Langues disponibles, par code
+export const LANGUAGES = loadLanguages();
+
+// Codes des langues disponibles, par ordre alphabétique
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// Indique si le code correspond à une langue disponible
+export function isSupportedLanguage(code) {
+  return typeof code === 'string' && Object.hasOwn(LANGUAGES, code);
+}
+
+// Renvoie le code s'il est disponible, sinon la langue par défaut
+export function resolveLanguage(code, defaultLanguage = DEFAULT_LANGUAGE) {
+  return isSupportedLanguage(code) ? code : defaultLanguage;
+}
+
+// Renvoie la description d'une langue (la langue par défaut si le code est inconnu)
+export function getLanguage(code) {
+  return LANGUAGES[resolveLanguage(code)];
+}
+
+// Langues dans lesquelles chercher les informations de l'hôtel, dans l'ordre : la langue puis ses remplaçantes
+export function getKnowledgeLanguages(code) {
+  const chain = [];
+  for (let lang = code; lang && !chain.includes(lang); lang = LANGUAGES[lang]?.knowledgeFallback) {
+    chain.push(lang);
+  }
+  return chain;
+}
+
+// Langues envoyées au widget : uniquement ce dont le navigateur a besoin
+export function getClientLanguages() {
+  const referenceUI = LANGUAGES[UI_REFERENCE_LANGUAGE].ui;
+  return LANGUAGE_CODES.map(code => {
+    const { name, englishName, speechLocale, ui } = LANGUAGES[code];
+    return { code, name, englishName, speechLocale, ui: { ...referenceUI, ...ui } };
+  });
+}
+
+// Clés du widget absentes d'un fichier de langue (elles s'afficheront en anglais)
+export function findMissingUIStrings() {
+  const referenceKeys = Object.keys(LANGUAGES[UI_REFERENCE_LANGUAGE].ui);
+  return LANGUAGE_CODES
+    .map(code => ({ code, missing: referenceKeys.filter(key => !(key in LANGUAGES[code].ui)) }))
+    .filter(({ missing }) => missing.length > 0);
+}
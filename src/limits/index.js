@@ -0,0 +1,155 @@
+// limits/index.js
+// Protection des routes payantes (chat, reconnaissance et synthèse vocales) : nombre de demandes par session et par
+// adresse IP, budget quotidien du déploiement, taille des enregistrements et des textes à lire
+//
+// Every question, transcription and synthesis calls a paid API, so limitPaidRequests() is put in front of those
+// routes (settings in src/config, 0 = no limit; the routes pass their configuration to each middleware):
+//   RATE_LIMIT_SESSION_PER_MINUTE - requests of one guest (session) per minute (default 20); a request without the
+//                                   cookie of its session counts with the others of its IP address
+//   RATE_LIMIT_IP_PER_MINUTE      - requests from one IP address per minute (default 60)
+//   DAILY_COST_BUDGET             - estimated cost of the paid APIs of the whole deployment per day of the hotel, in
+//                                   the currency of the prices (default: no cap); it is the cost saved by src/usage,
+//                                   so a restart does not reset it and a refused request costs nothing. The cost of a
+//                                   request is only known once it is done: the requests accepted under the budget
+//                                   can go past it by their own cost
+// receiveAudio() refuses the recordings over STT_MAX_AUDIO_BYTES, and limitSpeechLength() the texts to read over
+// TTS_MAX_TEXT_LENGTH; both run before limitPaidRequests(), like the checks of the question, file or text of each
+// route, so a refused request is not counted. A refused request gets a 429 (too many requests) or 413 (too long)
+// answer with the message of the guest's language ("limits" in src/languages), which the widget shows in a toast.
+import multer from 'multer';
+import { getHotelClock, getHotelTimezone } from '../knowledge/clock.js';
+import { getLanguage } from '../languages/index.js';
+import { getStore } from '../store/index.js';
+
+// Raisons d'un refus, qui sont aussi les clés des messages de "limits" dans les fichiers de langue
+export const LIMIT_REASONS = ['rateLimited', 'dailyBudget', 'audioTooLong', 'textTooLong'];
+
+// Durée de la fenêtre des limites de débit
+const WINDOW_MS = 60 * 1000;
+
+// Compte les demandes de chaque clé (session ou adresse) par fenêtre d'une minute
+// Returns hit(key), which gives 0 when the request is allowed or the seconds to wait before the next window
+export function createRateLimiter({ limit, windowMs = WINDOW_MS }) {
+  const windows = new Map();
+
+  return {
+    hit(key, now = Date.now()) {
+      if (!limit) return 0;
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        // Forget the windows that are over, so the map does not grow with every visitor
+        for (const [otherKey, other] of windows) {
+          if (other.resetAt <= now) windows.delete(otherKey);
+        }
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+      return window.count > limit ? Math.ceil((window.resetAt - now) / 1000) : 0;
+    }
+  };
+}
+
+// Limiteurs actifs, créés au premier usage avec les réglages de la configuration reçue
+// Every route shares them, so a guest has one count for the chat and the voice
+let rateLimiters = null;
+
+function getRateLimiters(config) {
+  if (!rateLimiters) {
+    const { sessionPerMinute, ipPerMinute } = config.limits;
+    rateLimiters = {
+      session: createRateLimiter({ limit: sessionPerMinute }),
+      ip: createRateLimiter({ limit: ipPerMinute })
+    };
+  }
+  return rateLimiters;
+}
+
+// Clé de la limite par session
+// Every request without a session cookie gets a new session, so dropping the cookie would escape the limit: until the
+// browser sends the cookie back, the requests of a session are counted under its IP address
+export function getSessionKey(req) {
+  const key = req.session.limitsSeen ? `session:${req.sessionID}` : `ip:${req.ip}`;
+  req.session.limitsSeen = true;
+  return key;
+}
+
+// Indique si le coût estimé des appels du jour atteint le budget quotidien
+// A store error lets the request through: the guests must not lose the chat because of the metering
+export async function isOverDailyBudget(config, now = new Date()) {
+  const budget = config.limits.dailyCost;
+  if (!budget) return false;
+
+  try {
+    return await getStore(config).usage.costOfDay(getHotelClock(now, getHotelTimezone(config)).date) >= budget;
+  } catch (err) {
+    console.error('[Limits] Could not read the cost of the day for the daily budget:', err);
+    return false;
+  }
+}
+
+// Langue du message de refus : celle du widget (chat et synthèse) ou celle choisie pour l'enregistrement
+function getRequestLanguage(req) {
+  return req.body?.language || req.body?.userSelectedLanguage;
+}
+
+// Répond à une demande refusée avec le message de la langue du client
+// The message is also the "answer", for the clients of /chat that only read it
+export function sendLimitResponse(req, res, reason, { status = 429, retryAfter = null } = {}) {
+  const message = getLanguage(getRequestLanguage(req)).limits[reason];
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+  res.status(status).json({ error: reason, message, answer: message, retryAfter });
+}
+
+// Middleware des routes payantes : limites par session et par adresse, puis budget du jour
+// kind names the route in the logs (chat, speech-to-text, text-to-speech)
+export function limitPaidRequests(kind, config) {
+  return async (req, res, next) => {
+    const limiters = getRateLimiters(config);
+    const retryAfter = Math.max(limiters.session.hit(getSessionKey(req)), limiters.ip.hit(req.ip));
+    if (retryAfter > 0) {
+      console.warn(`[Limits] Too many requests (${kind}) from ${req.ip}, retry in ${retryAfter}s`);
+      return sendLimitResponse(req, res, 'rateLimited', { retryAfter });
+    }
+
+    if (await isOverDailyBudget(config)) {
+      console.warn(`[Limits] ${kind} request refused: the daily budget of ${config.limits.dailyCost} ${config.usage.currency} is reached`);
+      return sendLimitResponse(req, res, 'dailyBudget');
+    }
+    next();
+  };
+}
+
+// Middleware qui reçoit le fichier audio (multipart) et refuse les enregistrements trop lourds
+// The size is the only limit a client cannot lie about: most recordings (WebM, Ogg) give no duration in their header
+// and the duration sent by the widget is only used to estimate the cost (src/usage). STT_MAX_AUDIO_BYTES (5 MB by
+// default) is about 2.5 minutes of the WAV recordings of the widget (16 kHz mono) and much longer for the compressed
+// WebM or Ogg recordings, whose size depends on the browser: lower it to bound the cost of one transcription
+export function receiveAudio(fieldName, config) {
+  const { maxAudioBytes } = config.limits;
+  const upload = multer({ limits: { fileSize: maxAudioBytes, files: 1 } }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, err => {
+      if (err?.code === 'LIMIT_FILE_SIZE') {
+        console.warn(`[Limits] Recording over ${maxAudioBytes} bytes refused`);
+        return sendLimitResponse(req, res, 'audioTooLong', { status: 413 });
+      }
+      next(err);
+    });
+  };
+}
+
+// Middleware des routes de synthèse vocale : refuse les textes à lire trop longs
+export function limitSpeechLength(config) {
+  const { maxSpeechLength } = config.limits;
+  return (req, res, next) => {
+    const { text } = req.body;
+    if (typeof text === 'string' && text.length > maxSpeechLength) {
+      console.warn(`[Limits] Text to speech of ${text.length} characters refused (max ${maxSpeechLength})`);
+      return sendLimitResponse(req, res, 'textTooLong', { status: 413 });
+    }
+    next();
+  };
+}
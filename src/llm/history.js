@@ -0,0 +1,123 @@
+// llm/history.js
+// Gestion de l'historique de conversation envoyé au modèle
+//
+// Only the most recent turns are sent with each question. When the history goes over the policy, the
+// oldest turns are summarized into a rolling memory that is sent as a system message instead. The policy
+// comes from the configuration (src/config):
+//   HISTORY_MAX_TURNS          - questions kept word for word (default 10)
+//   HISTORY_MAX_TOKENS         - estimated tokens of memory + turns (default 2000)
+//   HISTORY_SUMMARY_LANGUAGE   - a language code of src/languages; by default the summary is written in the language of the conversation
+//   HISTORY_SUMMARY_MAX_TOKENS - length limit of the summary (default 250)
+import { getChatProvider } from './index.js';
+import { getConfig } from '../config/index.js';
+import { getLanguage } from '../languages/index.js';
+
+// Nom de l'assistante dans la transcription envoyée pour le résumé
+const ASSISTANT_NAME = 'Meit Ai';
+
+// Politique d'historique lue dans la configuration
+export function getHistorySettings(config = getConfig()) {
+  return { ...config.history };
+}
+
+// Estimation du nombre de tokens (environ 4 caractères par token), sans dépendre d'un tokenizer
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Nombre de tokens estimé pour une liste de messages
+function estimateMessagesTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+}
+
+// Nombre de questions dans une liste de messages
+function countTurns(messages) {
+  return messages.filter(message => message.role === 'user').length;
+}
+
+// Indique si l'historique dépasse la politique
+function exceedsPolicy(turns, memory, settings) {
+  return countTurns(turns) > settings.maxTurns
+    || estimateMessagesTokens(turns) + estimateTokens(memory) > settings.maxTokens;
+}
+
+// Choisit l'index à partir duquel les messages restent tels quels
+// Compaction keeps half of the limits so the next summary is several turns away, and always
+// starts on a question so a kept answer is never separated from it
+function findKeepIndex(turns, settings) {
+  const turnBudget = Math.max(1, Math.floor(settings.maxTurns / 2));
+  const tokenBudget = Math.floor(settings.maxTokens / 2);
+  let keepIndex = turns.length;
+  let keptTurns = 0;
+  let keptTokens = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    keptTokens += estimateTokens(turns[i].content);
+    if (turns[i].role !== 'user') continue;
+
+    // The last question is always kept, whatever its size
+    if (keptTurns > 0 && (keptTurns + 1 > turnBudget || keptTokens > tokenBudget)) break;
+    keptTurns++;
+    keepIndex = i;
+  }
+
+  return keepIndex;
+}
+
+// Demande au modèle de fusionner l'ancien résumé et les tours retirés en un nouveau résumé
+// Returns { summary, usage } with the tokens of the call
+async function summarize({ memory, olderTurns, language, settings, provider }) {
+  // Consignes et libellés dans la langue du résumé
+  const { prompt } = getLanguage(settings.summaryLanguage || language);
+
+  const transcript = olderTurns
+    .map(message => `${message.role === 'user' ? prompt.guestLabel : ASSISTANT_NAME}: ${message.content}`)
+    .join('\n');
+  const content = memory ? `${prompt.previousSummaryLabel}\n${memory}\n\n${transcript}` : transcript;
+
+  const { content: summary, usage } = await provider.complete({
+    messages: [
+      { role: 'system', content: prompt.summaryInstructions },
+      { role: 'user', content }
+    ],
+    maxTokens: settings.summaryMaxTokens,
+    temperature: 0.2
+  });
+
+  return { summary: (summary || '').trim(), usage };
+}
+
+// Réduit l'historique s'il dépasse la politique
+// turns are the user/assistant messages (the last one being the new question), memory the current summary.
+// Returns the turns to keep, the new memory and the usage of the summary call (null without a summary). If the
+// summary fails, the oldest turns are simply dropped so the guest still gets an answer.
+export async function compactHistory({ turns, memory = '', language, settings = getHistorySettings(), provider = getChatProvider() }) {
+  if (!exceedsPolicy(turns, memory, settings)) {
+    return { turns, memory, usage: null };
+  }
+
+  const keepIndex = findKeepIndex(turns, settings);
+  const olderTurns = turns.slice(0, keepIndex);
+  const keptTurns = turns.slice(keepIndex);
+  if (olderTurns.length === 0) {
+    return { turns: keptTurns, memory, usage: null };
+  }
+
+  try {
+    const { summary, usage } = await summarize({ memory, olderTurns, language, settings, provider });
+    console.log(`[History] ${countTurns(olderTurns)} turn(s) summarized, ${countTurns(keptTurns)} kept (summary: ${estimateTokens(summary)} tokens)`);
+    return { turns: keptTurns, memory: summary || memory, usage };
+  } catch (err) {
+    console.warn(`[History] Summary failed, dropping ${countTurns(olderTurns)} old turn(s):`, err.message);
+    return { turns: keptTurns, memory, usage: null };
+  }
+}
+
+// Construit les messages envoyés au modèle : prompt système, résumé éventuel, puis les tours gardés
+export function buildChatMessages(systemPrompt, memory, turns, language) {
+  const messages = [{ role: 'system', content: systemPrompt }];
+  if (memory) {
+    messages.push({ role: 'system', content: `${getLanguage(language).prompt.memoryLabel}\n${memory}` });
+  }
+  return messages.concat(turns);
+}
@@ -0,0 +1,74 @@
+// llm/index.js
+// Sélection du fournisseur de modèle de langage utilisé par la route /chat
+//
+// LLM_PROVIDER chooses the provider:
+//   openai - OpenAI API (OPENAI_API_KEY, LLM_MODEL)
+//   azure  - Azure OpenAI (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION)
+//   local  - any OpenAI-compatible server such as llama.cpp or Ollama (LOCAL_LLM_BASE_URL, LOCAL_LLM_API_KEY, LLM_MODEL)
+//   mock   - deterministic offline answers, no network needed
+// The settings come from the central configuration (src/config).
+import { getConfig } from '../config/index.js';
+import { createOpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+export const SUPPORTED_PROVIDERS = ['openai', 'azure', 'local', 'mock'];
+
+// Crée le fournisseur demandé à partir de la configuration
+export function createChatProvider(providerName = getConfig().llm.provider, config = getConfig()) {
+  switch (providerName) {
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        name: 'openai',
+        url: 'https://api.openai.com/v1/chat/completions',
+        headers: { 'Authorization': `Bearer ${config.openai.apiKey}` },
+        model: config.llm.model || 'gpt-4o-mini',
+        streamUsage: true
+      });
+
+    case 'azure': {
+      // Azure selects the model through the deployment name in the URL
+      const { endpoint, apiKey, deployment, apiVersion } = config.azureOpenai;
+      return createOpenAICompatibleProvider({
+        name: 'azure',
+        url: `${(endpoint || '').replace(/\/+$/, '')}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+        headers: { 'api-key': apiKey },
+        streamUsage: true
+      });
+    }
+
+    case 'local': {
+      // Ollama serves its OpenAI-compatible API on port 11434 by default
+      const baseUrl = config.localLlm.baseUrl.replace(/\/+$/, '');
+      return createOpenAICompatibleProvider({
+        name: 'local',
+        url: `${baseUrl}/chat/completions`,
+        headers: config.localLlm.apiKey ? { 'Authorization': `Bearer ${config.localLlm.apiKey}` } : {},
+        model: config.llm.model || 'llama3.1'
+      });
+    }
+
+    case 'mock':
+      return createMockProvider();
+
+    default:
+      throw new Error(`Unknown LLM provider "${providerName}". Supported providers: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+}
+
+// Fournisseur actif, créé au premier usage avec la configuration reçue (src/server.js le crée au démarrage)
+let activeProvider = null;
+
+export function getChatProvider(config = getConfig()) {
+  if (!activeProvider) {
+    activeProvider = createChatProvider(config.llm.provider, config);
+  }
+  return activeProvider;
+}
+
+// Paramètres de génération partagés par tous les fournisseurs
+export function getChatSettings(config = getConfig()) {
+  return {
+    maxTokens: config.llm.maxTokens, // Limite de tokens pour la réponse
+    temperature: config.llm.temperature // Niveau de créativité de la réponse
+  };
+}
@@ -0,0 +1,97 @@
+// llm/mockProvider.js
+// Deterministic offline chat provider, used to run the app and its checks without network access
+
+// Construit la réponse factice à partir de la dernière question de l'utilisateur
+// Like a real model, it cites on a SOURCES line the first hotel topic of the system prompt that contains a long word
+// (7 letters or more) of the question, or "[?]" (missing information) when none does
+function buildMockAnswer(messages) {
+  const lastQuestion = [...messages].reverse().find(message => message.role === 'user');
+  const systemPrompt = messages.find(message => message.role === 'system');
+  const question = lastQuestion ? lastQuestion.content : '';
+  const answer = `Mock answer to: ${question}`;
+  if (!systemPrompt) return answer;
+
+  // Sections of the prompt look like "[topic] TITLE:\ntext"
+  const words = question.toLowerCase().match(/\p{L}{7,}/gu) || [];
+  const sections = systemPrompt.content.split(/^\[([^\]\n]+)\] /m);
+  for (let i = 1; i < sections.length; i += 2) {
+    const text = sections[i + 1].toLowerCase();
+    if (words.some(word => text.includes(word))) {
+      return `${answer}\nSOURCES: [${sections[i]}]`;
+    }
+  }
+  return `${answer}\nSOURCES: [?]`;
+}
+
+// Appels d'outils factices pour une question qui contient des dates AAAA-MM-JJ : avec une adresse e-mail, elle est
+// envoyée à l'outil de demande de réservation, sinon à l'outil de disponibilités (s'ils sont proposés)
+function buildMockToolCalls(messages, tools = []) {
+  const lastMessage = messages.at(-1);
+  if (lastMessage?.role !== 'user') return [];
+
+  const question = lastMessage.content;
+  const email = /[^\s@]+@[^\s@]+\.[a-z]+/i.exec(question);
+  const [checkIn, checkOut] = question.match(/\d{4}-\d{2}-\d{2}/g) || [];
+  const adults = /(\d+)\s*(?:adult|adulte|person|personne)/i.exec(question);
+  const name = email ? 'save_booking_inquiry' : 'check_availability';
+  if (!checkIn || !tools.some(tool => tool.name === name)) return [];
+
+  const stay = { checkIn, checkOut, adults: adults ? Number(adults[1]) : 2, children: 0 };
+  const roomType = /\b(single|double|twin|suite|family|familiale)\b/i.exec(question);
+  return [{
+    id: `mock-call-${messages.length}`,
+    name,
+    arguments: JSON.stringify(email ? { ...stay, roomType: roomType ? roomType[1] : 'no preference', email: email[0] } : stay)
+  }];
+}
+
+// Réponse factice après un appel d'outil : elle répète le résultat, sans ligne SOURCES
+function buildMockToolAnswer(messages) {
+  const result = JSON.parse(messages.at(-1).content);
+  if (result.saved) return `Mock answer: inquiry ${result.reference} sent to the reception`;
+  if (result.rooms) {
+    const rooms = result.rooms.map(room => `${room.name} ${room.totalPrice} ${room.currency}`);
+    return `Mock answer: ${rooms.length} room type(s) free from ${result.checkIn} to ${result.checkOut}${rooms.length ? `: ${rooms.join(', ')}` : ''}`;
+  }
+  return `Mock answer: the tool call failed (${(result.errors || [result.error]).join('; ')})`;
+}
+
+// Tokens factices d'un appel (environ 4 caractères par token), pour vérifier le rapport des coûts sans réseau
+function countMockUsage(messages, content) {
+  const inputLength = messages.reduce((length, message) => length + (message.content || '').length, 0);
+  return { model: 'mock', inputTokens: Math.ceil(inputLength / 4), outputTokens: Math.ceil(content.length / 4) };
+}
+
+// Réponse du fournisseur factice : des appels d'outils, ou un texte
+function respond({ messages, tools }) {
+  if (messages.at(-1)?.role === 'tool') {
+    const content = buildMockToolAnswer(messages);
+    return { content, toolCalls: [], usage: countMockUsage(messages, content) };
+  }
+  const toolCalls = buildMockToolCalls(messages, tools);
+  const content = toolCalls.length > 0 ? '' : buildMockAnswer(messages);
+  return { content, toolCalls, usage: countMockUsage(messages, content) };
+}
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async complete(options) {
+      return respond(options);
+    },
+
+    // Streams the same answer word by word, keeping the spaces so the pieces join back exactly
+    async *stream(options) {
+      const { content, toolCalls, usage } = respond(options);
+      for (const piece of content.match(/\S+\s*/g) || []) {
+        yield piece;
+      }
+      if (toolCalls.length > 0) {
+        yield { toolCalls };
+      }
+      yield { usage };
+    }
+  };
+}
@@ -0,0 +1,126 @@
+// llm/openaiCompatibleProvider.js
+// Chat provider for any API that speaks the OpenAI chat completions protocol
+// (OpenAI itself, Azure OpenAI, llama.cpp server, Ollama, LM Studio...)
+//
+// Tools are sent in the "tools" field of the request. The tool calls of the model are returned in the provider's own
+// format, { id, name, arguments } with the arguments as the JSON text written by the model.
+// The tokens of each call are returned as usage ({ model, inputTokens, outputTokens }) for the cost report
+// (src/usage); a streamed answer only gives them when the API supports stream_options (streamUsage).
+
+// Appels d'outils de la réponse d'une API compatible OpenAI, au format du fournisseur
+function toToolCalls(toolCalls = []) {
+  return toolCalls.map(call => ({ id: call.id, name: call.function?.name, arguments: call.function?.arguments || '' }));
+}
+
+// Tokens d'une réponse de l'API, au format du fournisseur
+// The model of the answer names the exact version (gpt-4o-mini-2024-07-18), Azure only gives it there
+function toUsage(data, model) {
+  if (!data.usage) return null;
+  return {
+    model: data.model || model,
+    inputTokens: data.usage.prompt_tokens || 0,
+    outputTokens: data.usage.completion_tokens || 0
+  };
+}
+
+// Lit le flux SSE renvoyé par l'API (stream: true) et produit chaque fragment de texte
+// The tool calls arrive in pieces too (by index); once the stream ends they are produced as one { toolCalls } object,
+// then the tokens of the call as one { usage } object when the API sent them
+async function* readChatCompletionStream(body, model) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const toolCalls = [];
+  let usage = null;
+
+  stream: for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    // Each SSE line is terminated by a newline; keep the incomplete tail for the next chunk
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') break stream;
+
+      const data = JSON.parse(payload);
+      // The last chunk has no choices, only the tokens of the whole answer
+      usage = toUsage(data, model) || usage;
+      const delta = data.choices?.[0]?.delta;
+      if (delta?.content) yield delta.content;
+      for (const piece of delta?.tool_calls || []) {
+        const call = toolCalls[piece.index] || (toolCalls[piece.index] = { id: '', function: { name: '', arguments: '' } });
+        if (piece.id) call.id = piece.id;
+        if (piece.function?.name) call.function.name += piece.function.name;
+        if (piece.function?.arguments) call.function.arguments += piece.function.arguments;
+      }
+    }
+  }
+
+  if (toolCalls.length > 0) {
+    yield { toolCalls: toToolCalls(toolCalls.filter(Boolean)) };
+  }
+  if (usage) {
+    yield { usage };
+  }
+}
+
+// Crée un fournisseur compatible OpenAI
+// url: full chat completions URL, headers: authentication headers, model: model name sent in the body (optional for Azure)
+// streamUsage asks for the tokens at the end of the streamed answers; local servers may refuse the option
+export function createOpenAICompatibleProvider({ name, url, headers = {}, model, streamUsage = false }) {
+  // Envoie la requête de complétion et vérifie le statut HTTP
+  async function request({ messages, maxTokens, temperature, tools, stream, signal }) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify({
+        ...(model ? { model } : {}),
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(tools?.length ? { tools: tools.map(tool => ({ type: 'function', function: tool })) } : {}),
+        ...(stream ? { stream: true } : {}),
+        ...(stream && streamUsage ? { stream_options: { include_usage: true } } : {})
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`${name} API error: ${response.status} - ${errorText}`);
+      // The status lets routes tell an upstream API error from an internal failure
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  return {
+    name,
+    model,
+
+    // Génère une réponse complète
+    // Returns { content, toolCalls, usage }; toolCalls is empty when the model answered directly
+    async complete(options) {
+      const response = await request(options);
+      const data = await response.json();
+      const message = data.choices?.[0]?.message;
+      return { content: message?.content || '', toolCalls: toToolCalls(message?.tool_calls), usage: toUsage(data, model) };
+    },
+
+    // Génère une réponse fragment par fragment
+    // Produces the text pieces, then { toolCalls } when the model asked for tools, then { usage }
+    async *stream(options) {
+      const response = await request({ ...options, stream: true });
+      yield* readChatCompletionStream(response.body, model);
+    }
+  };
+}
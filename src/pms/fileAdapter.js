@@ -0,0 +1,182 @@
+// pms/fileAdapter.js
+// Adaptateur PMS à partir de fichiers : les types de chambres et les tarifs dans des fichiers CSV, les réservations
+// dans les calendriers iCal exportés par le logiciel de gestion de l'hôtel (ou par Booking, Airbnb...)
+//
+// PMS_ROOMS_CSV lists the room types, one per line, with the header
+//   roomType,name,rooms,maxGuests,price,currency,calendar
+// price is the indicative price of a night and calendar the iCal file of the bookings of this room type (path
+// relative to the CSV file, optional). Each event of the calendar takes one room for the nights from its DTSTART
+// to the day before its DTEND; cancelled events are ignored.
+// PMS_RATES_CSV (optional) changes the price of some nights, with the header
+//   roomType,from,to,price
+// for the nights from "from" to "to" included; when periods overlap, the last line wins.
+// Commas or semicolons (as written by Excel in French) can separate the values. The files are read at each lookup,
+// so a new export of the calendars is used without restarting the server.
+import fs from 'fs/promises';
+import path from 'path';
+import { DAY, listNights, parseDay } from '../tools/stay.js';
+
+const ROOM_COLUMNS = ['roomType', 'name', 'rooms', 'maxGuests', 'price', 'currency'];
+const RATE_COLUMNS = ['roomType', 'from', 'to', 'price'];
+
+// Découpe un fichier CSV en lignes de valeurs (guillemets doublés à l'intérieur d'une valeur entre guillemets)
+export function parseCsvLines(text, separator) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(value.trim());
+      value = '';
+    } else if (char === '\n') {
+      row.push(value.trim());
+      rows.push(row);
+      row = [];
+      value = '';
+    } else if (char !== '\r') {
+      value += char;
+    }
+  }
+  row.push(value.trim());
+  rows.push(row);
+
+  // Ignore the empty lines
+  return rows.filter(values => values.some(Boolean));
+}
+
+// Lit un fichier CSV avec une ligne d'en-tête
+// Returns one object per line, by column name; a missing column stops the lookup with the name of the file
+async function readCsv(filePath, requiredColumns) {
+  const text = (await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, '');
+  const firstLine = text.split('\n', 1)[0];
+  const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  const [header = [], ...lines] = parseCsvLines(text, separator);
+
+  const missing = requiredColumns.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`${filePath}: missing column(s) ${missing.join(', ')}`);
+  }
+  return lines.map(values => Object.fromEntries(header.map((column, i) => [column, values[i] ?? ''])));
+}
+
+// Nombre lu dans un fichier CSV, accepte aussi la virgule décimale
+function parseNumber(value, { filePath, line, column }) {
+  const number = Number(String(value).replace(',', '.'));
+  if (value === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`${filePath}, line ${line}: "${column}" must be a positive number`);
+  }
+  return number;
+}
+
+// Lit les types de chambres
+async function readRooms(roomsPath) {
+  const rows = await readCsv(roomsPath, ROOM_COLUMNS);
+  return rows.map((row, i) => {
+    const where = { filePath: roomsPath, line: i + 2 };
+    if (!row.roomType) {
+      throw new Error(`${roomsPath}, line ${i + 2}: "roomType" is empty`);
+    }
+    return {
+      roomType: row.roomType,
+      name: row.name || row.roomType,
+      rooms: Math.floor(parseNumber(row.rooms, { ...where, column: 'rooms' })),
+      maxGuests: Math.floor(parseNumber(row.maxGuests, { ...where, column: 'maxGuests' })),
+      price: parseNumber(row.price, { ...where, column: 'price' }),
+      currency: row.currency,
+      calendar: row.calendar ? path.resolve(path.dirname(roomsPath), row.calendar) : null
+    };
+  });
+}
+
+// Lit les tarifs par période
+async function readRates(ratesPath) {
+  if (!ratesPath) return [];
+  const rows = await readCsv(ratesPath, RATE_COLUMNS);
+  return rows.map((row, i) => {
+    const from = parseDay(row.from);
+    const to = parseDay(row.to);
+    if (!from || !to) {
+      throw new Error(`${ratesPath}, line ${i + 2}: "from" and "to" must be dates in the YYYY-MM-DD format`);
+    }
+    return { roomType: row.roomType, from, to, price: parseNumber(row.price, { filePath: ratesPath, line: i + 2, column: 'price' }) };
+  });
+}
+
+// Jour d'une date iCal ("20261120", "20261120T140000Z"...)
+function parseICalDay(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? parseDay(`${match[1]}-${match[2]}-${match[3]}`) : null;
+}
+
+// Lit les réservations d'un calendrier iCal
+// Returns the periods { start, end } taken by each event, the end being the departure day
+export function parseICalBookings(text) {
+  // Long lines are folded: the next line starts with a space or a tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const bookings = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line === 'END:VEVENT' && event) {
+      const start = parseICalDay(event.DTSTART);
+      // An event without an end takes one night
+      const end = parseICalDay(event.DTEND) || (start && new Date(start.getTime() + DAY));
+      if (start && end > start && event.STATUS !== 'CANCELLED') {
+        bookings.push({ start, end });
+      }
+      event = null;
+    } else if (event) {
+      // "DTSTART;VALUE=DATE:20261120": the name before the parameters, the value after the first colon
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        event[line.slice(0, separator).split(';')[0].toUpperCase()] = line.slice(separator + 1).trim();
+      }
+    }
+  }
+  return bookings;
+}
+
+// Crée l'adaptateur à partir des fichiers
+export function createFileAdapter({ roomsPath, ratesPath = null }) {
+  return {
+    name: 'file',
+
+    async getRoomAvailability({ checkIn, checkOut }) {
+      const [rooms, rates] = await Promise.all([readRooms(roomsPath), readRates(ratesPath)]);
+
+      const nights = listNights(checkIn, checkOut);
+
+      return Promise.all(rooms.map(async room => {
+        const bookings = room.calendar ? parseICalBookings(await fs.readFile(room.calendar, 'utf-8')) : [];
+        const roomRates = rates.filter(rate => rate.roomType === room.roomType);
+
+        return {
+          roomType: room.roomType,
+          name: room.name,
+          maxGuests: room.maxGuests,
+          available: Math.max(0, Math.min(...nights.map(night =>
+            room.rooms - bookings.filter(booking => booking.start <= night && night < booking.end).length))),
+          nightlyPrices: nights.map(night =>
+            roomRates.findLast(rate => rate.from <= night && night <= rate.to)?.price ?? room.price),
+          currency: room.currency
+        };
+      }));
+    }
+  };
+}
@@ -0,0 +1,54 @@
+// pms/index.js
+// Sélection de l'adaptateur du logiciel de gestion de l'hôtel (PMS), qui donne les disponibilités et les tarifs
+//
+// PMS_ADAPTER chooses the adapter:
+//   none - no availability lookup (default): the check_availability tool is not offered to the model
+//   file - room types and prices from a CSV file, bookings from the iCal calendars exported by the PMS
+//          (PMS_ROOMS_CSV, PMS_RATES_CSV, see fileAdapter.js)
+//   mock - deterministic rooms and prices, no file needed (tests and demos)
+//
+// Every adapter has the same interface: getRoomAvailability({ checkIn, checkOut }) with days in the YYYY-MM-DD
+// format, which returns one entry per room type:
+//   { roomType, name, maxGuests, available, nightlyPrices, currency }
+// where available is the number of rooms free on every night of the stay and nightlyPrices the indicative price of
+// each night (null when the price of a night is unknown). To connect another PMS, add an adapter with this
+// function and a case below.
+import { getConfig } from '../config/index.js';
+import { createFileAdapter } from './fileAdapter.js';
+import { createMockAdapter } from './mockAdapter.js';
+
+export const SUPPORTED_ADAPTERS = ['none', 'file', 'mock'];
+
+// Crée l'adaptateur demandé à partir de la configuration
+// Returns null when no PMS is connected
+export function createPmsAdapter(adapterName = getConfig().pms.adapter, config = getConfig()) {
+  switch (adapterName) {
+    case 'none':
+      return null;
+
+    case 'file':
+      if (!config.pms.roomsCsv) {
+        throw new Error('PMS_ADAPTER=file needs PMS_ROOMS_CSV, the CSV file that lists the room types');
+      }
+      return createFileAdapter({ roomsPath: config.pms.roomsCsv, ratesPath: config.pms.ratesCsv });
+
+    case 'mock':
+      return createMockAdapter();
+
+    default:
+      throw new Error(`Unknown PMS adapter "${adapterName}". Supported adapters: ${SUPPORTED_ADAPTERS.join(', ')}`);
+  }
+}
+
+// Adaptateur actif, créé au premier usage avec la configuration reçue (les outils le créent au démarrage)
+let activeAdapter;
+
+export function getPmsAdapter(config = getConfig()) {
+  if (activeAdapter === undefined) {
+    activeAdapter = createPmsAdapter(config.pms.adapter, config);
+    if (activeAdapter) {
+      console.log(`[PMS] Availability from the ${activeAdapter.name} adapter`);
+    }
+  }
+  return activeAdapter;
+}
@@ -0,0 +1,45 @@
+// pms/mockAdapter.js
+// Deterministic offline PMS adapter, used to run the availability tool and its checks without a real PMS
+//
+// Three room types with fixed prices. The nights of Friday and Saturday cost 20% more, the treehouse suite is always
+// booked on those nights and the family bungalows are full from December 20 to 31, so every case can be tried.
+import { listNights } from '../tools/stay.js';
+
+const ROOM_TYPES = [
+  { roomType: 'garden', name: 'Garden bungalow', maxGuests: 2, rooms: 4, price: 120 },
+  { roomType: 'family', name: 'Family bungalow', maxGuests: 4, rooms: 2, price: 180 },
+  { roomType: 'suite', name: 'Treehouse suite', maxGuests: 2, rooms: 1, price: 250 }
+];
+
+const WEEKEND_SURCHARGE = 1.2;
+
+// Indique si la nuit commence un vendredi ou un samedi
+function isWeekendNight(night) {
+  return night.getUTCDay() === 5 || night.getUTCDay() === 6;
+}
+
+// Chambres déjà réservées pour une nuit
+function bookedRooms(roomType, night) {
+  if (roomType.roomType === 'suite' && isWeekendNight(night)) return roomType.rooms;
+  if (roomType.roomType === 'family' && night.getUTCMonth() === 11 && night.getUTCDate() >= 20) return roomType.rooms;
+  return 0;
+}
+
+export function createMockAdapter() {
+  return {
+    name: 'mock',
+
+    async getRoomAvailability({ checkIn, checkOut }) {
+      const nights = listNights(checkIn, checkOut);
+
+      return ROOM_TYPES.map(roomType => ({
+        roomType: roomType.roomType,
+        name: roomType.name,
+        maxGuests: roomType.maxGuests,
+        available: Math.min(...nights.map(night => roomType.rooms - bookedRooms(roomType, night))),
+        nightlyPrices: nights.map(night => Math.round(roomType.price * (isWeekendNight(night) ? WEEKEND_SURCHARGE : 1))),
+        currency: 'USD'
+      }));
+    }
+  };
+}
@@ -0,0 +1,189 @@
+// prompts/index.js
+// Prompts système versionnés : un dossier par version (v1, v2...) avec les fichiers qui ont changé depuis la précédente
+//
+// The prompt of a language is its layout (fr.txt) with its parts included: {{>date}} is replaced by fr.date.txt.
+// A version folder only holds the files it changes; the others come from the closest older version that has them,
+// so v6 is made of the layouts of v1, the sources instruction of v3... and its own date line and opening hours.
+// A part that only appears in a later version is empty, and a line holding only it is removed.
+//
+// PROMPT_VERSION chooses the version used by the chat (default: the highest version). Templates can use
+//   {{hotelInfo}} - the hotel sections chosen for the question (required)
+//   {{guestName}} - the guest's name when the widget knows it
+//   {{date}}      - today's date at the hotel (HOTEL_TIMEZONE), written in the language of the conversation
+//   {{time}}      - the time at the hotel, written the way the language does
+//   {{schedules}} - the opening hours of today and tomorrow and whether each place is open now
+//                   (knowledge/schedules.js), empty without hotel-schedules.json
+//   {{language}}  - the name of the language of the conversation
+//   {{bookingInquiry}} - not empty when the booking inquiry tool is offered to the model (see src/tools), for the
+//                        section that explains how to use it
+//   {{availability}}   - the same for the availability tool, offered when a PMS is connected (see src/pms)
+// and {{#name}}...{{/name}} to keep a passage only when the value is not empty. Every template of the
+// active version is checked at startup; the version is saved with each answer of a conversation so
+// answers can be compared between versions. A new version is a new folder with the files it changes: older ones stay
+// for comparison.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getConfig } from '../config/index.js';
+import { LANGUAGE_CODES, getLanguage } from '../languages/index.js';
+import { SOURCES_MARKER } from '../knowledge/citations.js';
+import { formatHotelDate, formatHotelTime } from '../knowledge/clock.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PROMPT_PLACEHOLDERS = ['hotelInfo', 'guestName', 'date', 'time', 'schedules', 'language', 'bookingInquiry', 'availability'];
+
+// Versions disponibles, de la plus ancienne à la plus récente
+export function listPromptVersions() {
+  return fs.readdirSync(__dirname, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && /^v\d+$/.test(entry.name))
+    .map(entry => entry.name)
+    .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+}
+
+// Vérifie un modèle et renvoie la liste des erreurs trouvées
+export function validateTemplate(template) {
+  const errors = [];
+
+  // The parts are included once, a part cannot include another one
+  for (const [reference] of template.matchAll(/\{\{>\w+\}\}/g)) {
+    errors.push(`${reference} is inside a part`);
+  }
+
+  for (const [, marker, name] of template.matchAll(/\{\{([#/]?)(\w+)\}\}/g)) {
+    if (!PROMPT_PLACEHOLDERS.includes(name)) {
+      errors.push(`unknown placeholder {{${marker}${name}}}`);
+    }
+  }
+  if (!template.includes('{{hotelInfo}}')) {
+    errors.push('{{hotelInfo}} is missing');
+  }
+  // Citations only work if the model is told to end with the SOURCES line
+  if (!template.includes(SOURCES_MARKER)) {
+    errors.push(`the ${SOURCES_MARKER} instruction is missing`);
+  }
+
+  // Sections must be closed and cannot be nested
+  let open = null;
+  for (const [, marker, name] of template.matchAll(/\{\{([#/])(\w+)\}\}/g)) {
+    if (marker === '#') {
+      if (open) errors.push(`{{#${name}}} starts inside {{#${open}}}`);
+      open = name;
+    } else if (open !== name) {
+      errors.push(`{{/${name}}} does not close an open section`);
+    } else {
+      open = null;
+    }
+  }
+  if (open) errors.push(`{{#${open}}} is never closed`);
+
+  return errors;
+}
+
+// Lit un fichier de modèle ; son dernier saut de ligne ne fait pas partie du prompt
+function readTemplateFile(file) {
+  return fs.readFileSync(file, 'utf-8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+}
+
+// Chemin d'un fichier tel que le voit une version : le sien, ou celui de la version plus ancienne la plus proche
+// Returns null when neither the version nor an older one has the file
+function findVersionFile(version, fileName) {
+  const number = Number(version.slice(1));
+  const versions = listPromptVersions().filter(candidate => Number(candidate.slice(1)) <= number);
+  for (const candidate of versions.reverse()) {
+    const file = path.join(__dirname, candidate, fileName);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+// Assemble le modèle d'une langue : sa mise en page avec ses parties
+// Returns { template, errors }; template is null without a layout
+function composeTemplate(version, lang) {
+  const layoutFile = findVersionFile(version, `${lang}.txt`);
+  if (!layoutFile) {
+    return { template: null, errors: [`${lang}.txt is missing`] };
+  }
+
+  const errors = [];
+  const template = readTemplateFile(layoutFile).replace(/^\{\{>(\w+)\}\}\n|\{\{>(\w+)\}\}/gm, (reference, lineName, inlineName) => {
+    const name = lineName || inlineName;
+    const partFile = findVersionFile(version, `${lang}.${name}.txt`);
+    if (partFile) {
+      const part = readTemplateFile(partFile);
+      return lineName ? `${part}\n` : part;
+    }
+    // Not written yet in this version, or a typo when no version has it
+    if (!listPromptVersions().some(candidate => fs.existsSync(path.join(__dirname, candidate, `${lang}.${name}.txt`)))) {
+      errors.push(`${lang}.${name}.txt does not exist in any version`);
+    }
+    return '';
+  });
+  return { template, errors };
+}
+
+// Lit, assemble et vérifie les modèles d'une version pour toutes les langues
+// Throws when the version, a language, a part or a placeholder is wrong, so the server does not start with a broken
+// prompt
+export function loadPromptTemplates(version) {
+  const versionDir = path.join(__dirname, version);
+  if (!/^v\d+$/.test(version) || !fs.existsSync(versionDir)) {
+    throw new Error(`Unknown prompt version "${version}". Available versions: ${listPromptVersions().join(', ')}`);
+  }
+
+  const templates = {};
+  const errors = [];
+  for (const lang of LANGUAGE_CODES) {
+    const { template, errors: partErrors } = composeTemplate(version, lang);
+    errors.push(...partErrors);
+    if (template === null) continue;
+    errors.push(...validateTemplate(template).map(message => `${lang}.txt: ${message}`));
+    templates[lang] = template;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid prompt version ${version}: ${errors.join('; ')}`);
+  }
+  return { version, templates };
+}
+
+// Remplit un modèle avec les valeurs données
+export function renderTemplate(template, values) {
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (section, name, content) => (values[name] ? content : ''))
+    .replace(/\{\{(\w+)\}\}/g, (placeholder, name) => values[name] ?? '');
+}
+
+// Date du jour de l'hôtel écrite dans la langue de la conversation ("mardi 14 octobre 2025")
+export function formatPromptDate(lang, date = new Date()) {
+  return formatHotelDate(getLanguage(lang).speechLocale, date);
+}
+
+// Version active, chargée au premier usage avec la configuration reçue (src/server.js la charge au démarrage)
+let activePrompts = null;
+
+export function getPromptTemplates(config = getConfig()) {
+  if (!activePrompts) {
+    activePrompts = loadPromptTemplates(config.prompts.version || listPromptVersions().at(-1));
+  }
+  return activePrompts;
+}
+
+// Construit le prompt système d'une langue avec la version active
+// schedules is the description of today's opening hours, toolFlags the values of the sections of the tools offered
+// to the model ({ bookingInquiry: 'yes' }), prompts the version given by getPromptTemplates()
+// Returns { prompt, version }
+export function buildSystemPrompt(lang, { hotelInfo, guestName = '', schedules = '', toolFlags = {}, prompts = getPromptTemplates() }) {
+  const { version, templates } = prompts;
+  const now = new Date();
+  const prompt = renderTemplate(templates[lang], {
+    hotelInfo,
+    guestName,
+    date: formatPromptDate(lang, now),
+    time: formatHotelTime(getLanguage(lang).speechLocale, now),
+    schedules,
+    language: getLanguage(lang).name,
+    ...toolFlags
+  });
+  return { prompt, version };
+}
@@ -0,0 +1,489 @@
+// routes/adminRoutes.js
+// Console d'administration : modification des informations de l'hôtel et relecture des conversations par le personnel
+//
+// ADMIN_PASSWORD protects the console (/admin); without it the console is disabled. The pages are in
+// public/admin and only talk to the routes below, which all need the password except the login.
+// Every save is kept as a revision in the store, checked like the sources (validateKnowledgeBase), written
+// into data/hotel-info.edits.json (see knowledge/) and reloaded without restarting the server.
+// The anonymized transcripts of the conversations (transcripts/) can be searched, and answers of the bot can be
+// flagged for follow-up.
+// The questions the bot could not answer from the hotel information are grouped in a report (knowledge/gaps.js),
+// also downloadable as CSV, so the staff know which topics to add.
+// The ratings of the guests (feedback/) are summed up by topic and language.
+// The requests of the guests to talk to a person (handoff/) arrive live in the reception inbox, where the staff
+// answers them in the chat of the guest and hands the conversation back to Meit Ai.
+// The booking inquiries saved by the bot (tools/bookingInquiry.js) are listed for the reception, which answers by e-mail.
+// The estimated cost of the paid APIs (usage/) is summed up by day, model and conversation; /admin/usage opens the
+// console on that page.
+import crypto from 'crypto';
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { topicKeyFromHeading } from '../knowledge/docxSource.js';
+import { validateKnowledgeBase } from '../knowledge/index.js';
+import { diffTopics } from '../knowledge/diff.js';
+import { fingerprint } from '../knowledge/translation.js';
+import { buildGapReport, DEFAULT_REPORT_DAYS, formatGapReportCsv } from '../knowledge/gaps.js';
+import { buildFeedbackReport } from '../feedback/index.js';
+import { buildUsageReport } from '../usage/index.js';
+import { addStaffMessage, closeHandoff, joinHandoff, subscribeToHandoffs, summarizeHandoff, toStaffHandoff } from '../handoff/index.js';
+import { getStore } from '../store/index.js';
+import { createRateLimiter } from '../limits/index.js';
+import { flagTranscriptMessage, unflagTranscriptMessage } from '../transcripts/index.js';
+import { DEFAULT_LANGUAGE, LANGUAGE_CODES, LANGUAGES } from '../languages/index.js';
+import { openLiveEventStream, sendEvent } from './serverEvents.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Attente après un mauvais mot de passe, pour ralentir les essais au hasard
+const LOGIN_FAILURE_DELAY = 1000;
+
+// Essais de connexion permis par adresse IP pendant la fenêtre, réussis ou non
+const LOGIN_ATTEMPTS = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Nombre de conversations envoyées par page de la liste
+const TRANSCRIPTS_PAGE_SIZE = 50;
+
+// Période maximale des rapports (questions sans réponse, satisfaction, coûts), en jours
+const MAX_REPORT_DAYS = 365;
+
+// Nombre de demandes à l'accueil envoyées à la boîte de réception (ouvertes et récemment terminées)
+const HANDOFFS_PAGE_SIZE = 50;
+
+// Nombre de demandes de réservation affichées dans la console
+const INQUIRIES_PAGE_SIZE = 100;
+
+// Version des sujets, pour refuser d'écraser une modification faite entre-temps dans un autre onglet
+function topicsVersion(topics) {
+  return fingerprint(JSON.stringify(topics));
+}
+
+// Langues montrées côte à côte : celles dont les sujets sont écrits, plus celles qui ont un texte
+function getEditedLanguages(topics) {
+  const others = LANGUAGE_CODES.filter(lang => lang !== DEFAULT_LANGUAGE
+    && (!LANGUAGES[lang].knowledgeFallback || Object.values(topics).some(translations => translations[lang])));
+  // Le français en premier : c'est le texte de référence des traductions
+  return [DEFAULT_LANGUAGE, ...others];
+}
+
+// Transforme la liste envoyée par la console ([{ key, texts: { fr, en, ... } }]) en sujets { sujet: { fr, en, ... } }
+// A new topic without a key gets the key of its French heading, like the topics of the document
+// Keys such as "__proto__" or "constructor" would change the object itself rather than add a topic
+function normalizeTopics(list) {
+  const topics = Object.create(null);
+  const errors = [];
+
+  if (!Array.isArray(list)) {
+    return { topics, errors: ['La liste des sujets est manquante.'] };
+  }
+
+  list.forEach((item, i) => {
+    const texts = {};
+    for (const [lang, text] of Object.entries(item?.texts || {})) {
+      if (typeof text !== 'string') continue;
+      const cleaned = text.replace(/\r\n/g, '\n').trim();
+      if (cleaned) texts[lang] = cleaned;
+    }
+
+    const key = (typeof item?.key === 'string' && item.key.trim()) || topicKeyFromHeading((texts[DEFAULT_LANGUAGE] || '').split('\n')[0]);
+    if (!key) {
+      errors.push(`Le sujet n°${i + 1} n'a ni clé ni titre.`);
+    } else if (!/^[\p{L}\p{N}_]+$/u.test(key)) {
+      errors.push(`La clé "${key}" ne peut contenir que des lettres, des chiffres et "_".`);
+    } else if (key in Object.prototype) {
+      errors.push(`La clé "${key}" est réservée.`);
+    } else if (key in topics) {
+      errors.push(`La clé "${key}" est utilisée par deux sujets.`);
+    } else {
+      topics[key] = texts;
+    }
+  });
+
+  return { topics, errors };
+}
+
+// Période d'un rapport demandée dans l'URL (?days=30), bornée
+function reportDays(query) {
+  const days = Number.parseInt(query.days, 10);
+  return Number.isFinite(days) && days > 0 ? Math.min(days, MAX_REPORT_DAYS) : DEFAULT_REPORT_DAYS;
+}
+
+// Crée les routes de la console avec la configuration du serveur
+// apiRoutes is the router of createApiRoutes(), which holds the hotel information the console edits
+export default function createAdminRoutes(config, apiRoutes) {
+  const router = express.Router();
+
+  // The whole knowledge base is sent with each save, it is bigger than the default limit of express.json()
+  router.use(express.json({ limit: '5mb' }));
+
+  // Essais de connexion comptés par adresse IP
+  const loginLimiter = createRateLimiter({ limit: LOGIN_ATTEMPTS, windowMs: LOGIN_WINDOW_MS });
+
+  // Indique si la console est activée
+  function isAdminEnabled() {
+    return Boolean(config.admin.password);
+  }
+
+  // Compare le mot de passe sans que la durée de la comparaison dépende du texte tapé
+  function checkPassword(password) {
+    const expected = crypto.createHash('sha256').update(config.admin.password).digest();
+    const given = crypto.createHash('sha256').update(String(password ?? '')).digest();
+    return crypto.timingSafeEqual(expected, given);
+  }
+
+  // Refuse les requêtes quand la console est désactivée ou que le personnel n'est pas connecté
+  function requireAdmin(req, res, next) {
+    if (!isAdminEnabled()) {
+      return res.status(503).json({ error: 'La console est désactivée : ADMIN_PASSWORD n\'est pas défini.' });
+    }
+    if (!req.session.admin) {
+      return res.status(401).json({ error: 'Connexion requise.' });
+    }
+    next();
+  }
+
+  // Vérifie les sujets envoyés et les compare à ceux qui sont chargés
+  function reviewTopics(body) {
+    const { topics, errors } = normalizeTopics(body.topics);
+    const report = validateKnowledgeBase(topics);
+    const current = apiRoutes.getHotelTopics().topics;
+
+    return {
+      topics,
+      errors: [...errors, ...report.errors],
+      warnings: report.warnings,
+      diff: diffTopics(current, topics),
+      // Somebody saved since this page was loaded
+      conflict: body.version !== topicsVersion(current)
+    };
+  }
+
+  // État de la connexion
+  router.get('/api/session', (req, res) => {
+    res.json({ enabled: isAdminEnabled(), authenticated: isAdminEnabled() && Boolean(req.session.admin) });
+  });
+
+  // Page des coûts : la même console, ouverte sur cette page (admin.js lit l'adresse)
+  router.get('/usage', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', '..', 'public', 'admin', 'index.html'));
+  });
+
+  // Connexion du personnel
+  router.post('/api/login', async (req, res) => {
+    if (!isAdminEnabled()) {
+      return res.status(503).json({ error: 'La console est désactivée : ADMIN_PASSWORD n\'est pas défini.' });
+    }
+
+    // Too many tries from this address: the password is not even checked
+    const retryAfter = loginLimiter.hit(req.ip);
+    if (retryAfter > 0) {
+      console.warn(`[Admin] Too many login attempts from ${req.ip}, retry in ${retryAfter}s`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Trop d'essais de connexion. Réessayez dans ${Math.ceil(retryAfter / 60)} minute(s).` });
+    }
+
+    if (!checkPassword(req.body?.password)) {
+      console.warn(`[Admin] Failed login from ${req.ip}`);
+      await new Promise(resolve => setTimeout(resolve, LOGIN_FAILURE_DELAY));
+      return res.status(401).json({ error: 'Mot de passe incorrect.' });
+    }
+
+    // A new session id after login, so an id known before cannot be used to act as the staff
+    req.session.regenerate(err => {
+      if (err) {
+        console.error('[Admin] Could not start the session:', err);
+        return res.status(500).json({ error: 'Erreur interne du serveur.' });
+      }
+      req.session.admin = true;
+      console.log(`[Admin] Login from ${req.ip}`);
+      res.json({ authenticated: true });
+    });
+  });
+
+  // Déconnexion
+  router.post('/api/logout', (req, res) => {
+    req.session.destroy(() => res.json({ authenticated: false }));
+  });
+
+  // Sujets chargés, avec l'état des traductions de chaque langue
+  router.get('/api/topics', requireAdmin, (req, res) => {
+    const { topics, status, source } = apiRoutes.getHotelTopics();
+    res.json({
+      topics: Object.entries(topics).map(([key, texts]) => ({ key, texts })),
+      languages: getEditedLanguages(topics).map(code => ({ code, name: LANGUAGES[code].name })),
+      status,
+      source,
+      version: topicsVersion(topics)
+    });
+  });
+
+  // Aperçu des changements avant d'enregistrer
+  router.post('/api/topics/preview', requireAdmin, (req, res) => {
+    const { errors, warnings, diff, conflict } = reviewTopics(req.body);
+    res.json({ errors, warnings, diff, conflict });
+  });
+
+  // Enregistre les sujets, garde la révision et recharge les informations
+  router.put('/api/topics', requireAdmin, async (req, res) => {
+    const { topics, errors, warnings, diff, conflict } = reviewTopics(req.body);
+
+    if (conflict) {
+      return res.status(409).json({ error: 'Les informations ont été modifiées depuis l\'ouverture de la page. Rechargez-la avant d\'enregistrer.' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Les informations contiennent des erreurs.', errors, warnings });
+    }
+    if (diff.topics.length === 0) {
+      return res.status(400).json({ error: 'Aucun changement à enregistrer.' });
+    }
+
+    try {
+      const revisions = getStore().revisions;
+      // The first save also keeps the information as it was, so it can be restored
+      if ((await revisions.list({ limit: 1 })).length === 0) {
+        await revisions.add({ createdAt: Date.now(), note: 'État avant la première modification', summary: { added: 0, changed: 0, removed: 0 }, topics: apiRoutes.getHotelTopics().topics });
+      }
+
+      const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 200) : '';
+      const id = await revisions.add({ createdAt: Date.now(), note, summary: diff.summary, topics });
+      await apiRoutes.saveHotelTopics(topics);
+
+      console.log(`[Admin] Revision ${id} saved: ${diff.summary.added} added, ${diff.summary.changed} changed, ${diff.summary.removed} removed`);
+      res.json({ revision: id, summary: diff.summary, warnings, version: topicsVersion(apiRoutes.getHotelTopics().topics) });
+    } catch (err) {
+      console.error('[Admin] Save failed:', err);
+      res.status(500).json({ error: 'L\'enregistrement a échoué, les informations précédentes sont gardées.' });
+    }
+  });
+
+  // Historique des révisions
+  router.get('/api/revisions', requireAdmin, async (req, res) => {
+    try {
+      res.json({ revisions: await getStore().revisions.list({ limit: 100 }) });
+    } catch (err) {
+      console.error('[Admin] Could not list the revisions:', err);
+      res.status(500).json({ error: 'L\'historique n\'a pas pu être chargé.' });
+    }
+  });
+
+  // Une révision, avec ses changements par rapport à celle enregistrée juste avant
+  router.get('/api/revisions/:id', requireAdmin, async (req, res) => {
+    const id = Number.parseInt(req.params.id, 10);
+
+    try {
+      const revision = Number.isNaN(id) ? null : await getStore().revisions.get(id);
+      if (!revision) {
+        return res.status(404).json({ error: 'Révision introuvable.' });
+      }
+
+      const previous = await getStore().revisions.previous(id);
+      res.json({
+        revision: { ...revision, topics: Object.entries(revision.topics).map(([key, texts]) => ({ key, texts })) },
+        diff: diffTopics(previous?.topics || {}, revision.topics)
+      });
+    } catch (err) {
+      console.error('[Admin] Could not read the revision:', err);
+      res.status(500).json({ error: 'La révision n\'a pas pu être chargée.' });
+    }
+  });
+
+  // Transcriptions des conversations, les plus récentes d'abord
+  // Query: search (words to find in the messages), flagged=1 (only those with an answer to follow up), offset
+  router.get('/api/transcripts', requireAdmin, async (req, res) => {
+    const search = typeof req.query.search === 'string' ? req.query.search.slice(0, 200) : '';
+    const offset = Math.max(0, Number.parseInt(req.query.offset, 10) || 0);
+
+    try {
+      res.json(await getStore().transcripts.list({ search, flagged: req.query.flagged === '1', limit: TRANSCRIPTS_PAGE_SIZE, offset }));
+    } catch (err) {
+      console.error('[Admin] Transcript search failed:', err);
+      res.status(500).json({ error: 'La recherche a échoué.' });
+    }
+  });
+
+  // Une transcription avec tous ses messages
+  router.get('/api/transcripts/:id', requireAdmin, async (req, res) => {
+    try {
+      const transcript = await getStore().transcripts.get(req.params.id);
+      if (!transcript) {
+        return res.status(404).json({ error: 'Conversation introuvable.' });
+      }
+      res.json({ transcript });
+    } catch (err) {
+      console.error('[Admin] Could not read the transcript:', err);
+      res.status(500).json({ error: 'La conversation n\'a pas pu être chargée.' });
+    }
+  });
+
+  // Signale une réponse du bot pour la suivre, ou modifie son signalement (note, traité ou non)
+  router.put('/api/transcripts/:id/messages/:index/flag', requireAdmin, async (req, res) => {
+    const { note, resolved } = req.body;
+
+    try {
+      const transcript = await flagTranscriptMessage(req.params.id, Number.parseInt(req.params.index, 10), { note, resolved });
+      if (!transcript) {
+        return res.status(404).json({ error: 'Réponse introuvable.' });
+      }
+
+      console.log(`[Admin] Answer ${req.params.index} of transcript ${req.params.id} ${resolved ? 'marked as handled' : 'flagged'}`);
+      res.json({ transcript });
+    } catch (err) {
+      console.error('[Admin] Could not flag the answer:', err);
+      res.status(500).json({ error: 'Le signalement n\'a pas pu être enregistré.' });
+    }
+  });
+
+  // Retire le signalement d'une réponse
+  router.delete('/api/transcripts/:id/messages/:index/flag', requireAdmin, async (req, res) => {
+    try {
+      const transcript = await unflagTranscriptMessage(req.params.id, Number.parseInt(req.params.index, 10));
+      if (!transcript) {
+        return res.status(404).json({ error: 'Réponse introuvable.' });
+      }
+      res.json({ transcript });
+    } catch (err) {
+      console.error('[Admin] Could not remove the flag:', err);
+      res.status(500).json({ error: 'Le signalement n\'a pas pu être retiré.' });
+    }
+  });
+
+  // Rapport des sujets manquants : les questions sans réponse regroupées, les plus demandées d'abord
+  router.get('/api/gaps', requireAdmin, async (req, res) => {
+    try {
+      res.json(await buildGapReport({ days: reportDays(req.query), knowledgeIndex: apiRoutes.getKnowledgeIndex() }));
+    } catch (err) {
+      console.error('[Admin] Gap report failed:', err);
+      res.status(500).json({ error: 'Le rapport n\'a pas pu être créé.' });
+    }
+  });
+
+  // Le même rapport en CSV, pour le tableur
+  router.get('/api/gaps.csv', requireAdmin, async (req, res) => {
+    try {
+      const report = await buildGapReport({ days: reportDays(req.query), knowledgeIndex: apiRoutes.getKnowledgeIndex() });
+      const date = new Date().toISOString().slice(0, 10);
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="questions-sans-reponse-${date}.csv"`
+      });
+      res.send(formatGapReportCsv(report));
+    } catch (err) {
+      console.error('[Admin] Gap report failed:', err);
+      res.status(500).json({ error: 'Le rapport n\'a pas pu être créé.' });
+    }
+  });
+
+  // Satisfaction des clients : avis au total, par langue et par sujet, avec les derniers commentaires
+  router.get('/api/feedback', requireAdmin, async (req, res) => {
+    try {
+      res.json(await buildFeedbackReport({ days: reportDays(req.query) }));
+    } catch (err) {
+      console.error('[Admin] Feedback report failed:', err);
+      res.status(500).json({ error: 'Le rapport n\'a pas pu être créé.' });
+    }
+  });
+
+  // Coûts estimés des API payantes : totaux par jour, par type d'appel, par modèle et conversations les plus coûteuses
+  router.get('/api/usage', requireAdmin, async (req, res) => {
+    try {
+      res.json(await buildUsageReport({ days: reportDays(req.query), currency: config.usage.currency }));
+    } catch (err) {
+      console.error('[Admin] Usage report failed:', err);
+      res.status(500).json({ error: 'Le rapport n\'a pas pu être créé.' });
+    }
+  });
+
+  // Demandes des clients à parler à l'accueil, les plus récentes d'abord (sans les messages)
+  router.get('/api/handoffs', requireAdmin, async (req, res) => {
+    try {
+      const handoffs = await getStore().handoffs.list({ limit: HANDOFFS_PAGE_SIZE });
+      res.json({ handoffs: handoffs.map(summarizeHandoff) });
+    } catch (err) {
+      console.error('[Admin] Could not list the requests to the reception:', err);
+      res.status(500).json({ error: 'La liste des demandes n\'a pas pu être chargée.' });
+    }
+  });
+
+  // Suivi en direct de toutes les demandes (Server-Sent Events)
+  // Event "handoff" ({ handoff }) with the whole request each time it changes (new request, message, taken, closed),
+  // without the id of the conversation like every request sent to the staff
+  router.get('/api/handoffs/events', requireAdmin, (req, res) => {
+    const unsubscribe = subscribeToHandoffs(handoff => sendEvent(res, 'handoff', { handoff }));
+    openLiveEventStream(res, unsubscribe);
+    sendEvent(res, 'ready', {});
+  });
+
+  // Une demande avec la fin de la conversation avec Meit Ai et les messages échangés
+  router.get('/api/handoffs/:id', requireAdmin, async (req, res) => {
+    try {
+      const handoff = await getStore().handoffs.get(req.params.id);
+      if (!handoff) {
+        return res.status(404).json({ error: 'Demande introuvable.' });
+      }
+      res.json({ handoff: toStaffHandoff(handoff) });
+    } catch (err) {
+      console.error('[Admin] Could not read the request to the reception:', err);
+      res.status(500).json({ error: 'La demande n\'a pas pu être chargée.' });
+    }
+  });
+
+  // Prend une demande en charge : le client voit qu'une personne l'a rejoint
+  router.post('/api/handoffs/:id/join', requireAdmin, async (req, res) => {
+    try {
+      const handoff = await joinHandoff(req.params.id);
+      if (!handoff) {
+        return res.status(404).json({ error: 'Demande introuvable ou terminée.' });
+      }
+      res.json({ handoff: toStaffHandoff(handoff) });
+    } catch (err) {
+      console.error('[Admin] Could not take the request to the reception:', err);
+      res.status(500).json({ error: 'La demande n\'a pas pu être prise en charge.' });
+    }
+  });
+
+  // Répond au client, dans son chat
+  router.post('/api/handoffs/:id/messages', requireAdmin, async (req, res) => {
+    const { text } = req.body;
+    if (typeof text !== 'string' || text.trim() === '') {
+      return res.status(400).json({ error: 'Le message est vide.' });
+    }
+
+    try {
+      const handoff = await addStaffMessage(req.params.id, text);
+      if (!handoff) {
+        return res.status(404).json({ error: 'Demande introuvable ou terminée.' });
+      }
+      res.json({ handoff: toStaffHandoff(handoff) });
+    } catch (err) {
+      console.error('[Admin] Could not send the answer of the staff:', err);
+      res.status(500).json({ error: 'Le message n\'a pas pu être envoyé.' });
+    }
+  });
+
+  // Rend la main à Meit Ai : la demande est terminée
+  router.post('/api/handoffs/:id/close', requireAdmin, async (req, res) => {
+    try {
+      const handoff = await closeHandoff(await getStore().handoffs.get(req.params.id), 'staff');
+      if (!handoff) {
+        return res.status(404).json({ error: 'Demande introuvable.' });
+      }
+      res.json({ handoff: toStaffHandoff(handoff) });
+    } catch (err) {
+      console.error('[Admin] Could not close the request to the reception:', err);
+      res.status(500).json({ error: 'La demande n\'a pas pu être terminée.' });
+    }
+  });
+
+  // Demandes de réservation enregistrées par Meit Ai, les plus récentes d'abord
+  router.get('/api/inquiries', requireAdmin, async (req, res) => {
+    try {
+      res.json({ inquiries: await getStore().inquiries.list({ limit: INQUIRIES_PAGE_SIZE }) });
+    } catch (err) {
+      console.error('[Admin] Could not list the booking inquiries:', err);
+      res.status(500).json({ error: 'La liste des demandes de réservation n\'a pas pu être chargée.' });
+    }
+  });
+
+  return router;
+}
\ No newline at end of file
@@ -1,436 +1,1025 @@
 // routes/apiRoutes.js
 import express from 'express';
-import multer from 'multer';
+import { randomUUID } from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { getChatProvider, getChatSettings } from '../llm/index.js';
+import { buildChatMessages, compactHistory, getHistorySettings } from '../llm/history.js';
+import { getSTTEngine } from '../stt/index.js';
+import { getAudioDuration } from '../stt/audioDuration.js';
+import { getTTSVoice } from '../tts/index.js';
+import { getTopicText, loadKnowledgeBase, saveKnowledgeBase, watchKnowledgeBase } from '../knowledge/index.js';
+import { createKnowledgeIndex } from '../knowledge/retrieval.js';
+import { completeTranslations, formatCoverageTable, getTranslationProvider } from '../knowledge/translation.js';
+import { createCitationFilter, extractCitations } from '../knowledge/citations.js';
+import { isUnansweredAnswer, recordKnowledgeGap } from '../knowledge/gaps.js';
+import { describeSchedules, getSchedulesPath, loadSchedules } from '../knowledge/schedules.js';
+import { getStore } from '../store/index.js';
+import { createTranscriptId, recordTranscriptTurn, resolveInputMode } from '../transcripts/index.js';
+import { createMessageId, RATINGS, recordMessageFeedback } from '../feedback/index.js';
+import { addGuestMessage, closeHandoff, getOpenHandoff, isStaffOnline, requestHandoff, subscribeToConversation } from '../handoff/index.js';
+import { DEFAULT_LANGUAGE, LANGUAGE_CODES, getClientLanguages, getLanguage, resolveLanguage } from '../languages/index.js';
+import { decideAnswerLanguage, getLanguagePolicy } from '../languages/detection.js';
+import { buildSystemPrompt, getPromptTemplates } from '../prompts/index.js';
+import { getEnabledTools, getToolNotices, getToolPromptFlags, MAX_TOOL_ROUNDS, runToolCalls } from '../tools/index.js';
+import { limitPaidRequests, limitSpeechLength, receiveAudio } from '../limits/index.js';
+import { getPrices, recordUsage } from '../usage/index.js';
+import { openLiveEventStream, sendEvent, startEventStream } from './serverEvents.js';
 
-const router = express.Router();
-const upload = multer();
+// Transforme les sujets { sujet: { fr, en, es, ... } } en un texte par langue pour le prompt
+// A topic not translated in a language uses the text of the language's knowledgeFallback
+function formatHotelInfo(hotelData) {
+  const formatted = {};
 
-// Get current directory
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+  // For each language, combine all information into a single text
+  for (const lang of LANGUAGE_CODES) {
+    const sections = [];
+    
+    // Iterate through all topics in the data
+    for (const [topic, translations] of Object.entries(hotelData)) {
+      const { text } = getTopicText(translations, lang);
+      if (text.trim() !== '') {
+        // Extract the actual content without the section number
+        let content = text;
+        
+        // Remove the section number from the first line if it exists
+        content = content.replace(/^\d+(\.[A-Z])?\.?\s+[A-ZÉÈÊËÀÁÂÄÃÅÇÍÌÎÏÑÓÒÔÖÕÚÙÛÜÝŸÆŒ].*?\n/, '');
+        
+        // Format the topic name to be more readable, keeping its key so the model can cite it
+        const formattedTopic = topic.replace(/_/g, ' ').toUpperCase();
+        sections.push(`[${topic}] ${formattedTopic}:\n${content}`);
+      }
+    }
+    
+    // Join all sections with double newlines
+    formatted[lang] = sections.join('\n\n');
+  }
 
-// Load hotel information function
-let hotelInfo = { fr: '', en: '', es: '' };
+  return formatted;
+}
 
-async function loadHotelInfo() {
-  try {
-    // Load structured data
-    const hotelData = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'hotel-info.json'), 'utf-8'));
-    
-    // For each language, combine all information into a single text
-    for (const lang of Object.keys(hotelInfo)) {
-      const sections = [];
-      
-      // Iterate through all topics in the data
-      for (const [topic, translations] of Object.entries(hotelData)) {
-        if (translations[lang] && translations[lang].trim() !== '') {
-          // Extract the actual content without the section number
-          let content = translations[lang];
-          
-          // Remove the section number from the first line if it exists
-          content = content.replace(/^\d+(\.[A-Z])?\.?\s+[A-ZÉÈÊËÀÁÂÄÃÅÇÍÌÎÏÑÓÒÔÖÕÚÙÛÜÝŸÆŒ].*?\n/, '');
-          
-          // Format the topic name to be more readable
-          const formattedTopic = topic.replace(/_/g, ' ').toUpperCase();
-          sections.push(`${formattedTopic}:\n${content}`);
+// Retient le prénom du client envoyé par le widget, pour le prompt
+// Only letters, spaces, hyphens and apostrophes are kept, so the name cannot carry instructions for the model
+function rememberGuestName(req, guestName) {
+  if (typeof guestName !== 'string') return;
+  const name = guestName.replace(/[^\p{L}\p{M} '’-]/gu, '').replace(/\s+/g, ' ').trim().slice(0, 40);
+  if (name) req.session.guestName = name;
+}
+
+// Nombre maximal de messages gardés pour réafficher une conversation
+const MAX_STORED_MESSAGES = 200;
+
+// Identifiant de conversation envoyé par le widget
+// The ids are created by the server (crypto.randomUUID) and kept in the browser: anything else is refused
+function resolveConversationId(conversationId) {
+  return typeof conversationId === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(conversationId) ? conversationId : null;
+}
+
+// Max length of a sentence group in pipelined mode, and of the first group which should start playing quickly
+const STREAM_SEGMENT_LENGTH = 600;
+const STREAM_FIRST_SEGMENT_LENGTH = 200;
+
+// Number of sentence groups synthesized at the same time in pipelined mode
+const STREAM_CONCURRENCY = 3;
+
+// Découpe un texte en morceaux de phrases ne dépassant pas maxLength caractères
+function splitTextIntoChunks(text, maxLength) {
+  // More robust sentence splitting with consideration for multilingual texts
+  const sentences = text.match(/[^.!?]+[.!?]+|[^.!?]+$/g) || [];
+
+  if (sentences.length === 0) {
+    // Fallback if no sentences found (rare case)
+    sentences.push(text);
+  }
+
+  const chunks = [];
+  let currentChunk = '';
+
+  for (const sentence of sentences) {
+    if (!sentence || sentence.trim() === '') continue;
+
+    // If adding this sentence exceeds the limit, start a new chunk
+    if (currentChunk.length + sentence.length > maxLength) {
+      if (currentChunk.length > 0) {
+        chunks.push(currentChunk);
+        currentChunk = '';
+      }
+
+      if (sentence.length <= maxLength) {
+        currentChunk = sentence;
+      } else {
+        // If a single sentence is too long, split it by words
+        const words = sentence.split(/\s+/);
+        let tempChunk = '';
+
+        for (const word of words) {
+          if (tempChunk.length + word.length + 1 > maxLength) {
+            chunks.push(tempChunk);
+            tempChunk = word;
+          } else {
+            tempChunk += (tempChunk.length > 0 ? ' ' : '') + word;
+          }
         }
+
+        currentChunk = tempChunk;
       }
-      
-      // Join all sections with double newlines
-      hotelInfo[lang] = sections.join('\n\n');
+    } else {
+      currentChunk += sentence;
     }
-    
-    console.log('Multilingual hotel information loaded successfully.');
-    return hotelInfo;
-  } catch (err) {
-    console.error('Error loading hotel information:', err);
-    throw err;
   }
+
+  // Add the last chunk if there's anything left
+  if (currentChunk.trim().length > 0) {
+    chunks.push(currentChunk);
+  }
+
+  return chunks;
+}
+
+// Regroupe les phrases pour le mode pipeliné : un premier groupe court pour démarrer vite, puis des groupes plus longs
+function splitTextIntoSegments(text) {
+  const [first = '', ...rest] = splitTextIntoChunks(text, STREAM_FIRST_SEGMENT_LENGTH);
+  const remainder = rest.join('');
+  return remainder.trim() ? [first, ...splitTextIntoChunks(remainder, STREAM_SEGMENT_LENGTH)] : [first];
+}
+
+// Conversation à laquelle compter un appel de reconnaissance ou de synthèse vocale (envoyée par le widget)
+function resolveUsageConversationId(req) {
+  return req.session.conversationId || resolveConversationId(req.body.conversationId) || null;
+}
+
+// Langue du message à lire, utilisée pour choisir la voix
+function resolveSpeechLanguage(language) {
+  return resolveLanguage(language);
+}
+
+// Refuse une question vide, avant qu'elle compte dans les limites des routes payantes (src/limits)
+function requireQuestion(req, res, next) {
+  const { question } = req.body;
+  if (typeof question !== 'string' || question.trim() === '') {
+    return res.status(400).json({ answer: 'Question cannot be empty' });
+  }
+  next();
 }
 
-// Initial hotel info loading
-const initializeHotelInfo = async () => {
-  try {
-    hotelInfo = await loadHotelInfo();
+// Refuse une transcription sans fichier audio, avant qu'elle compte dans les limites
+function requireAudioFile(req, res, next) {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Aucun fichier audio reçu.' });
+  }
+  next();
+}
+
+// Refuse un texte à lire vide, avant qu'il compte dans les limites
+function requireSpeechText(req, res, next) {
+  const { text } = req.body;
+  if (typeof text !== 'string' || text.trim() === '') {
+    console.error(`[TTS] Empty or invalid text received (${req.path})`);
+    return res.status(400).send('Text cannot be empty');
+  }
+  next();
+}
+
+// Durée d'un enregistrement pour la consommation : celle de l'en-tête WAV, sinon celle envoyée par le widget
+// The duration of the widget only changes the estimated cost, it never decides whether a recording is accepted
+function resolveAudioSeconds(buffer, duration) {
+  const seconds = getAudioDuration(buffer) ?? Number(duration);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : 0;
+}
+
+// Envoie l'audio MP3 au client avec les en-têtes adaptés
+function sendAudio(res, audioData) {
+  // Set proper headers for streaming audio
+  res.set({
+    'Content-Type': 'audio/mpeg',
+    'Content-Length': audioData.length,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'no-cache',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  // Send the audio data
+  res.send(audioData);
+}
+
+// Crée les routes de l'API du widget avec la configuration du serveur
+// The router also loads the hotel information (initializeHotelInfo) and gives it to the admin console
+// (getHotelTopics, getKnowledgeIndex, saveHotelTopics)
+export default function createApiRoutes(config) {
+  const router = express.Router();
+  // Tarifs des API payantes, pour la consommation de chaque conversation
+  const prices = getPrices(config);
+
+  // Load hotel information function
+  let hotelInfo = Object.fromEntries(LANGUAGE_CODES.map(lang => [lang, '']));
+  // Sujets de l'hôtel tels qu'ils ont été chargés ({ sujet: { fr, en, es, ... } }), pour afficher les sources
+  let hotelTopics = {};
+  // État des traductions de chaque sujet ({ sujet: { fr: 'human', es: 'machine', ... } })
+  let translationStatus = {};
+  // Sujets tels qu'ils sont écrits dans les sources, sans les traductions automatiques (ce que la console modifie)
+  let sourceTopics = {};
+  let knowledgeSource = null;
+  // Date de modification du fichier enregistré par la console, pour ne pas le recharger une deuxième fois
+  let lastSavedMtime = null;
+  // Index des sections de l'hôtel, pour ne mettre dans le prompt que celles qui concernent la question
+  let knowledgeIndex = createKnowledgeIndex({});
+  // Horaires d'ouverture structurés (hotel-schedules.json), décrits dans le prompt de chaque question
+  let hotelSchedules = [];
+  // Nombre de textes chargés sans la traduction automatique qu'ils attendent (voir translateHotelInfo)
+  let pendingTranslations = 0;
+
+  // When keepCurrentOnError is set, any source error keeps the information already loaded
+  // (a half-saved file must not replace good translations with nothing).
+  // translate: false only uses the translation memory, without calling the translation provider
+  async function loadHotelInfo({ keepCurrentOnError = false, translate = true } = {}) {
+    // Build the topics from the edits of the admin console, hotel_info_clean.docx and hotel-info.json
+    const { data, source, errors, warnings } = await loadKnowledgeBase(config);
+    errors.forEach(message => console.error(`[Knowledge] ${message}`));
+    warnings.forEach(message => console.warn(`[Knowledge] ${message}`));
+
+    if (!data || (keepCurrentOnError && errors.length > 0)) {
+      throw new Error(data ? 'Hotel information sources contain errors' : 'No valid hotel information source');
+    }
+
+    // Fill the missing and stale translations, then show what each language really gets
+    const translation = await completeTranslations(data, { translate, config });
+    translation.errors.forEach(message => console.error(`[Knowledge] ${message}`));
+    for (const [lang, topics] of Object.entries(translation.stale)) {
+      const replaced = topics.filter(topic => translation.status[topic][lang] === 'machine').length;
+      console.warn(`[Knowledge] ${topics.length} ${lang} translation(s) are older than the French text${replaced ? ` (${replaced} replaced by a machine translation)` : ''}: ${topics.join(', ')}`);
+    }
+    if (translation.translated > 0) {
+      console.log(`[Knowledge] ${translation.translated} topic text(s) translated with ${getTranslationProvider(config).name}`);
+    }
+    if (translation.pending > 0) {
+      console.log(`[Knowledge] ${translation.pending} topic text(s) wait for a machine translation, the knowledgeFallback is used meanwhile`);
+    }
+    formatCoverageTable(translation.status).forEach(line => console.log(`[Knowledge] ${line}`));
+
+    // Only replace the current information once the new one is valid
+    hotelInfo = formatHotelInfo(translation.data);
+    hotelTopics = translation.data;
+    translationStatus = translation.status;
+    pendingTranslations = translation.pending;
+    sourceTopics = data;
+    knowledgeSource = source;
+    knowledgeIndex = createKnowledgeIndex(translation.data);
+    console.log(`Multilingual hotel information loaded successfully from ${source}.`);
     return hotelInfo;
-  } catch (err) {
-    console.error('Failed to load hotel information:', err);
-    throw err;
   }
-};
-
-// Attach the initialization function to the router object
-router.initializeHotelInfo = initializeHotelInfo;
-
-// ROUTE GPT - Création du systemPrompt avec mémoire de conversation
-router.post('/chat', async (req, res) => {
-  const { question, language } = req.body;
-  
-  // If this request is coming from Android speech-to-text, use the stored language
-  // instead of trying to detect from the transcript
-  let lang;
-  if (req.session.androidUserLanguage && req.headers['user-agent'] && /Android/i.test(req.headers['user-agent'])) {
-    lang = req.session.androidUserLanguage;
-    console.log(`Using Android user selected language: ${lang} instead of detected language`);
-  } else {
-    // Use language from request or default to French
-    lang = ['fr', 'en', 'es'].includes(language) ? language : 'fr';
+
+  // Charge les horaires d'ouverture; un fichier invalide garde les horaires déjà chargés
+  async function loadHotelSchedules() {
+    const { schedules, errors } = await loadSchedules(config);
+    errors.forEach(message => console.error(`[Knowledge] ${message}`));
+    if (!schedules) {
+      throw new Error('The opening hours contain errors');
+    }
+    hotelSchedules = schedules;
+    console.log(`[Knowledge] ${schedules.length} opening schedule(s) loaded`);
   }
-  
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-  // Dictionnaire de prompts système multilingues
-  const systemPrompts = {
-    fr: `Tu es Meit Ai, réceptionniste virtuelle. Réponds EXCLUSIVEMENT en français en utilisant uniquement les informations disponibles ci-dessous:
-
-${hotelInfo[lang]}
-
-Si tu ne sais pas ou si l'information demandée n'est pas présente dans les informations fournies, indique-le clairement sans rien inventer.
-En tant que chatbot, ne prends aucune initiative qui pourrait te compromettre ou engager notre responsabilité. Ne propose pas aux clients des services ou actions qui ne sont pas explicitement mentionnés dans les informations fournies.
-
-Obligation:
--Fournir le plus d'information util et importante a savoir a l'utilisateur. Ne pas hesitez a etre extensif.
--Toujours structurer tes réponses en paragraphes bien espacés.
--Utiliser des sauts de ligne entre chaque paragraphe pour une meilleure lisibilité.
--Tu dois TOUJOURS répondre en français, quelle que soit la langue de la question posée.
-
-Règles complémentaires :
--Pas de numérotation
--Style conversationnel naturel
--Phrases complètes
--Structure claire sans formatage
--Chaque idée distincte doit être dans son propre paragraphe`,
-    en: `You are Meit Ai, a virtual receptionist. Answer EXCLUSIVELY in English using only the information available below:
-
-${hotelInfo[lang]}
-
-If you do not know or if the requested information is not present in the information provided, clearly indicate so without making anything up.
-As a chatbot, do not take any initiative that could compromise you or engage our liability. Do not offer clients any services or actions that are not explicitly mentioned in the information provided.
-
-Requirements:
-- Provide extensive and useful information to the user. Don't hesitate to be comprehensive.
-- Always structure your responses in well-spaced paragraphs.
-- Use line breaks between each paragraph for better readability.
-- You must ALWAYS respond in English, regardless of the language of the question asked.
-
-Additional rules:
-- No numbering
-- Natural conversational style
-- Complete sentences
-- Clear structure without formatting
-- Each distinct idea should be in its own paragraph`,
-    es: `Tú eres Meit Ai, recepcionista virtual. Responde EXCLUSIVAMENTE en español utilizando únicamente la información disponible a continuación:
-
-${hotelInfo[lang]}
-
-Si no sabes o si la información solicitada no está presente en la información proporcionada, indícalo claramente sin inventar nada.
-Como chatbot, no tomes ninguna iniciativa que pueda comprometerte o implicar nuestra responsabilidad. No ofrezcas a los clientes servicios o acciones que no estén explícitamente mencionados en la información proporcionada.
-
-Obligaciones:
-- Proporcionar información extensa y útil al usuario. No dudes en ser exhaustivo.
-- Siempre estructurar tus respuestas en párrafos bien espaciados.
-- Usar saltos de línea entre cada párrafo para mejor legibilidad.
-- SIEMPRE debes responder en español, independientemente del idioma de la pregunta formulada.
-
-Reglas complementarias:
-- Sin numeración
-- Estilo conversacional natural
-- Frases completas
-- Estructura clara sin formato
-- Cada idea distinta debe estar en su propio párrafo`
+
+  // Initial hotel info loading
+  // Only the translation memory is used, so the server starts without waiting for the translation provider
+  const initializeHotelInfo = async () => {
+    try {
+      await loadHotelInfo({ translate: false });
+    } catch (err) {
+      // Start anyway so the sources can be fixed without restarting the server
+      console.error('Failed to load hotel information, answers will not include it until the sources are fixed:', err.message);
+    }
+    try {
+      await loadHotelSchedules();
+    } catch (err) {
+      console.error('Failed to load the opening hours, answers will not include them until the file is fixed:', err.message);
+    }
+
+    // Reload the information when the DOCX, the JSON or the edits change, and the opening hours when their file changes
+    watchKnowledgeBase(async (filePath) => {
+      if (path.resolve(filePath) === path.resolve(getSchedulesPath(config))) {
+        console.log(`[Knowledge] ${path.basename(filePath)} changed, reloading the opening hours`);
+        return loadHotelSchedules().catch(err => console.error('[Knowledge] Reload failed, keeping the previous opening hours:', err.message));
+      }
+
+      // The admin console already reloaded the information it saved
+      const { mtimeMs } = await fs.stat(filePath).catch(() => ({}));
+      if (mtimeMs && mtimeMs === lastSavedMtime) return;
+
+      console.log(`[Knowledge] ${path.basename(filePath)} changed, reloading hotel information`);
+      try {
+        await loadHotelInfo({ keepCurrentOnError: true });
+      } catch (err) {
+        console.error('[Knowledge] Reload failed, keeping the previous hotel information:', err.message);
+      }
+    }, config);
+
+    return hotelInfo;
   };
 
-  // Initialiser l'historique de conversation dans la session s'il n'existe pas
-  if (!req.session.chatHistory) {
-    req.session.chatHistory = [];
-    // Ajouter le prompt système initial
-    req.session.chatHistory.push({ role: 'system', content: systemPrompts[lang] });
-  } else {
-    // Force update the system prompt to use the current language on every request
-    // This ensures the bot will always use the correct language based on the current request
-    if (req.session.chatHistory.length > 0 && req.session.chatHistory[0].role === 'system') {
-      req.session.chatHistory[0].content = systemPrompts[lang];
-    } else {
-      // Insert system prompt at the beginning if it doesn't exist
-      req.session.chatHistory.unshift({ role: 'system', content: systemPrompts[lang] });
+  // Attach the initialization function to the router object
+  router.initializeHotelInfo = initializeHotelInfo;
+
+  // Traduit en arrière-plan les textes laissés sans traduction au démarrage, puis recharge les informations
+  // Called once the server listens: the calls to the provider are paid and made one by one
+  router.translateHotelInfo = async () => {
+    if (pendingTranslations === 0) return;
+    console.log(`[Knowledge] Translating ${pendingTranslations} topic text(s) in the background with ${getTranslationProvider(config).name}`);
+    try {
+      await loadHotelInfo({ keepCurrentOnError: true });
+    } catch (err) {
+      console.error('[Knowledge] Background translation failed, keeping the information of the memory:', err.message);
     }
-  }
+  };
+
+  // Sujets chargés, pour la console d'administration
+  // Returns { topics, status, source }: topics as written in the sources, status the translation state of each language
+  router.getHotelTopics = () => ({ topics: sourceTopics, status: translationStatus, source: knowledgeSource });
 
-  // Ajouter la question de l'utilisateur à l'historique
-  req.session.chatHistory.push({ role: 'user', content: question });
-
-  try {
-    // Appel à l'API OpenAI pour générer une réponse en utilisant l'historique complet
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini', // Modèle utilisé
-        messages: req.session.chatHistory, // Utiliser l'historique complet de conversation
-        max_tokens: 450, // Limite de tokens pour la réponse
-        temperature: 1 // Niveau de créativité de la réponse
-      })
+  // Index de recherche des informations actuelles (rapport des questions sans réponse de la console)
+  router.getKnowledgeIndex = () => knowledgeIndex;
+
+  // Enregistre les sujets modifiés dans la console et recharge les informations sans redémarrer
+  router.saveHotelTopics = async (topics) => {
+    lastSavedMtime = await saveKnowledgeBase(topics, config);
+    await loadHotelInfo({ keepCurrentOnError: true });
+  };
+
+  // Détermine la langue de réponse pour une requête de chat
+  // The language selected in the widget is combined with the language of the question under LANGUAGE_POLICY.
+  // Returns { language, detectedLanguage, suggestedLanguage }
+  function resolveChatLanguage(req) {
+    const { question, language } = req.body;
+    const selectedLanguage = resolveLanguage(language);
+    const decision = decideAnswerLanguage({
+      question,
+      selectedLanguage,
+      policy: getLanguagePolicy(config),
+      minLength: config.languages.detectionMinLength
     });
 
-    // Vérifier si la réponse est correcte
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Erreur GPT:', errorText);
-      return res.status(500).json({ answer: "Erreur lors de la génération de la réponse." });
-    }
-
-    // Extraire la réponse du modèle
-    const data = await response.json();
-    const answer = data.choices?.[0]?.message?.content || "Désolé, je ne peux pas répondre pour l'instant.";
-    // Ajouter la réponse du bot à l'historique de conversation
-    req.session.chatHistory.push({ role: 'assistant', content: answer });
-    res.json({ answer }); // Envoyer la réponse au client
-  } catch (err) {
-    console.error('Erreur interne GPT:', err);
-    res.status(500).json({ answer: "Erreur interne du serveur." });
+    if (decision.language !== selectedLanguage || decision.suggestedLanguage) {
+      console.log(`[Languages] Question in ${decision.detectedLanguage}, selected ${selectedLanguage}: answering in ${decision.language}${decision.suggestedLanguage ? `, suggesting ${decision.suggestedLanguage}` : ''}`);
+    }
+    return decision;
   }
-});
 
-// ROUTE STT (Whisper) - Utilisation du model gpt-4o-mini-transcribe
-router.post('/speech-to-text', upload.single('file'), async (req, res) => {
-  try {
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-    // Vérifier qu'un fichier a bien été envoyé
-    if (!req.file) {
-      return res.status(400).json({ error: 'Aucun fichier audio reçu.' });
+  // Choisit les informations de l'hôtel à mettre dans le prompt pour cette question
+  // Returns the text for the prompt and the ids of the sections it contains.
+  // RETRIEVAL_TOP_K=0 sends the whole hotel information instead, like before the index existed
+  function selectHotelContext(lang, query) {
+    const topK = config.knowledge.retrievalTopK;
+    if (topK === 0) {
+      return { context: hotelInfo[lang], sections: [] };
     }
 
-    const { originalname, buffer, mimetype } = req.file;
-    const compress = req.body.compress === 'true';
-    // Extract the user selected language from Android
-    const userSelectedLanguage = req.body.userSelectedLanguage;
-    
-    // If we have a user selected language from Android, store it in the session
-    if (userSelectedLanguage && ['fr', 'en', 'es'].includes(userSelectedLanguage)) {
-      console.log(`Android STT: User selected language is ${userSelectedLanguage}`);
-      // Store this in the session for use in the chat endpoint
-      req.session.androidUserLanguage = userSelectedLanguage;
+    const results = knowledgeIndex.search(lang, query, topK);
+    // A language read from another language's texts (knowledgeFallback) may share no word with the
+    // question: send the whole information rather than nothing
+    if (results.length === 0 && getLanguage(lang).knowledgeFallback) {
+      return { context: hotelInfo[lang], sections: [] };
     }
 
-    // Log pour le débogage
-    console.log(`Traitement audio: ${originalname}, taille: ${buffer.length} octets, compression: ${compress}, langue sélectionnée: ${userSelectedLanguage || 'non spécifiée'}`);
+    const context = results
+      .map(result => `[${result.topic}] ${result.topic.replace(/_/g, ' ').toUpperCase()}:\n${result.text}`)
+      .join('\n\n');
+    return { context, sections: results.map(result => result.id) };
+  }
 
-    // Création du Blob à partir du buffer reçu
-    const audioBlob = new Blob([buffer], { type: mimetype || 'audio/wav' });
+  // Prépare l'historique de conversation de la session et y ajoute la question
+  // The session keeps the recent turns (chatHistory) and a summary of the older ones (chatMemory).
+  // Returns the messages for the provider, the ids of the hotel sections put in the prompt and the prompt version
+  async function prepareChatHistory(req, lang, question) {
+    // Sessions created before the history manager stored the system prompt first, it is rebuilt on every request
+    const turns = (req.session.chatHistory || []).filter(message => message.role !== 'system');
 
-    // Construction du FormData pour l'API Whisper
-    const formData = new FormData();
-    formData.append('file', audioBlob, originalname);
-    formData.append('model', 'gpt-4o-mini-transcribe'); // Modèle Whisper à utiliser
-    
-    // Optimisation: utiliser le model tiny pour une réponse plus rapide sur Android
-    // Ce modèle est plus rapide mais un peu moins précis
-    if (compress) {
-      formData.append('model', 'gpt-4o-mini-transcribe');
-      // On peut ajouter d'autres paramètres d'optimisation ici
-      // comme 'response_format': 'json' pour réduire la taille de la réponse
-    }
-
-    // Requête vers l'API Whisper pour la transcription
-    const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`
-      },
-      body: formData
+    // The previous question helps with follow-ups such as "and on Sunday?"
+    const previousQuestion = [...turns].reverse().find(message => message.role === 'user');
+    const query = previousQuestion ? `${question}\n${previousQuestion.content}` : question;
+    const { context, sections } = selectHotelContext(lang, query);
+    console.log(`[Retrieval] ${sections.length} section(s) selected: ${sections.join(', ') || 'none'}`);
+
+    const { prompt: systemPrompt, version: promptVersion } = buildSystemPrompt(lang, {
+      hotelInfo: context,
+      guestName: req.session.guestName,
+      schedules: describeSchedules(hotelSchedules, lang),
+      toolFlags: getToolPromptFlags(getEnabledTools(config)),
+      prompts: getPromptTemplates(config)
     });
+    console.log(`[Prompt] ${promptVersion} (${lang})`);
 
-    // Vérifier si la réponse est correcte
-    if (!response.ok) {
-      const errText = await response.text();
-      console.error('Erreur Whisper:', errText);
-      return res.status(500).json({ error: 'Erreur lors de la reconnaissance vocale.' });
-    }
+    // Ajouter la question de l'utilisateur, puis résumer les anciens tours si l'historique est trop long
+    turns.push({ role: 'user', content: question });
+    const history = await compactHistory({
+      turns,
+      memory: req.session.chatMemory,
+      language: lang,
+      settings: getHistorySettings(config),
+      provider: getChatProvider(config)
+    });
+    req.session.chatHistory = history.turns;
+    req.session.chatMemory = history.memory;
+    await recordChatUsage(req, history.usage, 'summary');
 
-    // Extraire la transcription et l'envoyer au client
-    const data = await response.json();
-    res.json({ transcript: data.text });
-  } catch (error) {
-    console.error('Erreur STT Whisper:', error);
-    res.status(500).json({ error: 'Erreur lors de la reconnaissance vocale.' });
+    return { messages: buildChatMessages(systemPrompt, history.memory, history.turns, lang), sections, promptVersion };
   }
-});
 
-// ROUTE TTS (Whisper TTS)
-router.post('/text-to-speech', async (req, res) => {
-  const { text } = req.body;
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+  // Compte les tokens d'un appel au modèle dans la consommation de la conversation (src/usage)
+  // Nothing is counted when the provider did not give the tokens
+  async function recordChatUsage(req, usage, kind = 'chat') {
+    if (!usage) return;
+    await recordUsage({ kind, provider: getChatProvider(config).name, conversationId: req.session.conversationId || null, ...usage }, { prices });
+  }
 
-  try {
-    // Log information about the request
-    console.log(`[TTS] Processing text length: ${text.length} characters`);
-    console.log(`[TTS] First 100 chars: ${text.substring(0, 100)}...`);
-    
-    // Check if text is empty or invalid
-    if (!text || text.trim() === '') {
-      console.error('[TTS] Empty or invalid text received');
-      return res.status(400).send('Text cannot be empty');
+  // Définitions des outils proposés au modèle pour un tour de génération
+  // The last round is sent without tools, so the model has to answer the guest
+  function getToolDefinitions(round) {
+    const tools = getEnabledTools(config);
+    return round < MAX_TOOL_ROUNDS && tools.length > 0 ? tools.map(tool => tool.definition) : undefined;
+  }
+
+  // Exécute les outils demandés par le modèle pour la conversation de la session
+  // Returns the messages to send back to the model with the results; the names of the tools are added to calledTools
+  function runChatTools(req, lang, toolCalls, content, calledTools) {
+    calledTools.push(...toolCalls.map(call => call.name));
+    return runToolCalls(getEnabledTools(config), toolCalls, {
+      conversationId: req.session.conversationId,
+      language: lang,
+      guestName: req.session.guestName
+    }, content);
+  }
+
+  // Ajoute sous la réponse les avertissements des outils utilisés (prix indicatifs...), dans la langue de la conversation
+  function addToolNotices(answer, lang, calledTools) {
+    return [answer, ...getToolNotices(getEnabledTools(config), calledTools, lang)].join('\n\n');
+  }
+
+  // Décrit les sujets cités par le modèle, avec leur texte original dans la langue de la conversation
+  function describeSources(topics, lang) {
+    return topics.map(topic => {
+      const { text: topicText, language } = getTopicText(hotelTopics[topic], lang);
+      const text = topicText || hotelTopics[topic]?.[DEFAULT_LANGUAGE] || '';
+      // Use the numbered heading of the topic as its title when there is one
+      const heading = /^\d+(\.[A-Z])?\.?\s+(.*?)\n/.exec(text);
+      return {
+        topic,
+        title: heading ? heading[2].trim() : topic.replace(/_/g, ' '),
+        text: (heading ? text.slice(heading[0].length) : text).trim(),
+        // The guest is told when the text was translated by a machine
+        machineTranslated: translationStatus[topic]?.[language] === 'machine'
+      };
+    });
+  }
+
+  // Sépare la réponse du modèle de sa ligne SOURCES
+  // unanswered is true when the answer says the information is not in the hotel information
+  function splitAnswerAndSources(content, lang) {
+    const { answer, topics, missing } = extractCitations(content || '', new Set(Object.keys(hotelTopics)));
+    const sources = describeSources(topics, lang);
+    return { answer, sources, unanswered: isUnansweredAnswer({ answer, sources, missing, language: lang }) };
+  }
+
+  // Garde la question restée sans réponse pour le rapport des sujets manquants de la console
+  // A storage error is only logged: the guest already has the answer
+  async function recordUnansweredQuestion(req, { lang, question, sections }) {
+    try {
+      await recordKnowledgeGap({ question, language: lang, sections, guestName: req.session.guestName });
+      console.log(`[Gaps] Unanswered question recorded (${lang})`);
+    } catch (err) {
+      console.error('[Gaps] Could not record the unanswered question:', err);
     }
-    
-    // Max length per TTS request (OpenAI has a character limit)
-    const MAX_CHUNK_LENGTH = 4000;
-    
-    // If text is shorter than limit, process normally
-    if (text.length <= MAX_CHUNK_LENGTH) {
-      console.log(`[TTS] Processing text as a single chunk (${text.length} chars)`);
-      
-      const response = await fetch('https://api.openai.com/v1/audio/speech', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({ 
-          model: "gpt-4o-mini-tts", 
-          voice: "alloy", 
-          input: text,
-          response_format: "mp3",
-          speed: 1.0
-        })
+  }
+
+  // Reprend la conversation enregistrée quand la session ne la connaît pas encore
+  // (new session after a restart, or a guest reopening the widget on the same device), sinon en commence une
+  // Only a conversation already saved by the server is resumed: an id the store does not know gets a new id of the
+  // server, which the widget keeps from the answer. A store error is thrown to the route
+  async function restoreConversation(req, conversationId) {
+    if (conversationId && req.session.conversationId === conversationId) return;
+
+    // A session without an id from the widget keeps its conversation (or starts one)
+    const conversation = conversationId ? await getStore().conversations.get(conversationId) : null;
+    if (!conversation && !conversationId && req.session.conversationId) return;
+
+    const previousId = req.session.conversationId;
+    if (conversation) {
+      req.session.conversationId = conversationId;
+      req.session.chatHistory = conversation.turns || [];
+      req.session.chatMemory = conversation.memory || '';
+      console.log(`[Conversation] Resumed ${conversationId} (${conversation.messages?.length || 0} messages)`);
+      return;
+    }
+
+    req.session.conversationId = randomUUID();
+    if (previousId) {
+      // The widget started a new conversation, so the old history must not leak into it
+      req.session.chatHistory = [];
+      req.session.chatMemory = '';
+    }
+  }
+
+  // Enregistre la question et la réponse, avec l'historique de la session, pour pouvoir reprendre la conversation
+  // The turn is also added, anonymized, to the transcript the staff reviews in the admin console.
+  // Returns the id of the saved answer (for the feedback of the guest), or null when it was not saved.
+  // A storage error is only logged: the guest already has the answer
+  async function recordConversationTurn(req, { lang, question, answer, sources, promptVersion, inputMode, unanswered }) {
+    const conversationId = req.session.conversationId;
+    if (!conversationId) return null;
+
+    try {
+      const conversations = getStore().conversations;
+      const conversation = await conversations.get(conversationId);
+      const messageId = createMessageId();
+      const messages = [
+        ...(conversation?.messages || []),
+        { role: 'user', text: question, language: lang },
+        { id: messageId, role: 'bot', text: answer, sources, language: lang, promptVersion }
+      ].slice(-MAX_STORED_MESSAGES);
+      // Conversations saved before the transcripts get one from their next question
+      const transcriptId = conversation?.transcriptId || createTranscriptId();
+
+      await conversations.save(conversationId, {
+        language: lang,
+        promptVersion,
+        transcriptId,
+        turns: req.session.chatHistory,
+        memory: req.session.chatMemory || '',
+        messages,
+        updatedAt: new Date().toISOString()
+      });
+
+      await recordTranscriptTurn(transcriptId, {
+        question,
+        answer,
+        language: lang,
+        mode: inputMode,
+        sources,
+        promptVersion,
+        unanswered,
+        guestName: req.session.guestName
       });
+      return messageId;
+    } catch (err) {
+      console.error('[Conversation] Could not save the conversation:', err);
+      return null;
+    }
+  }
+
+  // ROUTE GPT - Création du systemPrompt avec mémoire de conversation
+  router.post('/chat', requireQuestion, limitPaidRequests('chat', config), async (req, res) => {
+    const { question, conversationId, guestName, inputMode } = req.body;
 
-      if (!response.ok) {
-        const errMessage = await response.text();
-        console.error(`[TTS] OpenAI API error: ${response.status} - ${errMessage}`);
-        return res.status(500).send('Erreur lors de la synthèse vocale.');
+    try {
+      const { language: lang, detectedLanguage, suggestedLanguage } = resolveChatLanguage(req);
+
+      await restoreConversation(req, resolveConversationId(conversationId));
+      rememberGuestName(req, guestName);
+      const { messages, sections, promptVersion } = await prepareChatHistory(req, lang, question);
+
+      // Générer une réponse avec le fournisseur configuré, à partir de l'historique récent et du résumé
+      // When the model calls tools, their results are sent back to it until it answers the guest
+      const calledTools = [];
+      let { content, toolCalls, usage } = await getChatProvider(config).complete({ messages, tools: getToolDefinitions(0), ...getChatSettings(config) });
+      await recordChatUsage(req, usage);
+      for (let round = 1; toolCalls?.length > 0 && round <= MAX_TOOL_ROUNDS; round++) {
+        messages.push(...await runChatTools(req, lang, toolCalls, content, calledTools));
+        ({ content, toolCalls, usage } = await getChatProvider(config).complete({ messages, tools: getToolDefinitions(round), ...getChatSettings(config) }));
+        await recordChatUsage(req, usage);
       }
 
-      const audioData = await response.arrayBuffer();
-      console.log(`[TTS] Audio generated successfully. Size: ${Buffer.byteLength(audioData)} bytes`);
-      
-      // Set proper headers for streaming audio
-      res.set({
-        'Content-Type': 'audio/mpeg',
-        'Content-Length': Buffer.byteLength(audioData),
-        'Accept-Ranges': 'bytes',
-        'Cache-Control': 'no-cache',
-        'X-Content-Type-Options': 'nosniff'
-      });
-      
-      // Send the audio data
-      res.send(Buffer.from(audioData));
-    } 
-    // For longer texts, split into chunks and process sequentially
-    else {
-      console.log(`[TTS] Long text detected (${text.length} chars). Splitting into chunks...`);
-      
-      // More robust sentence splitting with consideration for multilingual texts
-      const sentences = text.match(/[^.!?]+[.!?]+|\s*$/g) || [];
-      console.log(`[TTS] Split into ${sentences.length} sentences`);
-      
-      if (sentences.length === 0) {
-        // Fallback if no sentences found (rare case)
-        sentences.push(text);
+      // The sources line is only for us, the guest sees the answer and the source chips
+      const { answer: text, sources, unanswered } = splitAnswerAndSources(content, lang);
+      const answer = addToolNotices(text || getLanguage(lang).noAnswer, lang, calledTools);
+      // Ajouter la réponse du bot à l'historique de conversation
+      req.session.chatHistory.push({ role: 'assistant', content: answer });
+      const messageId = await recordConversationTurn(req, { lang, question, answer, sources, promptVersion, inputMode: resolveInputMode(inputMode), unanswered });
+      if (unanswered) await recordUnansweredQuestion(req, { lang, question, sections });
+      // Envoyer la réponse au client, avec la langue choisie, les sections et la version du prompt pour le débogage
+      res.json({ answer, sources, sections, promptVersion, language: lang, detectedLanguage, suggestedLanguage, messageId, unanswered, conversationId: req.session.conversationId });
+    } catch (err) {
+      // Une erreur renvoyée par l'API du fournisseur porte un statut HTTP
+      if (err.status) {
+        console.error('Erreur GPT:', err.message);
+        return res.status(500).json({ answer: "Erreur lors de la génération de la réponse." });
       }
-      
-      const chunks = [];
-      let currentChunk = '';
-      
-      for (const sentence of sentences) {
-        if (!sentence || sentence.trim() === '') continue;
-        
-        // If adding this sentence exceeds the limit, start a new chunk
-        if (currentChunk.length + sentence.length > MAX_CHUNK_LENGTH) {
-          if (currentChunk.length > 0) {
-            chunks.push(currentChunk);
-            currentChunk = sentence;
-          } else {
-            // If a single sentence is too long, split it by words
-            const words = sentence.split(/\s+/);
-            let tempChunk = '';
-            
-            for (const word of words) {
-              if (tempChunk.length + word.length + 1 > MAX_CHUNK_LENGTH) {
-                chunks.push(tempChunk);
-                tempChunk = word;
-              } else {
-                tempChunk += (tempChunk.length > 0 ? ' ' : '') + word;
-              }
-            }
-            
-            if (tempChunk.length > 0) {
-              currentChunk = tempChunk;
-            }
+      console.error('Erreur interne GPT:', err);
+      res.status(500).json({ answer: "Erreur interne du serveur." });
+    }
+  });
+
+  // ROUTE GPT (streaming) - Envoie la réponse token par token en Server-Sent Events
+  // Events: "token" ({ delta }) pour chaque fragment, puis "done" ({ answer, sources, sections, promptVersion, language,
+  // detectedLanguage, suggestedLanguage, messageId, unanswered, conversationId }) ou "error" ({ answer })
+  router.post('/chat/stream', requireQuestion, limitPaidRequests('chat', config), async (req, res) => {
+    const { question, conversationId, guestName, inputMode } = req.body;
+
+    // Stop the provider request if the guest closes the widget mid-answer
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    // SSE headers are only sent once the provider has accepted the request,
+    // so an upstream error can still be reported with a plain JSON error
+    const startAnswerStream = () => {
+      if (!res.headersSent) startEventStream(res);
+    };
+
+    try {
+      const { language: lang, detectedLanguage, suggestedLanguage } = resolveChatLanguage(req);
+
+      // A store or summary error is reported like an error of the provider
+      await restoreConversation(req, resolveConversationId(conversationId));
+      rememberGuestName(req, guestName);
+      const { messages, sections, promptVersion } = await prepareChatHistory(req, lang, question);
+
+      // Hold back the SOURCES line so the guest never sees it appear
+      const citationFilter = createCitationFilter();
+      // When the model calls tools, their results are sent back to it and the answer continues in the same stream
+      const calledTools = [];
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        let roundText = '';
+        let toolCalls = [];
+        for await (const piece of getChatProvider(config).stream({ messages, tools: getToolDefinitions(round), ...getChatSettings(config), signal: abortController.signal })) {
+          // The provider ends with the tool calls, after the text written before them, and the tokens of the call
+          if (typeof piece !== 'string') {
+            if (piece.toolCalls) toolCalls = piece.toolCalls;
+            if (piece.usage) await recordChatUsage(req, piece.usage);
+            continue;
           }
-        } else {
-          currentChunk += sentence;
+          startAnswerStream();
+          // Keep the text of the previous round apart ("One moment..." then the result)
+          const delta = roundText === '' && citationFilter.text !== '' ? `\n\n${piece}` : piece;
+          roundText += piece;
+          const visible = citationFilter.push(delta);
+          if (visible) sendEvent(res, 'token', { delta: visible });
         }
+        if (toolCalls.length === 0) break;
+        messages.push(...await runChatTools(req, lang, toolCalls, roundText, calledTools));
       }
-      
-      // Add the last chunk if there's anything left
-      if (currentChunk.length > 0) {
-        chunks.push(currentChunk);
+
+      // The final answer of the "done" event also carries the notices of the tools used
+      const { answer: text, sources, unanswered } = splitAnswerAndSources(citationFilter.text, lang);
+      const answer = addToolNotices(text || getLanguage(lang).noAnswer, lang, calledTools);
+
+      // The session is saved when the response ends, so record the turn before closing the stream
+      req.session.chatHistory.push({ role: 'assistant', content: answer });
+      const messageId = await recordConversationTurn(req, { lang, question, answer, sources, promptVersion, inputMode: resolveInputMode(inputMode), unanswered });
+      if (unanswered) await recordUnansweredQuestion(req, { lang, question, sections });
+      startAnswerStream();
+      sendEvent(res, 'done', { answer, sources, sections, promptVersion, language: lang, detectedLanguage, suggestedLanguage, messageId, unanswered, conversationId: req.session.conversationId });
+      res.end();
+    } catch (err) {
+      if (abortController.signal.aborted) {
+        console.log('[Chat stream] Client disconnected before the answer was complete');
+        return;
+      }
+
+      const errorAnswer = err.status ? "Erreur lors de la génération de la réponse." : "Erreur interne du serveur.";
+      console.error(err.status ? 'Erreur GPT (stream):' : 'Erreur interne GPT (stream):', err.status ? err.message : err);
+
+      if (!res.headersSent) {
+        return res.status(500).json({ answer: errorAnswer });
       }
-      
+      sendEvent(res, 'error', { answer: errorAnswer });
+      res.end();
+    }
+  });
+
+  // ROUTE CONVERSATION - Messages d'une conversation enregistrée, pour les réafficher quand le widget est rouvert
+  router.get('/conversation/:id', async (req, res) => {
+    const conversationId = resolveConversationId(req.params.id);
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+
+    try {
+      // Reading the messages does not attach the conversation to the session: the next question does
+      const conversation = await getStore().conversations.get(conversationId);
+      // The widget follows again a request to the reception that is still open
+      const handoff = await getOpenHandoff(conversationId);
+      // An unknown id simply means a new conversation
+      res.json({ conversationId, messages: conversation?.messages || [], handoff: handoff ? { status: handoff.status } : null });
+    } catch (err) {
+      console.error('[Conversation] Could not read the conversation:', err);
+      res.status(500).json({ error: 'Erreur interne du serveur.' });
+    }
+  });
+
+  // ROUTE AVIS - Pouce levé ou baissé d'un client sur une réponse de sa conversation, avec un commentaire facultatif
+  router.post('/feedback', async (req, res) => {
+    const { conversationId, messageId, rating, comment } = req.body;
+    const id = resolveConversationId(conversationId);
+    if (!id || typeof messageId !== 'string' || !RATINGS.includes(rating)) {
+      return res.status(400).json({ error: 'Invalid feedback' });
+    }
+
+    try {
+      const feedback = await recordMessageFeedback({ conversationId: id, messageId, rating, comment, guestName: req.session.guestName });
+      if (!feedback) {
+        return res.status(404).json({ error: 'Unknown message' });
+      }
+      console.log(`[Feedback] ${rating === 'up' ? 'Positive' : 'Negative'} rating (${feedback.language}${feedback.comment ? ', with a comment' : ''})`);
+      res.json({ rating: feedback.rating, comment: feedback.comment });
+    } catch (err) {
+      console.error('[Feedback] Could not save the feedback:', err);
+      res.status(500).json({ error: 'Erreur interne du serveur.' });
+    }
+  });
+
+  // Attache à la session la conversation d'une demande à l'accueil, comme le ferait la question suivante
+  // Only a conversation saved by the server can be attached: the live events of a request are only sent to the
+  // session of its conversation. Returns false for an unknown conversation
+  async function attachHandoffConversation(req, conversationId) {
+    if (req.session.conversationId === conversationId) return true;
+    // An unknown id must not replace the conversation the session already has
+    if (!await getStore().conversations.get(conversationId)) return false;
+    await restoreConversation(req, conversationId);
+    return true;
+  }
+
+  // ROUTE ACCUEIL - Le client demande à parler à une personne de l'accueil
+  // contact is optional (room number, phone or e-mail); staffOnline tells the widget whether someone follows the requests
+  router.post('/handoff', async (req, res) => {
+    const conversationId = resolveConversationId(req.body.conversationId);
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+
+    try {
+      if (!await attachHandoffConversation(req, conversationId)) {
+        return res.status(404).json({ error: 'Unknown conversation' });
+      }
+      const handoff = await requestHandoff({
+        conversationId,
+        contact: req.body.contact,
+        language: resolveLanguage(req.body.language),
+        guestName: req.session.guestName
+      });
+      res.json({ status: handoff.status, staffOnline: isStaffOnline() });
+    } catch (err) {
+      console.error('[Handoff] Could not create the request:', err);
+      res.status(500).json({ error: 'Erreur interne du serveur.' });
+    }
+  });
+
+  // ROUTE ACCUEIL - Le widget rouvert suit de nouveau la demande encore ouverte de sa conversation
+  // The conversation is attached to the session, so the widget can open the live events of the request
+  router.post('/handoff/resume', async (req, res) => {
+    const conversationId = resolveConversationId(req.body.conversationId);
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+
+    try {
+      const handoff = await getOpenHandoff(conversationId);
+      if (!handoff || !await attachHandoffConversation(req, conversationId)) {
+        return res.status(404).json({ error: 'No open request' });
+      }
+      res.json({ status: handoff.status });
+    } catch (err) {
+      console.error('[Handoff] Could not resume the request:', err);
+      res.status(500).json({ error: 'Erreur interne du serveur.' });
+    }
+  });
+
+  // ROUTE ACCUEIL - Message du client pendant la demande, transmis à l'accueil à la place du modèle
+  router.post('/handoff/messages', async (req, res) => {
+    const conversationId = resolveConversationId(req.body.conversationId);
+    const { text } = req.body;
+    if (!conversationId || typeof text !== 'string' || text.trim() === '') {
+      return res.status(400).json({ error: 'Invalid message' });
+    }
+
+    try {
+      const handoff = await addGuestMessage(conversationId, text);
+      // The request was closed meanwhile: the widget asks Meit Ai instead
+      if (!handoff) {
+        return res.status(404).json({ error: 'No open request' });
+      }
+      res.json({ status: handoff.status });
+    } catch (err) {
+      console.error('[Handoff] Could not send the message of the guest:', err);
+      res.status(500).json({ error: 'Erreur interne du serveur.' });
+    }
+  });
+
+  // ROUTE ACCUEIL - Le client ne veut plus attendre : Meit Ai reprend la conversation
+  router.post('/handoff/close', async (req, res) => {
+    const conversationId = resolveConversationId(req.body.conversationId);
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+
+    try {
+      await closeHandoff(await getOpenHandoff(conversationId), 'guest');
+      res.json({ status: 'closed' });
+    } catch (err) {
+      console.error('[Handoff] Could not close the request:', err);
+      res.status(500).json({ error: 'Erreur interne du serveur.' });
+    }
+  });
+
+  // ROUTE ACCUEIL - Suivi en direct de la demande par le widget (Server-Sent Events)
+  // Events: "status" ({ status, closedBy }) when the request changes, "message" ({ role, text, at }) for each answer of
+  // the staff. The current status is sent first, so a widget reconnecting after a closed request goes back to Meit Ai.
+  // Only the session of the conversation (see /handoff and /handoff/resume) can follow it, and only while it is open
+  router.get('/handoff/:conversationId/events', async (req, res) => {
+    const conversationId = resolveConversationId(req.params.conversationId);
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+    if (req.session.conversationId !== conversationId) {
+      return res.status(403).json({ error: 'Not the conversation of this session' });
+    }
+
+    let handoff;
+    try {
+      handoff = await getOpenHandoff(conversationId);
+    } catch (err) {
+      console.error('[Handoff] Could not read the request:', err);
+      return res.status(500).json({ error: 'Erreur interne du serveur.' });
+    }
+
+    // Nothing to follow: the widget only learns that the request is closed
+    if (!handoff) {
+      startEventStream(res);
+      sendEvent(res, 'status', { status: 'closed' });
+      return res.end();
+    }
+
+    const unsubscribe = subscribeToConversation(conversationId, (event, data) => sendEvent(res, event, data));
+    if (!unsubscribe) {
+      return res.status(503).json({ error: 'Too many live connections' });
+    }
+    openLiveEventStream(res, unsubscribe);
+    sendEvent(res, 'status', { status: handoff.status });
+  });
+
+  // ROUTE LANGUES - Langues disponibles et textes du widget, lus dans src/languages
+  router.get('/languages', (req, res) => {
+    res.json({ languages: getClientLanguages() });
+  });
+
+  // ROUTE STT - Transcription avec le moteur configuré pour la langue de l'utilisateur
+  // The recording is limited in size (see src/limits)
+  router.post('/speech-to-text', receiveAudio('file', config), requireAudioFile, limitPaidRequests('speech-to-text', config), async (req, res) => {
+    try {
+      const { originalname, buffer, mimetype } = req.file;
+      const compress = req.body.compress === 'true';
+      // Extract the user selected language, used as a hint for the transcription
+      // (the language of the answer is decided by /chat from the transcript)
+      const userSelectedLanguage = resolveLanguage(req.body.userSelectedLanguage, null);
+
+      const engine = getSTTEngine(userSelectedLanguage, config);
+
+      // Log pour le débogage
+      console.log(`Traitement audio: ${originalname}, taille: ${buffer.length} octets, compression: ${compress}, langue sélectionnée: ${userSelectedLanguage || 'non spécifiée'}, moteur: ${engine.name}`);
+
+      // Transcrire l'audio et envoyer le texte au client
+      const { text } = await engine.transcribe({
+        buffer,
+        mimetype,
+        filename: originalname,
+        language: userSelectedLanguage
+      });
+      const audioSeconds = resolveAudioSeconds(buffer, req.body.duration);
+      await recordUsage({ kind: 'transcription', provider: engine.name, model: engine.model, conversationId: resolveUsageConversationId(req), audioSeconds }, { prices });
+      res.json({ transcript: text });
+    } catch (error) {
+      // Une erreur renvoyée par le moteur porte un statut HTTP
+      console.error(error.status ? 'Erreur STT:' : 'Erreur interne STT:', error.status ? error.message : error);
+      res.status(500).json({ error: 'Erreur lors de la reconnaissance vocale.' });
+    }
+  });
+
+  // Synthétise un morceau de texte avec la voix choisie pour la langue et renvoie l'audio MP3
+  // The characters read are counted in the usage of the conversation
+  async function synthesizeSpeech(text, ttsVoice, { conversationId = null, signal } = {}) {
+    const { engine, voice, speed } = ttsVoice;
+    const audioData = await engine.synthesize({ text, voice, speed, signal });
+    await recordUsage({ kind: 'speech', provider: engine.name, model: engine.model, conversationId, characters: text.length }, { prices });
+    return audioData;
+  }
+
+  // ROUTE TTS (Whisper TTS)
+  router.post('/text-to-speech', requireSpeechText, limitSpeechLength(config), limitPaidRequests('text-to-speech', config), async (req, res) => {
+    const { text, language } = req.body;
+
+    try {
+      // Pick the engine and voice configured for the language of the message
+      const lang = resolveSpeechLanguage(language);
+      const ttsVoice = getTTSVoice(lang, config);
+      // Max length per TTS request (each engine has its own character limit, TTS_MAX_CHUNK_LENGTH can lower it)
+      const maxChunkLength = Math.min(ttsVoice.engine.maxTextLength, config.tts.maxChunkLength ?? Infinity);
+
+      // Log information about the request
+      console.log(`[TTS] Processing text length: ${text.length} characters, language: ${lang}, voice: ${ttsVoice.engine.name}/${ttsVoice.voice.name}`);
+      console.log(`[TTS] First 100 chars: ${text.substring(0, 100)}...`);
+
+      // If text is shorter than limit, process normally
+      if (text.length <= maxChunkLength) {
+        console.log(`[TTS] Processing text as a single chunk (${text.length} chars)`);
+
+        const audioData = await synthesizeSpeech(text, ttsVoice, { conversationId: resolveUsageConversationId(req) });
+        console.log(`[TTS] Audio generated successfully. Size: ${audioData.length} bytes`);
+        return sendAudio(res, audioData);
+      }
+
+      // For longer texts, split into chunks and process sequentially
+      console.log(`[TTS] Long text detected (${text.length} chars). Splitting into chunks...`);
+      const chunks = splitTextIntoChunks(text, maxChunkLength);
+
       console.log(`[TTS] Text divided into ${chunks.length} chunks for processing`);
       chunks.forEach((chunk, index) => {
         console.log(`[TTS] Chunk ${index+1} size: ${chunk.length} chars`);
       });
-      
+
       // Process each chunk and collect audio data
       const audioChunks = [];
-      
+
       for (let i = 0; i < chunks.length; i++) {
         console.log(`[TTS] Processing chunk ${i+1}/${chunks.length} (${chunks[i].length} chars)`);
-        
-        const response = await fetch('https://api.openai.com/v1/audio/speech', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${OPENAI_API_KEY}`
-          },
-          body: JSON.stringify({ 
-            model: "gpt-4o-mini-tts", 
-            voice: "alloy", 
-            input: chunks[i],
-            response_format: "mp3",
-            speed: 1.0
-          })
-        });
-
-        if (!response.ok) {
-          const errMessage = await response.text();
-          console.error(`[TTS] Error processing chunk ${i+1}: ${response.status} - ${errMessage}`);
-          return res.status(500).send('Erreur lors de la synthèse vocale.');
-        }
-
-        const audioData = await response.arrayBuffer();
-        console.log(`[TTS] Chunk ${i+1} audio generated. Size: ${Buffer.byteLength(audioData)} bytes`);
-        audioChunks.push(Buffer.from(audioData));
+        const audioData = await synthesizeSpeech(chunks[i], ttsVoice, { conversationId: resolveUsageConversationId(req) });
+        console.log(`[TTS] Chunk ${i+1} audio generated. Size: ${audioData.length} bytes`);
+        audioChunks.push(audioData);
       }
-      
+
       // Combine all audio chunks
       const combinedAudio = Buffer.concat(audioChunks);
       console.log(`[TTS] All chunks processed. Total audio size: ${combinedAudio.length} bytes`);
-      
-      // Set proper headers for streaming audio
-      res.set({
-        'Content-Type': 'audio/mpeg',
-        'Content-Length': Buffer.byteLength(combinedAudio),
-        'Accept-Ranges': 'bytes',
-        'Cache-Control': 'no-cache',
-        'X-Content-Type-Options': 'nosniff'
-      });
-      
-      // Send the combined audio data
-      res.send(combinedAudio);
-    }
-  } catch (err) {
-    console.error('Erreur interne TTS:', err);
-    console.error(err.stack);
-    res.status(500).send('Erreur lors de la synthèse vocale.');
-  }
-});
+      sendAudio(res, combinedAudio);
+    } catch (err) {
+      console.error('Erreur interne TTS:', err);
+      console.error(err.stack);
+      res.status(500).send('Erreur lors de la synthèse vocale.');
+    }
+  });
+
+  // ROUTE TTS (pipelinée) - Synthétise les groupes de phrases en parallèle et les envoie dans l'ordre
+  // Events: "segment" ({ index, total, audio }) avec l'audio MP3 en base64, puis "done" ({ total }) ou "error"
+  router.post('/text-to-speech/stream', requireSpeechText, limitSpeechLength(config), limitPaidRequests('text-to-speech', config), async (req, res) => {
+    const { text, language } = req.body;
+
+    // Pick the engine and voice configured for the language of the message
+    const lang = resolveSpeechLanguage(language);
+    let ttsVoice;
+    try {
+      ttsVoice = getTTSVoice(lang, config);
+    } catch (err) {
+      console.error('Erreur interne TTS (stream):', err);
+      return res.status(500).send('Erreur lors de la synthèse vocale.');
+    }
+
+    const segments = splitTextIntoSegments(text);
+    console.log(`[TTS stream] Processing ${text.length} characters as ${segments.length} segments, language: ${lang}, voice: ${ttsVoice.engine.name}/${ttsVoice.voice.name}`);
+
+    // Stop synthesizing if the guest leaves or stops playback
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    startEventStream(res);
+
+    // Start synthesis of a segment; the promise is created lazily so only a few requests run at once
+    const pending = new Map();
+    const startSegment = (index) => {
+      if (index < segments.length && !pending.has(index)) {
+        const promise = synthesizeSpeech(segments[index], ttsVoice, { conversationId: resolveUsageConversationId(req), signal: abortController.signal });
+        // Avoid an unhandled rejection while an earlier segment is still being awaited
+        promise.catch(() => {});
+        pending.set(index, promise);
+      }
+    };
+
+    try {
+      for (let i = 0; i < STREAM_CONCURRENCY; i++) {
+        startSegment(i);
+      }
+
+      for (let index = 0; index < segments.length; index++) {
+        const audioData = await pending.get(index);
+        pending.delete(index);
+        startSegment(index + STREAM_CONCURRENCY);
+
+        console.log(`[TTS stream] Segment ${index+1}/${segments.length} ready (${segments[index].length} chars, ${audioData.length} bytes)`);
+        sendEvent(res, 'segment', { index, total: segments.length, audio: audioData.toString('base64') });
+      }
+
+      sendEvent(res, 'done', { total: segments.length });
+      res.end();
+    } catch (err) {
+      if (abortController.signal.aborted) {
+        console.log('[TTS stream] Client disconnected before all segments were sent');
+        return;
+      }
+
+      console.error('Erreur interne TTS (stream):', err);
+      abortController.abort();
+      sendEvent(res, 'error', { error: 'Erreur lors de la synthèse vocale.' });
+      res.end();
+    }
+  });
 
-export default router; 
\ No newline at end of file
+  return router;
+}
\ No newline at end of file
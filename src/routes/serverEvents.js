@@ -0,0 +1,32 @@
+// routes/serverEvents.js
+// Outils communs aux réponses Server-Sent Events (réponses en streaming, suivi en direct des demandes à l'accueil)
+
+// Intervalle des commentaires envoyés sur une connexion ouverte longtemps, pour que les proxys ne la coupent pas
+const KEEP_ALIVE_INTERVAL = 25 * 1000;
+
+// Envoie un événement Server-Sent Events au client
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Envoie les en-têtes d'un flux d'événements
+export function startEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so events reach the client immediately
+  });
+  res.flushHeaders();
+}
+
+// Ouvre un flux qui reste ouvert jusqu'à ce que le client se déconnecte
+// onClose runs once when the connection ends (to stop listening for the events to forward)
+export function openLiveEventStream(res, onClose) {
+  startEventStream(res);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    onClose();
+  });
+}
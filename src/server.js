@@ -2,9 +2,20 @@
 
 // Importation des modules nécessaires
 import express from 'express';
-import dotenv from 'dotenv';
 import session from 'express-session';
-import apiRoutes from './routes/apiRoutes.js';
+import { getConfig } from './config/index.js';
+import createApiRoutes from './routes/apiRoutes.js';
+import createAdminRoutes from './routes/adminRoutes.js';
+import { getChatProvider } from './llm/index.js';
+import { getSTTEngine } from './stt/index.js';
+import { getTTSVoice } from './tts/index.js';
+import { getStore } from './store/index.js';
+import { LANGUAGE_CODES, findMissingUIStrings } from './languages/index.js';
+import { getLanguagePolicy } from './languages/detection.js';
+import { getPromptTemplates } from './prompts/index.js';
+import { getEnabledTools } from './tools/index.js';
+import { getHotelClock, getHotelTimezone } from './knowledge/clock.js';
+import { getTranslationLanguages, getTranslationProvider } from './knowledge/translation.js';
 import https from 'https';
 import fs from 'fs';
 import path from 'path';
@@ -18,21 +29,35 @@ const __dirname = path.dirname(__filename);
 const publicPath = path.join(__dirname, '..', 'public');
 console.log("Serving static files from:", publicPath);
 
-// Charger les variables d'environnement depuis le fichier .env
-dotenv.config({ path: path.join(__dirname, '..', '.env') });
+// Charger la configuration (valeurs par défaut, config.json, fichier .env et environnement)
+// A wrong value stops the server with the list of the problems. The configuration is then given to the routes and
+// to every service created below, which keep it for the life of the server
+let config;
+try {
+  config = getConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+console.log(`Configuration: ${config.configFile || 'defaults and environment (no config.json)'}`);
 
 // INITIALISATION
 const app = express();
 
 // CORS configuration
 app.use(cors({
-  origin: 'https://finca-meitai.com',
+  origin: config.server.corsOrigins,
   methods: ['GET', 'POST'],
   credentials: false
 }));
 
 // Check if running on Render.com
-const isRender = process.env.RENDER === 'true';
+const isRender = config.server.render;
+
+// Render passe par un proxy : req.ip doit être l'adresse du client pour les limites par adresse (src/limits)
+if (isRender) {
+  app.set('trust proxy', 1);
+}
 
 // SSL Certificate configuration - Only load certificates in development environment
 let sslOptions = {};
@@ -51,10 +76,15 @@ if (!isRender) {
   }
 }
 
+// Stockage des sessions et des conversations (SQLite par défaut, pour survivre aux redémarrages)
+const store = getStore(config);
+console.log(`Session store: ${store.name}${store.filename ? ` (${store.filename})` : ''}`);
+
 // Middleware de gestion de session
 app.use(
   session({
-    secret: process.env.SESSION_SECRET || 'default_secret',
+    store: store.sessionStore,
+    secret: config.server.sessionSecret,
     resave: false,
     saveUninitialized: true,
     cookie: {
@@ -74,6 +104,12 @@ app.use(express.static(path.join(__dirname, '..', 'public'), {
   }
 }));
 
+// Routes de l'API du widget, qui chargent aussi les informations de l'hôtel
+const apiRoutes = createApiRoutes(config);
+
+// Console d'administration (pages dans public/admin), avant express.json() car elle lit ses requêtes elle-même
+app.use('/admin', createAdminRoutes(config, apiRoutes));
+
 app.use(express.json()); // Middleware pour parser les requêtes JSON
 
 // Add root route to serve index.html
@@ -81,18 +117,60 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
 });
 
-// Récupérer la clé API depuis les variables d'environnement
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-// Vérifier que la clé API est bien chargée
-if (!OPENAI_API_KEY) {
-  console.error("Erreur : La clé API OpenAI n'est pas définie dans le fichier .env.");
-  process.exit(1); // Arrêter le serveur si la clé n'est pas définie
+// Vérifier que la clé API OpenAI est bien chargée
+if (!config.openai.apiKey) {
+  if (config.llm.provider === 'openai') {
+    console.error("Erreur : La clé API OpenAI n'est pas définie dans le fichier .env.");
+    process.exit(1); // Arrêter le serveur si la clé n'est pas définie
+  }
+  // Other chat providers can run without OpenAI, but speech features may still use it
+  console.warn("Attention : La clé API OpenAI n'est pas définie, les fonctions vocales qui utilisent OpenAI ne fonctionneront pas.");
 }
 
 // Initialize hotel info and use API routes
 try {
-  // Initialize hotel info from apiRoutes module
+  // Create the chat provider now so a wrong LLM_PROVIDER stops the server at startup
+  const chatProvider = getChatProvider(config);
+  console.log(`Chat provider: ${chatProvider.name} (model: ${chatProvider.model || 'deployment default'})`);
+
+  // Languages of src/languages; widget strings missing from a file are shown in English
+  console.log(`Languages: ${LANGUAGE_CODES.join(', ')}`);
+  findMissingUIStrings().forEach(({ code, missing }) => {
+    console.warn(`[Languages] ${code}.json has no translation for ${missing.join(', ')}, English is used`);
+  });
+  // How the language of the question changes the language of the answer (an unknown policy stops the server)
+  console.log(`Language policy: ${getLanguagePolicy(config)}`);
+
+  // Same for the speech-to-text engines of each language
+  const sttEngines = LANGUAGE_CODES.map(lang => `${lang}=${getSTTEngine(lang, config).name}`);
+  console.log(`Speech-to-text engines: ${sttEngines.join(', ')}`);
+
+  // And the text-to-speech voice of each language, so a voice missing from the catalog is caught early
+  const ttsVoices = LANGUAGE_CODES.map(lang => {
+    const { engine, voice } = getTTSVoice(lang, config);
+    return `${lang}=${engine.name}/${voice.name}`;
+  });
+  console.log(`Text-to-speech voices: ${ttsVoices.join(', ')}`);
+
+  // The time zone of the hotel, used for "today" and "now" in the answers (an unknown HOTEL_TIMEZONE stops the server)
+  const hotelTimezone = getHotelTimezone(config);
+  const hotelClock = getHotelClock(new Date(), hotelTimezone);
+  console.log(`Hotel time zone: ${hotelTimezone} (${hotelClock.date} ${hotelClock.time})`);
+
+  // The prompt templates of the active version, so a missing language or a wrong placeholder stops the server
+  console.log(`System prompt version: ${getPromptTemplates(config).version}`);
+
+  // The tools offered to the model; choosing them also creates the PMS adapter, so a wrong PMS_ADAPTER stops the server
+  console.log(`Chat tools: ${getEnabledTools(config).map(tool => tool.definition.name).join(', ') || 'none'}`);
+
+  // The admin console only opens with a password
+  console.log(`Admin console: ${config.admin.password ? '/admin' : 'disabled (ADMIN_PASSWORD is not set)'}`);
+
+  // The machine translation of the hotel information, checked before the information is loaded
+  const translationProvider = getTranslationProvider(config);
+  console.log(`Translation provider: ${translationProvider ? `${translationProvider.name} (languages: ${getTranslationLanguages(config).join(', ') || 'none'})` : 'none'}`);
+
+  // Load the hotel information of the API routes
   await apiRoutes.initializeHotelInfo();
   // Mount the API routes
   app.use('/api', apiRoutes);
@@ -102,8 +180,8 @@ try {
 }
 
 // LANCEMENT DU SERVEUR
-const PORT = process.env.PORT || 3000;
-const HTTPS_PORT = process.env.HTTPS_PORT || 3001;
+const PORT = config.server.port;
+const HTTPS_PORT = config.server.httpsPort;
 
 // Only set up HTTP to HTTPS redirection in development
 if (!isRender && httpsServer) {
@@ -128,4 +206,6 @@ app.listen(PORT, () => {
   if (isRender) {
     console.log("Running on Render.com - using Render's built-in HTTPS");
   }
+  // The missing translations of the hotel information are filled once the server answers
+  apiRoutes.translateHotelInfo();
 });
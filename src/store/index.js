@@ -0,0 +1,45 @@
+// store/index.js
+// Sélection du stockage des sessions, des conversations, des transcriptions, des avis des clients, des demandes à
+// l'accueil, des demandes de réservation, de la consommation des API (coûts, budget des routes payantes) et des
+// révisions des informations de l'hôtel
+//
+// SESSION_STORE chooses the store:
+//   sqlite - SQLite file kept across restarts (SESSION_DB_PATH, default data/meitai.sqlite)
+//   memory - in memory, lost on restart (tests and development)
+// CONVERSATION_TTL_DAYS sets how long a conversation can be resumed after its last message (default 30).
+// TRANSCRIPT_TTL_DAYS sets how long the anonymized transcripts, unanswered questions, feedback, closed requests to
+// the reception, booking inquiries and usage of the paid APIs are kept for review (default 180); a transcript with an
+// answer still flagged by the staff is kept until the flag is handled.
+import { getConfig } from '../config/index.js';
+import { createSQLiteStore } from './sqliteStore.js';
+import { createMemoryStore } from './memoryStore.js';
+
+export const SUPPORTED_STORES = ['sqlite', 'memory'];
+
+// Crée le store demandé à partir de la configuration
+export function createStore(storeName = getConfig().store.type, config = getConfig()) {
+  switch (storeName) {
+    case 'sqlite':
+      return createSQLiteStore({
+        filename: config.store.dbPath,
+        conversationTtlDays: config.store.conversationTtlDays,
+        transcriptTtlDays: config.store.transcriptTtlDays
+      });
+
+    case 'memory':
+      return createMemoryStore();
+
+    default:
+      throw new Error(`Unknown session store "${storeName}". Supported stores: ${SUPPORTED_STORES.join(', ')}`);
+  }
+}
+
+// Store actif, créé au premier usage avec la configuration reçue (src/server.js le crée au démarrage)
+let activeStore = null;
+
+export function getStore(config = getConfig()) {
+  if (!activeStore) {
+    activeStore = createStore(config.store.type, config);
+  }
+  return activeStore;
+}
@@ -0,0 +1,173 @@
+// store/memoryStore.js
+// Stockage en mémoire des sessions, des conversations, des transcriptions, des questions sans réponse, des avis des
+// clients, des demandes à l'accueil, des demandes de réservation, de la consommation des API et des révisions, perdu
+// à chaque redémarrage (tests et développement)
+import session from 'express-session';
+
+// Texte sans accents ni majuscules, pour que la recherche trouve "cafe" dans "Café"
+function normalizeForSearch(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+export function createMemoryStore() {
+  const conversations = new Map();
+  const transcripts = new Map();
+  const gaps = [];
+  const feedback = new Map();
+  const handoffs = new Map();
+  const inquiries = [];
+  const usage = [];
+  const revisions = [];
+
+  return {
+    name: 'memory',
+    sessionStore: new session.MemoryStore(),
+
+    conversations: {
+      async get(id) {
+        const conversation = conversations.get(id);
+        // Copies behave like a real store: changing the result does not change what is saved
+        return conversation ? structuredClone(conversation) : null;
+      },
+
+      async save(id, conversation) {
+        conversations.set(id, structuredClone(conversation));
+      }
+    },
+
+    transcripts: {
+      async get(id) {
+        const transcript = transcripts.get(id);
+        return transcript ? structuredClone(transcript) : null;
+      },
+
+      async save(transcript) {
+        transcripts.set(transcript.id, structuredClone(transcript));
+      },
+
+      // Les plus récentes d'abord, sans les messages
+      // search keeps the transcripts whose messages contain every word; flagged keeps those with an open flag
+      async list({ search = '', flagged = false, limit = 50, offset = 0 } = {}) {
+        const words = normalizeForSearch(search).split(/\s+/).filter(Boolean);
+        const matches = [...transcripts.values()]
+          .filter(transcript => !flagged || transcript.flagged > 0)
+          .filter(transcript => {
+            if (words.length === 0) return true;
+            const text = normalizeForSearch(transcript.messages.map(message => message.text).join('\n'));
+            return words.every(word => text.includes(word));
+          })
+          .sort((a, b) => b.updatedAt - a.updatedAt);
+
+        return {
+          total: matches.length,
+          transcripts: matches.slice(offset, offset + limit).map(({ messages, ...transcript }) => structuredClone(transcript))
+        };
+      }
+    },
+
+    gaps: {
+      async add(gap) {
+        gaps.push(structuredClone(gap));
+      },
+
+      // Questions posées depuis la date donnée, les plus récentes d'abord
+      async list({ since = 0 } = {}) {
+        return gaps.filter(gap => gap.askedAt >= since).reverse().map(gap => structuredClone(gap));
+      }
+    },
+
+    feedback: {
+      // Un avis par réponse : un nouvel avis sur la même réponse remplace le précédent
+      async save(entry) {
+        feedback.set(entry.messageId, structuredClone(entry));
+      },
+
+      // Avis donnés ou modifiés depuis la date donnée, les plus récents d'abord
+      async list({ since = 0 } = {}) {
+        return [...feedback.values()]
+          .filter(entry => entry.updatedAt >= since)
+          .sort((a, b) => b.updatedAt - a.updatedAt)
+          .map(entry => structuredClone(entry));
+      }
+    },
+
+    handoffs: {
+      async get(id) {
+        const handoff = handoffs.get(id);
+        return handoff ? structuredClone(handoff) : null;
+      },
+
+      async save(handoff) {
+        handoffs.set(handoff.id, structuredClone(handoff));
+      },
+
+      // Demande pas encore terminée d'une conversation
+      async findOpen(conversationId) {
+        const handoff = [...handoffs.values()].find(item => item.conversationId === conversationId && item.status !== 'closed');
+        return handoff ? structuredClone(handoff) : null;
+      },
+
+      // Les plus récentes d'abord; open keeps the requests that are not closed
+      async list({ open = false, limit = 50 } = {}) {
+        return [...handoffs.values()]
+          .filter(handoff => !open || handoff.status !== 'closed')
+          .sort((a, b) => b.updatedAt - a.updatedAt)
+          .slice(0, limit)
+          .map(handoff => structuredClone(handoff));
+      }
+    },
+
+    inquiries: {
+      async save(inquiry) {
+        inquiries.push(structuredClone(inquiry));
+      },
+
+      // Les plus récentes d'abord
+      async list({ limit = 50 } = {}) {
+        return inquiries.slice(-limit).reverse().map(inquiry => structuredClone(inquiry));
+      }
+    },
+
+    usage: {
+      async add(record) {
+        usage.push(structuredClone(record));
+      },
+
+      // Appels faits depuis la date donnée, les plus récents d'abord
+      async list({ since = 0 } = {}) {
+        return usage.filter(record => record.createdAt >= since).reverse().map(record => structuredClone(record));
+      },
+
+      // Coût estimé des appels d'un jour de l'hôtel (AAAA-MM-JJ)
+      async costOfDay(day) {
+        return usage.filter(record => record.day === day).reduce((total, record) => total + record.cost, 0);
+      }
+    },
+
+    revisions: {
+      async add(revision) {
+        const id = revisions.length + 1;
+        revisions.push(structuredClone({ ...revision, id }));
+        return id;
+      },
+
+      // Les plus récentes d'abord, sans les sujets
+      async list({ limit = 50 } = {}) {
+        return revisions.slice(-limit).reverse().map(({ topics, ...revision }) => structuredClone(revision));
+      },
+
+      async get(id) {
+        const revision = revisions.find(candidate => candidate.id === Number(id));
+        return revision ? structuredClone(revision) : null;
+      },
+
+      // La révision enregistrée juste avant celle-ci, ou null pour la première
+      async previous(id) {
+        const revision = revisions.findLast(candidate => candidate.id < Number(id));
+        return revision ? structuredClone(revision) : null;
+      }
+    },
+
+    close() {}
+  };
+}
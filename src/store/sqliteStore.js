@@ -0,0 +1,400 @@
+// store/sqliteStore.js
+// Stockage des sessions, des conversations, des transcriptions, des questions sans réponse, des avis des clients, des
+// demandes à l'accueil, des demandes de réservation, de la consommation des API et des révisions dans un fichier
+// SQLite, conservé entre les redémarrages
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import session from 'express-session';
+
+// Durée de vie d'une session dont le cookie n'a pas de date d'expiration
+const DEFAULT_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// Fréquence du nettoyage des sessions et conversations expirées
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+// Store express-session qui lit et écrit la table sessions
+class SQLiteSessionStore extends session.Store {
+  constructor(db) {
+    super();
+    this.statements = {
+      get: db.prepare('SELECT data FROM sessions WHERE sid = ? AND expires_at > ?'),
+      set: db.prepare('INSERT INTO sessions (sid, data, expires_at) VALUES (?, ?, ?) ON CONFLICT(sid) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at'),
+      touch: db.prepare('UPDATE sessions SET expires_at = ? WHERE sid = ?'),
+      destroy: db.prepare('DELETE FROM sessions WHERE sid = ?')
+    };
+  }
+
+  // Date d'expiration de la session, d'après son cookie
+  static expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_SESSION_TTL;
+  }
+
+  get(sid, callback) {
+    try {
+      const row = this.statements.get.get(sid, Date.now());
+      callback(null, row ? JSON.parse(row.data) : null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  set(sid, sess, callback) {
+    try {
+      this.statements.set.run(sid, JSON.stringify(sess), SQLiteSessionStore.expiresAt(sess));
+      callback?.(null);
+    } catch (err) {
+      callback?.(err);
+    }
+  }
+
+  touch(sid, sess, callback) {
+    try {
+      this.statements.touch.run(SQLiteSessionStore.expiresAt(sess), sid);
+      callback?.(null);
+    } catch (err) {
+      callback?.(err);
+    }
+  }
+
+  destroy(sid, callback) {
+    try {
+      this.statements.destroy.run(sid);
+      callback?.(null);
+    } catch (err) {
+      callback?.(err);
+    }
+  }
+}
+
+// Requête FTS5 pour une recherche libre : chaque mot doit apparaître, au début d'un mot du texte
+// Words are quoted so the syntax of FTS5 (AND, NEAR, *...) typed by the staff is searched as text
+function toSearchQuery(search) {
+  return search.split(/\s+/).filter(Boolean).map(word => `"${word.replace(/"/g, '""')}"*`).join(' ');
+}
+
+// Révision lue dans la base, avec ses sujets
+function toRevision(row) {
+  return row ? { id: row.id, createdAt: row.created_at, note: row.note, summary: JSON.parse(row.summary), topics: JSON.parse(row.topics) } : null;
+}
+
+// Ouvre (ou crée) la base et renvoie le store
+// Conversations not updated for conversationTtlDays, and transcripts not updated for transcriptTtlDays (unless
+// one of their answers is still flagged) are deleted by the periodic cleanup; unanswered questions, the
+// feedback of the guests, the closed requests to the reception, the booking inquiries and the usage of the paid APIs
+// are kept as long as the transcripts
+export function createSQLiteStore({ filename, conversationTtlDays, transcriptTtlDays }) {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  const db = new Database(filename);
+  // WAL lets the cleanup run while requests read sessions
+  db.pragma('journal_mode = WAL');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      sid TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS conversations (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS transcripts (
+      id TEXT PRIMARY KEY,
+      started_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      flagged INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS transcripts_updated_at ON transcripts (updated_at);
+    CREATE VIRTUAL TABLE IF NOT EXISTS transcripts_search USING fts5(
+      id UNINDEXED,
+      content,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+    CREATE TABLE IF NOT EXISTS knowledge_gaps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      asked_at INTEGER NOT NULL,
+      language TEXT NOT NULL,
+      question TEXT NOT NULL,
+      topics TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS knowledge_gaps_asked_at ON knowledge_gaps (asked_at);
+    CREATE TABLE IF NOT EXISTS feedback (
+      message_id TEXT PRIMARY KEY,
+      updated_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS feedback_updated_at ON feedback (updated_at);
+    CREATE TABLE IF NOT EXISTS handoffs (
+      id TEXT PRIMARY KEY,
+      conversation_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS handoffs_conversation_id ON handoffs (conversation_id, status);
+    CREATE INDEX IF NOT EXISTS handoffs_updated_at ON handoffs (updated_at);
+    CREATE TABLE IF NOT EXISTS booking_inquiries (
+      id TEXT PRIMARY KEY,
+      created_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS booking_inquiries_created_at ON booking_inquiries (created_at);
+    CREATE TABLE IF NOT EXISTS api_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS api_usage_created_at ON api_usage (created_at);
+    CREATE INDEX IF NOT EXISTS api_usage_day ON api_usage (json_extract(data, '$.day'));
+    CREATE TABLE IF NOT EXISTS revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at INTEGER NOT NULL,
+      note TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      topics TEXT NOT NULL
+    );
+  `);
+
+  const statements = {
+    getConversation: db.prepare('SELECT data FROM conversations WHERE id = ?'),
+    saveConversation: db.prepare('INSERT INTO conversations (id, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at'),
+    getTranscript: db.prepare('SELECT data FROM transcripts WHERE id = ?'),
+    saveTranscript: db.prepare('INSERT INTO transcripts (id, started_at, updated_at, flagged, data) VALUES (?, ?, ?, ?, ?) ON CONFLICT(id) DO UPDATE SET updated_at = excluded.updated_at, flagged = excluded.flagged, data = excluded.data'),
+    deleteTranscriptText: db.prepare('DELETE FROM transcripts_search WHERE id = ?'),
+    insertTranscriptText: db.prepare('INSERT INTO transcripts_search (id, content) VALUES (?, ?)'),
+    addGap: db.prepare('INSERT INTO knowledge_gaps (asked_at, language, question, topics) VALUES (?, ?, ?, ?)'),
+    listGaps: db.prepare('SELECT asked_at, language, question, topics FROM knowledge_gaps WHERE asked_at >= ? ORDER BY asked_at DESC'),
+    saveFeedback: db.prepare('INSERT INTO feedback (message_id, updated_at, data) VALUES (?, ?, ?) ON CONFLICT(message_id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data'),
+    listFeedback: db.prepare('SELECT data FROM feedback WHERE updated_at >= ? ORDER BY updated_at DESC'),
+    getHandoff: db.prepare('SELECT data FROM handoffs WHERE id = ?'),
+    saveHandoff: db.prepare('INSERT INTO handoffs (id, conversation_id, status, updated_at, data) VALUES (?, ?, ?, ?, ?) ON CONFLICT(id) DO UPDATE SET status = excluded.status, updated_at = excluded.updated_at, data = excluded.data'),
+    findOpenHandoff: db.prepare("SELECT data FROM handoffs WHERE conversation_id = ? AND status != 'closed' LIMIT 1"),
+    listHandoffs: db.prepare('SELECT data FROM handoffs ORDER BY updated_at DESC LIMIT ?'),
+    listOpenHandoffs: db.prepare("SELECT data FROM handoffs WHERE status != 'closed' ORDER BY updated_at DESC LIMIT ?"),
+    addInquiry: db.prepare('INSERT INTO booking_inquiries (id, created_at, data) VALUES (?, ?, ?)'),
+    listInquiries: db.prepare('SELECT data FROM booking_inquiries ORDER BY created_at DESC LIMIT ?'),
+    addUsage: db.prepare('INSERT INTO api_usage (created_at, data) VALUES (?, ?)'),
+    listUsage: db.prepare('SELECT data FROM api_usage WHERE created_at >= ? ORDER BY created_at DESC, id DESC'),
+    sumUsageCost: db.prepare("SELECT COALESCE(SUM(json_extract(data, '$.cost')), 0) AS cost FROM api_usage WHERE json_extract(data, '$.day') = ?"),
+    addRevision: db.prepare('INSERT INTO revisions (created_at, note, summary, topics) VALUES (?, ?, ?, ?)'),
+    listRevisions: db.prepare('SELECT id, created_at, note, summary FROM revisions ORDER BY id DESC LIMIT ?'),
+    getRevision: db.prepare('SELECT id, created_at, note, summary, topics FROM revisions WHERE id = ?'),
+    getPreviousRevision: db.prepare('SELECT id, created_at, note, summary, topics FROM revisions WHERE id < ? ORDER BY id DESC LIMIT 1'),
+    deleteExpiredSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?'),
+    deleteExpiredConversations: db.prepare('DELETE FROM conversations WHERE updated_at <= ?'),
+    deleteExpiredTranscriptTexts: db.prepare('DELETE FROM transcripts_search WHERE id IN (SELECT id FROM transcripts WHERE updated_at <= ? AND flagged = 0)'),
+    deleteExpiredTranscripts: db.prepare('DELETE FROM transcripts WHERE updated_at <= ? AND flagged = 0'),
+    deleteExpiredGaps: db.prepare('DELETE FROM knowledge_gaps WHERE asked_at <= ?'),
+    deleteExpiredFeedback: db.prepare('DELETE FROM feedback WHERE updated_at <= ?'),
+    deleteExpiredHandoffs: db.prepare("DELETE FROM handoffs WHERE updated_at <= ? AND status = 'closed'"),
+    deleteExpiredInquiries: db.prepare('DELETE FROM booking_inquiries WHERE created_at <= ?'),
+    deleteExpiredUsage: db.prepare('DELETE FROM api_usage WHERE created_at <= ?')
+  };
+
+  // Enregistre la transcription et remplace son texte dans l'index de recherche, en une seule transaction
+  const saveTranscript = db.transaction(transcript => {
+    statements.saveTranscript.run(transcript.id, transcript.startedAt, transcript.updatedAt, transcript.flagged, JSON.stringify(transcript));
+    statements.deleteTranscriptText.run(transcript.id);
+    statements.insertTranscriptText.run(transcript.id, transcript.messages.map(message => message.text).join('\n'));
+  });
+
+  // Supprime les transcriptions expirées et leur texte indexé
+  const deleteExpiredTranscripts = db.transaction(before => {
+    statements.deleteExpiredTranscriptTexts.run(before);
+    return statements.deleteExpiredTranscripts.run(before).changes;
+  });
+
+  // Supprime les sessions et les conversations expirées
+  const cleanup = () => {
+    try {
+      const now = Date.now();
+      const sessions = statements.deleteExpiredSessions.run(now).changes;
+      const conversations = statements.deleteExpiredConversations.run(now - conversationTtlDays * 24 * 60 * 60 * 1000).changes;
+      const transcripts = deleteExpiredTranscripts(now - transcriptTtlDays * 24 * 60 * 60 * 1000);
+      const gaps = statements.deleteExpiredGaps.run(now - transcriptTtlDays * 24 * 60 * 60 * 1000).changes;
+      const feedback = statements.deleteExpiredFeedback.run(now - transcriptTtlDays * 24 * 60 * 60 * 1000).changes;
+      const handoffs = statements.deleteExpiredHandoffs.run(now - transcriptTtlDays * 24 * 60 * 60 * 1000).changes;
+      const inquiries = statements.deleteExpiredInquiries.run(now - transcriptTtlDays * 24 * 60 * 60 * 1000).changes;
+      const usage = statements.deleteExpiredUsage.run(now - transcriptTtlDays * 24 * 60 * 60 * 1000).changes;
+      if (sessions || conversations || transcripts || gaps || feedback || handoffs || inquiries || usage) {
+        console.log(`[Store] Removed ${sessions} expired session(s), ${conversations} old conversation(s), ${transcripts} old transcript(s), ${gaps} old unanswered question(s), ${feedback} old feedback, ${handoffs} old request(s) to the reception, ${inquiries} old booking inquiry(ies) and ${usage} old API call(s)`);
+      }
+    } catch (err) {
+      console.error('[Store] Cleanup failed:', err);
+    }
+  };
+  cleanup();
+  // unref() so the timer never keeps the process alive on its own
+  const cleanupTimer = setInterval(cleanup, CLEANUP_INTERVAL).unref();
+
+  return {
+    name: 'sqlite',
+    filename,
+    sessionStore: new SQLiteSessionStore(db),
+
+    conversations: {
+      async get(id) {
+        const row = statements.getConversation.get(id);
+        return row ? JSON.parse(row.data) : null;
+      },
+
+      async save(id, conversation) {
+        statements.saveConversation.run(id, JSON.stringify(conversation), Date.now());
+      }
+    },
+
+    // Transcriptions anonymisées relues dans la console d'administration
+    transcripts: {
+      async get(id) {
+        const row = statements.getTranscript.get(id);
+        return row ? JSON.parse(row.data) : null;
+      },
+
+      async save(transcript) {
+        saveTranscript(transcript);
+      },
+
+      // Les plus récentes d'abord, sans les messages
+      // search keeps the transcripts whose messages contain every word; flagged keeps those with an open flag
+      async list({ search = '', flagged = false, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+        const query = toSearchQuery(search);
+        if (query) {
+          conditions.push('id IN (SELECT id FROM transcripts_search WHERE transcripts_search MATCH ?)');
+          params.push(query);
+        }
+        if (flagged) {
+          conditions.push('flagged > 0');
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const { total } = db.prepare(`SELECT COUNT(*) AS total FROM transcripts ${where}`).get(...params);
+        const rows = db.prepare(`SELECT data FROM transcripts ${where} ORDER BY updated_at DESC LIMIT ? OFFSET ?`).all(...params, limit, offset);
+        return {
+          total,
+          transcripts: rows.map(row => {
+            const { messages, ...transcript } = JSON.parse(row.data);
+            return transcript;
+          })
+        };
+      }
+    },
+
+    // Questions restées sans réponse, pour le rapport des sujets manquants
+    gaps: {
+      async add({ askedAt, language, question, topics }) {
+        statements.addGap.run(askedAt, language, question, JSON.stringify(topics));
+      },
+
+      // Questions posées depuis la date donnée, les plus récentes d'abord
+      async list({ since = 0 } = {}) {
+        return statements.listGaps.all(since).map(row => ({
+          askedAt: row.asked_at,
+          language: row.language,
+          question: row.question,
+          topics: JSON.parse(row.topics)
+        }));
+      }
+    },
+
+    // Avis des clients sur les réponses, un par réponse (a new rating of the same answer replaces the previous one)
+    feedback: {
+      async save(entry) {
+        statements.saveFeedback.run(entry.messageId, entry.updatedAt, JSON.stringify(entry));
+      },
+
+      // Avis donnés ou modifiés depuis la date donnée, les plus récents d'abord
+      async list({ since = 0 } = {}) {
+        return statements.listFeedback.all(since).map(row => JSON.parse(row.data));
+      }
+    },
+
+    // Demandes des clients à parler à l'accueil, avec les messages échangés
+    handoffs: {
+      async get(id) {
+        const row = statements.getHandoff.get(id);
+        return row ? JSON.parse(row.data) : null;
+      },
+
+      async save(handoff) {
+        statements.saveHandoff.run(handoff.id, handoff.conversationId, handoff.status, handoff.updatedAt, JSON.stringify(handoff));
+      },
+
+      // Demande pas encore terminée d'une conversation
+      async findOpen(conversationId) {
+        const row = statements.findOpenHandoff.get(conversationId);
+        return row ? JSON.parse(row.data) : null;
+      },
+
+      // Les plus récentes d'abord; open keeps the requests that are not closed
+      async list({ open = false, limit = 50 } = {}) {
+        return (open ? statements.listOpenHandoffs : statements.listHandoffs).all(limit).map(row => JSON.parse(row.data));
+      }
+    },
+
+    // Demandes de réservation laissées par les clients dans le chat
+    inquiries: {
+      async save(inquiry) {
+        statements.addInquiry.run(inquiry.id, inquiry.createdAt, JSON.stringify(inquiry));
+      },
+
+      // Les plus récentes d'abord
+      async list({ limit = 50 } = {}) {
+        return statements.listInquiries.all(limit).map(row => JSON.parse(row.data));
+      }
+    },
+
+    // Consommation des API payantes (tokens, caractères, secondes d'audio) et son coût estimé, un enregistrement par appel
+    usage: {
+      async add(record) {
+        statements.addUsage.run(record.createdAt, JSON.stringify(record));
+      },
+
+      // Appels faits depuis la date donnée, les plus récents d'abord
+      async list({ since = 0 } = {}) {
+        return statements.listUsage.all(since).map(row => JSON.parse(row.data));
+      },
+
+      // Coût estimé des appels d'un jour de l'hôtel (AAAA-MM-JJ), pour le budget quotidien des routes payantes
+      async costOfDay(day) {
+        return statements.sumUsageCost.get(day).cost;
+      }
+    },
+
+    // Révisions des informations de l'hôtel enregistrées depuis la console d'administration (never deleted)
+    revisions: {
+      async add({ createdAt, note, summary, topics }) {
+        return Number(statements.addRevision.run(createdAt, note, JSON.stringify(summary), JSON.stringify(topics)).lastInsertRowid);
+      },
+
+      // Les plus récentes d'abord, sans les sujets
+      async list({ limit = 50 } = {}) {
+        return statements.listRevisions.all(limit).map(row => ({
+          id: row.id,
+          createdAt: row.created_at,
+          note: row.note,
+          summary: JSON.parse(row.summary)
+        }));
+      },
+
+      async get(id) {
+        return toRevision(statements.getRevision.get(id));
+      },
+
+      // La révision enregistrée juste avant celle-ci, ou null pour la première
+      async previous(id) {
+        return toRevision(statements.getPreviousRevision.get(id));
+      }
+    },
+
+    close() {
+      clearInterval(cleanupTimer);
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,31 @@
+// stt/audioDuration.js
+// Durée d'un enregistrement, lue dans l'en-tête du fichier quand son format le permet
+//
+// Only WAV files (RecordRTC recordings) give their duration in the header. The WebM and Ogg files of MediaRecorder
+// are written while recording and usually have no duration: null is returned and the route estimates the cost of the
+// transcription with the duration sent by the widget (the upload is only limited in size, see src/limits).
+
+// Durée en secondes d'un fichier WAV, ou null pour un autre format
+export function getAudioDuration(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  // Walk the chunks: "fmt " gives the bytes per second, "data" the size of the samples
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ' && offset + 20 <= buffer.length) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (chunkId === 'data') {
+      // A recording still being written can announce more data than the file holds
+      const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+      return byteRate ? dataSize / byteRate : null;
+    }
+    // Chunks are padded to an even size
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
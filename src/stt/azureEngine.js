@@ -0,0 +1,43 @@
+// stt/azureEngine.js
+// Speech-to-text engine using the fast transcription API of Azure Speech
+// The Speech SDK only decodes PCM WAV without GStreamer, while the widget records WebM or Ogg (Opus) with
+// MediaRecorder (and MP4 on Safari): the REST API takes these files as they are, with their content type
+
+// Version de l'API de transcription rapide
+const API_VERSION = '2024-11-15';
+
+// Crée un moteur de transcription Azure
+// locales maps our language codes to Azure recognition locales (fr -> fr-FR)
+export function createAzureEngine({ key, region, locales }) {
+  const url = `https://${region}.api.cognitive.microsoft.com/speechtotext/transcriptions:transcribe?api-version=${API_VERSION}`;
+
+  return {
+    name: 'azure',
+    model: 'azure-speech',
+
+    async transcribe({ buffer, mimetype, filename, language, signal }) {
+      // The file keeps the content type sent by the widget, so Azure decodes WebM, Ogg, MP4 or WAV alike
+      const formData = new FormData();
+      formData.append('audio', new Blob([buffer], { type: mimetype || 'audio/wav' }), filename || 'recording.wav');
+      formData.append('definition', JSON.stringify({ locales: [locales[language] || locales.fr] }));
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Ocp-Apim-Subscription-Key': key },
+        body: formData,
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`azure transcription error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      // Nothing intelligible was said: no phrase, same behaviour as an empty Whisper transcript
+      const data = await response.json();
+      return { text: (data.combinedPhrases || []).map(phrase => phrase.text).join(' ').trim() };
+    }
+  };
+}
@@ -0,0 +1,31 @@
+// stt/fakeEngine.js
+// Fixture-based speech-to-text engine, used to run the voice flow without network access
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+// Crée un moteur factice qui répond à partir d'un fichier de fixtures
+// The fixtures file maps the SHA-256 of known recordings to their transcript,
+// and gives a default transcript per language for any other audio
+export function createFakeEngine({ fixturesPath }) {
+  let fixtures = null;
+
+  // Charge les fixtures au premier appel
+  async function loadFixtures() {
+    if (!fixtures) {
+      fixtures = JSON.parse(await fs.readFile(fixturesPath, 'utf-8'));
+    }
+    return fixtures;
+  }
+
+  return {
+    name: 'fake',
+    model: 'fixtures',
+
+    async transcribe({ buffer, language }) {
+      const { transcripts = {}, defaults = {} } = await loadFixtures();
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+      return { text: transcripts[hash] ?? defaults[language] ?? defaults.fr ?? '' };
+    }
+  };
+}
@@ -0,0 +1,74 @@
+// stt/index.js
+// Sélection du moteur de reconnaissance vocale utilisé par la route /speech-to-text
+//
+// STT_ENGINE chooses the engine for the deployment, STT_ENGINE_<LANG> (STT_ENGINE_FR, STT_ENGINE_DE...) overrides it per language:
+//   openai - OpenAI transcription API (OPENAI_API_KEY, STT_MODEL)
+//   azure  - Azure Speech fast transcription API (AZURE_SPEECH_KEY, AZURE_SPEECH_REGION)
+//   local  - local Whisper server with an OpenAI-compatible API (LOCAL_STT_BASE_URL, LOCAL_STT_API_KEY, STT_MODEL)
+//   fake   - transcripts from a fixtures file (STT_FIXTURES_PATH), no network needed
+import { getConfig } from '../config/index.js';
+import { LANGUAGES } from '../languages/index.js';
+import { createOpenAICompatibleEngine } from './openaiCompatibleEngine.js';
+import { createAzureEngine } from './azureEngine.js';
+import { createFakeEngine } from './fakeEngine.js';
+
+export const SUPPORTED_ENGINES = ['openai', 'azure', 'local', 'fake'];
+
+// Locales de reconnaissance Azure pour chaque langue de l'application (fr -> fr-FR)
+const AZURE_LOCALES = Object.fromEntries(Object.values(LANGUAGES).map(language => [language.code, language.speechLocale]));
+
+// Crée le moteur demandé à partir de la configuration
+export function createSTTEngine(engineName, config = getConfig()) {
+  switch (engineName) {
+    case 'openai':
+      return createOpenAICompatibleEngine({
+        name: 'openai',
+        url: 'https://api.openai.com/v1/audio/transcriptions',
+        headers: { 'Authorization': `Bearer ${config.openai.apiKey}` },
+        model: config.stt.model || 'gpt-4o-mini-transcribe'
+      });
+
+    case 'azure':
+      // Checked here so a missing key stops the server at startup rather than failing the first recording
+      if (!config.azureSpeech.key || !config.azureSpeech.region) {
+        throw new Error('STT_ENGINE=azure needs AZURE_SPEECH_KEY and AZURE_SPEECH_REGION');
+      }
+      return createAzureEngine({
+        key: config.azureSpeech.key,
+        region: config.azureSpeech.region,
+        locales: AZURE_LOCALES
+      });
+
+    case 'local': {
+      // faster-whisper-server listens on port 8000 by default
+      const baseUrl = config.stt.localBaseUrl.replace(/\/+$/, '');
+      return createOpenAICompatibleEngine({
+        name: 'local',
+        url: `${baseUrl}/audio/transcriptions`,
+        headers: config.stt.localApiKey ? { 'Authorization': `Bearer ${config.stt.localApiKey}` } : {},
+        model: config.stt.model || 'Systran/faster-whisper-small'
+      });
+    }
+
+    case 'fake':
+      return createFakeEngine({
+        fixturesPath: config.stt.fixturesPath
+      });
+
+    default:
+      throw new Error(`Unknown speech-to-text engine "${engineName}". Supported engines: ${SUPPORTED_ENGINES.join(', ')}`);
+  }
+}
+
+// Moteurs déjà créés, un par nom
+const engines = new Map();
+
+// Renvoie le moteur configuré pour une langue (ou celui du déploiement si aucune surcharge n'existe)
+export function getSTTEngine(language, config = getConfig()) {
+  const engineName = (language && config.stt.engines[language]) || config.stt.engine;
+
+  if (!engines.has(engineName)) {
+    engines.set(engineName, createSTTEngine(engineName, config));
+  }
+  return engines.get(engineName);
+}
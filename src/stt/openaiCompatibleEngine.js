@@ -0,0 +1,44 @@
+// stt/openaiCompatibleEngine.js
+// Speech-to-text engine for any API that speaks the OpenAI transcription protocol
+// (OpenAI itself, or a local Whisper server such as faster-whisper-server or whisper.cpp)
+
+// Crée un moteur de transcription compatible OpenAI
+// url: full transcriptions URL, headers: authentication headers, model: model name sent with the audio
+export function createOpenAICompatibleEngine({ name, url, headers = {}, model }) {
+  return {
+    name,
+    model,
+
+    // Transcrit l'audio; language est un code ISO-639-1 (fr, en, es) utilisé comme indice
+    async transcribe({ buffer, mimetype, filename, language, signal }) {
+      // Création du Blob à partir du buffer reçu
+      const audioBlob = new Blob([buffer], { type: mimetype || 'audio/wav' });
+
+      // Construction du FormData pour l'API de transcription
+      const formData = new FormData();
+      formData.append('file', audioBlob, filename || 'recording.wav');
+      formData.append('model', model);
+      if (language) {
+        formData.append('language', language);
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: formData,
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`${name} transcription error: ${response.status} - ${errorText}`);
+        // The status lets routes tell an upstream API error from an internal failure
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      return { text: data.text || '' };
+    }
+  };
+}
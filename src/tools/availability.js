@@ -0,0 +1,80 @@
+// tools/availability.js
+// Disponibilités et tarifs : le modèle demande au PMS (voir src/pms) les chambres libres pour des dates et un nombre
+// de personnes, et répond au client avec les prix indicatifs renvoyés
+//
+// The tool is only offered when a PMS adapter is configured (PMS_ADAPTER). Nothing is held: availability can
+// change at any time and the prices are indicative, so the server adds the disclaimer of the language of the
+// conversation (availabilityDisclaimer in src/languages) under every answer that used this tool.
+import { getLanguage } from '../languages/index.js';
+import { getPmsAdapter } from '../pms/index.js';
+import { formatToday, validateGuests, validateStayDates } from './stay.js';
+
+export const AVAILABILITY_TOOL = 'check_availability';
+
+const definition = {
+  name: AVAILABILITY_TOOL,
+  description: 'Looks up the rooms still free for a stay and their indicative prices. Call it when the guest asks whether there is a room for some dates or how much a stay costs. It does not hold or book anything.',
+  parameters: {
+    type: 'object',
+    properties: {
+      checkIn: { type: 'string', description: 'Arrival date, in the YYYY-MM-DD format' },
+      checkOut: { type: 'string', description: 'Departure date, in the YYYY-MM-DD format' },
+      adults: { type: 'integer', minimum: 1, description: 'Number of adults' },
+      children: { type: 'integer', minimum: 0, description: 'Number of children (0 when none)' }
+    },
+    required: ['checkIn', 'checkOut', 'adults']
+  }
+};
+
+// Prix total du séjour, ou null quand le prix d'une nuit n'est pas connu
+function totalPrice(nightlyPrices) {
+  return nightlyPrices.every(price => typeof price === 'number')
+    ? Math.round(nightlyPrices.reduce((sum, price) => sum + price, 0) * 100) / 100
+    : null;
+}
+
+// Cherche les chambres libres
+async function checkAvailability(args, { today = formatToday() } = {}) {
+  const { nights, errors: dateErrors } = validateStayDates(args, { today });
+  const { adults, children, errors: guestErrors } = validateGuests(args);
+  const errors = [...dateErrors, ...guestErrors];
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const guests = adults + children;
+  const roomTypes = await getPmsAdapter().getRoomAvailability({ checkIn: args.checkIn, checkOut: args.checkOut });
+  const rooms = roomTypes
+    .filter(room => room.available > 0)
+    .map(room => ({
+      name: room.name,
+      maxGuests: room.maxGuests,
+      // A larger group needs several rooms: the model can suggest a combination
+      fitsAllGuests: room.maxGuests >= guests,
+      roomsLeft: room.available,
+      nightlyPrices: room.nightlyPrices,
+      totalPrice: totalPrice(room.nightlyPrices),
+      currency: room.currency
+    }));
+  console.log(`[PMS] Availability ${args.checkIn} - ${args.checkOut} (${guests} guest(s)): ${rooms.length}/${roomTypes.length} room type(s) free`);
+
+  return {
+    checkIn: args.checkIn,
+    checkOut: args.checkOut,
+    nights,
+    adults,
+    children,
+    rooms,
+    notice: 'Prices are indicative and availability can change: nothing is held or booked. The server adds a disclaimer under your answer, do not repeat it. Never promise a room or a price.'
+  };
+}
+
+export const availabilityTool = {
+  definition,
+  promptFlag: 'availability',
+  // Only offered when the hotel connected its PMS
+  isConfigured: config => getPmsAdapter(config) !== null,
+  // Shown to the guest under the answer, in the language of the conversation
+  guestNotice: language => getLanguage(language).availabilityDisclaimer,
+  run: args => checkAvailability(args)
+};
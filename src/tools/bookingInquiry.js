@@ -0,0 +1,100 @@
+// tools/bookingInquiry.js
+// Demande de réservation : le modèle recueille au fil de la conversation les dates, le nombre de personnes, le type de
+// chambre et l'e-mail du client, puis appelle cet outil pour enregistrer la demande
+//
+// Nothing is booked: the inquiry is kept for the reception, which answers the guest by e-mail. The values are checked
+// here and the errors returned to the model, which asks the guest again; once saved, the tool returns a reference
+// the model gives to the guest. Inquiries are listed in the admin console.
+import { randomInt, randomUUID } from 'crypto';
+import { getStore } from '../store/index.js';
+import { formatToday, validateGuests, validateStayDates } from './stay.js';
+
+// Longueur maximale du type de chambre et des remarques
+const MAX_ROOM_TYPE_LENGTH = 100;
+const MAX_NOTES_LENGTH = 500;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Référence donnée au client, sans les caractères faciles à confondre (0 et O, 1 et I)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const BOOKING_INQUIRY_TOOL = 'save_booking_inquiry';
+
+const definition = {
+  name: BOOKING_INQUIRY_TOOL,
+  description: 'Saves a booking inquiry for the reception, which answers the guest by e-mail. Call it only once the guest has given every required value and agreed to send the inquiry. It does not book anything: nothing is reserved until the reception confirms by e-mail.',
+  parameters: {
+    type: 'object',
+    properties: {
+      checkIn: { type: 'string', description: 'Arrival date, in the YYYY-MM-DD format' },
+      checkOut: { type: 'string', description: 'Departure date, in the YYYY-MM-DD format' },
+      adults: { type: 'integer', minimum: 1, description: 'Number of adults' },
+      children: { type: 'integer', minimum: 0, description: 'Number of children (0 when none)' },
+      roomType: { type: 'string', description: 'The room the guest would like, in their words, or "no preference"' },
+      email: { type: 'string', description: 'E-mail address where the reception will answer' },
+      notes: { type: 'string', description: 'Anything else the guest asked for (optional)' }
+    },
+    required: ['checkIn', 'checkOut', 'adults', 'roomType', 'email']
+  }
+};
+
+// Vérifie les valeurs écrites par le modèle
+// Returns { inquiry, errors }: the cleaned values, and the problems to ask the guest about (in English, for the model)
+export function validateBookingInquiry(args, { today = formatToday() } = {}) {
+  const { nights, errors: dateErrors } = validateStayDates(args, { today });
+  const { adults, children, errors: guestErrors } = validateGuests(args);
+  const errors = [...dateErrors, ...guestErrors];
+
+  const roomType = typeof args.roomType === 'string' ? args.roomType.trim().slice(0, MAX_ROOM_TYPE_LENGTH) : '';
+  if (!roomType) {
+    errors.push('roomType is missing (use "no preference" if the guest has none)');
+  }
+  const email = typeof args.email === 'string' ? args.email.trim() : '';
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+    errors.push('email is not a valid e-mail address');
+  }
+  const notes = typeof args.notes === 'string' ? args.notes.trim().slice(0, MAX_NOTES_LENGTH) : '';
+
+  return {
+    inquiry: { checkIn: args.checkIn, checkOut: args.checkOut, nights, adults, children, roomType, email, notes },
+    errors
+  };
+}
+
+// Référence courte donnée au client, par exemple "MT-7KQ2XD"
+function createReference() {
+  return `MT-${Array.from({ length: 6 }, () => REFERENCE_ALPHABET[randomInt(REFERENCE_ALPHABET.length)]).join('')}`;
+}
+
+// Enregistre la demande du client
+async function saveBookingInquiry(args, { conversationId, language }) {
+  const { inquiry, errors } = validateBookingInquiry(args);
+  if (errors.length > 0) {
+    return { saved: false, errors };
+  }
+
+  const store = getStore();
+  const conversation = conversationId ? await store.conversations.get(conversationId) : null;
+  const saved = {
+    id: randomUUID(),
+    reference: createReference(),
+    ...inquiry,
+    language,
+    transcriptId: conversation?.transcriptId || null,
+    createdAt: Date.now()
+  };
+  await store.inquiries.save(saved);
+  console.log(`[Inquiries] Booking inquiry ${saved.reference} saved (${saved.nights} night(s), ${language})`);
+
+  return {
+    saved: true,
+    reference: saved.reference,
+    ...inquiry,
+    notice: 'This is only an inquiry: nothing is booked. Tell the guest the reception will answer by e-mail, and never say the room is booked or confirmed.'
+  };
+}
+
+export const bookingInquiryTool = {
+  definition,
+  promptFlag: 'bookingInquiry',
+  run: saveBookingInquiry
+};
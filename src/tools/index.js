@@ -0,0 +1,104 @@
+// tools/index.js
+// Outils que le modèle peut appeler pendant une conversation (function calling)
+//
+// Each tool has the definition sent to the model (name, description and JSON schema of its arguments), the prompt
+// section that explains when to use it ({{#promptFlag}}...{{/promptFlag}} in the prompt templates) and a run function
+// that receives the arguments written by the model and the context of the conversation, and returns the result sent
+// back to the model. A tool can also have isConfigured(config), false when what it needs is not set up (it is then never
+// offered), and guestNotice(language), a text the server adds under every answer that used it.
+// LLM_TOOLS lists the tools offered to the model, separated by commas (default: all the configured ones); an
+// empty value offers none, for local models that do not support tools.
+import { getConfig } from '../config/index.js';
+import { availabilityTool } from './availability.js';
+import { bookingInquiryTool } from './bookingInquiry.js';
+
+const TOOLS = [bookingInquiryTool, availabilityTool];
+
+export const TOOL_NAMES = TOOLS.map(tool => tool.definition.name);
+
+// Nombre maximal d'allers-retours avec les outils pour une question; la dernière demande se fait sans outils, pour
+// que le modèle réponde au client
+export const MAX_TOOL_ROUNDS = 3;
+
+// Choisit les outils proposés au modèle à partir de la configuration
+export function selectTools(config = getConfig()) {
+  const configured = TOOLS.filter(tool => !tool.isConfigured || tool.isConfigured(config));
+  if (config.llm.tools === null) return configured;
+
+  const names = config.llm.tools;
+  const unknown = names.filter(name => !TOOL_NAMES.includes(name));
+  if (unknown.length > 0) {
+    console.warn(`[Tools] Unknown tool(s) in LLM_TOOLS ignored: ${unknown.join(', ')}. Available tools: ${TOOL_NAMES.join(', ')}`);
+  }
+  const notConfigured = names.filter(name => TOOL_NAMES.includes(name) && !configured.some(tool => tool.definition.name === name));
+  if (notConfigured.length > 0) {
+    console.warn(`[Tools] Tool(s) in LLM_TOOLS not set up, not offered: ${notConfigured.join(', ')}`);
+  }
+  return configured.filter(tool => names.includes(tool.definition.name));
+}
+
+// Outils actifs, choisis au premier usage avec la configuration reçue (src/server.js les choisit au démarrage)
+let enabledTools = null;
+
+export function getEnabledTools(config = getConfig()) {
+  if (!enabledTools) {
+    enabledTools = selectTools(config);
+  }
+  return enabledTools;
+}
+
+// Valeurs des sections du prompt qui expliquent les outils proposés ({ bookingInquiry: 'yes' })
+export function getToolPromptFlags(tools) {
+  return Object.fromEntries(tools.map(tool => [tool.promptFlag, 'yes']));
+}
+
+// Textes à ajouter sous la réponse pour les outils appelés pendant la question, dans la langue de la conversation
+export function getToolNotices(tools, calledNames, language) {
+  return tools
+    .filter(tool => tool.guestNotice && calledNames.includes(tool.definition.name))
+    .map(tool => tool.guestNotice(language));
+}
+
+// Exécute un appel d'outil du modèle
+// Errors are returned to the model as { error } so it can tell the guest, instead of failing the whole answer
+async function runToolCall(tools, call, context) {
+  const tool = tools.find(item => item.definition.name === call.name);
+  if (!tool) {
+    return { error: `Unknown tool "${call.name}"` };
+  }
+
+  let args;
+  try {
+    args = JSON.parse(call.arguments || '{}');
+  } catch {
+    return { error: 'The arguments are not valid JSON' };
+  }
+
+  try {
+    return await tool.run(args, context);
+  } catch (err) {
+    console.error(`[Tools] ${call.name} failed:`, err);
+    return { error: 'The tool failed. Tell the guest to try again later or to contact the reception.' };
+  }
+}
+
+// Exécute les appels d'outils d'une réponse du modèle
+// context is { conversationId, language, guestName }. Returns the messages to add to the conversation sent to the
+// model: the assistant message with its tool calls (and the text written before them), then the result of each call
+export async function runToolCalls(tools, toolCalls, context, content = '') {
+  const results = [];
+  for (const call of toolCalls) {
+    console.log(`[Tools] ${call.name} called`);
+    const result = await runToolCall(tools, call, context);
+    results.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+  }
+
+  return [
+    {
+      role: 'assistant',
+      content: content || null,
+      tool_calls: toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } }))
+    },
+    ...results
+  ];
+}
@@ -0,0 +1,84 @@
+// tools/stay.js
+// Vérification des dates et du nombre de personnes d'un séjour, communes aux outils de réservation et de disponibilités
+//
+// Dates are days in the YYYY-MM-DD format, "today" being the day at the hotel (knowledge/clock.js). The errors are in
+// English: they are sent back to the model, which asks the guest again in their language.
+import { getHotelClock } from '../knowledge/clock.js';
+
+// Durée maximale d'un séjour, en nuits
+export const MAX_NIGHTS = 30;
+// Nombre maximal de personnes (adultes et enfants)
+export const MAX_GUESTS = 12;
+// Date d'arrivée la plus lointaine acceptée, en jours
+const MAX_DAYS_AHEAD = 730;
+
+export const DAY = 24 * 60 * 60 * 1000;
+
+// Date au format AAAA-MM-JJ, ou null quand la valeur n'est pas une vraie date
+export function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? date : null;
+}
+
+// Nuits d'un séjour, de la date d'arrivée à la veille du départ
+export function listNights(checkIn, checkOut) {
+  const nights = [];
+  for (let night = parseDay(checkIn); night < parseDay(checkOut); night = new Date(night.getTime() + DAY)) {
+    nights.push(night);
+  }
+  return nights;
+}
+
+// Date du jour de l'hôtel au format AAAA-MM-JJ
+export function formatToday(now = new Date()) {
+  return getHotelClock(now).date;
+}
+
+// Vérifie les dates d'arrivée et de départ
+// Returns { nights, errors }
+export function validateStayDates({ checkIn: checkInValue, checkOut: checkOutValue }, { today = formatToday() } = {}) {
+  const errors = [];
+  const checkIn = parseDay(checkInValue);
+  const checkOut = parseDay(checkOutValue);
+  const firstDay = parseDay(today);
+
+  if (!checkIn) {
+    errors.push('checkIn must be a date in the YYYY-MM-DD format');
+  } else if (checkIn < firstDay) {
+    errors.push(`checkIn is in the past (today is ${today})`);
+  } else if (checkIn - firstDay > MAX_DAYS_AHEAD * DAY) {
+    errors.push(`checkIn is too far ahead: stays can be asked up to ${MAX_DAYS_AHEAD} days in advance`);
+  }
+  if (!checkOut) {
+    errors.push('checkOut must be a date in the YYYY-MM-DD format');
+  }
+  const nights = checkIn && checkOut ? Math.round((checkOut - checkIn) / DAY) : 0;
+  if (checkIn && checkOut && nights < 1) {
+    errors.push('checkOut must be after checkIn');
+  } else if (nights > MAX_NIGHTS) {
+    errors.push(`the stay is too long: at most ${MAX_NIGHTS} nights`);
+  }
+
+  return { nights, errors };
+}
+
+// Vérifie le nombre d'adultes et d'enfants (0 enfant quand la valeur est absente)
+// Returns { adults, children, errors }
+export function validateGuests({ adults: adultsValue, children: childrenValue }) {
+  const errors = [];
+  const adults = Number(adultsValue);
+  const children = childrenValue === undefined || childrenValue === null ? 0 : Number(childrenValue);
+
+  if (!Number.isInteger(adults) || adults < 1) {
+    errors.push('adults must be a whole number, at least 1');
+  }
+  if (!Number.isInteger(children) || children < 0) {
+    errors.push('children must be a whole number, 0 or more');
+  }
+  if (adults + children > MAX_GUESTS) {
+    errors.push(`at most ${MAX_GUESTS} guests: larger groups must contact the reception`);
+  }
+
+  return { adults, children, errors };
+}
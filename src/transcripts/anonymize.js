@@ -0,0 +1,55 @@
+// transcripts/anonymize.js
+// Retire les données personnelles des messages avant de les garder pour la relecture par l'équipe
+//
+// E-mail addresses, card numbers, phone numbers, the guest's name from the widget link and the names given
+// in a self-introduction ("je m'appelle Anna", "my name is Anna"...) are replaced by a placeholder.
+// This is a best effort on free text: it removes the usual identifiers, not every possible one.
+
+export const PLACEHOLDERS = {
+  email: '[email]',
+  card: '[carte]',
+  phone: '[téléphone]',
+  name: '[prénom]'
+};
+
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu;
+
+// 13 to 19 digits, possibly grouped by spaces or hyphens (payment cards)
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+// A run of digits with separators; it is only a phone number when it has at least 8 digits and is not a date
+const PHONE_PATTERN = /(?:\+|\b00)?\d[\d .()/-]{6,}\d/g;
+const DATE_PATTERN = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+
+// Self-introductions in the languages of the widget, followed by the name (one or two words)
+const INTRODUCTION_PATTERN = /\b(je m['’]appelle|mon nom est|my name is|me llamo|mi nombre es|ich heiße|ich heisse|mein name ist|mi chiamo|il mio nome è|meu nome é|chamo-me)\s+([\p{L}'’-]+)((?:\s+[\p{L}'’-]+)?)/giu;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Renvoie le texte sans les données personnelles reconnues
+// guestName is the name sent by the widget link, when the session has one
+export function anonymizeText(text, { guestName } = {}) {
+  if (!text) return '';
+
+  let result = text
+    .replace(EMAIL_PATTERN, PLACEHOLDERS.email)
+    .replace(CARD_PATTERN, PLACEHOLDERS.card)
+    .replace(PHONE_PATTERN, match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 8 && !DATE_PATTERN.test(match.trim()) ? PLACEHOLDERS.phone : match;
+    })
+    // The second word is only part of the name when it starts with a capital ("Ana García", not "Ana and")
+    .replace(INTRODUCTION_PATTERN, (match, introduction, name, rest) =>
+      `${introduction} ${PLACEHOLDERS.name}${/^\s+\p{Lu}/u.test(rest) ? '' : rest}`);
+
+  if (guestName) {
+    // Each word of the name on its own, so "Anna" is also removed when the guest wrote "Anna Schmidt"
+    for (const word of guestName.split(/\s+/).filter(part => part.length > 1)) {
+      result = result.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'giu'), PLACEHOLDERS.name);
+    }
+  }
+
+  return result;
+}
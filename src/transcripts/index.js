@@ -0,0 +1,84 @@
+// transcripts/index.js
+// Transcriptions anonymisées des conversations, relues par l'équipe dans la console d'administration
+//
+// A transcript is kept apart from the conversation the widget resumes: it has its own id (the conversation id
+// lets a device read its messages, so it is never shown to the staff) and only anonymized texts.
+// Staff can flag an answer of the bot for follow-up, with a note, and mark it as handled later.
+import { randomUUID } from 'crypto';
+import { getStore } from '../store/index.js';
+import { anonymizeText } from './anonymize.js';
+
+export const INPUT_MODES = ['text', 'voice'];
+
+// Nombre maximal de messages gardés par transcription
+const MAX_TRANSCRIPT_MESSAGES = 400;
+
+export function createTranscriptId() {
+  return randomUUID();
+}
+
+// Mode de saisie envoyé par le widget ("voice" quand la question vient du micro)
+export function resolveInputMode(inputMode) {
+  return INPUT_MODES.includes(inputMode) ? inputMode : 'text';
+}
+
+// Recalcule les champs affichés dans la liste (et indexés par le store)
+function withSummary(transcript) {
+  const questions = transcript.messages.filter(message => message.role === 'user');
+  const modes = new Set(questions.map(message => message.mode));
+  return {
+    ...transcript,
+    turns: questions.length,
+    mode: modes.size > 1 ? 'mixed' : [...modes][0] || 'text',
+    flagged: transcript.messages.filter(message => message.flag && !message.flag.resolvedAt).length,
+    firstQuestion: questions[0]?.text.slice(0, 200) || ''
+  };
+}
+
+// Ajoute une question et sa réponse à la transcription (créée au premier échange)
+// Only the topic keys of the sources are kept: their texts are in the hotel information
+// unanswered marks an answer saying the information is not in the hotel information (knowledge/gaps.js)
+export async function recordTranscriptTurn(id, { question, answer, language, mode, sources, promptVersion, unanswered = false, guestName }) {
+  const transcripts = getStore().transcripts;
+  const now = Date.now();
+  const transcript = await transcripts.get(id) || { id, startedAt: now, messages: [] };
+
+  const messages = [
+    ...transcript.messages,
+    { role: 'user', text: anonymizeText(question, { guestName }), language, mode: resolveInputMode(mode), at: now },
+    { role: 'bot', text: anonymizeText(answer, { guestName }), language, sources: (sources || []).map(source => source.topic), promptVersion, unanswered, at: now, flag: null }
+  ].slice(-MAX_TRANSCRIPT_MESSAGES);
+
+  await transcripts.save(withSummary({ ...transcript, language, updatedAt: now, messages }));
+}
+
+// Signale une réponse du bot, ou modifie son signalement
+// Returns the updated transcript, or null when the transcript or the answer does not exist
+export async function flagTranscriptMessage(id, index, { note, resolved }) {
+  const transcripts = getStore().transcripts;
+  const transcript = await transcripts.get(id);
+  const message = transcript?.messages[index];
+  if (!message || message.role !== 'bot') return null;
+
+  const flag = message.flag || { flaggedAt: Date.now(), resolvedAt: null, note: '' };
+  if (typeof note === 'string') flag.note = note.trim().slice(0, 1000);
+  if (typeof resolved === 'boolean') flag.resolvedAt = resolved ? flag.resolvedAt || Date.now() : null;
+  message.flag = flag;
+
+  const updated = withSummary(transcript);
+  await transcripts.save(updated);
+  return updated;
+}
+
+// Retire le signalement d'une réponse (signalée par erreur)
+export async function unflagTranscriptMessage(id, index) {
+  const transcripts = getStore().transcripts;
+  const transcript = await transcripts.get(id);
+  const message = transcript?.messages[index];
+  if (!message || message.role !== 'bot') return null;
+
+  message.flag = null;
+  const updated = withSummary(transcript);
+  await transcripts.save(updated);
+  return updated;
+}
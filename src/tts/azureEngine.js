@@ -0,0 +1,50 @@
+// tts/azureEngine.js
+// Text-to-speech engine using the Azure Speech SDK (microsoft-cognitiveservices-speech-sdk)
+import sdk from 'microsoft-cognitiveservices-speech-sdk';
+
+// Échappe le texte pour l'insérer dans du SSML
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Crée un moteur de synthèse Azure
+export function createAzureEngine({ key, region }) {
+  return {
+    name: 'azure',
+    maxTextLength: 4000,
+
+    async synthesize({ text, voice, speed }) {
+      const speechConfig = sdk.SpeechConfig.fromSubscription(key, region);
+      // MP3 like the other engines, so segments can be joined together
+      speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Audio24Khz48KBitRateMonoMp3;
+
+      // Without an audio config the synthesizer only returns the audio data
+      const synthesizer = new sdk.SpeechSynthesizer(speechConfig, null);
+
+      // SSML lets us set both the voice and the speaking rate
+      const ssml = `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${voice.locale}">` +
+        `<voice name="${voice.name}"><prosody rate="${speed}">${escapeXml(text)}</prosody></voice></speak>`;
+
+      try {
+        const result = await new Promise((resolve, reject) => {
+          synthesizer.speakSsmlAsync(ssml, resolve, reject);
+        });
+
+        if (result.reason !== sdk.ResultReason.SynthesizingAudioCompleted) {
+          const error = new Error(`Azure TTS error: ${result.errorDetails}`);
+          error.status = 502;
+          throw error;
+        }
+
+        return Buffer.from(result.audioData);
+      } finally {
+        synthesizer.close();
+      }
+    }
+  };
+}
@@ -0,0 +1,30 @@
+// tts/googleEngine.js
+// Text-to-speech engine using Google Cloud Text-to-Speech (@google-cloud/text-to-speech)
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS, as for every Google Cloud client
+import { TextToSpeechClient } from '@google-cloud/text-to-speech';
+
+// Crée un moteur de synthèse Google Cloud
+export function createGoogleEngine() {
+  // The client is created on first use so a deployment without Google credentials can still start
+  let client = null;
+
+  return {
+    name: 'google',
+    // Google limits the input to 5000 bytes; accented characters take two bytes in UTF-8
+    maxTextLength: 2000,
+
+    async synthesize({ text, voice, speed }) {
+      if (!client) {
+        client = new TextToSpeechClient();
+      }
+
+      const [response] = await client.synthesizeSpeech({
+        input: { text },
+        voice: { languageCode: voice.locale, name: voice.name },
+        audioConfig: { audioEncoding: 'MP3', speakingRate: speed }
+      });
+
+      return Buffer.from(response.audioContent);
+    }
+  };
+}
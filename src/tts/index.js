@@ -0,0 +1,76 @@
+// tts/index.js
+// Registre des moteurs de synthèse vocale et choix de la voix pour chaque langue
+//
+// TTS_ENGINE chooses the engine for the deployment, TTS_ENGINE_<LANG> (TTS_ENGINE_FR, TTS_ENGINE_DE...) overrides it per language:
+//   openai - OpenAI speech API (OPENAI_API_KEY, TTS_MODEL)
+//   google - Google Cloud Text-to-Speech (GOOGLE_APPLICATION_CREDENTIALS)
+//   azure  - Azure Speech SDK (AZURE_SPEECH_KEY, AZURE_SPEECH_REGION)
+// TTS_VOICE_<LANG> picks a voice from the engine's catalog in the language file (src/languages),
+// otherwise the first voice listed for the language is used. TTS_SPEED sets the speaking rate (1.0 = normal).
+// The settings come from the central configuration (src/config).
+import { getConfig } from '../config/index.js';
+import { LANGUAGES } from '../languages/index.js';
+import { createOpenAIEngine } from './openaiEngine.js';
+import { createGoogleEngine } from './googleEngine.js';
+import { createAzureEngine } from './azureEngine.js';
+
+export const SUPPORTED_ENGINES = ['openai', 'google', 'azure'];
+
+// Catalogue des voix disponibles, par moteur puis par langue, tiré des fichiers de langue
+export const VOICE_CATALOG = Object.fromEntries(SUPPORTED_ENGINES.map(engineName => [
+  engineName,
+  Object.fromEntries(Object.values(LANGUAGES).map(language => [language.code, language.voices[engineName] || []]))
+]));
+
+// Crée le moteur demandé à partir de la configuration
+export function createTTSEngine(engineName, config = getConfig()) {
+  switch (engineName) {
+    case 'openai':
+      return createOpenAIEngine({
+        apiKey: config.openai.apiKey,
+        model: config.tts.model
+      });
+
+    case 'google':
+      return createGoogleEngine();
+
+    case 'azure':
+      return createAzureEngine({
+        key: config.azureSpeech.key,
+        region: config.azureSpeech.region
+      });
+
+    default:
+      throw new Error(`Unknown text-to-speech engine "${engineName}". Supported engines: ${SUPPORTED_ENGINES.join(', ')}`);
+  }
+}
+
+// Moteurs déjà créés, un par nom
+const engines = new Map();
+
+// Renvoie le moteur, la voix et la vitesse à utiliser pour une langue
+export function getTTSVoice(language, config = getConfig()) {
+  const engineName = config.tts.engines[language] || config.tts.engine;
+
+  if (!engines.has(engineName)) {
+    engines.set(engineName, createTTSEngine(engineName, config));
+  }
+
+  const voices = VOICE_CATALOG[engineName]?.[language];
+  if (!voices || voices.length === 0) {
+    throw new Error(`No ${engineName} voices are listed for language "${language}" in src/languages/${language}.json`);
+  }
+
+  // Use the configured voice, or the first one of the catalog
+  const voiceName = config.tts.voices[language];
+  const voice = voiceName ? voices.find(candidate => candidate.name === voiceName) : voices[0];
+  if (!voice) {
+    throw new Error(`Unknown ${engineName} voice "${voiceName}" for language "${language}". Available voices: ${voices.map(candidate => candidate.name).join(', ')}`);
+  }
+
+  return {
+    engine: engines.get(engineName),
+    voice,
+    speed: config.tts.speed
+  };
+}
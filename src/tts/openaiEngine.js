@@ -0,0 +1,40 @@
+// tts/openaiEngine.js
+// Text-to-speech engine using the OpenAI speech API
+
+// Crée un moteur de synthèse OpenAI
+export function createOpenAIEngine({ apiKey, model }) {
+  return {
+    name: 'openai',
+    model,
+    // OpenAI refuses inputs longer than 4096 characters
+    maxTextLength: 4000,
+
+    // Synthétise un morceau de texte et renvoie l'audio MP3
+    async synthesize({ text, voice, speed, signal }) {
+      const response = await fetch('https://api.openai.com/v1/audio/speech', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+          model,
+          voice: voice.name,
+          input: text,
+          response_format: "mp3",
+          speed
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const errMessage = await response.text();
+        const error = new Error(`OpenAI API error: ${response.status} - ${errMessage}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return Buffer.from(await response.arrayBuffer());
+    }
+  };
+}
@@ -0,0 +1,176 @@
+// usage/index.js
+// Consommation des API payantes (modèle de langage, reconnaissance et synthèse vocales) et son coût estimé, par
+// conversation et par jour
+//
+// Every call is saved with what the API bills: the tokens of the chat model (answers, history summaries and
+// translations of the hotel information), the seconds of audio of the transcriptions and the characters of the speech.
+// The cost is estimated when the call is saved, with the price of its model: the table below, completed or replaced
+// model by model by USAGE_PRICES (usage.prices in config.json). A model is found by its name or the start of it
+// ("gpt-4o-mini-2024-07-18" uses the price of "gpt-4o-mini"); a model without a price (local servers, other engines)
+// costs 0 and is shown as such in the report. USAGE_CURRENCY only names the currency of the prices.
+// The cost of the current day is also the daily budget of the paid routes (DAILY_COST_BUDGET, see src/limits).
+// These are estimates: an answer stopped by the guest has no token count, and the duration of a recording comes from
+// the widget when the file does not give it.
+import { getConfig } from '../config/index.js';
+import { getHotelClock } from '../knowledge/clock.js';
+import { getStore } from '../store/index.js';
+
+// Types d'appels comptés
+export const USAGE_KINDS = ['chat', 'summary', 'translation', 'transcription', 'speech'];
+
+// Tarifs publics d'OpenAI, en dollars
+// gpt-4o-mini-tts is billed by tokens, about $0.015 per minute of speech: around $15 per million characters
+export const DEFAULT_PRICES = {
+  'gpt-4o-mini': { inputPerMillionTokens: 0.15, outputPerMillionTokens: 0.6 },
+  'gpt-4o': { inputPerMillionTokens: 2.5, outputPerMillionTokens: 10 },
+  'gpt-4.1-nano': { inputPerMillionTokens: 0.1, outputPerMillionTokens: 0.4 },
+  'gpt-4.1-mini': { inputPerMillionTokens: 0.4, outputPerMillionTokens: 1.6 },
+  'gpt-4.1': { inputPerMillionTokens: 2, outputPerMillionTokens: 8 },
+  'gpt-4o-mini-transcribe': { perMinute: 0.003 },
+  'gpt-4o-transcribe': { perMinute: 0.006 },
+  'whisper-1': { perMinute: 0.006 },
+  'gpt-4o-mini-tts': { perMillionCharacters: 15 },
+  'tts-1': { perMillionCharacters: 15 },
+  'tts-1-hd': { perMillionCharacters: 30 }
+};
+
+// Période du rapport par défaut, en jours
+export const DEFAULT_USAGE_DAYS = 30;
+
+// Nombre de conversations les plus coûteuses montrées dans le rapport
+const TOP_CONVERSATIONS = 20;
+
+// Tarifs en vigueur : ceux de la configuration remplacent ceux du tableau, modèle par modèle
+export function getPrices(config = getConfig()) {
+  return { ...DEFAULT_PRICES, ...config.usage.prices };
+}
+
+// Tarif d'un modèle : son nom exact, sinon le plus long nom du tableau par lequel il commence
+// Returns null when the model has no price
+export function findPrice(model, prices = getPrices()) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+  const name = Object.keys(prices)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return name ? prices[name] : null;
+}
+
+// Coût estimé d'un appel avec le tarif de son modèle
+export function estimateCost({ inputTokens = 0, outputTokens = 0, characters = 0, audioSeconds = 0 }, price) {
+  if (!price) return 0;
+  return (inputTokens * (price.inputPerMillionTokens || 0)
+    + outputTokens * (price.outputPerMillionTokens || 0)
+    + characters * (price.perMillionCharacters || 0)) / 1000000
+    + (audioSeconds / 60) * (price.perMinute || 0);
+}
+
+// Enregistre un appel à une API payante
+// provider is the provider or engine (openai, azure, local...), model the model it used (the provider when unknown),
+// prices the table of getPrices().
+// A storage error is only logged: the guest already has the answer
+export async function recordUsage({ kind, provider, model, conversationId = null, inputTokens = 0, outputTokens = 0, characters = 0, audioSeconds = 0 }, { now = new Date(), prices = getPrices() } = {}) {
+  const price = findPrice(model || provider, prices);
+  const record = {
+    createdAt: now.getTime(),
+    // Daily totals follow the days of the hotel, like the daily budget (src/limits)
+    day: getHotelClock(now).date,
+    conversationId,
+    kind,
+    provider,
+    model: model || provider,
+    inputTokens,
+    outputTokens,
+    characters,
+    audioSeconds: Math.round(audioSeconds * 10) / 10,
+    cost: estimateCost({ inputTokens, outputTokens, characters, audioSeconds }, price),
+    priced: price !== null
+  };
+
+  try {
+    await getStore().usage.add(record);
+  } catch (err) {
+    console.error('[Usage] Could not record the API call:', err);
+  }
+  return record;
+}
+
+// Compteurs vides d'une ligne du rapport
+function newTotals() {
+  return { calls: 0, cost: 0, inputTokens: 0, outputTokens: 0, characters: 0, audioSeconds: 0 };
+}
+
+// Ajoute un appel aux compteurs d'une ligne du rapport
+function addToTotals(totals, record) {
+  totals.calls += 1;
+  totals.cost += record.cost;
+  totals.inputTokens += record.inputTokens;
+  totals.outputTokens += record.outputTokens;
+  totals.characters += record.characters;
+  totals.audioSeconds += record.audioSeconds;
+}
+
+// Arrondit les sommes d'une ligne, pour ne pas montrer les erreurs d'arrondi des additions
+function roundTotals(totals) {
+  return { ...totals, cost: Math.round(totals.cost * 1000000) / 1000000, audioSeconds: Math.round(totals.audioSeconds * 10) / 10 };
+}
+
+// Consommation des derniers jours : au total, par jour, par type d'appel, par modèle et les conversations les plus
+// coûteuses (avec leur transcription, tant qu'elle est gardée)
+// currency is the currency of the prices (USAGE_CURRENCY)
+export async function buildUsageReport({ days = DEFAULT_USAGE_DAYS, now = Date.now(), currency = getConfig().usage.currency } = {}) {
+  const since = now - days * 24 * 60 * 60 * 1000;
+  const store = getStore();
+  const records = await store.usage.list({ since });
+
+  const total = newTotals();
+  const daily = new Map();
+  const kinds = {};
+  const models = new Map();
+  const conversations = new Map();
+
+  for (const record of records) {
+    addToTotals(total, record);
+
+    if (!daily.has(record.day)) daily.set(record.day, { day: record.day, ...newTotals() });
+    addToTotals(daily.get(record.day), record);
+
+    addToTotals(kinds[record.kind] || (kinds[record.kind] = newTotals()), record);
+
+    const modelKey = `${record.provider}\n${record.model}`;
+    if (!models.has(modelKey)) models.set(modelKey, { provider: record.provider, model: record.model, priced: record.priced, ...newTotals() });
+    addToTotals(models.get(modelKey), record);
+
+    // Translations of the hotel information belong to no conversation
+    if (record.conversationId) {
+      if (!conversations.has(record.conversationId)) {
+        conversations.set(record.conversationId, { conversationId: record.conversationId, firstAt: record.createdAt, lastAt: record.createdAt, ...newTotals() });
+      }
+      const conversation = conversations.get(record.conversationId);
+      // The records come newest first
+      conversation.firstAt = record.createdAt;
+      addToTotals(conversation, record);
+    }
+  }
+
+  const topConversations = [...conversations.values()]
+    .sort((a, b) => b.cost - a.cost || b.calls - a.calls)
+    .slice(0, TOP_CONVERSATIONS);
+  // The transcript lets the staff read the conversation; it is gone once the conversation expired.
+  // Only its anonymized id is reported: the id of the conversation is the key the widget of the guest holds
+  const withTranscripts = await Promise.all(topConversations.map(async ({ conversationId, ...conversation }) => {
+    const saved = await store.conversations.get(conversationId).catch(() => null);
+    return { ...roundTotals(conversation), transcriptId: saved?.transcriptId || null };
+  }));
+
+  return {
+    days,
+    since,
+    currency,
+    total: roundTotals(total),
+    daily: [...daily.values()].sort((a, b) => b.day.localeCompare(a.day)).map(roundTotals),
+    kinds: Object.fromEntries(Object.entries(kinds).map(([kind, totals]) => [kind, roundTotals(totals)])),
+    models: [...models.values()].sort((a, b) => b.cost - a.cost || b.calls - a.calls).map(roundTotals),
+    conversations: withTranscripts
+  };
+}
@@ -0,0 +1,49 @@
+// test/admin.test.js
+// Checks of the login of the admin console (src/routes/adminRoutes.js), without network or database
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import session from 'express-session';
+import { loadConfig } from '../src/config/index.js';
+import createAdminRoutes from '../src/routes/adminRoutes.js';
+import createApiRoutes from '../src/routes/apiRoutes.js';
+import { getStore } from '../src/store/index.js';
+
+// Configuration donnée aux routes, comme src/server.js le fait
+const config = loadConfig({ ADMIN_PASSWORD: 'secret', LLM_PROVIDER: 'mock', SESSION_STORE: 'memory', PMS_ADAPTER: 'none' });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(session({ store: getStore(config).sessionStore, secret: 'test', resave: false, saveUninitialized: true }));
+  app.use('/admin', createAdminRoutes(config, createApiRoutes(config)));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Envoie un mot de passe comme la page de connexion
+function login(password) {
+  return fetch(`${baseUrl}/admin/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+}
+
+test('limits the login attempts of an address, even with the right password', async () => {
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    assert.equal((await login('secret')).status, 200);
+  }
+
+  const refused = await login('secret');
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.headers.get('retry-after')) > 0);
+});
@@ -0,0 +1,40 @@
+// test/anonymize.test.js
+// Checks of the removal of personal data from the kept messages (src/transcripts/anonymize.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { anonymizeText, PLACEHOLDERS } from '../src/transcripts/anonymize.js';
+
+test('replaces e-mail addresses, card numbers and phone numbers', () => {
+  const text = 'Écrivez à anna.schmidt@example.de, carte 4970 1012 3456 7890, tél. +33 6 12 34 56 78';
+
+  assert.equal(
+    anonymizeText(text),
+    `Écrivez à ${PLACEHOLDERS.email}, carte ${PLACEHOLDERS.card}, tél. ${PLACEHOLDERS.phone}`
+  );
+});
+
+test('keeps dates, times and short numbers', () => {
+  const text = 'Arrivée le 12/08/2025 à 14:30, chambre 204 pour 2 adultes';
+
+  assert.equal(anonymizeText(text), text);
+});
+
+test('replaces the name given in a self-introduction, in several languages', () => {
+  assert.equal(anonymizeText("Bonjour, je m'appelle Anna et j'arrive demain"), `Bonjour, je m'appelle ${PLACEHOLDERS.name} et j'arrive demain`);
+  assert.equal(anonymizeText('Hi, my name is Ana García.'), `Hi, my name is ${PLACEHOLDERS.name}.`);
+  assert.equal(anonymizeText('Hola, me llamo Pedro y quiero una mesa'), `Hola, me llamo ${PLACEHOLDERS.name} y quiero una mesa`);
+});
+
+test('replaces each word of the guest name from the widget link, whatever its case', () => {
+  const text = 'Anna Schmidt here, ANNA for short. Annabelle is my sister.';
+
+  assert.equal(
+    anonymizeText(text, { guestName: 'Anna Schmidt' }),
+    `${PLACEHOLDERS.name} ${PLACEHOLDERS.name} here, ${PLACEHOLDERS.name} for short. Annabelle is my sister.`
+  );
+});
+
+test('returns an empty text for a missing message', () => {
+  assert.equal(anonymizeText(undefined), '');
+  assert.equal(anonymizeText(''), '');
+});
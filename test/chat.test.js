@@ -0,0 +1,94 @@
+// test/chat.test.js
+// Checks of POST /api/chat with the offline mock provider (LLM_PROVIDER=mock), without network or database.
+// The router is mounted on its own express app, with the same session and JSON middlewares as src/server.js;
+// the hotel information is not loaded, so the answers cite no topic
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import express from 'express';
+import session from 'express-session';
+import { loadConfig } from '../src/config/index.js';
+import createApiRoutes from '../src/routes/apiRoutes.js';
+import { getStore } from '../src/store/index.js';
+
+// Configuration donnée aux routes, comme src/server.js le fait
+const config = loadConfig({ LLM_PROVIDER: 'mock', SESSION_STORE: 'memory', PMS_ADAPTER: 'none' });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(session({ store: getStore(config).sessionStore, secret: 'test', resave: false, saveUninitialized: true }));
+  app.use(express.json());
+  app.use('/api', createApiRoutes(config));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Envoie une question comme le widget, avec le cookie de session quand il y en a un
+async function postChat(body, cookie) {
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { response, cookie: response.headers.get('set-cookie')?.split(';')[0] || cookie, data: await response.json() };
+}
+
+test('answers a question with the mock provider', async () => {
+  const { response, data } = await postChat({ question: 'Quels sont les horaires du petit-déjeuner ?', language: 'fr' });
+
+  assert.equal(response.status, 200);
+  assert.equal(data.answer, 'Mock answer to: Quels sont les horaires du petit-déjeuner ?');
+  assert.equal(data.language, 'fr');
+  assert.ok(data.messageId);
+  assert.match(data.conversationId, /^[0-9a-f-]{36}$/);
+});
+
+test('keeps the conversation of the session and restores its messages', async () => {
+  const first = await postChat({ question: 'Bonjour', language: 'fr' });
+  const { conversationId } = first.data;
+  // A new session (reopened widget) resumes the conversation with the id given by the server
+  await postChat({ question: 'Où est la piscine ?', language: 'fr', conversationId });
+
+  const response = await fetch(`${baseUrl}/api/conversation/${conversationId}`);
+  const { messages } = await response.json();
+  assert.deepEqual(messages.map(message => message.text), [
+    'Bonjour',
+    'Mock answer to: Bonjour',
+    'Où est la piscine ?',
+    'Mock answer to: Où est la piscine ?'
+  ]);
+});
+
+test('never uses a conversation id chosen by the widget', async () => {
+  for (const conversationId of ['abcdefgh', randomUUID()]) {
+    const { data } = await postChat({ question: 'Bonjour', language: 'fr', conversationId });
+    assert.notEqual(data.conversationId, conversationId);
+  }
+});
+
+test('refuses a question that is not a text', async () => {
+  for (const question of [123, '', '   ', null, { text: 'Bonjour' }]) {
+    const { response } = await postChat({ question, language: 'fr' });
+    assert.equal(response.status, 400);
+  }
+});
+
+test('does not count the refused questions in the limits', async () => {
+  // More empty questions than the 60 requests per minute allowed to an IP address
+  for (let i = 0; i < 61; i++) {
+    const { response } = await postChat({ question: '', language: 'fr' });
+    assert.equal(response.status, 400);
+  }
+
+  const { response } = await postChat({ question: 'Bonjour', language: 'fr' });
+  assert.equal(response.status, 200);
+});
@@ -0,0 +1,53 @@
+// test/citations.test.js
+// Checks of the SOURCES lines written by the model (src/knowledge/citations.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCitationFilter, extractCitations } from '../src/knowledge/citations.js';
+
+const KNOWN_TOPICS = new Set(['piscine', 'internet']);
+
+// Envoie le texte au filtre morceau par morceau, comme le streaming, et renvoie ce que le client a vu
+function streamThroughFilter(text, pieceLength) {
+  const filter = createCitationFilter();
+  let shown = '';
+  for (let i = 0; i < text.length; i += pieceLength) {
+    shown += filter.push(text.slice(i, i + pieceLength));
+  }
+  return shown;
+}
+
+test('removes the SOURCES line and keeps the known topics', () => {
+  const { answer, topics, missing } = extractCitations('La piscine ouvre à 8h.\nSOURCES: [piscine], [spa]', KNOWN_TOPICS);
+
+  assert.equal(answer, 'La piscine ouvre à 8h.');
+  assert.deepEqual(topics, ['piscine']);
+  assert.equal(missing, false);
+});
+
+test('accepts topics without brackets and the missing information mark', () => {
+  assert.deepEqual(extractCitations('Le wifi est gratuit.\nSOURCES: internet, piscine', KNOWN_TOPICS).topics, ['internet', 'piscine']);
+  assert.equal(extractCitations('Je ne sais pas.\nSOURCES: [?]', KNOWN_TOPICS).missing, true);
+});
+
+test('keeps the text written after a SOURCES line, as in several rounds of tool calls', () => {
+  const text = 'Un instant, je regarde.\nSOURCES: [?]\n\nLe wifi est gratuit.\nSOURCES: [internet]';
+  const { answer, topics, missing } = extractCitations(text, KNOWN_TOPICS);
+
+  assert.equal(answer, 'Un instant, je regarde.\n\n\nLe wifi est gratuit.');
+  assert.deepEqual(topics, ['internet']);
+  assert.equal(missing, true);
+});
+
+test('streams the same answer as the one extracted at the end, whatever the size of the pieces', () => {
+  const text = 'Un instant, je regarde.\nSOURCES: [?]\n\nLe wifi est gratuit.\nSOURCES: [internet]';
+  const { answer } = extractCitations(text, KNOWN_TOPICS);
+  for (const pieceLength of [1, 3, 7, text.length]) {
+    assert.equal(streamThroughFilter(text, pieceLength).trim(), answer);
+  }
+});
+
+test('never shows the start of the marker while it may still be one', () => {
+  const filter = createCitationFilter();
+  assert.equal(filter.push('Bonjour SOU'), 'Bonjour ');
+  assert.equal(filter.push('PE'), 'SOUPE');
+});
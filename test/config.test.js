@@ -0,0 +1,118 @@
+// test/config.test.js
+// Checks of the settings read from the defaults, the configuration file and the environment (src/config)
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, SETTINGS } from '../src/config/index.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meit-config-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Charge la configuration avec ces variables et ce fichier de configuration, sans le config.json du projet
+function load(env = {}, fileSettings = {}) {
+  const filePath = path.join(tempDir, `${Date.now()}-${Math.random()}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(fileSettings));
+  return loadConfig({ CONFIG_FILE: filePath, ...env });
+}
+
+// Message d'erreur de la configuration refusée
+function errorOf(env, fileSettings) {
+  assert.throws(() => load(env, fileSettings), /^Error: Invalid configuration:/);
+  try {
+    load(env, fileSettings);
+  } catch (err) {
+    return err.message;
+  }
+}
+
+test('uses the default of every setting', () => {
+  const config = load();
+
+  assert.equal(config.server.port, 3000);
+  assert.deepEqual(config.server.corsOrigins, ['https://finca-meitai.com']);
+  assert.equal(config.llm.tools, null);
+  assert.deepEqual(config.tts.voices, {});
+  assert.equal(config.knowledge.timezone, 'America/Costa_Rica');
+  // Every setting of SETTINGS gets a value
+  for (const setting of SETTINGS) {
+    assert.notEqual(setting.key.split('.').reduce((value, name) => value[name], config), undefined, setting.key);
+  }
+});
+
+test('converts the environment variables to the type of their setting', () => {
+  const config = load({
+    PORT: '8080',
+    RENDER: 'yes',
+    CORS_ORIGINS: 'https://a.example/, https://b.example',
+    LLM_TEMPERATURE: '0.4',
+    LLM_TOOLS: '',
+    TTS_VOICE_FR: 'nova',
+    USAGE_PRICES: '{ "my-model": { "inputPerMillionTokens": 1 } }',
+    SESSION_SECRET: 'secret'
+  });
+
+  assert.equal(config.server.port, 8080);
+  assert.equal(config.server.render, true);
+  assert.deepEqual(config.server.corsOrigins, ['https://a.example', 'https://b.example']);
+  assert.equal(config.llm.temperature, 0.4);
+  // An empty list offers no tool, where another empty variable counts as not set
+  assert.deepEqual(config.llm.tools, []);
+  assert.deepEqual(config.tts.voices, { fr: 'nova' });
+  assert.deepEqual(config.usage.prices, { 'my-model': { inputPerMillionTokens: 1 } });
+});
+
+test('takes the file before the defaults and the environment before the file', () => {
+  const config = load({ TTS_SPEED: '1.5', PORT: '' }, { server: { port: 8080 }, tts: { speed: 1.1, voices: { de: 'onyx' } } });
+
+  assert.equal(config.server.port, 8080);
+  assert.equal(config.tts.speed, 1.5);
+  assert.deepEqual(config.tts.voices, { de: 'onyx' });
+});
+
+test('lists every wrong value at once, with where it comes from', () => {
+  const message = errorOf(
+    { PORT: '70000', HISTORY_MAX_TURNS: '0', LLM_MAX_TOKENS: '1.5', CORS_ORIGINS: 'https://a.example/path', RENDER: 'maybe', HISTORY_SUMMARY_LANGUAGE: 'xx', SESSION_SECRET: 'secret' },
+    { llm: { model: 4 }, server: { unknown: true } }
+  );
+
+  const fileName = message.match(/- (\S+\.json): unknown setting/)[1];
+  assert.deepEqual(message.split('\n').slice(1), [
+    `  - ${fileName}: unknown setting "server.unknown"`,
+    '  - PORT must be a whole number between 1 and 65535, got "70000"',
+    '  - RENDER must be true or false, got "maybe"',
+    '  - CORS_ORIGINS must be a list of origins such as https://finca-meitai.com (no path), got "https://a.example/path"',
+    `  - ${fileName}: llm.model must be a text, got 4`,
+    '  - LLM_MAX_TOKENS must be a whole number of at least 1, got "1.5"',
+    '  - HISTORY_MAX_TURNS must be a whole number of at least 1, got "0"',
+    '  - HISTORY_SUMMARY_LANGUAGE must be a language code (de, en, es, fr, it, pt), got "xx"'
+  ]);
+});
+
+test('refuses the prices of an unknown unit and the voices of an unknown language', () => {
+  assert.match(errorOf({ USAGE_PRICES: '{ "my-model": { "perHour": 1 } }' }), /USAGE_PRICES must be an object of prices per model/);
+  assert.match(errorOf({}, { tts: { voices: { xx: 'nova' } } }), /tts\.voices has an unknown language "xx"/);
+});
+
+test('needs a session secret on Render and in production only', () => {
+  const expected = /SESSION_SECRET must be set on Render and when NODE_ENV is production/;
+
+  assert.match(errorOf({ RENDER: 'true' }), expected);
+  assert.match(errorOf({ NODE_ENV: 'production' }), expected);
+  assert.equal(load({ RENDER: 'true', SESSION_SECRET: 'secret' }).server.sessionSecret, 'secret');
+  assert.equal(typeof load().server.sessionSecret, 'string');
+});
+
+test('reports a configuration file that cannot be read', () => {
+  assert.match(errorOf({ CONFIG_FILE: path.join(tempDir, 'missing.json') }), /missing\.json cannot be read/);
+});
+
+test('freezes the configuration', () => {
+  const config = load();
+
+  assert.throws(() => {
+    config.server.port = 1;
+  }, TypeError);
+});
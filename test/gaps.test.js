@@ -0,0 +1,60 @@
+// test/gaps.test.js
+// Checks of the unanswered questions report (src/knowledge/gaps.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterQuestions, formatGapReportCsv, isUnansweredAnswer } from '../src/knowledge/gaps.js';
+import { createKnowledgeIndex } from '../src/knowledge/retrieval.js';
+
+// Questions sans réponse, dans l'ordre où elles ont été posées
+function gapsOf(questions) {
+  return questions.map((question, i) => ({ question, language: 'fr', askedAt: 1000 + i, topics: [] }));
+}
+
+test('spots an unanswered answer by its mark or, without sources, by its wording', () => {
+  assert.equal(isUnansweredAnswer({ answer: 'La piscine ouvre à 8h.', sources: [], missing: true, language: 'fr' }), true);
+  assert.equal(isUnansweredAnswer({ answer: 'Je n’ai pas cette information.', sources: [], missing: false, language: 'fr' }), true);
+  assert.equal(isUnansweredAnswer({ answer: 'Je n’ai pas cette information.', sources: ['piscine'], missing: false, language: 'fr' }), false);
+  assert.equal(isUnansweredAnswer({ answer: 'La piscine ouvre à 8h.', sources: [], missing: false, language: 'fr' }), false);
+});
+
+test('groups the questions about the same subject, whatever their length', () => {
+  const clusters = clusterQuestions(gapsOf([
+    'Où est l\'héliport ?',
+    'Avez-vous un héliport pour mon hélicoptère ?',
+    'Kayak à louer ?',
+    'Peut-on louer un kayak ?'
+  ]));
+
+  assert.deepEqual(clusters.map(cluster => cluster.gaps.map(gap => gap.askedAt)), [[1000, 1001], [1002, 1003]]);
+  assert.deepEqual(clusters.map(cluster => cluster.terms[0]), ['heliport', 'kayak']);
+});
+
+test('puts the words the hotel information already uses after the new ones', () => {
+  const questions = gapsOf(['Chambre avec piano ?', 'Piano dans la chambre ?']);
+  const knowledgeIndex = createKnowledgeIndex({ chambres: { fr: 'Toutes les chambres ont une terrasse.' } });
+
+  assert.deepEqual(clusterQuestions(questions).map(cluster => cluster.terms), [['chambre', 'piano']]);
+  assert.deepEqual(clusterQuestions(questions, { knowledgeIndex }).map(cluster => cluster.terms), [['piano', 'chambre']]);
+});
+
+test('writes a CSV that Excel opens without running formulas', () => {
+  const csv = formatGapReportCsv({
+    clusters: [{
+      rank: 1,
+      terms: ['heliport'],
+      count: 2,
+      lastWeek: 1,
+      languages: { fr: 2 },
+      firstAskedAt: Date.UTC(2025, 0, 2),
+      lastAskedAt: Date.UTC(2025, 0, 9),
+      examples: [{ question: '=HYPERLINK("x")' }, { question: 'Héliport ; ouvert ?' }],
+      nearestTopics: ['transport']
+    }]
+  });
+
+  assert.ok(csv.startsWith('﻿rang;mots_cles;'));
+  assert.equal(
+    csv.split('\r\n')[1],
+    '1;heliport;2;1;fr:2;2025-01-02;2025-01-09;"\'=HYPERLINK(""x"") | Héliport ; ouvert ?";transport'
+  );
+});
@@ -0,0 +1,95 @@
+// test/knowledge.test.js
+// Checks of the knowledge base built from the document (src/knowledge), with small documents written by the tests
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Document, HeadingLevel, Packer, Paragraph } from 'docx';
+import { readDocxTopics } from '../src/knowledge/docxSource.js';
+import { loadKnowledgeBase, mergeTranslations, saveKnowledgeBase } from '../src/knowledge/index.js';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'meit-knowledge-'));
+
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+// Écrit un document dont chaque ligne est un titre ("# ...") ou un paragraphe
+async function writeDocx(lines) {
+  const children = lines.map(line => line.startsWith('# ')
+    ? new Paragraph({ text: line.slice(2), heading: HeadingLevel.HEADING_1 })
+    : new Paragraph({ text: line }));
+  const docxPath = path.join(tempDir, `${Date.now()}-${Math.random()}.docx`);
+  await fs.writeFile(docxPath, await Packer.toBuffer(new Document({ sections: [{ children }] })));
+  return docxPath;
+}
+
+test('reads one topic per heading, with the translations written below the French text', async () => {
+  const topics = await readDocxTopics(await writeDocx(['# 7. INTERNET', 'Le wifi est gratuit.', '[EN]', 'The wifi is free.']));
+
+  assert.equal(topics.length, 1);
+  assert.equal(topics[0].key, 'internet');
+  assert.equal(topics[0].fr, '7. INTERNET\nLe wifi est gratuit.');
+  assert.equal(topics[0].en, 'The wifi is free.');
+});
+
+test('merges a heading used twice into the first topic', async () => {
+  const topics = await readDocxTopics(await writeDocx([
+    '# 6. PISCINE', 'Horaires et accès',
+    '# 7. INTERNET', 'Le wifi est gratuit.',
+    '# 10.B. PISCINE', 'Vous pouvez profiter de la piscine.', '[EN]', 'You can enjoy the pool.'
+  ]));
+
+  assert.deepEqual(topics.map(topic => topic.key), ['piscine', 'internet']);
+  assert.deepEqual(topics[0].sections, ['6', '10.B']);
+  assert.equal(topics[0].fr, '6. PISCINE\nHoraires et accès\n10.B. PISCINE\nVous pouvez profiter de la piscine.');
+  assert.equal(topics[0].en, 'You can enjoy the pool.');
+});
+
+test('keeps the translations of a merged topic found by any of its section numbers', () => {
+  const docxTopics = [{ key: 'piscine', section: '6', sections: ['6', '10.B'], heading: '6. PISCINE', fr: '6. PISCINE\n10.B. PISCINE' }];
+  const { data, reused } = mergeTranslations(docxTopics, { piscine: { fr: '10.B. PISCINE', en: '10.B. SWIMMING POOL' } });
+
+  assert.deepEqual(Object.keys(data), ['piscine']);
+  assert.equal(data.piscine.en, '10.B. SWIMMING POOL');
+  assert.equal(reused, 1);
+});
+
+// Configuration des sources d'un test, dans le dossier temporaire
+function createKnowledgeConfig(docxPath) {
+  return {
+    knowledge: {
+      docxPath,
+      jsonPath: path.join(tempDir, 'missing-hotel-info.json'),
+      editsPath: path.join(tempDir, `${path.basename(docxPath)}.edits.json`),
+      schedulesPath: path.join(tempDir, 'missing-schedules.json')
+    }
+  };
+}
+
+test('keeps the edits of the console when the same document is copied again', async () => {
+  const docxPath = await writeDocx(['# 7. INTERNET', 'Le wifi est gratuit.']);
+  const config = createKnowledgeConfig(docxPath);
+  const edited = { internet: { fr: '7. INTERNET\nLe wifi est gratuit et rapide.', en: '7. INTERNET\nThe wifi is free and fast.' } };
+  await saveKnowledgeBase(edited, config);
+
+  // A redeploy writes the same document with a new modification time
+  await fs.writeFile(docxPath, await fs.readFile(docxPath));
+  const { data, source } = await loadKnowledgeBase(config);
+
+  assert.deepEqual(data, edited);
+  assert.match(source, /saved from the admin console/);
+});
+
+test('uses the document again once its content changed, with the translations of the edits', async () => {
+  const docxPath = await writeDocx(['# 7. INTERNET', 'Le wifi est gratuit.']);
+  const config = createKnowledgeConfig(docxPath);
+  await saveKnowledgeBase({ internet: { fr: '7. INTERNET\nLe wifi est gratuit et rapide.', en: '7. INTERNET\nThe wifi is free and fast.' } }, config);
+
+  const newDocx = await writeDocx(['# 7. INTERNET', 'Le wifi est gratuit partout.']);
+  await fs.rename(newDocx, docxPath);
+  const { data, warnings } = await loadKnowledgeBase(config);
+
+  assert.equal(data.internet.fr, '7. INTERNET\nLe wifi est gratuit partout.');
+  assert.equal(data.internet.en, '7. INTERNET\nThe wifi is free and fast.');
+  assert.ok(warnings.some(message => message.includes('changed since the last save')));
+});
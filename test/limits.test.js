@@ -0,0 +1,104 @@
+// test/limits.test.js
+// Checks of the protection of the paid routes (src/limits) and of the duration read from the WAV recordings
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/config/index.js';
+import { createRateLimiter, getSessionKey, isOverDailyBudget } from '../src/limits/index.js';
+import { getStore } from '../src/store/index.js';
+import { getAudioDuration } from '../src/stt/audioDuration.js';
+import { getPrices, recordUsage } from '../src/usage/index.js';
+
+// Budget de 1 centime par jour, avec le store en mémoire
+const config = loadConfig({ SESSION_STORE: 'memory', DAILY_COST_BUDGET: '0.01' });
+
+// Fichier WAV mono 16 bits avec ces chunks avant les échantillons
+function createWav({ sampleRate = 16000, dataSize, announcedSize = dataSize, extraChunk = null }) {
+  const fmt = Buffer.alloc(24);
+  fmt.write('fmt ', 0, 'ascii');
+  fmt.writeUInt32LE(16, 4);
+  fmt.writeUInt16LE(1, 8);
+  fmt.writeUInt16LE(1, 10);
+  fmt.writeUInt32LE(sampleRate, 12);
+  fmt.writeUInt32LE(sampleRate * 2, 16);
+  fmt.writeUInt16LE(2, 20);
+  fmt.writeUInt16LE(16, 22);
+  const data = Buffer.alloc(8 + dataSize);
+  data.write('data', 0, 'ascii');
+  data.writeUInt32LE(announcedSize, 4);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'ascii');
+  header.write('WAVE', 8, 'ascii');
+  return Buffer.concat([header, fmt, ...(extraChunk ? [extraChunk] : []), data]);
+}
+
+// Requête avec sa session, comme express-session la donne aux middlewares
+function createRequest(session = {}) {
+  return { session, sessionID: 'session-1', ip: '203.0.113.7' };
+}
+
+test('allows the requests of a key up to the limit of the window', () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60000 });
+  const start = 1000000;
+
+  assert.equal(limiter.hit('a', start), 0);
+  assert.equal(limiter.hit('a', start + 1000), 0);
+  // The third request waits for the end of the window
+  assert.equal(limiter.hit('a', start + 2000), 58);
+  assert.equal(limiter.hit('b', start + 2000), 0);
+  // A new window starts the count again
+  assert.equal(limiter.hit('a', start + 60000), 0);
+});
+
+test('never refuses a request without a limit', () => {
+  const limiter = createRateLimiter({ limit: 0 });
+
+  for (let i = 0; i < 100; i++) assert.equal(limiter.hit('a'), 0);
+});
+
+test('counts a session under its IP address until the browser sends its cookie back', () => {
+  const req = createRequest();
+
+  assert.equal(getSessionKey(req), 'ip:203.0.113.7');
+  // The next request of the same session comes with the cookie
+  assert.equal(getSessionKey(createRequest(req.session)), 'session:session-1');
+  // Dropping the cookie gives a new session, counted under the address again
+  assert.equal(getSessionKey(createRequest()), 'ip:203.0.113.7');
+});
+
+test('refuses the paid requests once the cost of the day reaches the budget', async () => {
+  const now = new Date('2026-07-14T18:00:00Z');
+  const prices = getPrices(config);
+  // 40 000 tokens of gpt-4o-mini cost 0.006
+  const call = { kind: 'chat', provider: 'openai', model: 'gpt-4o-mini', inputTokens: 40000 };
+  getStore(config);
+
+  assert.equal(await isOverDailyBudget(config, now), false);
+  await recordUsage(call, { now, prices });
+  assert.equal(await isOverDailyBudget(config, now), false);
+  // The calls of the day before do not count
+  await recordUsage(call, { now: new Date('2026-07-13T18:00:00Z'), prices });
+  assert.equal(await isOverDailyBudget(config, now), false);
+
+  await recordUsage(call, { now, prices });
+  assert.equal(await isOverDailyBudget(config, now), true);
+  // The next day starts with a new budget
+  assert.equal(await isOverDailyBudget(config, new Date('2026-07-15T18:00:00Z')), false);
+  assert.equal(await isOverDailyBudget(loadConfig({ SESSION_STORE: 'memory' }), now), false);
+});
+
+test('reads the duration of a WAV recording from its header', () => {
+  assert.equal(getAudioDuration(createWav({ dataSize: 64000 })), 2);
+  // Chunks before the samples are skipped, with the padding of an odd size
+  const list = Buffer.alloc(8 + 4);
+  list.write('LIST', 0, 'ascii');
+  list.writeUInt32LE(3, 4);
+  assert.equal(getAudioDuration(createWav({ dataSize: 16000, extraChunk: list })), 0.5);
+  // A recording still being written announces more samples than it holds
+  assert.equal(getAudioDuration(createWav({ dataSize: 32000, announcedSize: 0xffffffff })), 1);
+});
+
+test('gives no duration for the other formats', () => {
+  assert.equal(getAudioDuration(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01, 0x42, 0xf7, 0x81])), null);
+  assert.equal(getAudioDuration(Buffer.from('OggS')), null);
+  assert.equal(getAudioDuration(createWav({ dataSize: 100 }).subarray(0, 30)), null);
+});
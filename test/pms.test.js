@@ -0,0 +1,94 @@
+// test/pms.test.js
+// Checks of the PMS adapter reading CSV files and iCal calendars (src/pms/fileAdapter.js)
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileAdapter, parseCsvLines, parseICalBookings } from '../src/pms/fileAdapter.js';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'meit-pms-'));
+
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+// Jour au format AAAA-MM-JJ, pour comparer les périodes
+const day = date => date.toISOString().slice(0, 10);
+
+// Calendrier iCal avec un événement par période { start, end, status }, lignes séparées par CRLF
+function iCalendar(events) {
+  return [
+    'BEGIN:VCALENDAR',
+    ...events.flatMap(({ start, end, status }) => [
+      'BEGIN:VEVENT',
+      `DTSTART;VALUE=DATE:${start}`,
+      ...(end ? [`DTEND;VALUE=DATE:${end}`] : []),
+      ...(status ? [`STATUS:${status}`] : []),
+      'END:VEVENT'
+    ]),
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+test('splits CSV lines with quoted values, doubled quotes and Windows line ends', () => {
+  const text = 'roomType;name;price\r\nsuite;"Suite ""Océan""; vue mer";120,5\r\n\r\ndouble; Chambre double ;80\r\n';
+
+  assert.deepEqual(parseCsvLines(text, ';'), [
+    ['roomType', 'name', 'price'],
+    ['suite', 'Suite "Océan"; vue mer', '120,5'],
+    ['double', 'Chambre double', '80']
+  ]);
+});
+
+test('reads the nights taken by each event and ignores the cancelled ones', () => {
+  const bookings = parseICalBookings(iCalendar([
+    { start: '20261120', end: '20261123' },
+    { start: '20261201T140000Z' },
+    { start: '20261205', end: '20261207', status: 'CANCELLED' },
+    { start: '20261210', end: '20261210' }
+  ]));
+
+  assert.deepEqual(bookings.map(({ start, end }) => [day(start), day(end)]), [
+    ['2026-11-20', '2026-11-23'],
+    ['2026-12-01', '2026-12-02']
+  ]);
+});
+
+test('unfolds the long lines of a calendar', () => {
+  const bookings = parseICalBookings('BEGIN:VEVENT\nDTSTART;VALUE=DATE:2026\n 1120\nDTEND:20261121\nEND:VEVENT\n');
+
+  assert.deepEqual(bookings.map(({ start, end }) => [day(start), day(end)]), [['2026-11-20', '2026-11-21']]);
+});
+
+test('gives the rooms left and the price of each night from the files', async () => {
+  await fs.writeFile(path.join(tempDir, 'suite.ics'), iCalendar([
+    { start: '20261120', end: '20261122' },
+    { start: '20261121', end: '20261122' }
+  ]));
+  const roomsPath = path.join(tempDir, 'rooms.csv');
+  await fs.writeFile(roomsPath, '﻿roomType;name;rooms;maxGuests;price;currency;calendar\nsuite;Suite;2;3;150,5;USD;suite.ics\n');
+  const ratesPath = path.join(tempDir, 'rates.csv');
+  await fs.writeFile(ratesPath, 'roomType,from,to,price\nsuite,2026-11-19,2026-11-30,180\nsuite,2026-11-21,2026-11-21,200\n');
+
+  const adapter = createFileAdapter({ roomsPath, ratesPath });
+
+  assert.deepEqual(await adapter.getRoomAvailability({ checkIn: '2026-11-18', checkOut: '2026-11-21' }), [{
+    roomType: 'suite',
+    name: 'Suite',
+    maxGuests: 3,
+    available: 1,
+    nightlyPrices: [150.5, 180, 180],
+    currency: 'USD'
+  }]);
+  assert.equal((await adapter.getRoomAvailability({ checkIn: '2026-11-21', checkOut: '2026-11-22' }))[0].available, 0);
+  assert.deepEqual((await adapter.getRoomAvailability({ checkIn: '2026-11-21', checkOut: '2026-11-22' }))[0].nightlyPrices, [200]);
+});
+
+test('names the file and the missing column of a CSV file', async () => {
+  const roomsPath = path.join(tempDir, 'incomplete.csv');
+  await fs.writeFile(roomsPath, 'roomType,name,rooms\nsuite,Suite,2\n');
+
+  await assert.rejects(
+    createFileAdapter({ roomsPath }).getRoomAvailability({ checkIn: '2026-11-18', checkOut: '2026-11-19' }),
+    { message: `${roomsPath}: missing column(s) maxGuests, price, currency` }
+  );
+});
@@ -0,0 +1,41 @@
+// test/prompts.test.js
+// Checks of the versioned system prompts (src/prompts): every version is assembled from its layout and its parts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listPromptVersions, loadPromptTemplates, renderTemplate, validateTemplate } from '../src/prompts/index.js';
+import { LANGUAGE_CODES } from '../src/languages/index.js';
+
+test('assembles and validates every version in every language', () => {
+  for (const version of listPromptVersions()) {
+    const { templates } = loadPromptTemplates(version);
+    assert.deepEqual(Object.keys(templates).sort(), [...LANGUAGE_CODES].sort(), version);
+  }
+});
+
+test('takes the parts a version does not change from the older versions', () => {
+  const v1 = loadPromptTemplates('v1').templates.fr;
+  const v2 = loadPromptTemplates('v2').templates.fr;
+  const v6 = loadPromptTemplates('v6').templates.fr;
+
+  // The date line only exists from v2, and its line disappears before
+  assert.doesNotMatch(v1, /\{\{date\}\}/);
+  assert.match(v1, /ci-dessous:\n\n\{\{hotelInfo\}\}/);
+  assert.match(v2, /^Nous sommes le \{\{date\}\} :/m);
+  // v6 changes the date line and keeps the booking inquiry part of v4
+  assert.match(v6, /\{\{time\}\}/);
+  assert.equal(v6.match(/\{\{#bookingInquiry\}\}[\s\S]*?\{\{\/bookingInquiry\}\}/)[0], loadPromptTemplates('v4').templates.fr.match(/\{\{#bookingInquiry\}\}[\s\S]*?\{\{\/bookingInquiry\}\}/)[0]);
+});
+
+test('keeps a section only when its value is not empty', () => {
+  const template = 'Bonjour{{#guestName}} {{guestName}}{{/guestName}} !';
+  assert.equal(renderTemplate(template, { guestName: 'Anna' }), 'Bonjour Anna !');
+  assert.equal(renderTemplate(template, { guestName: '' }), 'Bonjour !');
+});
+
+test('reports unknown placeholders, missing instructions and parts left inside a part', () => {
+  const errors = validateTemplate('{{unknown}} {{>date}}');
+  assert.ok(errors.includes('unknown placeholder {{unknown}}'));
+  assert.ok(errors.includes('{{hotelInfo}} is missing'));
+  assert.ok(errors.includes('the SOURCES: instruction is missing'));
+  assert.ok(errors.includes('{{>date}} is inside a part'));
+});
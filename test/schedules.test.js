@@ -0,0 +1,54 @@
+// test/schedules.test.js
+// Checks of the opening hours file (src/knowledge/schedules.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getHoursForDate, validateSchedules } from '../src/knowledge/schedules.js';
+
+const BREAKFAST = {
+  key: 'breakfast',
+  name: { fr: 'Petit déjeuner', en: 'Breakfast' },
+  hours: { daily: ['07:30-09:00'], sun: [] },
+  seasons: [{ from: '12-15', to: '01-15', hours: { daily: ['07:00-10:00'] } }],
+  closedDates: ['2026-12-25']
+};
+
+// Erreurs du fichier avec un seul horaire, modifié par le test
+const errorsOf = changes => validateSchedules({ schedules: [{ ...BREAKFAST, ...changes }] });
+
+test('accepts a complete schedule', () => {
+  assert.deepEqual(validateSchedules({ schedules: [BREAKFAST] }), []);
+});
+
+test('reports the missing list, keys and names', () => {
+  assert.deepEqual(validateSchedules({}), ['the file must contain a "schedules" list']);
+  assert.deepEqual(validateSchedules({ schedules: [BREAKFAST, { ...BREAKFAST, name: { en: 'Breakfast' } }] }), [
+    'schedule breakfast: the key is used twice',
+    'schedule breakfast: "name" needs at least the fr name'
+  ]);
+});
+
+test('reports unknown days and opening times ending before they start', () => {
+  assert.deepEqual(errorsOf({ hours: { monday: [], daily: ['09:00-07:30'] } }), [
+    'schedule breakfast: unknown day "monday" (use daily, sun, mon, tue, wed, thu, fri, sat)',
+    'schedule breakfast: "09:00-07:30" is not an opening time such as "07:30-09:00" ending the same day'
+  ]);
+});
+
+test('accepts only a list of real days as closed dates', () => {
+  assert.deepEqual(errorsOf({ closedDates: '2026-12-25' }), [
+    'schedule breakfast: "closedDates" must be a list of days such as ["2026-12-25"]'
+  ]);
+  assert.deepEqual(errorsOf({ closedDates: ['2026-02-30', 20261225, '25/12/2026'] }), [
+    'schedule breakfast: closed date "2026-02-30" is not a day in the YYYY-MM-DD format',
+    'schedule breakfast: closed date 20261225 is not a day in the YYYY-MM-DD format',
+    'schedule breakfast: closed date "25/12/2026" is not a day in the YYYY-MM-DD format'
+  ]);
+});
+
+test('gives the hours of a day from the week, the seasons and the closed dates', () => {
+  assert.deepEqual(getHoursForDate(BREAKFAST, '2026-06-10'), ['07:30-09:00']);
+  assert.deepEqual(getHoursForDate(BREAKFAST, '2026-06-14'), []);
+  // The season spans the new year
+  assert.deepEqual(getHoursForDate(BREAKFAST, '2027-01-10'), ['07:00-10:00']);
+  assert.deepEqual(getHoursForDate(BREAKFAST, '2026-12-25'), []);
+});
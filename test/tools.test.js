@@ -0,0 +1,80 @@
+// test/tools.test.js
+// Checks of the values written by the model for the booking tools (src/tools/stay.js and bookingInquiry.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_GUESTS, MAX_NIGHTS, validateGuests, validateStayDates } from '../src/tools/stay.js';
+import { validateBookingInquiry } from '../src/tools/bookingInquiry.js';
+
+const TODAY = '2025-03-10';
+
+// Demande complète et valide, à modifier dans chaque test
+const INQUIRY = {
+  checkIn: '2025-04-01',
+  checkOut: '2025-04-05',
+  adults: 2,
+  roomType: ' Suite vue mer ',
+  email: ' anna@example.com ',
+  notes: 'Lit bébé'
+};
+
+test('counts the nights of a valid stay', () => {
+  assert.deepEqual(validateStayDates({ checkIn: '2025-03-10', checkOut: '2025-03-13' }, { today: TODAY }), { nights: 3, errors: [] });
+});
+
+test('refuses dates that are not real days or not in the YYYY-MM-DD format', () => {
+  const { errors } = validateStayDates({ checkIn: '2025-02-30', checkOut: '10/04/2025' }, { today: TODAY });
+
+  assert.deepEqual(errors, [
+    'checkIn must be a date in the YYYY-MM-DD format',
+    'checkOut must be a date in the YYYY-MM-DD format'
+  ]);
+});
+
+test('refuses a stay in the past, too far ahead, reversed or too long', () => {
+  const errorsOf = (checkIn, checkOut) => validateStayDates({ checkIn, checkOut }, { today: TODAY }).errors;
+
+  assert.deepEqual(errorsOf('2025-03-09', '2025-03-12'), ['checkIn is in the past (today is 2025-03-10)']);
+  assert.match(errorsOf('2027-06-01', '2027-06-03')[0], /too far ahead/);
+  assert.deepEqual(errorsOf('2025-03-12', '2025-03-12'), ['checkOut must be after checkIn']);
+  assert.deepEqual(errorsOf('2025-03-10', '2025-04-20'), [`the stay is too long: at most ${MAX_NIGHTS} nights`]);
+});
+
+test('takes 0 children when the value is missing and checks the number of guests', () => {
+  assert.deepEqual(validateGuests({ adults: 2 }), { adults: 2, children: 0, errors: [] });
+  assert.deepEqual(validateGuests({ adults: '3', children: null }), { adults: 3, children: 0, errors: [] });
+
+  assert.deepEqual(validateGuests({ adults: 0, children: 1.5 }).errors, [
+    'adults must be a whole number, at least 1',
+    'children must be a whole number, 0 or more'
+  ]);
+  assert.deepEqual(validateGuests({ adults: MAX_GUESTS, children: 1 }).errors, [
+    `at most ${MAX_GUESTS} guests: larger groups must contact the reception`
+  ]);
+});
+
+test('cleans a valid booking inquiry', () => {
+  assert.deepEqual(validateBookingInquiry(INQUIRY, { today: TODAY }), {
+    inquiry: {
+      checkIn: '2025-04-01',
+      checkOut: '2025-04-05',
+      nights: 4,
+      adults: 2,
+      children: 0,
+      roomType: 'Suite vue mer',
+      email: 'anna@example.com',
+      notes: 'Lit bébé'
+    },
+    errors: []
+  });
+});
+
+test('lists every problem of a booking inquiry for the model', () => {
+  const { errors } = validateBookingInquiry({ ...INQUIRY, checkOut: '2025-03-30', adults: 0, roomType: '  ', email: 'anna@example' }, { today: TODAY });
+
+  assert.deepEqual(errors, [
+    'checkOut must be after checkIn',
+    'adults must be a whole number, at least 1',
+    'roomType is missing (use "no preference" if the guest has none)',
+    'email is not a valid e-mail address'
+  ]);
+});